@@ -0,0 +1,67 @@
+// Service worker for the Laundry King POS app shell.
+// The production build injects the list of built files below (see
+// precacheServiceWorker in vite.config.mjs), so every deploy produces a new
+// sw.js and the browser installs it as an update.
+
+const PRECACHE = self.__PRECACHE_MANIFEST || { version: 'dev', urls: [] };
+const CACHE_PREFIX = 'laundryking-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE.version}`;
+
+self.addEventListener('install', (event) => {
+  // Do not skipWaiting here - the page asks the user before switching builds
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE.urls))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Supabase and other cross-origin calls always go to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Client-side routes (e.g. /employee-pos-terminal) boot from the cached shell
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.open(CACHE_NAME)
+        .then((cache) => cache.match('/index.html'))
+        .then((cached) => cached || fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.open(CACHE_NAME).then((cache) =>
+      cache.match(request).then((cached) => {
+        if (cached) return cached;
+
+        return fetch(request).then((response) => {
+          // Keep runtime copies of same-origin files that were not precached (e.g. public images)
+          if (response.ok) {
+            cache.put(request, response.clone());
+          }
+          return response;
+        });
+      })
+    )
+  );
+});
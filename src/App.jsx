@@ -1,11 +1,13 @@
 import React from "react";
 import Routes from "./Routes";
 import { AuthProvider } from './contexts/AuthContext';
+import UpdatePrompt from './components/ui/UpdatePrompt';
 
 function App() {
   return (
     <AuthProvider>
       <Routes />
+      <UpdatePrompt />
     </AuthProvider>
   );
 }
@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import Icon from './AppIcon';
+import { emptyCriteria } from '../services/ticketSearch';
+import { TICKET_STATUSES, ticketStatus, ticketStatusLabels } from '../services/ticketStatus';
+import { ticketAdjustments } from '../services/ticketAdjustments';
+
+const inputClass = 'px-2 py-1.5 bg-white border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Ticket search form and paged results, used by the POS search dialog and the
+// dashboard's Tickets section. onSearch(criteria, cursor) resolves to a ticketSearch
+// page; onSelect(ticket) opens a result.
+const TicketSearchPanel = ({ onSearch, onSelect }) => {
+  const [criteria, setCriteria] = useState(emptyCriteria);
+  // Criteria of the results on screen; paging keeps using them while the form is edited
+  const [activeCriteria, setActiveCriteria] = useState(emptyCriteria);
+  // cursors[i] is where page i starts; page 0 starts at the newest ticket
+  const [cursors, setCursors] = useState([null]);
+  const [pageIndex, setPageIndex] = useState(0);
+  const [page, setPage] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runSearch = async (searchCriteria, index, cursor) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await onSearch(searchCriteria, cursor);
+      setPage(result);
+      setActiveCriteria(searchCriteria);
+      setPageIndex(index);
+      setCursors(prev => [...prev.slice(0, index + 1), result.nextCursor]);
+    } catch (searchError) {
+      console.error('Error searching tickets:', searchError);
+      setError(searchError.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Newest tickets first until the user narrows the search
+  useEffect(() => {
+    runSearch(emptyCriteria, 0, null);
+  }, []);
+
+  const handleSubmit = (e) => {
+    e?.preventDefault();
+    setCursors([null]);
+    runSearch(criteria, 0, null);
+  };
+
+  const handleClear = () => {
+    setCriteria(emptyCriteria);
+    setCursors([null]);
+    runSearch(emptyCriteria, 0, null);
+  };
+
+  const setField = (field) => (e) => {
+    const value = e?.target?.value;
+    setCriteria(prev => ({ ...prev, [field]: value }));
+  };
+
+  return (
+    <div>
+      <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-2 mb-3">
+        <div className="flex-1 min-w-[180px]">
+          <label className="block text-xs font-medium text-gray-600">Ticket #, customer or phone</label>
+          <input type="text" value={criteria.query} onChange={setField('query')} className={`${inputClass} w-full`} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600">From</label>
+          <input type="date" value={criteria.dateFrom} onChange={setField('dateFrom')} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600">To</label>
+          <input type="date" value={criteria.dateTo} onChange={setField('dateTo')} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600">Total from</label>
+          <input type="number" min="0" step="0.01" value={criteria.minTotal} onChange={setField('minTotal')} className={`${inputClass} w-24`} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600">to</label>
+          <input type="number" min="0" step="0.01" value={criteria.maxTotal} onChange={setField('maxTotal')} className={`${inputClass} w-24`} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600">Status</label>
+          <select value={criteria.status} onChange={setField('status')} className={inputClass}>
+            <option value="">Any</option>
+            {TICKET_STATUSES.map(status => (
+              <option key={status} value={status}>{ticketStatusLabels[status]}</option>
+            ))}
+            <option value="voided">Voided</option>
+          </select>
+        </div>
+        <button
+          type="submit"
+          disabled={loading}
+          className="px-3 py-1.5 rounded bg-blue-600 text-white text-sm hover:bg-blue-700 disabled:opacity-50 flex items-center"
+        >
+          <Icon name="Search" size={14} className="mr-1" />
+          Search
+        </button>
+        <button
+          type="button"
+          onClick={handleClear}
+          className="px-3 py-1.5 rounded border border-gray-300 text-gray-600 text-sm hover:bg-gray-100"
+        >
+          Clear
+        </button>
+      </form>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      {page?.serverError && (
+        <p className="text-xs text-amber-700 mb-2">
+          Server search failed ({page.serverError}); showing this terminal's tickets only.
+        </p>
+      )}
+
+      <div className="overflow-y-auto" style={{ maxHeight: '400px' }}>
+        <table className="min-w-full text-sm">
+          <thead className="sticky top-0 bg-white">
+            <tr className="bg-gray-50 text-gray-600">
+              <th className="px-3 py-2 text-left font-semibold">Ticket #</th>
+              <th className="px-3 py-2 text-left font-semibold">Date</th>
+              <th className="px-3 py-2 text-left font-semibold">Customer</th>
+              <th className="px-3 py-2 text-right font-semibold">Total</th>
+              <th className="px-3 py-2 text-left font-semibold">Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {(page?.tickets || []).map(ticket => {
+              const voided = ticketAdjustments.isVoided(ticket);
+              return (
+                <tr
+                  key={ticket.id}
+                  onClick={() => onSelect?.(ticket)}
+                  className={`border-t border-gray-100 ${onSelect ? 'cursor-pointer hover:bg-blue-50' : ''}`}
+                >
+                  <td className="px-3 py-2">
+                    {ticket.ticket_number || ticket.ticketNumber}
+                    {ticket.edited_at && <span className="ml-1 text-xs text-amber-600">edited</span>}
+                    {ticket.local && (
+                      <span title="Stored on this terminal">
+                        <Icon name="HardDrive" size={12} className="inline ml-1 text-gray-400" />
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">{new Date(ticket.created_at).toLocaleString()}</td>
+                  <td className="px-3 py-2">{ticket.customer?.full_name || ticket.customer_name || ''}</td>
+                  <td className={`px-3 py-2 text-right font-semibold ${voided ? 'line-through text-gray-400' : ''}`}>
+                    ${ticketAdjustments.getTotal(ticket).toFixed(2)}
+                  </td>
+                  <td className="px-3 py-2">
+                    {voided ? <span className="text-red-600">Voided</span> : ticketStatusLabels[ticketStatus.getStatus(ticket)]}
+                  </td>
+                </tr>
+              );
+            })}
+            {!loading && page?.tickets?.length === 0 && (
+              <tr>
+                <td colSpan="5" className="px-3 py-8 text-center text-gray-500">No tickets found</td>
+              </tr>
+            )}
+            {loading && (
+              <tr>
+                <td colSpan="5" className="px-3 py-8 text-center text-gray-500">Searching...</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex justify-end items-center space-x-2 mt-3">
+        <button
+          onClick={() => runSearch(activeCriteria, pageIndex - 1, cursors[pageIndex - 1])}
+          disabled={loading || pageIndex === 0}
+          className="px-3 py-1 rounded bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+        >
+          ←
+        </button>
+        <span className="text-sm text-gray-600">Page {pageIndex + 1}</span>
+        <button
+          onClick={() => runSearch(activeCriteria, pageIndex + 1, cursors[pageIndex + 1])}
+          disabled={loading || !page?.hasMore}
+          className="px-3 py-1 rounded bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+        >
+          →
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TicketSearchPanel;
@@ -0,0 +1,39 @@
+import React, { useEffect, useState } from 'react';
+import Icon from '../AppIcon';
+import { applyServiceWorkerUpdate } from '../../utils/serviceWorker';
+
+// Shown when a new build has been downloaded by the service worker
+const UpdatePrompt = () => {
+  const [waitingWorker, setWaitingWorker] = useState(null);
+
+  useEffect(() => {
+    const handleUpdateAvailable = (event) => setWaitingWorker(event.detail?.worker || null);
+    window.addEventListener('sw-update-available', handleUpdateAvailable);
+    return () => {
+      window.removeEventListener('sw-update-available', handleUpdateAvailable);
+    };
+  }, []);
+
+  if (!waitingWorker) return null;
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 bg-white border border-slate-200 rounded-xl shadow-lg px-4 py-3 flex items-center space-x-4">
+      <Icon name="RefreshCw" size={18} className="text-blue-600" />
+      <span className="text-sm text-slate-700">A new version of the POS is ready. Local data is kept when you reload.</span>
+      <button
+        onClick={() => applyServiceWorkerUpdate(waitingWorker)}
+        className="px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold"
+      >
+        Reload
+      </button>
+      <button
+        onClick={() => setWaitingWorker(null)}
+        className="text-sm text-slate-500 hover:text-slate-700"
+      >
+        Later
+      </button>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
@@ -1,6 +1,7 @@
 import React from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App";
+import { registerServiceWorker } from "./utils/serviceWorker";
 import "./styles/tailwind.css";
 import "./styles/index.css";
 
@@ -8,3 +9,5 @@ const container = document.getElementById("root");
 const root = createRoot(container);
 
 root.render(<App />);
+
+registerServiceWorker();
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+
+// onSubmit(pin, managerId) returns (or resolves to) an error message, or null when the
+// PIN was accepted. With managers, the approving manager is picked before the PIN.
+const AdminPinDialog = ({ title, description, pinLabel = 'Admin PIN', managers = null, onSubmit, onCancel }) => {
+  const [pin, setPin] = useState('');
+  const [managerId, setManagerId] = useState('');
+  const [error, setError] = useState(null);
+  const [checking, setChecking] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    setChecking(true);
+    try {
+      const message = await onSubmit(pin, managerId || null);
+      if (message) {
+        setError(message);
+        setPin('');
+      }
+    } catch (err) {
+      setError(err?.message || 'The PIN could not be checked');
+      setPin('');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg p-6 w-full max-w-sm">
+        <div className="flex items-center space-x-3 mb-4">
+          <div className="p-2 bg-blue-100 rounded-lg">
+            <Icon name="Lock" size={20} className="text-blue-600" />
+          </div>
+          <h3 className="text-lg font-semibold text-slate-800">{title}</h3>
+        </div>
+
+        {description && <p className="text-sm text-slate-600 mb-4">{description}</p>}
+
+        {managers && (
+          <div className="mb-4">
+            <label className="text-sm font-medium text-slate-700">Manager</label>
+            <select
+              value={managerId}
+              onChange={(e) => setManagerId(e?.target?.value)}
+              className="w-full mt-1 px-4 py-3 bg-white border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">Choose manager...</option>
+              {managers.map(manager => (
+                <option key={manager.id} value={manager.id}>{manager.full_name}</option>
+              ))}
+            </select>
+            {managers.length === 0 && (
+              <p className="text-xs text-amber-700 mt-1">No managers on this terminal yet. Click Save Progress while online to download them.</p>
+            )}
+          </div>
+        )}
+
+        <label className="text-sm font-medium text-slate-700">{pinLabel}</label>
+        <input
+          type="password"
+          inputMode="numeric"
+          autoComplete="off"
+          autoFocus={!managers}
+          value={pin}
+          onChange={(e) => setPin(e?.target?.value)}
+          className="w-full mt-1 px-4 py-3 bg-white border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-lg tracking-widest"
+        />
+
+        {error && (
+          <p className="text-sm text-red-600 mt-2">
+            <Icon name="AlertTriangle" size={14} className="inline mr-1" />
+            {error}
+          </p>
+        )}
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!pin || checking || (managers && !managerId)}
+            className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {checking ? 'Checking...' : 'Continue'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default AdminPinDialog;
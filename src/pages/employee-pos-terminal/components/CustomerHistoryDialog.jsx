@@ -0,0 +1,77 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+import { ticketStatus, ticketStatusLabels } from '../../../services/ticketStatus';
+
+const CustomerHistoryDialog = ({ customer, tickets = [], loading = false, onClose }) => {
+  const totalSpent = tickets.reduce((sum, ticket) => {
+    const wash = Number(ticket.wash_amount || ticket.wash || 0);
+    const dry = Number(ticket.dry_amount || ticket.dry || 0);
+    return sum + Number(ticket.total_amount || ticket.total || wash + dry);
+  }, 0);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-semibold text-slate-800">{customer.full_name}</h3>
+            <p className="text-sm text-slate-500">{customer.phone || 'No phone'}</p>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600" title="Close">
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        {customer.notes && (
+          <p className="text-sm text-slate-700 bg-yellow-50 border border-yellow-200 rounded-lg p-2 mb-4 whitespace-pre-line">{customer.notes}</p>
+        )}
+
+        {loading ? (
+          <p className="py-8 text-center text-sm text-slate-500">Loading tickets...</p>
+        ) : (
+          <>
+            <div className="max-h-80 overflow-y-auto">
+              <table className="min-w-full text-sm">
+                <thead className="sticky top-0 bg-white">
+                  <tr className="bg-gray-50 text-gray-600">
+                    <th className="px-3 py-2 text-left font-semibold">Ticket #</th>
+                    <th className="px-3 py-2 text-left font-semibold">Date</th>
+                    <th className="px-3 py-2 text-right font-semibold">Total</th>
+                    <th className="px-3 py-2 text-left font-semibold">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {tickets.map(ticket => {
+                    const wash = Number(ticket.wash_amount || ticket.wash || 0);
+                    const dry = Number(ticket.dry_amount || ticket.dry || 0);
+                    const total = Number(ticket.total_amount || ticket.total || wash + dry);
+
+                    return (
+                      <tr key={ticket.id} className="border-t border-gray-100">
+                        <td className="px-3 py-2">{ticket.ticket_number || ticket.ticketNumber}</td>
+                        <td className="px-3 py-2 text-gray-500">{new Date(ticket.created_at).toLocaleString()}</td>
+                        <td className="px-3 py-2 text-right font-semibold">${total.toFixed(2)}</td>
+                        <td className="px-3 py-2">{ticketStatusLabels[ticketStatus.getStatus(ticket)]}</td>
+                      </tr>
+                    );
+                  })}
+                  {tickets.length === 0 && (
+                    <tr>
+                      <td colSpan="4" className="px-3 py-8 text-center text-gray-500">No tickets for this customer yet</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex justify-between text-sm text-slate-600 mt-3 pt-3 border-t border-slate-200">
+              <span>{tickets.length} ticket(s)</span>
+              <span>Total: <span className="font-semibold text-slate-800">${totalSpent.toFixed(2)}</span></span>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CustomerHistoryDialog;
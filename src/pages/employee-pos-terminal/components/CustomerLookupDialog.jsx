@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import { customerService } from '../../../services/customerService';
+
+const inputClass = 'w-full mt-1 px-3 py-2 bg-white border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Find a customer by phone or name, or create one, for the ticket being entered.
+// onCreate(fields) resolves to an error message, or null when the customer was created.
+const CustomerLookupDialog = ({ customers = [], onSelect, onCreate, onShowHistory, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [form, setForm] = useState({ full_name: '', phone: '', email: '', notes: '' });
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const results = customerService.search(customers, query);
+
+  const startCreating = () => {
+    // Carry over what was typed into the search box
+    const looksLikePhone = /^[\d\s()+-]+$/.test(query.trim());
+    setForm({
+      full_name: looksLikePhone ? '' : query.trim(),
+      phone: looksLikePhone ? query.trim() : '',
+      email: '',
+      notes: ''
+    });
+    setError(null);
+    setCreating(true);
+  };
+
+  const handleCreate = async (e) => {
+    e?.preventDefault();
+    setSaving(true);
+    try {
+      const message = await onCreate(form);
+      if (message) setError(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-3">
+            <div className="p-2 bg-cyan-100 rounded-lg">
+              <Icon name="User" size={20} className="text-cyan-600" />
+            </div>
+            <h3 className="text-lg font-semibold text-slate-800">{creating ? 'New customer' : 'Find customer'}</h3>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600" title="Close">
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        {creating ? (
+          <form onSubmit={handleCreate} className="space-y-3">
+            <div>
+              <label className="text-sm font-medium text-slate-700">Name</label>
+              <input
+                autoFocus
+                value={form.full_name}
+                onChange={(e) => setForm(prev => ({ ...prev, full_name: e?.target?.value }))}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="text-sm font-medium text-slate-700">Phone</label>
+              <input
+                type="tel"
+                value={form.phone}
+                onChange={(e) => setForm(prev => ({ ...prev, phone: e?.target?.value }))}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="text-sm font-medium text-slate-700">Email</label>
+              <input
+                type="email"
+                value={form.email}
+                onChange={(e) => setForm(prev => ({ ...prev, email: e?.target?.value }))}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="text-sm font-medium text-slate-700">Notes</label>
+              <textarea
+                rows={2}
+                value={form.notes}
+                onChange={(e) => setForm(prev => ({ ...prev, notes: e?.target?.value }))}
+                className={inputClass}
+              />
+            </div>
+
+            {error && (
+              <p className="text-sm text-red-600">
+                <Icon name="AlertTriangle" size={14} className="inline mr-1" />
+                {error}
+              </p>
+            )}
+
+            <div className="flex justify-end space-x-3 pt-2">
+              <button
+                type="button"
+                onClick={() => setCreating(false)}
+                className="px-4 py-2 text-sm rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100"
+              >
+                Back
+              </button>
+              <button
+                type="submit"
+                disabled={saving || !form.full_name.trim()}
+                className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save & attach'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <input
+              autoFocus
+              placeholder="Phone or name"
+              value={query}
+              onChange={(e) => setQuery(e?.target?.value)}
+              className={inputClass}
+            />
+
+            <div className="mt-3 max-h-72 overflow-y-auto divide-y divide-slate-100">
+              {results.map(customer => (
+                <div key={customer.id} className="flex items-center justify-between py-2">
+                  <button onClick={() => onSelect(customer)} className="text-left flex-1 hover:text-blue-600">
+                    <div className="text-sm font-medium text-slate-800">{customer.full_name}</div>
+                    <div className="text-xs text-slate-500">
+                      {customer.phone || 'No phone'}
+                      {customer.notes ? ` · ${customer.notes}` : ''}
+                    </div>
+                  </button>
+                  <button
+                    onClick={() => onShowHistory(customer)}
+                    className="ml-2 p-1 text-slate-400 hover:text-slate-700"
+                    title="Ticket history"
+                  >
+                    <Icon name="History" size={16} />
+                  </button>
+                </div>
+              ))}
+              {results.length === 0 && (
+                <p className="py-6 text-center text-sm text-slate-500">No customers found</p>
+              )}
+            </div>
+
+            <div className="flex justify-end mt-4">
+              <button
+                onClick={startCreating}
+                className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 flex items-center"
+              >
+                <Icon name="UserPlus" size={16} className="mr-1" />
+                New customer
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CustomerLookupDialog;
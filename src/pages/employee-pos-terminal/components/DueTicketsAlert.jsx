@@ -0,0 +1,57 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import { turnaround } from '../../../services/turnaround';
+
+// Open tickets on this terminal that are past their promised ready time or due within
+// the hour, most urgent first. onSelect(ticket) opens one. Renders nothing when every
+// promise is on track.
+const DueTicketsAlert = ({ tickets = [], onSelect }) => {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const dueTickets = tickets
+    .map(ticket => ({ ticket, state: turnaround.getDueState(ticket, now) }))
+    .filter(({ state }) => state)
+    .sort((a, b) => new Date(a.ticket.promised_ready_at) - new Date(b.ticket.promised_ready_at));
+
+  if (dueTickets.length === 0) return null;
+
+  const overdueCount = dueTickets.filter(({ state }) => state === 'overdue').length;
+
+  return (
+    <div className={`rounded-lg border p-3 mb-4 ${overdueCount > 0 ? 'bg-red-50 border-red-200' : 'bg-amber-50 border-amber-200'}`}>
+      <div className="flex items-center text-sm font-semibold mb-2">
+        <Icon name="AlarmClock" size={16} className={`mr-2 ${overdueCount > 0 ? 'text-red-600' : 'text-amber-600'}`} />
+        <span className={overdueCount > 0 ? 'text-red-800' : 'text-amber-800'}>
+          {overdueCount > 0 ? `${overdueCount} overdue` : ''}
+          {overdueCount > 0 && dueTickets.length > overdueCount ? ', ' : ''}
+          {dueTickets.length > overdueCount ? `${dueTickets.length - overdueCount} due within the hour` : ''}
+        </span>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {dueTickets.map(({ ticket, state }) => (
+          <button
+            key={ticket.id}
+            onClick={() => onSelect?.(ticket)}
+            className={`px-2 py-1 rounded text-xs border ${
+              state === 'overdue'
+                ? 'bg-white border-red-300 text-red-700 hover:bg-red-100'
+                : 'bg-white border-amber-300 text-amber-700 hover:bg-amber-100'
+            }`}
+            title={`Ready by ${new Date(ticket.promised_ready_at).toLocaleString()}`}
+          >
+            <span className="font-semibold">{ticket.ticketNumber || ticket.ticket_number}</span>
+            {ticket.customer_name && <span className="ml-1">{ticket.customer_name}</span>}
+            <span className="ml-1">· {turnaround.describeDue(ticket, now)}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DueTicketsAlert;
@@ -0,0 +1,79 @@
+import React from 'react';
+
+// Rows come from the stock ledger (inventoryLedger.applyToItems); a typed count is
+// recorded as a movement when the cell is left
+const editableFields = ['start', 'add', 'sold'];
+
+const InventoryGrid = ({ items = [], onFieldClick, activeInput, getDisplayValue, highlightId = null }) => {
+  const isFieldActive = (id, field) => {
+    return activeInput?.section === 'inventory' && activeInput?.id === id && activeInput?.field === field;
+  };
+
+  if (items.length === 0) {
+    return (
+      <p className="py-8 text-center text-sm text-slate-500">
+        No inventory items yet. Items appear after the first Save Progress with the admin master inventory.
+      </p>
+    );
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full">
+        <thead>
+          <tr className="bg-slate-50">
+            <th className="px-3 py-2 text-left text-sm font-semibold text-slate-600">Item</th>
+            <th className="px-3 py-2 text-right text-sm font-semibold text-slate-600">Price</th>
+            <th className="px-3 py-2 text-center text-sm font-semibold text-slate-600">Start</th>
+            <th className="px-3 py-2 text-center text-sm font-semibold text-slate-600">Add</th>
+            <th className="px-3 py-2 text-center text-sm font-semibold text-slate-600">Sold</th>
+            <th className="px-3 py-2 text-center text-sm font-semibold text-slate-600">Left</th>
+            <th className="px-3 py-2 text-right text-sm font-semibold text-slate-600">Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map(item => (
+            <tr
+              key={item?.id}
+              className={`border-t border-slate-100 transition-colors ${highlightId === item?.id ? 'bg-emerald-50' : ''}`}
+            >
+              <td className="px-3 py-2 text-sm font-medium text-slate-800">
+                {item?.name}
+                {item?.sku && <span className="block text-xs font-normal text-slate-400">SKU {item.sku}</span>}
+              </td>
+              <td className="px-3 py-2 text-right text-sm text-slate-600">
+                ${getDisplayValue('inventory', item?.id, 'price', item?.price)}
+              </td>
+              {editableFields.map(field => (
+                <td key={field} className="px-1 py-1">
+                  <button
+                    onClick={() => onFieldClick({ section: 'inventory', id: item?.id, field })}
+                    className={`w-full h-10 min-w-[3.5rem] rounded-lg border-2 transition-all font-semibold ${
+                      isFieldActive(item?.id, field)
+                        ? 'border-blue-500 bg-blue-50 text-blue-700 shadow-md' : 'border-slate-200 bg-white hover:border-slate-300 text-slate-600'
+                    }`}
+                  >
+                    {getDisplayValue('inventory', item?.id, field, item?.[field])}
+                  </button>
+                </td>
+              ))}
+              <td className="px-3 py-2 text-center text-sm font-semibold text-slate-700">
+                {item?.left || 0}
+                {item?.other ? (
+                  <span className="block text-xs font-normal text-slate-400" title="Damaged or transferred this session">
+                    {item.other > 0 ? '+' : ''}{item.other} moved
+                  </span>
+                ) : null}
+              </td>
+              <td className="px-3 py-2 text-right text-sm font-semibold text-emerald-700">
+                ${(item?.total || 0)?.toFixed(2)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default InventoryGrid;
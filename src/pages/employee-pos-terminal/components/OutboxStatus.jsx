@@ -0,0 +1,98 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+
+export const kindLabels = {
+  'session.commit': 'Saved session',
+  'session.upsert': 'Session / cash',
+  'ticket.insert': 'Tickets',
+  'ticket.status': 'Ticket status',
+  'ticket.customer': 'Ticket customer',
+  'ticket.lines': 'Ticket services',
+  'ticket.adjustment': 'Voids / refunds',
+  'ticket.edit': 'Ticket edits',
+  'ticket.payments': 'Ticket payments',
+  'sale.record': 'Inventory sales',
+  'ticket.promise': 'Ready-by times',
+  'ticket.notify': 'Customer messages',
+  'ticket.import': 'Imported tickets',
+  'stock.movement': 'Stock movements',
+  'customer.upsert': 'Customers',
+  'inventory.upsert': 'Inventory',
+  'inventory.master': 'Master inventory',
+  'timesheet.upsert': 'Clock in/out'
+};
+
+const OutboxStatus = ({ summary, backgroundSync = false, onToggleBackgroundSync, onShowDetails }) => {
+  const pending = summary?.pending || 0;
+  const failed = summary?.failed || 0;
+  const allSynced = pending === 0 && failed === 0;
+
+  return (
+    <div className="bg-slate-50 rounded-lg p-3 border border-slate-200 space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Icon
+            name={allSynced ? 'CheckCircle' : 'CloudUpload'}
+            size={16}
+            className={allSynced ? 'text-green-600' : 'text-amber-600'}
+          />
+          <span className="text-sm font-medium text-slate-800">
+            {allSynced ? 'All changes synced' : `${pending} change${pending === 1 ? '' : 's'} waiting to sync`}
+          </span>
+        </div>
+        {onShowDetails && (
+          <button
+            onClick={onShowDetails}
+            className="text-xs text-blue-600 hover:text-blue-800 underline"
+          >
+            Details
+          </button>
+        )}
+      </div>
+
+      {pending > 0 && (
+        <ul className="text-xs text-slate-600 space-y-1">
+          {Object.entries(summary?.byKind || {}).map(([kind, count]) => (
+            <li key={kind} className="flex justify-between">
+              <span>{kindLabels[kind] || kind}</span>
+              <span className="font-medium">{count}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {failed > 0 && (
+        <p className="text-xs text-red-600">
+          <Icon name="AlertTriangle" size={12} className="inline mr-1" />
+          {failed} change{failed === 1 ? '' : 's'} rejected by the server
+        </p>
+      )}
+
+      {summary?.lastError && !allSynced && (
+        <p className="text-xs text-slate-500 truncate" title={summary.lastError}>
+          Last error: {summary.lastError}
+        </p>
+      )}
+
+      {summary?.lastSyncedAt && (
+        <p className="text-xs text-slate-500">
+          Last sync: {new Date(summary.lastSyncedAt).toLocaleTimeString()}
+        </p>
+      )}
+
+      {onToggleBackgroundSync && (
+        <label className="flex items-center justify-between pt-2 border-t border-slate-200 text-xs text-slate-600 cursor-pointer">
+          <span>Auto-sync when online</span>
+          <input
+            type="checkbox"
+            checked={backgroundSync}
+            onChange={(e) => onToggleBackgroundSync(e?.target?.checked)}
+            className="rounded border-slate-300 text-blue-600 focus:ring-blue-500"
+          />
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default OutboxStatus;
@@ -0,0 +1,99 @@
+import React from 'react';
+import { TENDERS, tenderLabels, tenders } from '../../../services/tenders';
+
+// How a ticket or sale is paid. A tender button takes the whole total; "Split" adds
+// payments with their own amounts. onChange(payments) gets the new payment list.
+const PaymentEditor = ({ total = 0, payments = [], onChange }) => {
+  const split = payments.length > 1;
+  const singleTender = payments[0]?.tender || 'cash';
+  const remaining = Math.round((Number(total || 0) - tenders.getPaid(payments)) * 100) / 100;
+
+  const payAllWith = (tender) => onChange([tenders.createPayment(tender)]);
+
+  const startSplit = () => {
+    onChange([
+      { ...(payments[0] || tenders.createPayment(singleTender)), amount: Number(total || 0) },
+      tenders.createPayment(singleTender === 'card' ? 'cash' : 'card', 0)
+    ]);
+  };
+
+  const addPayment = () => {
+    onChange([...payments, tenders.createPayment('cash', Math.max(remaining, 0))]);
+  };
+
+  const updatePayment = (id, changes) => {
+    onChange(payments.map(payment => payment.id === id ? { ...payment, ...changes } : payment));
+  };
+
+  const removePayment = (id) => {
+    const rest = payments.filter(payment => payment.id !== id);
+    // Back to a single payment covering the total
+    onChange(rest.length === 1 ? [{ ...rest[0], amount: null }] : rest);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm text-gray-600">Paid by</span>
+        {TENDERS.map(tender => (
+          <button
+            key={tender}
+            type="button"
+            onClick={() => payAllWith(tender)}
+            className={`px-3 py-1 rounded-lg border text-sm ${
+              !split && singleTender === tender
+                ? 'border-blue-500 bg-blue-50 text-blue-700'
+                : 'border-gray-200 text-gray-600 hover:bg-gray-100'
+            }`}
+          >
+            {tenderLabels[tender]}
+          </button>
+        ))}
+        {!split && (
+          <button type="button" onClick={startSplit} className="px-2 py-1 text-sm text-blue-600 hover:underline">
+            Split
+          </button>
+        )}
+      </div>
+
+      {split && (
+        <div className="mt-2 space-y-1">
+          {payments.map(payment => (
+            <div key={payment.id} className="flex items-center space-x-2">
+              <select
+                value={payment.tender}
+                onChange={(e) => updatePayment(payment.id, { tender: e.target.value })}
+                className="px-2 py-1 border border-gray-200 rounded text-sm"
+              >
+                {TENDERS.map(tender => (
+                  <option key={tender} value={tender}>{tenderLabels[tender]}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={payment.amount ?? ''}
+                onChange={(e) => updatePayment(payment.id, { amount: e.target.value })}
+                className="w-24 px-2 py-1 border border-gray-200 rounded text-sm text-right focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button type="button" onClick={() => removePayment(payment.id)} className="text-gray-400 hover:text-gray-600" title="Remove payment">
+                ✕
+              </button>
+            </div>
+          ))}
+          <div className="flex items-center space-x-3 text-sm">
+            <button type="button" onClick={addPayment} className="text-blue-600 hover:underline">
+              + Payment
+            </button>
+            <span className={remaining === 0 ? 'text-green-600' : 'text-red-600'}>
+              {remaining === 0 ? 'Fully paid' : remaining > 0 ? `$${remaining.toFixed(2)} left to pay` : `$${(-remaining).toFixed(2)} over`}
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaymentEditor;
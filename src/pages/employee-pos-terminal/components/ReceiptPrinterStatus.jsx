@@ -0,0 +1,35 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+
+const ReceiptPrinterStatus = ({ settings, onEdit }) => {
+  const thermal = settings?.receiptPrinter === 'escpos';
+  const paper = Number(settings?.receiptColumns) === 48 ? '80mm' : '58mm';
+
+  return (
+    <div className="bg-slate-50 rounded-lg p-3 border border-slate-200 space-y-1">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Icon name="Printer" size={16} className="text-slate-600" />
+          <span className="text-sm font-medium text-slate-800">Receipts</span>
+        </div>
+        {onEdit && (
+          <button
+            onClick={onEdit}
+            className="text-xs text-blue-600 hover:text-blue-800 underline"
+          >
+            Setup
+          </button>
+        )}
+      </div>
+
+      <p className="text-xs text-slate-600">
+        {thermal ? `Thermal printer (ESC/POS) · ${paper}` : `Browser print · ${paper}`}
+      </p>
+      <p className="text-xs text-slate-500">
+        {settings?.autoPrintOnInsert ? 'Receipt and claim tag print on insert' : 'Print from the ticket history'}
+      </p>
+    </div>
+  );
+};
+
+export default ReceiptPrinterStatus;
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import { localTransport, notificationChannels, notificationChannelLabels } from '../../../services/notificationChannels';
+
+const inputClass = 'w-full mt-1 px-4 py-2 bg-white border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const ReceiptSettingsDialog = ({ settings, onSave, onTestPrint, onCancel }) => {
+  const [draft, setDraft] = useState({
+    receiptPrinter: settings?.receiptPrinter || 'browser',
+    receiptColumns: Number(settings?.receiptColumns) === 48 ? 48 : 32,
+    receiptBaudRate: settings?.receiptBaudRate || 9600,
+    receiptStoreName: settings?.receiptStoreName || '',
+    receiptStoreDetails: settings?.receiptStoreDetails || '',
+    receiptFooter: settings?.receiptFooter || '',
+    autoPrintOnInsert: !!settings?.autoPrintOnInsert,
+    notifyOnReady: settings?.notifyOnReady !== false
+  });
+
+  const setField = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e?.preventDefault();
+    onSave({
+      ...draft,
+      receiptColumns: Number(draft.receiptColumns),
+      receiptBaudRate: Number(draft.receiptBaudRate) || 9600,
+      receiptStoreName: draft.receiptStoreName.trim() || 'LaundryKing'
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg p-6 w-full max-w-md">
+        <h3 className="text-lg font-semibold text-slate-800 mb-4">Receipt setup</h3>
+
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="text-sm font-medium text-slate-700">Printer</label>
+              <select
+                value={draft.receiptPrinter}
+                onChange={(e) => setField('receiptPrinter', e?.target?.value)}
+                className={inputClass}
+              >
+                <option value="browser">Browser print</option>
+                <option value="escpos">Thermal (ESC/POS)</option>
+              </select>
+            </div>
+            <div>
+              <label className="text-sm font-medium text-slate-700">Paper</label>
+              <select
+                value={draft.receiptColumns}
+                onChange={(e) => setField('receiptColumns', e?.target?.value)}
+                className={inputClass}
+              >
+                <option value={32}>58mm</option>
+                <option value={48}>80mm</option>
+              </select>
+            </div>
+          </div>
+
+          {draft.receiptPrinter === 'escpos' && (
+            <div>
+              <label className="text-sm font-medium text-slate-700">Serial speed (baud)</label>
+              <input
+                type="number"
+                value={draft.receiptBaudRate}
+                onChange={(e) => setField('receiptBaudRate', e?.target?.value)}
+                className={inputClass}
+              />
+            </div>
+          )}
+
+          <div>
+            <label className="text-sm font-medium text-slate-700">Store name</label>
+            <input
+              value={draft.receiptStoreName}
+              onChange={(e) => setField('receiptStoreName', e?.target?.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="text-sm font-medium text-slate-700">Address / phone</label>
+            <textarea
+              rows={2}
+              value={draft.receiptStoreDetails}
+              onChange={(e) => setField('receiptStoreDetails', e?.target?.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="text-sm font-medium text-slate-700">Footer</label>
+            <input
+              value={draft.receiptFooter}
+              onChange={(e) => setField('receiptFooter', e?.target?.value)}
+              className={inputClass}
+            />
+          </div>
+
+          <label className="flex items-center space-x-2 text-sm text-slate-700">
+            <input
+              type="checkbox"
+              checked={draft.autoPrintOnInsert}
+              onChange={(e) => setField('autoPrintOnInsert', e?.target?.checked)}
+            />
+            <span>Print receipt and claim tag when a ticket is inserted</span>
+          </label>
+          <label className="flex items-center space-x-2 text-sm text-slate-700">
+            <input
+              type="checkbox"
+              checked={draft.notifyOnReady}
+              onChange={(e) => setField('notifyOnReady', e?.target?.checked)}
+            />
+            <span>Text or email the customer when their ticket is ready</span>
+          </label>
+          {draft.notifyOnReady && notificationChannels.getLogOnlyChannels().length > 0 && (
+            <p className="text-xs text-amber-700">
+              <Icon name="AlertTriangle" size={12} className="inline mr-1" />
+              No provider for {notificationChannels.getLogOnlyChannels().map(channel => notificationChannelLabels[channel]).join(' or ')}:
+              those messages are only written to the local message log, not sent to customers.
+            </p>
+          )}
+          <button
+            type="button"
+            onClick={() => localTransport.download()}
+            className="text-sm text-blue-600 hover:underline"
+            title="Messages sent without an SMS or email provider"
+          >
+            Download local message log
+          </button>
+        </div>
+
+        <div className="flex justify-between mt-6">
+          <button
+            type="button"
+            onClick={() => onTestPrint(draft)}
+            className="px-4 py-2 text-sm rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100"
+          >
+            Test print
+          </button>
+          <div className="flex space-x-3">
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-4 py-2 text-sm rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ReceiptSettingsDialog;
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import PaymentEditor from './PaymentEditor';
+
+// Ring up an over-the-counter sale: pick quantities and how it was paid, then record
+// and print it. onSubmit(lines, payments) gets [{ id, name, price, quantity }] for
+// quantities above zero and the payments as entered.
+const SaleReceiptDialog = ({ items = [], busy = false, onSubmit, onCancel }) => {
+  const [quantities, setQuantities] = useState({});
+  const [payments, setPayments] = useState([]);
+
+  const saleItems = items.filter(item => item?.name && Number(item?.price) > 0);
+  const lines = saleItems
+    .filter(item => quantities[item.id] > 0)
+    .map(item => ({ id: item.id, name: item.name, price: Number(item.price), quantity: quantities[item.id] }));
+  const total = lines.reduce((sum, line) => sum + line.quantity * line.price, 0);
+
+  const changeQuantity = (id, delta) => {
+    setQuantities(prev => ({ ...prev, [id]: Math.max((prev[id] || 0) + delta, 0) }));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md">
+        <div className="flex items-center space-x-3 mb-4">
+          <div className="p-2 bg-emerald-100 rounded-lg">
+            <Icon name="ShoppingBag" size={20} className="text-emerald-600" />
+          </div>
+          <h3 className="text-lg font-semibold text-slate-800">Sale receipt</h3>
+        </div>
+
+        <div className="max-h-80 overflow-y-auto divide-y divide-slate-100">
+          {saleItems.map(item => (
+            <div key={item.id} className="flex items-center justify-between py-2">
+              <div>
+                <div className="text-sm font-medium text-slate-800">{item.name}</div>
+                <div className="text-xs text-slate-500">${Number(item.price).toFixed(2)} · {item.left || 0} left</div>
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => changeQuantity(item.id, -1)}
+                  className="w-8 h-8 rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100"
+                >
+                  −
+                </button>
+                <span className="w-6 text-center text-sm font-semibold">{quantities[item.id] || 0}</span>
+                <button
+                  onClick={() => changeQuantity(item.id, 1)}
+                  className="w-8 h-8 rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100"
+                >
+                  +
+                </button>
+              </div>
+            </div>
+          ))}
+          {saleItems.length === 0 && (
+            <p className="py-6 text-center text-sm text-slate-500">No priced inventory items</p>
+          )}
+        </div>
+
+        <div className="flex justify-between text-sm mt-4 pt-3 border-t border-slate-200">
+          <span className="text-slate-600">Total</span>
+          <span className="font-semibold text-slate-800">${total.toFixed(2)}</span>
+        </div>
+
+        <div className="mt-3">
+          <PaymentEditor total={total} payments={payments} onChange={setPayments} />
+        </div>
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onSubmit(lines, payments)}
+            disabled={busy || lines.length === 0}
+            className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {busy ? 'Printing...' : 'Record & print'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SaleReceiptDialog;
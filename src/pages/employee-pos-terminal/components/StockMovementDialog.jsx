@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import { inventoryLedger, movementTypeLabels, REASON_REQUIRED_TYPES } from '../../../services/inventoryLedger';
+
+// Movements recorded here; sales go through the sale receipt or a scan
+const DIALOG_TYPES = ['received', 'damaged', 'transferred', 'adjusted'];
+
+// Types that can go either way; the rest have a fixed direction
+const directionLabels = {
+  transferred: { in: 'Transferred in', out: 'Transferred out' },
+  adjusted: { in: 'Found (add)', out: 'Missing (remove)' }
+};
+
+const HISTORY_LIMIT = 10;
+
+// Record stock received, damaged, transferred or adjusted for one item, with a reason,
+// and see the item's latest movements on this terminal (this session's and any not yet
+// in the server's on-hand; the dashboard has the full history). onSubmit({ itemName, movementType, quantity,
+// reason }) gets the signed quantity and resolves to an error message, or null once
+// the movement is recorded.
+const StockMovementDialog = ({ items = [], movements = [], employeesById = {}, onSubmit, onCancel }) => {
+  const namedItems = items.filter(item => item?.name);
+  const [itemId, setItemId] = useState(namedItems[0]?.id ?? '');
+  const [movementType, setMovementType] = useState('received');
+  const [direction, setDirection] = useState('out');
+  const [count, setCount] = useState('');
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const item = namedItems.find(candidate => String(candidate.id) === String(itemId));
+  const history = item ? inventoryLedger.getItemHistory(movements, item.name).slice(0, HISTORY_LIMIT) : [];
+
+  const getSignedQuantity = () => {
+    const units = parseInt(count, 10);
+    if (movementType === 'received') return units;
+    if (movementType === 'damaged') return -units;
+    return direction === 'in' ? units : -units;
+  };
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    if (!(parseInt(count, 10) > 0)) {
+      setError('Enter how many units');
+      return;
+    }
+    setSaving(true);
+    const message = await onSubmit({ itemName: item?.name, movementType, quantity: getSignedQuantity(), reason });
+    setSaving(false);
+    setError(message);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg p-6 w-full max-w-lg">
+        <div className="flex items-center space-x-3 mb-4">
+          <div className="p-2 bg-emerald-100 rounded-lg">
+            <Icon name="ArrowLeftRight" size={20} className="text-emerald-600" />
+          </div>
+          <h3 className="text-lg font-semibold text-slate-800">Stock movement</h3>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <label className="block text-sm text-slate-700 col-span-2">
+            Item
+            <select
+              value={itemId}
+              onChange={(e) => setItemId(e.target.value)}
+              className="mt-1 block w-full border border-slate-300 rounded-lg px-3 py-2 text-sm"
+            >
+              {namedItems.map(candidate => (
+                <option key={candidate.id} value={candidate.id}>{candidate.name} ({candidate.left || 0} on hand)</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="block text-sm text-slate-700">
+            Movement
+            <select
+              value={movementType}
+              onChange={(e) => setMovementType(e.target.value)}
+              className="mt-1 block w-full border border-slate-300 rounded-lg px-3 py-2 text-sm"
+            >
+              {DIALOG_TYPES.map(type => (
+                <option key={type} value={type}>{movementTypeLabels[type]}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="block text-sm text-slate-700">
+            Units
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={count}
+              onChange={(e) => setCount(e.target.value)}
+              className="mt-1 block w-full border border-slate-300 rounded-lg px-3 py-2 text-sm"
+              autoFocus
+            />
+          </label>
+
+          {directionLabels[movementType] && (
+            <div className="col-span-2 flex space-x-2">
+              {['in', 'out'].map(option => (
+                <button
+                  key={option}
+                  type="button"
+                  onClick={() => setDirection(option)}
+                  className={`flex-1 px-3 py-2 text-sm rounded-lg border ${
+                    direction === option ? 'border-emerald-600 bg-emerald-50 text-emerald-700' : 'border-slate-300 text-slate-600 hover:bg-slate-100'
+                  }`}
+                >
+                  {directionLabels[movementType][option]}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <label className="block text-sm text-slate-700 col-span-2">
+            Reason{REASON_REQUIRED_TYPES.includes(movementType) ? '' : ' (optional)'}
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder={movementType === 'received' ? 'Delivery, invoice number…' : ''}
+              className="mt-1 block w-full border border-slate-300 rounded-lg px-3 py-2 text-sm"
+            />
+          </label>
+        </div>
+
+        {item && (
+          <div className="mt-4">
+            <h4 className="text-sm font-semibold text-slate-700 mb-1">Latest movements</h4>
+            {history.length === 0 ? (
+              <p className="text-sm text-slate-500">None this session. Older movements are on the dashboard.</p>
+            ) : (
+              <ul className="max-h-40 overflow-y-auto divide-y divide-slate-100 text-sm">
+                {history.map(movement => (
+                  <li key={movement.id} className="py-1 flex justify-between">
+                    <span className="text-slate-600">
+                      {new Date(movement.occurred_at).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                      {' · '}{movementTypeLabels[movement.movement_type] || movement.movement_type}
+                      {movement.reason && <span className="text-slate-400"> · {movement.reason}</span>}
+                      {employeesById[movement.employee_id] && <span className="text-slate-400"> · {employeesById[movement.employee_id].full_name}</span>}
+                    </span>
+                    <span className={`font-semibold ${movement.quantity > 0 ? 'text-emerald-700' : 'text-red-600'}`}>
+                      {movement.quantity > 0 ? '+' : ''}{movement.quantity}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {error && (
+          <p className="text-sm text-red-600 mt-2">
+            <Icon name="AlertTriangle" size={14} className="inline mr-1" />
+            {error}
+          </p>
+        )}
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving || !item}
+            className="px-4 py-2 text-sm rounded-lg bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+          >
+            Record
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default StockMovementDialog;
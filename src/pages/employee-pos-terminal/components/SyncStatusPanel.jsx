@@ -0,0 +1,194 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+import { kindLabels } from './OutboxStatus';
+
+const formatTime = (value) => value ? new Date(value).toLocaleString() : 'Never';
+
+const getRecordState = (entries) => {
+  if (entries.some(e => e.status === 'failed')) {
+    return { label: 'Rejected', className: 'bg-red-100 text-red-700' };
+  }
+  if (entries.length > 0) {
+    return { label: 'Queued', className: 'bg-amber-100 text-amber-700' };
+  }
+  return { label: 'Not queued', className: 'bg-slate-100 text-slate-600' };
+};
+
+const EntryError = ({ entries }) => {
+  const lastError = [...entries].reverse().find(e => e.last_error)?.last_error;
+  if (!lastError) return null;
+
+  return (
+    <p className="text-xs text-red-600 truncate" title={lastError}>
+      {lastError}
+    </p>
+  );
+};
+
+const RowActions = ({ onRetry, onDiscard, busy }) => (
+  <div className="flex items-center space-x-2 flex-shrink-0">
+    <button
+      onClick={onRetry}
+      disabled={busy}
+      className="px-2 py-1 text-xs rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+    >
+      Retry
+    </button>
+    <button
+      onClick={onDiscard}
+      disabled={busy}
+      className="px-2 py-1 text-xs rounded-md border border-slate-300 text-slate-600 hover:bg-slate-100 disabled:opacity-50"
+    >
+      Discard
+    </button>
+  </div>
+);
+
+const SyncStatusPanel = ({
+  status,
+  loading = false,
+  busyKey = null,
+  onRetryRecord,
+  onDiscardRecord,
+  onRetryEntry,
+  onDiscardEntry,
+  onRefresh,
+  onClose
+}) => {
+  const stores = status?.stores || [];
+  const otherEntries = status?.otherEntries || [];
+  const totalUnsynced = stores.reduce((sum, group) => sum + group.count, 0);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[85vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-slate-800">Sync Status</h3>
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={onRefresh}
+              disabled={loading}
+              className="text-slate-500 hover:text-slate-700 disabled:opacity-50"
+              title="Refresh"
+            >
+              <Icon name="RefreshCw" size={18} className={loading ? 'animate-spin' : ''} />
+            </button>
+            <button onClick={onClose} className="text-slate-500 hover:text-slate-700" title="Close">
+              <Icon name="X" size={20} />
+            </button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4 mb-4 text-sm">
+          <div className="bg-slate-50 rounded-lg p-3 border border-slate-200">
+            <p className="text-xs text-slate-500">Last successful sync</p>
+            <p className="font-medium text-slate-800">{formatTime(status?.lastSyncedAt)}</p>
+          </div>
+          <div className="bg-slate-50 rounded-lg p-3 border border-slate-200">
+            <p className="text-xs text-slate-500">Last error</p>
+            {status?.lastError ? (
+              <>
+                <p className="font-medium text-red-600 truncate" title={status.lastError.message}>
+                  {status.lastError.message}
+                </p>
+                <p className="text-xs text-slate-500">
+                  {kindLabels[status.lastError.kind] || status.lastError.kind} · {formatTime(status.lastError.at)}
+                </p>
+              </>
+            ) : (
+              <p className="font-medium text-slate-800">None</p>
+            )}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          {stores.map(group => (
+            <span
+              key={group.store}
+              className={`px-3 py-1 rounded-full text-xs font-medium ${
+                group.count > 0 ? 'bg-amber-100 text-amber-800' : 'bg-green-100 text-green-800'
+              }`}
+            >
+              {group.label}: {group.count} pending
+            </span>
+          ))}
+        </div>
+
+        <div className="flex-1 overflow-y-auto space-y-4">
+          {totalUnsynced === 0 && otherEntries.length === 0 && (
+            <div className="text-center py-8 text-slate-500">
+              <Icon name="CheckCircle" size={32} className="mx-auto mb-2 text-green-600" />
+              <p className="text-sm">Everything on this terminal is synced</p>
+            </div>
+          )}
+
+          {stores.filter(group => group.count > 0).map(group => (
+            <div key={group.store}>
+              <h4 className="text-sm font-semibold text-slate-700 mb-2">{group.label}</h4>
+              <ul className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+                {group.records.map(record => {
+                  const state = getRecordState(record.entries);
+                  const key = `${group.store}:${record.id}`;
+
+                  return (
+                    <li key={key} className="flex items-center justify-between p-3 space-x-3">
+                      <div className="min-w-0">
+                        <div className="flex items-center space-x-2">
+                          <span className="text-sm text-slate-800 truncate">{record.description}</span>
+                          <span className={`px-2 py-0.5 rounded text-xs ${state.className}`}>{state.label}</span>
+                        </div>
+                        <EntryError entries={record.entries} />
+                      </div>
+                      <RowActions
+                        busy={busyKey === key}
+                        onRetry={() => onRetryRecord(group.store, record)}
+                        onDiscard={() => onDiscardRecord(group.store, record)}
+                      />
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ))}
+
+          {otherEntries.length > 0 && (
+            <div>
+              <h4 className="text-sm font-semibold text-slate-700 mb-2">Other queued changes</h4>
+              <ul className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+                {otherEntries.map(entry => {
+                  const state = getRecordState([entry]);
+                  const key = `entry:${entry.seq}`;
+
+                  return (
+                    <li key={key} className="flex items-center justify-between p-3 space-x-3">
+                      <div className="min-w-0">
+                        <div className="flex items-center space-x-2">
+                          <span className="text-sm text-slate-800 truncate">
+                            {kindLabels[entry.kind] || entry.kind} · {formatTime(entry.created_at)}
+                          </span>
+                          <span className={`px-2 py-0.5 rounded text-xs ${state.className}`}>{state.label}</span>
+                        </div>
+                        <EntryError entries={[entry]} />
+                      </div>
+                      <RowActions
+                        busy={busyKey === key}
+                        onRetry={() => onRetryEntry(entry)}
+                        onDiscard={() => onDiscardEntry(entry)}
+                      />
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <p className="text-xs text-slate-500 mt-4">
+          Discard drops the queued change only - the record stays on this terminal but will not be sent to the server.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default SyncStatusPanel;
@@ -0,0 +1,54 @@
+import React, { useRef } from 'react';
+import Icon from '../../../components/AppIcon';
+
+const TerminalBackup = ({ enabled = false, busy = false, onExport, onImport }) => {
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = (e) => {
+    const file = e?.target?.files?.[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="bg-slate-50 rounded-lg p-3 border border-slate-200 space-y-2">
+      <div className="flex items-center space-x-2">
+        <Icon name="HardDrive" size={16} className="text-slate-600" />
+        <span className="text-sm font-medium text-slate-800">Terminal backup</span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <button
+          onClick={onExport}
+          disabled={!enabled || busy}
+          className="flex items-center justify-center space-x-1 px-2 py-2 text-xs rounded-md border border-slate-300 text-slate-700 hover:bg-white disabled:opacity-50"
+        >
+          <Icon name="Download" size={14} />
+          <span>Export</span>
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={!enabled || busy}
+          className="flex items-center justify-center space-x-1 px-2 py-2 text-xs rounded-md border border-slate-300 text-slate-700 hover:bg-white disabled:opacity-50"
+        >
+          <Icon name="Upload" size={14} />
+          <span>Restore</span>
+        </button>
+      </div>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={handleFileChange}
+        className="hidden"
+      />
+
+      {!enabled && (
+        <p className="text-xs text-slate-500">Set VITE_POS_ADMIN_PIN to enable backups.</p>
+      )}
+    </div>
+  );
+};
+
+export default TerminalBackup;
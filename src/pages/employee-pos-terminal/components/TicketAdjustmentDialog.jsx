@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import { ticketAdjustments } from '../../../services/ticketAdjustments';
+
+const inputClass = 'w-full mt-1 px-3 py-2 bg-white border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Void or refund a ticket. onSubmit({ amount, reason }) returns an error message, or
+// null when the request goes on to manager approval.
+const TicketAdjustmentDialog = ({ ticket, kind, onSubmit, onCancel }) => {
+  const refundable = ticketAdjustments.getRefundable(ticket);
+  const [amount, setAmount] = useState(refundable.toFixed(2));
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState(null);
+
+  const isVoid = kind === 'void';
+  const ticketNumber = ticket.ticket_number || ticket.ticketNumber;
+
+  const handleSubmit = (e) => {
+    e?.preventDefault();
+    setError(onSubmit({ amount: isVoid ? null : amount, reason }));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg p-6 w-full max-w-md">
+        <div className="flex items-center space-x-3 mb-4">
+          <div className="p-2 bg-red-100 rounded-lg">
+            <Icon name={isVoid ? 'Ban' : 'Undo2'} size={20} className="text-red-600" />
+          </div>
+          <h3 className="text-lg font-semibold text-slate-800">
+            {isVoid ? 'Void' : 'Refund'} ticket {ticketNumber}
+          </h3>
+        </div>
+
+        <p className="text-sm text-slate-600 mb-4">
+          {isVoid
+            ? `The ticket stays on record but its $${ticketAdjustments.getTotal(ticket).toFixed(2)} is taken out of this session's totals.`
+            : `Up to $${refundable.toFixed(2)} can be refunded. The refund is taken out of the current session's totals.`}
+        </p>
+
+        <div className="space-y-3">
+          {!isVoid && (
+            <div>
+              <label className="text-sm font-medium text-slate-700">Refund amount</label>
+              <input
+                type="number"
+                min="0.01"
+                step="0.01"
+                max={refundable}
+                value={amount}
+                onChange={(e) => setAmount(e?.target?.value)}
+                className={inputClass}
+              />
+            </div>
+          )}
+          <div>
+            <label className="text-sm font-medium text-slate-700">Reason</label>
+            <textarea
+              autoFocus
+              rows={2}
+              value={reason}
+              onChange={(e) => setReason(e?.target?.value)}
+              placeholder={isVoid ? 'e.g. Wrong ticket number entered' : 'e.g. Machine broke mid-cycle'}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        {error && (
+          <p className="text-sm text-red-600 mt-2">
+            <Icon name="AlertTriangle" size={14} className="inline mr-1" />
+            {error}
+          </p>
+        )}
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!reason.trim()}
+            className="px-4 py-2 text-sm rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+          >
+            {isVoid ? 'Void ticket' : 'Refund'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default TicketAdjustmentDialog;
@@ -0,0 +1,168 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+import { ticketStatus, ticketStatusLabels } from '../../../services/ticketStatus';
+import { ticketAdjustments } from '../../../services/ticketAdjustments';
+import { tenderLabels } from '../../../services/tenders';
+import { turnaround } from '../../../services/turnaround';
+import { notificationChannelLabels } from '../../../services/notificationChannels';
+
+// A single ticket opened by scanning its claim tag. Tickets from other terminals are
+// read-only here (no onAdvanceStatus); their status moves on the terminal that took them.
+// Messages sent to the customer are listed with a Resend (onResendNotification).
+const TicketDetailDialog = ({ ticket, customer = null, busy = false, onAdvanceStatus, onAdjust, onResendNotification, currentSessionId = null, onPrint, onShowCustomer, onClose }) => {
+  const ticketNumber = ticket.ticket_number || ticket.ticketNumber;
+  const washAmount = Number(ticket.wash_amount || ticket.wash || 0);
+  const dryAmount = Number(ticket.dry_amount || ticket.dry || 0);
+  const totalAmount = Number(ticket.total_amount || ticket.total || washAmount + dryAmount);
+  const status = ticketStatus.getStatus(ticket);
+  const voided = ticketAdjustments.isVoided(ticket);
+  const nextStatus = voided ? null : ticketStatus.getNextStatus(ticket);
+  const refundedAmount = Number(ticket.refunded_amount || 0);
+  const dueState = turnaround.getDueState(ticket);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-3">
+            <div className="p-2 bg-cyan-100 rounded-lg">
+              <Icon name="Ticket" size={20} className="text-cyan-600" />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-slate-800">Ticket {ticketNumber}</h3>
+              <p className="text-xs text-slate-500">{new Date(ticket.created_at).toLocaleString()}</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600" title="Close">
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="space-y-2 text-sm">
+          {customer && (
+            <div className="flex justify-between">
+              <span className="text-slate-500">Customer</span>
+              <button onClick={() => onShowCustomer?.(customer)} className="font-medium text-blue-600 hover:underline">
+                {customer.full_name}
+              </button>
+            </div>
+          )}
+          <div className="flex justify-between">
+            <span className="text-slate-500">Wash</span>
+            <span>${washAmount.toFixed(2)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-slate-500">Dry</span>
+            <span>${dryAmount.toFixed(2)}</span>
+          </div>
+          <div className="flex justify-between font-semibold border-t border-slate-200 pt-2">
+            <span>Total</span>
+            <span className={voided ? 'line-through text-slate-400' : ''}>${totalAmount.toFixed(2)}</span>
+          </div>
+          {(ticket.payments || []).map(payment => (
+            <div key={payment.id} className="flex justify-between text-slate-500">
+              <span>Paid {tenderLabels[payment.tender] || payment.tender}</span>
+              <span>${Number(payment.amount || 0).toFixed(2)}</span>
+            </div>
+          ))}
+          {refundedAmount > 0 && (
+            <div className="flex justify-between text-red-600">
+              <span>Refunded</span>
+              <span>-${refundedAmount.toFixed(2)}</span>
+            </div>
+          )}
+          {ticket.promised_ready_at && (
+            <div className="flex justify-between">
+              <span className="text-slate-500">Ready by</span>
+              <span className={dueState === 'overdue' ? 'font-medium text-red-600' : dueState === 'due_soon' ? 'font-medium text-amber-600' : ''}>
+                {new Date(ticket.promised_ready_at).toLocaleString()}
+                {dueState && ` (${turnaround.describeDue(ticket)})`}
+              </span>
+            </div>
+          )}
+          <div className="flex justify-between">
+            <span className="text-slate-500">Status</span>
+            {voided ? (
+              <span className="font-medium text-red-600" title={ticket.void_reason}>Voided</span>
+            ) : (
+              <span className="font-medium">{ticketStatusLabels[status]}</span>
+            )}
+          </div>
+          {(ticket.notifications || []).map(notification => (
+            <div key={notification.id} className="flex justify-between items-center text-slate-500">
+              <span title={notification.body}>
+                {notificationChannelLabels[notification.channel]} to {notification.recipient}
+              </span>
+              <span className="flex items-center space-x-2">
+                <span
+                  className={notification.status === 'failed' ? 'text-red-600' : ['pending', 'logged'].includes(notification.status) ? 'text-amber-600' : ''}
+                  title={notification.status === 'logged'
+                    ? 'No SMS or email provider is set up: the message was only written to this terminal\'s message log'
+                    : notification.error || undefined}
+                >
+                  {notification.status === 'sent'
+                    ? `Sent ${new Date(notification.sent_at).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+                    : notification.status === 'logged' ? 'Not sent (no provider)'
+                    : notification.status === 'failed' ? 'Failed' : 'Waiting for sync'}
+                </span>
+                {onResendNotification && notification.status !== 'pending' && (
+                  <button onClick={() => onResendNotification(ticket, notification)} className="text-blue-600 hover:underline">
+                    Resend
+                  </button>
+                )}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-between items-center mt-6">
+          <div className="flex space-x-2">
+            <button
+              onClick={() => onPrint(ticket, 'receipt')}
+              className="px-3 py-2 text-sm rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100 flex items-center"
+            >
+              <Icon name="Receipt" size={16} className="mr-1" />
+              Receipt
+            </button>
+            <button
+              onClick={() => onPrint(ticket, 'tag')}
+              className="px-3 py-2 text-sm rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100 flex items-center"
+            >
+              <Icon name="Tag" size={16} className="mr-1" />
+              Tag
+            </button>
+            {onAdjust && ticketAdjustments.canVoid(ticket, currentSessionId) && (
+              <button
+                onClick={() => onAdjust(ticket, 'void')}
+                className="px-3 py-2 text-sm rounded-lg border border-red-200 text-red-600 hover:bg-red-50 flex items-center"
+              >
+                <Icon name="Ban" size={16} className="mr-1" />
+                Void
+              </button>
+            )}
+            {onAdjust && ticketAdjustments.canRefund(ticket) && (
+              <button
+                onClick={() => onAdjust(ticket, 'refund')}
+                className="px-3 py-2 text-sm rounded-lg border border-red-200 text-red-600 hover:bg-red-50 flex items-center"
+              >
+                <Icon name="Undo2" size={16} className="mr-1" />
+                Refund
+              </button>
+            )}
+          </div>
+          {nextStatus && onAdvanceStatus && (
+            <button
+              onClick={() => onAdvanceStatus(ticket)}
+              disabled={busy}
+              className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            >
+              {busy ? 'Saving...' : `→ ${ticketStatusLabels[nextStatus]}`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TicketDetailDialog;
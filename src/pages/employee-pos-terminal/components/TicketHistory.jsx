@@ -1,8 +1,37 @@
 import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import { ticketStatus, ticketStatusLabels } from '../../../services/ticketStatus';
+import { ticketAdjustments } from '../../../services/ticketAdjustments';
+import { ticketEdits } from '../../../services/ticketEdits';
+import { turnaround } from '../../../services/turnaround';
 
-const TicketHistory = ({ tickets = [], pageSize = 10 }) => {
+const statusColors = {
+  received: 'bg-gray-100 text-gray-700',
+  washing: 'bg-blue-100 text-blue-700',
+  drying: 'bg-orange-100 text-orange-700',
+  folded: 'bg-purple-100 text-purple-700',
+  ready: 'bg-green-100 text-green-700',
+  picked_up: 'bg-slate-100 text-slate-500'
+};
+
+// Rows of open tickets past or close to their promised ready time
+const dueRowColors = {
+  overdue: 'bg-red-50',
+  due_soon: 'bg-amber-50'
+};
+
+const TicketHistory = ({ tickets = [], pageSize = 10, onAdvanceStatus, busyTicketId = null, customersById = {}, onShowCustomer, onPrint, onAdjust, onEdit, onEditLines, onSearch, onImport, currentSessionId = null }) => {
   const [currentPage, setCurrentPage] = useState(0);
   const [displayedTickets, setDisplayedTickets] = useState([]);
+  // Row being corrected inline: { ticketId, wash, dry, error }
+  const [editing, setEditing] = useState(null);
+  // Ticks every minute so due highlighting keeps up with the clock
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
   
   useEffect(() => {
     console.log('TicketHistory received tickets:', tickets);
@@ -38,6 +67,24 @@ const TicketHistory = ({ tickets = [], pageSize = 10 }) => {
 
   const totalPages = Math.ceil(tickets.length / pageSize);
 
+  const startEditing = (ticket) => {
+    const amounts = ticketEdits.getAmounts(ticket);
+    setEditing({ ticketId: ticket.id, wash: String(amounts.wash_amount), dry: String(amounts.dry_amount), error: null });
+  };
+
+  // onEdit(ticket, { wash, dry }) resolves to an error message, or null once saved
+  const saveEditing = async (ticket) => {
+    const error = await onEdit(ticket, { wash: editing.wash, dry: editing.dry });
+    setEditing(error ? prev => prev && { ...prev, error } : null);
+  };
+
+  const lastEditTitle = (ticket) => {
+    const last = ticket.edits?.[ticket.edits.length - 1];
+    if (!last) return 'Edited';
+    const { before_values: before, after_values: after } = last;
+    return `Edited ${new Date(last.edited_at).toLocaleTimeString()}: wash $${before.wash_amount.toFixed(2)} → $${after.wash_amount.toFixed(2)}, dry $${before.dry_amount.toFixed(2)} → $${after.dry_amount.toFixed(2)}`;
+  };
+
   const goToPreviousPage = () => {
     setCurrentPage(prev => Math.max(0, prev - 1));
   };
@@ -51,6 +98,26 @@ const TicketHistory = ({ tickets = [], pageSize = 10 }) => {
       <div className="flex justify-between items-center mb-4">
         <h3 className="text-lg font-semibold">Ticket History</h3>
         <div className="flex items-center space-x-2">
+          {onSearch && (
+            <button
+              onClick={onSearch}
+              className="px-3 py-1 rounded border border-gray-300 text-sm text-gray-700 hover:bg-gray-100 flex items-center"
+              title="Find tickets from any day"
+            >
+              <Icon name="Search" size={14} className="mr-1" />
+              Find
+            </button>
+          )}
+          {onImport && (
+            <button
+              onClick={onImport}
+              className="px-3 py-1 rounded border border-gray-300 text-sm text-gray-700 hover:bg-gray-100 flex items-center"
+              title="Import paper tickets from a CSV or Excel sheet"
+            >
+              <Icon name="Upload" size={14} className="mr-1" />
+              Import
+            </button>
+          )}
           <button
             onClick={goToPreviousPage}
             disabled={currentPage === 0}
@@ -88,6 +155,7 @@ const TicketHistory = ({ tickets = [], pageSize = 10 }) => {
               <th className="px-4 py-2 text-right text-sm font-semibold text-gray-600">Dry</th>
               <th className="px-4 py-2 text-right text-sm font-semibold text-gray-600">Total</th>
               <th className="px-4 py-2 text-left text-sm font-semibold text-gray-600">Time</th>
+              <th className="px-4 py-2 text-left text-sm font-semibold text-gray-600">Status</th>
             </tr>
           </thead>
           <tbody>
@@ -97,33 +165,177 @@ const TicketHistory = ({ tickets = [], pageSize = 10 }) => {
               const washAmount = ticket.wash_amount || ticket.wash || 0;
               const dryAmount = ticket.dry_amount || ticket.dry || 0;
               const totalAmount = ticket.total_amount || ticket.total || (washAmount + dryAmount);
+              const status = ticketStatus.getStatus(ticket);
+              const voided = ticketAdjustments.isVoided(ticket);
+              // Voided tickets are kept for the record but their status no longer moves
+              const nextStatus = voided ? null : ticketStatus.getNextStatus(ticket);
+              const refundedAmount = Number(ticket.refunded_amount || 0);
+              const isEditing = editing?.ticketId === ticket.id;
+              const dueState = turnaround.getDueState(ticket, now);
+              const customer = ticket.customer_id
+                ? customersById[ticket.customer_id] || { id: ticket.customer_id, full_name: ticket.customer_name || 'Customer' }
+                : null;
 
               return (
                 <tr 
                   key={ticket.id} 
                   className={`border-t border-gray-100 ${
-                    index === displayedTickets.length - 1 ? 'bg-blue-50' : ''
-                  }`}
+                    dueState ? dueRowColors[dueState] : index === displayedTickets.length - 1 ? 'bg-blue-50' : ''
+                  } ${voided ? 'text-gray-400' : ''}`}
+                  title={voided ? `Voided: ${ticket.void_reason}` : undefined}
                 >
-                  <td className="px-4 py-2 text-sm">{ticketNumber}</td>
-                  <td className="px-4 py-2 text-right text-sm">
-                    {washAmount > 0 ? `$${washAmount.toFixed(2)}` : ''}
+                  <td className="px-4 py-2 text-sm">
+                    {ticketNumber}
+                    {ticket.edited_at && (
+                      <span className="ml-1 text-xs text-amber-600" title={lastEditTitle(ticket)}>edited</span>
+                    )}
+                    {customer && (
+                      <button
+                        onClick={() => onShowCustomer?.(customer)}
+                        className="block text-xs text-blue-600 hover:underline"
+                      >
+                        {customer.full_name}
+                      </button>
+                    )}
+                  </td>
+                  <td className={`px-4 py-2 text-right text-sm ${voided ? 'line-through' : ''}`}>
+                    {isEditing ? (
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={editing.wash}
+                        onChange={(e) => setEditing(prev => ({ ...prev, wash: e?.target?.value }))}
+                        className="w-20 px-1 py-0.5 border border-gray-300 rounded text-right"
+                      />
+                    ) : washAmount > 0 ? `$${washAmount.toFixed(2)}` : ''}
                   </td>
-                  <td className="px-4 py-2 text-right text-sm">
-                    {dryAmount > 0 ? `$${dryAmount.toFixed(2)}` : ''}
+                  <td className={`px-4 py-2 text-right text-sm ${voided ? 'line-through' : ''}`}>
+                    {isEditing ? (
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={editing.dry}
+                        onChange={(e) => setEditing(prev => ({ ...prev, dry: e?.target?.value }))}
+                        className="w-20 px-1 py-0.5 border border-gray-300 rounded text-right"
+                      />
+                    ) : dryAmount > 0 ? `$${dryAmount.toFixed(2)}` : ''}
                   </td>
-                  <td className="px-4 py-2 text-right text-sm font-semibold">
+                  <td className={`px-4 py-2 text-right text-sm font-semibold ${voided ? 'line-through' : ''}`}>
                     {totalAmount > 0 ? `$${totalAmount.toFixed(2)}` : ''}
+                    {refundedAmount > 0 && (
+                      <span className="block text-xs font-normal text-red-600">
+                        -${refundedAmount.toFixed(2)} refunded
+                      </span>
+                    )}
                   </td>
                   <td className="px-4 py-2 text-sm text-gray-500">
                     {new Date(ticket.created_at).toLocaleTimeString()}
+                    {ticket.promised_ready_at && (
+                      <span
+                        className={`block text-xs ${dueState === 'overdue' ? 'font-semibold text-red-600' : dueState === 'due_soon' ? 'font-semibold text-amber-600' : 'text-gray-400'}`}
+                        title={dueState ? turnaround.describeDue(ticket, now) : undefined}
+                      >
+                        Ready by {new Date(ticket.promised_ready_at).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })}
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-sm">
+                    {isEditing ? (
+                      <div className="flex items-center space-x-2">
+                        <button
+                          onClick={() => saveEditing(ticket)}
+                          disabled={busyTicketId === ticket.id}
+                          className="px-2 py-0.5 rounded text-xs bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                        >
+                          {busyTicketId === ticket.id ? '...' : 'Save'}
+                        </button>
+                        <button
+                          onClick={() => setEditing(null)}
+                          className="px-2 py-0.5 rounded text-xs border border-gray-300 text-gray-600 hover:bg-gray-100"
+                        >
+                          Cancel
+                        </button>
+                        {editing.error && <span className="text-xs text-red-600">{editing.error}</span>}
+                      </div>
+                    ) : (
+                    <div className="flex items-center space-x-2">
+                      {voided ? (
+                        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-700">
+                          Voided
+                        </span>
+                      ) : (
+                      <span
+                        className={`px-2 py-0.5 rounded-full text-xs font-medium ${statusColors[status]}`}
+                        title={ticket.status_updated_at ? `Since ${new Date(ticket.status_updated_at).toLocaleTimeString()}` : undefined}
+                      >
+                        {ticketStatusLabels[status]}
+                      </span>
+                      )}
+                      {onPrint && (
+                        <>
+                          <button
+                            onClick={() => onPrint(ticket, 'receipt')}
+                            className="px-1 text-gray-400 hover:text-gray-700"
+                            title="Print receipt"
+                          >
+                            <Icon name="Receipt" size={14} />
+                          </button>
+                          <button
+                            onClick={() => onPrint(ticket, 'tag')}
+                            className="px-1 text-gray-400 hover:text-gray-700"
+                            title="Print claim tag"
+                          >
+                            <Icon name="Tag" size={14} />
+                          </button>
+                        </>
+                      )}
+                      {onEdit && ticketEdits.canEdit(ticket, currentSessionId) && (
+                        <button
+                          onClick={() => ticketEdits.isPriced(ticket) ? onEditLines?.(ticket) : startEditing(ticket)}
+                          className="px-1 text-gray-400 hover:text-gray-700"
+                          title={ticketEdits.isPriced(ticket) ? 'Edit services' : 'Edit amounts'}
+                        >
+                          <Icon name="Pencil" size={14} />
+                        </button>
+                      )}
+                      {onAdjust && ticketAdjustments.canVoid(ticket, currentSessionId) && (
+                        <button
+                          onClick={() => onAdjust(ticket, 'void')}
+                          className="px-1 text-gray-400 hover:text-red-600"
+                          title="Void ticket"
+                        >
+                          <Icon name="Ban" size={14} />
+                        </button>
+                      )}
+                      {onAdjust && ticketAdjustments.canRefund(ticket) && (
+                        <button
+                          onClick={() => onAdjust(ticket, 'refund')}
+                          className="px-1 text-gray-400 hover:text-red-600"
+                          title="Refund"
+                        >
+                          <Icon name="Undo2" size={14} />
+                        </button>
+                      )}
+                      {nextStatus && onAdvanceStatus && (
+                        <button
+                          onClick={() => onAdvanceStatus(ticket)}
+                          disabled={busyTicketId === ticket.id}
+                          className="px-2 py-0.5 rounded text-xs bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50"
+                        >
+                          {busyTicketId === ticket.id ? '...' : `→ ${ticketStatusLabels[nextStatus]}`}
+                        </button>
+                      )}
+                    </div>
+                    )}
                   </td>
                 </tr>
               );
             })}
             {displayedTickets.length === 0 && (
               <tr>
-                <td colSpan="5" className="px-4 py-8 text-center text-gray-500">
+                <td colSpan="6" className="px-4 py-8 text-center text-gray-500">
                   No ticket history available
                 </td>
               </tr>
@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+
+// Import paper tickets from a CSV or Excel sheet into a session. onPreview(file,
+// sessionId) resolves to the checked rows (see ticketImport.validate) and is run again
+// when the session changes; onImport(rows, sessionId) resolves to an error message, or
+// null once the valid rows are stored.
+const TicketImportDialog = ({ sessions = [], defaultSessionId = null, employeesById = {}, onPreview, onImport, onCancel }) => {
+  const [file, setFile] = useState(null);
+  const [sessionId, setSessionId] = useState(defaultSessionId || sessions[0]?.id || '');
+  const [rows, setRows] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!file || !sessionId) return;
+    let cancelled = false;
+    setBusy(true);
+    setError(null);
+    onPreview(file, sessionId)
+      .then(preview => { if (!cancelled) setRows(preview); })
+      .catch(previewError => {
+        if (cancelled) return;
+        setRows(null);
+        setError(previewError.message || 'The file could not be read');
+      })
+      .finally(() => { if (!cancelled) setBusy(false); });
+    return () => { cancelled = true; };
+  }, [file, sessionId]);
+
+  const validRows = (rows || []).filter(row => row.errors.length === 0);
+  const validTotal = validRows.reduce((sum, row) => sum + row.total, 0);
+
+  const handleImport = async () => {
+    setBusy(true);
+    const message = await onImport(validRows, sessionId);
+    setBusy(false);
+    setError(message);
+  };
+
+  const sessionLabel = (session) => {
+    const employee = employeesById[session.employee_id]?.full_name;
+    return `${session.session_date}${employee ? ` · ${employee}` : ''}${session.id === defaultSessionId ? ' (current)' : ''}`;
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-4xl">
+        <div className="flex items-center space-x-3 mb-4">
+          <div className="p-2 bg-blue-100 rounded-lg">
+            <Icon name="FileSpreadsheet" size={20} className="text-blue-600" />
+          </div>
+          <h3 className="text-lg font-semibold text-slate-800">Import tickets</h3>
+        </div>
+
+        <p className="text-sm text-slate-600 mb-4">
+          A CSV or Excel sheet with one ticket per row. The first row names the columns: Ticket, Wash, Dry, Time and Employee.
+        </p>
+
+        <div className="grid grid-cols-2 gap-4 mb-4">
+          <label className="block text-sm text-slate-700">
+            File
+            <input
+              type="file"
+              accept=".csv,.xlsx,.xls"
+              onChange={(e) => { setRows(null); setFile(e.target.files?.[0] || null); }}
+              className="mt-1 block w-full text-sm"
+            />
+          </label>
+          <label className="block text-sm text-slate-700">
+            Session
+            <select
+              value={sessionId}
+              onChange={(e) => setSessionId(e.target.value)}
+              className="mt-1 block w-full border border-slate-300 rounded-lg px-3 py-2 text-sm"
+            >
+              {sessions.map(session => (
+                <option key={session.id} value={session.id}>{sessionLabel(session)}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {rows && (
+          <div className="overflow-y-auto border border-slate-200 rounded-lg" style={{ maxHeight: '45vh' }}>
+            <table className="min-w-full text-sm">
+              <thead className="bg-slate-50 text-left text-slate-600 sticky top-0">
+                <tr>
+                  <th className="px-3 py-2">Row</th>
+                  <th className="px-3 py-2">Ticket</th>
+                  <th className="px-3 py-2 text-right">Wash</th>
+                  <th className="px-3 py-2 text-right">Dry</th>
+                  <th className="px-3 py-2">Time</th>
+                  <th className="px-3 py-2">Employee</th>
+                  <th className="px-3 py-2">Check</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.rowNumber} className={`border-t border-slate-100 ${row.errors.length > 0 ? 'bg-red-50' : ''}`}>
+                    <td className="px-3 py-2 text-slate-500">{row.rowNumber}</td>
+                    <td className="px-3 py-2 font-medium">{row.ticketNumber || '—'}</td>
+                    <td className="px-3 py-2 text-right">${row.wash.toFixed(2)}</td>
+                    <td className="px-3 py-2 text-right">${row.dry.toFixed(2)}</td>
+                    <td className="px-3 py-2">{row.createdAt ? new Date(row.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '—'}</td>
+                    <td className="px-3 py-2">{row.employee?.full_name || '—'}</td>
+                    <td className="px-3 py-2">
+                      {row.errors.map(message => (
+                        <div key={message} className="text-red-600">{message}</div>
+                      ))}
+                      {row.warnings.map(message => (
+                        <div key={message} className="text-amber-600">{message}</div>
+                      ))}
+                      {row.errors.length === 0 && row.warnings.length === 0 && (
+                        <span className="text-green-600">OK</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {rows && (
+          <p className="text-sm text-slate-600 mt-2">
+            {validRows.length} of {rows.length} rows will be imported, ${validTotal.toFixed(2)} in total. Rows in red are skipped.
+          </p>
+        )}
+
+        {error && (
+          <p className="text-sm text-red-600 mt-2">
+            <Icon name="AlertTriangle" size={14} className="inline mr-1" />
+            {error}
+          </p>
+        )}
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleImport}
+            disabled={busy || validRows.length === 0}
+            className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            Import {validRows.length > 0 ? `${validRows.length} tickets` : ''}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TicketImportDialog;
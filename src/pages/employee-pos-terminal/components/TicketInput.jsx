@@ -1,4 +1,7 @@
 import React from 'react';
+import PaymentEditor from './PaymentEditor';
+import TicketLineEditor from './TicketLineEditor';
+import { turnaround } from '../../../services/turnaround';
 
 const TicketInput = ({ 
   ticket, 
@@ -11,8 +14,21 @@ const TicketInput = ({
   onInputClick,
   onInputBlur,
   onInsert,
-  loading
+  loading,
+  onPickCustomer,
+  onClearCustomer,
+  services = [],
+  onAddService,
+  onChangeLine,
+  onRemoveLine,
+  onChangePayments,
+  defaultReadyAt = null,
+  onChangeReadyAt
 }) => {
+  const lines = ticket.lines || [];
+  // With service lines the wash and dry amounts come from the price list
+  const priced = lines.length > 0;
+
   return (
     <div className="bg-white rounded-lg shadow p-4">
       <div className="grid grid-cols-4 gap-4 mb-4">
@@ -43,11 +59,12 @@ const TicketInput = ({
           <label className="block text-sm font-medium text-gray-600 mb-1">Wash</label>
           <div
             className={`p-2 rounded border ${
-              activeInput === 'wash' ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
-            } cursor-pointer`}
-            onClick={() => onInputClick('wash', ticket.id)}
+              priced ? 'border-gray-100 bg-gray-50 text-gray-600' : activeInput === 'wash' ? 'border-blue-500 bg-blue-50 cursor-pointer' : 'border-gray-200 cursor-pointer'
+            }`}
+            onClick={() => !priced && onInputClick('wash', ticket.id)}
+            title={priced ? 'Calculated from the services below' : undefined}
           >
-            {activeInput === 'wash' ? (
+            {activeInput === 'wash' && !priced ? (
               <input
                 type="text"
                 value={currentInputValue}
@@ -66,11 +83,12 @@ const TicketInput = ({
           <label className="block text-sm font-medium text-gray-600 mb-1">Dry</label>
           <div
             className={`p-2 rounded border ${
-              activeInput === 'dry' ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
-            } cursor-pointer`}
-            onClick={() => onInputClick('dry', ticket.id)}
+              priced ? 'border-gray-100 bg-gray-50 text-gray-600' : activeInput === 'dry' ? 'border-blue-500 bg-blue-50 cursor-pointer' : 'border-gray-200 cursor-pointer'
+            }`}
+            onClick={() => !priced && onInputClick('dry', ticket.id)}
+            title={priced ? 'Calculated from the services below' : undefined}
           >
-            {activeInput === 'dry' ? (
+            {activeInput === 'dry' && !priced ? (
               <input
                 type="text"
                 value={currentInputValue}
@@ -90,11 +108,69 @@ const TicketInput = ({
           <div className="p-2 rounded bg-gray-50 font-semibold">
             ${ticket.total?.toFixed(2)}
           </div>
+          {ticket.addons > 0 && (
+            <span className="block mt-1 text-xs text-gray-500">incl. ${ticket.addons.toFixed(2)} add-ons</span>
+          )}
         </div>
       </div>
 
+      {/* Services from the price list */}
+      {(services.length > 0 || priced) && (
+        <div className="mb-4">
+          <TicketLineEditor
+            services={services}
+            lines={lines}
+            onAddService={onAddService}
+            onChangeLine={onChangeLine}
+            onRemoveLine={onRemoveLine}
+          />
+        </div>
+      )}
+
+      {/* Promised ready time; left alone it follows the turnaround rules */}
+      <div className="mb-4 flex items-center space-x-2 text-sm">
+        <label htmlFor="ticket-ready-at" className="text-gray-600">Ready by</label>
+        <input
+          id="ticket-ready-at"
+          type="datetime-local"
+          value={turnaround.toInputValue(ticket.promised_ready_at || defaultReadyAt)}
+          onChange={(e) => onChangeReadyAt(turnaround.fromInputValue(e.target.value))}
+          className="px-2 py-1 border border-gray-200 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        {ticket.promised_ready_at && (
+          <button type="button" onClick={() => onChangeReadyAt(null)} className="text-blue-600 hover:underline">
+            Use default
+          </button>
+        )}
+      </div>
+
+      {/* Payment by tender */}
+      <div className="mb-4">
+        <PaymentEditor total={ticket.total} payments={ticket.payments || []} onChange={onChangePayments} />
+      </div>
+
       {/* Insert Button */}
-      <div className="flex justify-end">
+      <div className="flex justify-between items-center">
+        <div className="flex items-center space-x-2 text-sm">
+          {ticket.customer_id ? (
+            <>
+              <span className="text-gray-600">Customer:</span>
+              <button onClick={onPickCustomer} className="font-medium text-blue-600 hover:underline">
+                {ticket.customer_name}
+              </button>
+              <button onClick={onClearCustomer} className="text-gray-400 hover:text-gray-600" title="Remove customer">
+                ✕
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={onPickCustomer}
+              className="px-3 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100"
+            >
+              + Customer
+            </button>
+          )}
+        </div>
         <button
           onClick={onInsert}
           disabled={loading || !ticket.ticketNumber || !(ticket.wash > 0 || ticket.dry > 0)}
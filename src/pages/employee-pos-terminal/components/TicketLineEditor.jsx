@@ -0,0 +1,102 @@
+import React from 'react';
+import { serviceCatalog, pricingUnitLabels } from '../../../services/serviceCatalog';
+
+const unitLabels = { lb: 'lb', cycle: 'cycles', each: 'qty', load: 'loads' };
+
+// Services from the price list as buttons (washes and drying first, add-ons in their own
+// row) and the ticket's lines below them, each with its quantity, unit price and a note.
+// onChangeLine(lineId, changes) takes { quantity }, { unit_price } or { notes }.
+const TicketLineEditor = ({ services = [], lines = [], onAddService, onChangeLine, onRemoveLine }) => {
+  const mainServices = services.filter(service => service.category !== 'addon');
+  const addonServices = services.filter(service => service.category === 'addon');
+
+  const renderServiceButtons = (group, colors) => (
+    <div className="flex flex-wrap gap-2">
+      {group.map(service => (
+        <button
+          key={service.id}
+          type="button"
+          onClick={() => onAddService(service)}
+          className={`px-3 py-1.5 rounded-lg border text-sm ${colors}`}
+        >
+          {service.name}
+          <span className="ml-1 text-xs opacity-75">
+            ${Number(service.price || 0).toFixed(2)} {pricingUnitLabels[service.pricing_unit]}
+          </span>
+        </button>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="space-y-2">
+      {mainServices.length > 0 && renderServiceButtons(mainServices, 'border-cyan-200 bg-cyan-50 text-cyan-800 hover:bg-cyan-100')}
+      {addonServices.length > 0 && (
+        <div className="flex items-start space-x-2">
+          <span className="text-xs text-gray-500 pt-2">Add-ons</span>
+          {renderServiceButtons(addonServices, 'border-violet-200 bg-violet-50 text-violet-800 hover:bg-violet-100')}
+        </div>
+      )}
+
+      {lines.length > 0 && (
+        <table className="min-w-full mt-1 text-sm">
+          <tbody>
+            {lines.map(line => (
+              <tr key={line.id} className="border-t border-gray-100 align-top">
+                <td className="py-1.5 pr-2">
+                  {line.service_name}
+                  {line.minimum_charge > 0 && (
+                    <span className="block text-xs text-gray-400">Min. ${Number(line.minimum_charge).toFixed(2)}</span>
+                  )}
+                  <input
+                    type="text"
+                    value={line.notes || ''}
+                    onChange={(e) => onChangeLine(line.id, { notes: e.target.value })}
+                    placeholder="Note"
+                    className="mt-1 w-full px-2 py-0.5 text-xs border border-gray-200 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </td>
+                <td className="py-1.5 pr-2 w-32">
+                  <div className="flex items-center space-x-1">
+                    <input
+                      type="number"
+                      min="0"
+                      step={line.pricing_unit === 'lb' ? '0.1' : '1'}
+                      value={line.quantity}
+                      onChange={(e) => onChangeLine(line.id, { quantity: e.target.value })}
+                      className="w-20 px-2 py-1 border border-gray-200 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <span className="text-xs text-gray-500">{unitLabels[line.pricing_unit] || 'loads'}</span>
+                  </div>
+                </td>
+                <td className="py-1.5 pr-2 w-32 text-right text-gray-500">
+                  <div className="flex items-center justify-end space-x-1">
+                    <span>$</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={line.unit_price}
+                      onChange={(e) => onChangeLine(line.id, { unit_price: e.target.value })}
+                      className="w-16 px-1 py-1 border border-gray-200 rounded text-right focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      title="Unit price"
+                    />
+                  </div>
+                  <span className="text-xs">{pricingUnitLabels[line.pricing_unit]}</span>
+                </td>
+                <td className="py-1.5 text-right font-semibold w-20">${serviceCatalog.calculateAmount(line).toFixed(2)}</td>
+                <td className="py-1.5 pl-2 w-6 text-right">
+                  <button type="button" onClick={() => onRemoveLine(line.id)} className="text-gray-400 hover:text-gray-600" title="Remove service">
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default TicketLineEditor;
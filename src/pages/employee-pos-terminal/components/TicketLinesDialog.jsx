@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import { serviceCatalog } from '../../../services/serviceCatalog';
+import TicketLineEditor from './TicketLineEditor';
+
+// Correct the services on a stored ticket that was priced from the price list. The
+// amounts follow the lines. onSubmit(lines) resolves to an error message, or null once
+// the edit is saved.
+const TicketLinesDialog = ({ ticket, services = [], onSubmit, onCancel }) => {
+  const [lines, setLines] = useState(() => ticket.lines || []);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const ticketNumber = ticket.ticket_number || ticket.ticketNumber;
+  const summary = serviceCatalog.summarize(lines.map(line => serviceCatalog.updateLine(line, {})));
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    setSaving(true);
+    const message = await onSubmit(lines);
+    setSaving(false);
+    setError(message);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg p-6 w-full max-w-2xl">
+        <div className="flex items-center space-x-3 mb-4">
+          <div className="p-2 bg-blue-100 rounded-lg">
+            <Icon name="ListChecks" size={20} className="text-blue-600" />
+          </div>
+          <h3 className="text-lg font-semibold text-slate-800">Services on ticket {ticketNumber}</h3>
+        </div>
+
+        <div className="overflow-y-auto" style={{ maxHeight: '60vh' }}>
+          <TicketLineEditor
+            services={services}
+            lines={lines}
+            onAddService={(service) => setLines(prev => serviceCatalog.addService(prev, service))}
+            onChangeLine={(lineId, changes) => setLines(prev => prev.map(line => line.id === lineId ? serviceCatalog.updateLine(line, changes) : line))}
+            onRemoveLine={(lineId) => setLines(prev => prev.filter(line => line.id !== lineId))}
+          />
+        </div>
+
+        <div className="flex justify-end space-x-4 mt-4 text-sm text-slate-600">
+          <span>Wash ${summary.wash.toFixed(2)}</span>
+          <span>Dry ${summary.dry.toFixed(2)}</span>
+          {summary.addons > 0 && <span>Add-ons ${summary.addons.toFixed(2)}</span>}
+          <span className="font-semibold text-slate-800">Total ${summary.total.toFixed(2)}</span>
+        </div>
+
+        {error && (
+          <p className="text-sm text-red-600 mt-2">
+            <Icon name="AlertTriangle" size={14} className="inline mr-1" />
+            {error}
+          </p>
+        )}
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            Save services
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default TicketLinesDialog;
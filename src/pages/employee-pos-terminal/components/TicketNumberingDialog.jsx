@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+
+const MAX_PREFIX_LENGTH = 4;
+const MIN_WIDTH = 1;
+const MAX_WIDTH = 8;
+
+const TicketNumberingDialog = ({ prefix = '', width = 3, onSave, onCancel }) => {
+  const [draftPrefix, setDraftPrefix] = useState(prefix);
+  const [draftWidth, setDraftWidth] = useState(String(width));
+
+  const parsedWidth = parseInt(draftWidth, 10);
+  const validWidth = parsedWidth >= MIN_WIDTH && parsedWidth <= MAX_WIDTH;
+  const preview = `${draftPrefix}${String(14).padStart(validWidth ? parsedWidth : 3, '0')}`;
+
+  const handleSubmit = (e) => {
+    e?.preventDefault();
+    if (!validWidth) return;
+    onSave({ prefix: draftPrefix, width: parsedWidth });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg p-6 w-full max-w-sm">
+        <h3 className="text-lg font-semibold text-slate-800 mb-4">Ticket number format</h3>
+
+        <div className="space-y-4">
+          <div>
+            <label className="text-sm font-medium text-slate-700">Terminal prefix</label>
+            <input
+              type="text"
+              value={draftPrefix}
+              maxLength={MAX_PREFIX_LENGTH}
+              onChange={(e) => setDraftPrefix(e?.target?.value?.toUpperCase()?.replace(/[^A-Z0-9-]/g, '') || '')}
+              placeholder="e.g. A-"
+              className="w-full mt-1 px-4 py-2 bg-white border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <p className="text-xs text-slate-500 mt-1">Letters, digits and "-" only; must not end in a digit.</p>
+          </div>
+
+          <div>
+            <label className="text-sm font-medium text-slate-700">Digits</label>
+            <input
+              type="number"
+              min={MIN_WIDTH}
+              max={MAX_WIDTH}
+              value={draftWidth}
+              onChange={(e) => setDraftWidth(e?.target?.value)}
+              className="w-full mt-1 px-4 py-2 bg-white border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          <div className="text-sm text-slate-600 p-3 bg-blue-50 rounded-lg">
+            Example: <span className="font-mono font-semibold">{preview}</span>
+          </div>
+        </div>
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!validWidth || /\d$/.test(draftPrefix)}
+            className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default TicketNumberingDialog;
@@ -0,0 +1,42 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+
+const TicketNumberingStatus = ({ status, onEdit }) => {
+  const remaining = status?.remaining || 0;
+
+  return (
+    <div className="bg-slate-50 rounded-lg p-3 border border-slate-200 space-y-1">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Icon name="Hash" size={16} className={remaining === 0 ? 'text-red-600' : status?.low ? 'text-amber-600' : 'text-slate-600'} />
+          <span className="text-sm font-medium text-slate-800">Ticket numbers</span>
+        </div>
+        {onEdit && (
+          <button
+            onClick={onEdit}
+            className="text-xs text-blue-600 hover:text-blue-800 underline"
+          >
+            Format
+          </button>
+        )}
+      </div>
+
+      {remaining > 0 ? (
+        <p className={`text-xs ${status?.low ? 'text-amber-700' : 'text-slate-600'}`}>
+          Next {status.nextNumber} · {remaining} reserved for this terminal
+          {status?.low && ' - running low, Save Progress while online to lease more'}
+        </p>
+      ) : (
+        <p className="text-xs font-medium text-red-700">
+          No numbers left - new tickets get no number until Save Progress leases more while online
+        </p>
+      )}
+
+      <p className="text-xs text-slate-500">
+        {status?.resetMode === 'daily' ? 'Restarts every day' : 'Continuous numbering'}
+      </p>
+    </div>
+  );
+};
+
+export default TicketNumberingStatus;
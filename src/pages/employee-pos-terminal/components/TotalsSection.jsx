@@ -1,7 +1,9 @@
 import React from 'react';
 import Icon from '../../../components/AppIcon';
+import { TENDERS, tenderLabels } from '../../../services/tenders';
 
-const TotalsSection = ({ totals }) => {
+// tenderBreakdown is tenders.sessionBreakdown() for the current session, when there is one
+const TotalsSection = ({ totals, tenderBreakdown = null }) => {
   const formatCurrency = (value) => {
     return `$${(value || 0)?.toFixed(2)}`;
   };
@@ -46,6 +48,20 @@ const TotalsSection = ({ totals }) => {
             </div>
           </div>
         </div>
+
+        {tenderBreakdown && (
+          <div className="pt-4 border-t border-slate-200">
+            <label className="text-sm font-medium text-slate-700">By tender</label>
+            <div className="mt-2 space-y-1">
+              {TENDERS.map(tender => (
+                <div key={tender} className="flex justify-between text-sm">
+                  <span className="text-slate-600">{tenderLabels[tender]}</span>
+                  <span className="font-semibold text-slate-800">{formatCurrency(tenderBreakdown.byTender[tender])}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import Header from '../../components/ui/Header';
 import Icon from '../../components/AppIcon';
 import InventoryGrid from './components/InventoryGrid.jsx';
@@ -6,16 +6,55 @@ import TicketHistory from './components/TicketHistory';
 import TicketInput from './components/TicketInput';
 import CashSection from './components/CashSection';
 import TotalsSection from './components/TotalsSection';
+import DueTicketsAlert from './components/DueTicketsAlert';
 import NotesSection from './components/NotesSection';
 import Numpad from './components/Numpad';
 import EmployeeSelect from './components/EmployeeSelect';
 import SaveProgressButton from './components/SaveProgressButton';
+import OutboxStatus from './components/OutboxStatus';
+import SyncStatusPanel from './components/SyncStatusPanel';
+import TerminalBackup from './components/TerminalBackup';
+import AdminPinDialog from './components/AdminPinDialog';
+import TicketNumberingStatus from './components/TicketNumberingStatus';
+import TicketNumberingDialog from './components/TicketNumberingDialog';
+import CustomerLookupDialog from './components/CustomerLookupDialog';
+import CustomerHistoryDialog from './components/CustomerHistoryDialog';
+import ReceiptPrinterStatus from './components/ReceiptPrinterStatus';
+import ReceiptSettingsDialog from './components/ReceiptSettingsDialog';
+import SaleReceiptDialog from './components/SaleReceiptDialog';
+import TicketDetailDialog from './components/TicketDetailDialog';
+import TicketAdjustmentDialog from './components/TicketAdjustmentDialog';
+import TicketLinesDialog from './components/TicketLinesDialog';
+import TicketImportDialog from './components/TicketImportDialog';
+import StockMovementDialog from './components/StockMovementDialog';
+import TicketSearchPanel from '../../components/TicketSearchPanel';
 import { useAuth } from '../../contexts/AuthContext';
 import { timesheetService } from '../../services/timesheetService';
 import { posService } from '../../services/posService';
 import { supabase } from '../../lib/supabase';
 import { localDB } from '../../services/localDB.jsx';
 import { employeeService } from '../../services/employeeService';
+import { syncService } from '../../services/syncService';
+import { terminalSettings } from '../../services/terminalSettings';
+import { backupService } from '../../services/backupService';
+import { adminPin } from '../../services/adminPin';
+import { managerApproval } from '../../services/managerApproval';
+import { tabCoordinator } from '../../services/tabCoordinator';
+import { ticketNumbering } from '../../services/ticketNumbering';
+import { referenceDataService } from '../../services/referenceDataService';
+import { ticketStatus } from '../../services/ticketStatus';
+import { customerService } from '../../services/customerService';
+import { receiptService } from '../../services/receiptService';
+import { scanInput } from '../../services/scanInput';
+import { serviceCatalog } from '../../services/serviceCatalog';
+import { ticketAdjustments } from '../../services/ticketAdjustments';
+import { ticketEdits } from '../../services/ticketEdits';
+import { ticketSearch } from '../../services/ticketSearch';
+import { tenders } from '../../services/tenders';
+import { turnaround } from '../../services/turnaround';
+import { notificationService } from '../../services/notificationService';
+import { ticketImport } from '../../services/ticketImport';
+import { inventoryLedger } from '../../services/inventoryLedger';
 import Modal from '../../components/ui/Modal';
 
 // Function to test and initialize database connection
@@ -217,6 +256,389 @@ const EmployeePOSTerminal = () => {
 
   const [notes, setNotes] = useState('');
 
+  // Pending outbox summary for the sync status panel
+  const [outboxSummary, setOutboxSummary] = useState(null);
+
+  useEffect(() => {
+    const handleOutboxChanged = (event) => setOutboxSummary(event.detail);
+    window.addEventListener('pos-outbox-changed', handleOutboxChanged);
+    syncService.notify();
+    return () => {
+      window.removeEventListener('pos-outbox-changed', handleOutboxChanged);
+    };
+  }, []);
+
+  // Live updates from other POS tabs on this terminal
+  useEffect(() => {
+    const sessionId = currentSession?.id;
+    if (!sessionId) return;
+
+    const reloadSessionTickets = async () => {
+      const allTickets = await localDB.getAllTickets();
+      setAllStoredTickets(allTickets.filter(ticket =>
+        ticket.id !== 'message' &&
+        ticket.pos_session_id === sessionId &&
+        (ticket.ticketNumber || ticket.ticket_number) &&
+        ((ticket.wash > 0 || ticket.dry > 0) ||
+         (ticket.wash_amount > 0 || ticket.dry_amount > 0))
+      ).sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0)));
+    };
+
+    const unsubscribers = [
+      tabCoordinator.subscribe('tickets-changed', (detail) => {
+        if (detail?.sessionId === sessionId) reloadSessionTickets();
+      }),
+      tabCoordinator.subscribe('session-saved', (detail) => {
+        if (detail?.sessionId === sessionId) reloadSessionTickets();
+      }),
+      // Any session's movements change what's on hand
+      tabCoordinator.subscribe('stock-changed', () => {
+        loadStockLevels().catch(error => console.error('Error reloading stock levels:', error));
+      }),
+      tabCoordinator.subscribe('session-changed', ({ session }) => {
+        if (session?.id !== sessionId) return;
+        setCashData({
+          started: session.cash_started || 0,
+          added: session.cash_added || 0,
+          coinsUsed: session.coins_used || 0,
+          total: session.cash_total || 0
+        });
+        setNotes(session.notes || '');
+      })
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [currentSession?.id]);
+
+  // A failed localDB upgrade blocks the terminal: the code expects stores the old
+  // schema doesn't have. Its data can still be exported from the blocked screen.
+  const [dbUpgradeError, setDbUpgradeError] = useState(null);
+
+  useEffect(() => {
+    localDB.ready.catch(() => {
+      if (localDB.migrationError) {
+        setDbUpgradeError(localDB.migrationError);
+      }
+    });
+  }, []);
+
+  // Opt-in background sync, stored per terminal
+  const [backgroundSyncEnabled, setBackgroundSyncEnabled] = useState(() => terminalSettings.get().backgroundSync);
+
+  useEffect(() => {
+    if (!backgroundSyncEnabled || dbUpgradeError) return;
+    syncService.startBackgroundSync(terminalSettings.get().backgroundSyncIntervalMinutes);
+    return () => {
+      syncService.stopBackgroundSync();
+    };
+  }, [backgroundSyncEnabled, dbUpgradeError]);
+
+  const handleToggleBackgroundSync = (enabled) => {
+    terminalSettings.update({ backgroundSync: enabled });
+    setBackgroundSyncEnabled(enabled);
+  };
+
+  // Sync status panel: unsynced rows per store with per-record retry/discard
+  const [showSyncPanel, setShowSyncPanel] = useState(false);
+  const [syncStatus, setSyncStatus] = useState(null);
+  const [syncStatusLoading, setSyncStatusLoading] = useState(false);
+  const [syncBusyKey, setSyncBusyKey] = useState(null);
+
+  const loadSyncStatus = async () => {
+    setSyncStatusLoading(true);
+    try {
+      setSyncStatus(await syncService.getSyncStatus());
+    } catch (error) {
+      console.error('❌ Error loading sync status:', error);
+    } finally {
+      setSyncStatusLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!showSyncPanel) return;
+    loadSyncStatus();
+    window.addEventListener('pos-outbox-changed', loadSyncStatus);
+    return () => {
+      window.removeEventListener('pos-outbox-changed', loadSyncStatus);
+    };
+  }, [showSyncPanel]);
+
+  const runSyncAction = async (key, action) => {
+    setSyncBusyKey(key);
+    try {
+      await action();
+    } catch (error) {
+      console.error('❌ Sync action failed:', error);
+      alert(`Sync action failed: ${error?.message || 'Unknown error'}`);
+    } finally {
+      setSyncBusyKey(null);
+      await loadSyncStatus();
+    }
+  };
+
+  const handleRetrySyncRecord = (store, record) => {
+    if (!navigator.onLine) {
+      alert('You are offline. The record will be sent when the connection is back.');
+      return;
+    }
+    runSyncAction(`${store}:${record.id}`, () => syncService.retryRecord(store, record));
+  };
+
+  const handleDiscardSyncRecord = (store, record) => {
+    if (!window.confirm(`Discard the unsynced change for ${record.description}? It will not be sent to the server.`)) return;
+    runSyncAction(`${store}:${record.id}`, () => syncService.discardRecord(store, record));
+  };
+
+  const handleRetrySyncEntry = (entry) => {
+    if (!navigator.onLine) {
+      alert('You are offline. The change will be sent when the connection is back.');
+      return;
+    }
+    runSyncAction(`entry:${entry.seq}`, () => syncService.retryEntries([entry.seq]));
+  };
+
+  const handleDiscardSyncEntry = (entry) => {
+    if (!window.confirm('Discard this queued change? It will not be sent to the server.')) return;
+    runSyncAction(`entry:${entry.seq}`, () => syncService.discardEntries([entry.seq]));
+  };
+
+  // Leased ticket numbers: show what is left. Blocks are leased by Save Progress and
+  // background sync, never on load.
+  const [ticketNumberingStatus, setTicketNumberingStatus] = useState(null);
+  const [editingTicketNumbering, setEditingTicketNumbering] = useState(false);
+
+  useEffect(() => {
+    const handleNumberingChanged = (event) => setTicketNumberingStatus(event.detail);
+    window.addEventListener('pos-ticket-numbering-changed', handleNumberingChanged);
+    ticketNumbering.notify();
+    return () => {
+      window.removeEventListener('pos-ticket-numbering-changed', handleNumberingChanged);
+    };
+  }, []);
+
+  const handleEditTicketNumbering = () => {
+    setPinRequest({
+      title: 'Ticket number format',
+      description: 'Change the prefix and width of ticket numbers on this terminal.',
+      run: () => setEditingTicketNumbering(true)
+    });
+  };
+
+  const handleSaveTicketNumbering = ({ prefix, width }) => {
+    terminalSettings.update({ ticketPrefix: prefix, ticketNumberWidth: width });
+    setEditingTicketNumbering(false);
+    ticketNumbering.notify();
+  };
+
+  // Receipts and claim tags, printed through the browser or a thermal printer
+  const [receiptSettings, setReceiptSettings] = useState(() => terminalSettings.get());
+  const [editingReceiptSettings, setEditingReceiptSettings] = useState(false);
+  const [showSaleReceipt, setShowSaleReceipt] = useState(false);
+  const [saleBusy, setSaleBusy] = useState(false);
+
+  // Inventory sales and takings by tender for the current session
+  const [sessionSales, setSessionSales] = useState([]);
+  const [tenderBreakdown, setTenderBreakdown] = useState(null);
+
+  const loadSessionSales = async (sessionId) => {
+    const sales = await localDB.getAllRecords('posSales');
+    setSessionSales(sales.filter(sale => sale.pos_session_id === sessionId));
+  };
+
+  useEffect(() => {
+    if (!currentSession?.id) {
+      setSessionSales([]);
+      return;
+    }
+    loadSessionSales(currentSession.id)
+      .catch(error => console.error('Error loading session sales:', error));
+    return tabCoordinator.subscribe('sales-changed', (detail) => {
+      if (detail?.sessionId === currentSession.id) loadSessionSales(currentSession.id);
+    });
+  }, [currentSession?.id]);
+
+  useEffect(() => {
+    const sessionId = currentSession?.id;
+    if (!sessionId) {
+      setTenderBreakdown(null);
+      return;
+    }
+
+    let cancelled = false;
+    const computeBreakdown = async () => {
+      // Refunds count against the session paying them out, whichever session the ticket is from
+      const storedTickets = await localDB.getAllTickets();
+      const refunds = storedTickets.reduce((sum, ticket) => sum + (ticket.adjustments || [])
+        .filter(adjustment => adjustment.kind === 'refund' && adjustment.pos_session_id === sessionId)
+        .reduce((refunded, adjustment) => refunded + Number(adjustment.amount || 0), 0), 0);
+      const breakdown = tenders.sessionBreakdown({
+        tickets: allStoredTickets.filter(ticket => ticket.pos_session_id === sessionId),
+        sales: sessionSales,
+        inventoryTotal: totals.inventorySalesTotal,
+        refunds
+      });
+      if (!cancelled) setTenderBreakdown(breakdown);
+    };
+    computeBreakdown().catch(error => console.error('Error computing tender breakdown:', error));
+    return () => { cancelled = true; };
+  }, [currentSession?.id, allStoredTickets, sessionSales, totals.inventorySalesTotal]);
+
+  const printTicketDocument = async (ticket, kind) => {
+    const customer = ticket.customer_id
+      ? customersById[ticket.customer_id] || { full_name: ticket.customer_name }
+      : null;
+    const receipt = kind === 'tag'
+      ? receiptService.buildClaimTag(ticket, { customer })
+      : receiptService.buildTicketReceipt(ticket, { customer });
+    await receiptService.print(receipt);
+  };
+
+  const handlePrintTicket = async (ticket, kind) => {
+    try {
+      await printTicketDocument(ticket, kind);
+    } catch (error) {
+      console.error('Error printing:', error);
+      alert(`Printing failed: ${error.message}`);
+    }
+  };
+
+  const handleEditReceiptSettings = () => {
+    setPinRequest({
+      title: 'Receipt setup',
+      description: 'Change the printer, paper size and receipt text on this terminal.',
+      run: () => setEditingReceiptSettings(true)
+    });
+  };
+
+  const handleSaveReceiptSettings = (changes) => {
+    setReceiptSettings(terminalSettings.update(changes));
+    setEditingReceiptSettings(false);
+  };
+
+  const handleTestPrint = async (draft) => {
+    const settings = { ...terminalSettings.get(), ...draft };
+    try {
+      await receiptService.print(receiptService.buildTestPage(settings), settings);
+    } catch (error) {
+      console.error('Error printing test page:', error);
+      alert(`Printing failed: ${error.message}`);
+    }
+  };
+
+  const handleRecordSale = async (lines, payments = []) => {
+    const total = Math.round(lines.reduce((sum, line) => sum + line.quantity * line.price, 0) * 100) / 100;
+    let salePayments;
+    try {
+      salePayments = tenders.validate(payments, total);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+
+    setSaleBusy(true);
+    try {
+      const now = new Date();
+      const sale = {
+        id: crypto.randomUUID(),
+        pos_session_id: currentSession?.id || null,
+        reference: receiptService.createSaleReference(now),
+        lines,
+        total,
+        payments: salePayments,
+        employee_id: selectedEmployee || null,
+        created_at: now.toISOString()
+      };
+      // Sales are kept with their session so the takings can be split by tender
+      if (sale.pos_session_id) {
+        await localDB.putRecords('posSales', [sale]);
+        setSessionSales(prev => [...prev, sale]);
+        await syncService.queueSale(sale, currentSession);
+        tabCoordinator.publish('sales-changed', { sessionId: sale.pos_session_id });
+      }
+      // Queued after the sale, so the server has it when the movements arrive
+      await recordInventorySale(lines, sale.pos_session_id ? sale.id : null);
+      await receiptService.print(receiptService.buildSaleReceipt(sale, { printedAt: now }));
+      setShowSaleReceipt(false);
+    } catch (error) {
+      console.error('Error printing sale receipt:', error);
+      alert(`The sale was recorded, but printing failed: ${error.message}`);
+    } finally {
+      setSaleBusy(false);
+    }
+  };
+
+  // Admin-PIN-protected backup export/restore of this terminal's local data
+  const [pinRequest, setPinRequest] = useState(null);
+  const [backupBusy, setBackupBusy] = useState(false);
+
+  // Requests with managers are voids/refunds, approved by a manager's own PIN on the server
+  const handleSubmitAdminPin = async (pin, managerId) => {
+    if (pinRequest.managers) {
+      const result = await managerApproval.verify(managerId, pin);
+      if (!result.approved) return result.message;
+      if (!result.checked) {
+        console.warn('⚠️ Offline: the manager PIN will be checked when the adjustment syncs');
+      }
+    } else {
+      try {
+        if (!adminPin.verify(pin)) return 'Wrong PIN';
+      } catch (error) {
+        return error.message;
+      }
+    }
+
+    const { run } = pinRequest;
+    setPinRequest(null);
+    run(pinRequest.managers ? { managerId, pin } : undefined);
+    return null;
+  };
+
+  const handleExportBackup = () => {
+    setPinRequest({
+      title: 'Export terminal backup',
+      description: 'Saves all local data on this terminal, including unsynced tickets and cash counts, to a JSON file.',
+      run: async () => {
+        setBackupBusy(true);
+        try {
+          const { fileName, recordCount } = await backupService.exportToFile();
+          alert(`✅ Backup saved as ${fileName} (${recordCount} records).`);
+        } catch (error) {
+          console.error('❌ Backup export failed:', error);
+          alert(`Backup export failed: ${error?.message || 'Unknown error'}`);
+        } finally {
+          setBackupBusy(false);
+        }
+      }
+    });
+  };
+
+  const handleImportBackup = (file) => {
+    setPinRequest({
+      title: 'Restore terminal backup',
+      description: `Merge ${file.name} into this terminal. Records already here are kept, and tickets already on this terminal are not added again.`,
+      run: async () => {
+        setBackupBusy(true);
+        try {
+          const result = await backupService.importFromFile(file);
+          const counts = Object.values(result.stores);
+          const added = counts.reduce((sum, store) => sum + store.added, 0);
+          const skipped = counts.reduce((sum, store) => sum + store.skipped, 0);
+          syncService.notify();
+
+          if (window.confirm(`✅ Backup restored: ${added} records added, ${skipped} already on this terminal.\n\nReload now to show the restored data?`)) {
+            window.location.reload();
+          }
+        } catch (error) {
+          console.error('❌ Backup restore failed:', error);
+          alert(`Backup restore failed: ${error?.message || 'Unknown error'}`);
+        } finally {
+          setBackupBusy(false);
+        }
+      }
+    });
+  };
+
   // Handle ticket field changes
   const handleFieldChange = (field, value, id) => {
     setTickets(prev => prev.map(ticket => {
@@ -243,6 +665,146 @@ const EmployeePOSTerminal = () => {
     }));
   };
 
+  // Service price list: picked services become priced lines that drive wash/dry/total
+  const [services, setServices] = useState([]);
+
+  const loadServices = async ({ pull = false } = {}) => {
+    if (pull && navigator.onLine) {
+      try {
+        await referenceDataService.pullServiceCatalog();
+      } catch (error) {
+        console.error('❌ Error pulling service catalog:', error);
+      }
+    }
+    setServices(serviceCatalog.getActive(await localDB.getAllRecords('serviceCatalog')));
+  };
+
+  // Local copy only; Save Progress and background sync pull the changes
+  useEffect(() => {
+    loadServices();
+  }, []);
+
+  // Background sync pulled reference data into localDB; show the new copies
+  useEffect(() => {
+    const handleReferenceDataPulled = () => {
+      loadServices();
+      loadTurnaroundRules();
+      loadNotificationTemplates();
+      customerService.getAll().then(setCustomers);
+      loadStockLevels();
+    };
+    window.addEventListener('pos-reference-data-pulled', handleReferenceDataPulled);
+    return () => {
+      window.removeEventListener('pos-reference-data-pulled', handleReferenceDataPulled);
+    };
+  }, []);
+
+  // Turnaround rules that default each new ticket's promised ready time
+  const [turnaroundRules, setTurnaroundRules] = useState([]);
+
+  const loadTurnaroundRules = async ({ pull = false } = {}) => {
+    if (pull && navigator.onLine) {
+      try {
+        await referenceDataService.pullTurnaroundRules();
+      } catch (error) {
+        console.error('❌ Error pulling turnaround rules:', error);
+      }
+    }
+    setTurnaroundRules(await localDB.getAllRecords('turnaroundRules'));
+  };
+
+  useEffect(() => {
+    loadTurnaroundRules();
+  }, []);
+
+  // Templates for the message sent when a ticket is moved to ready
+  const [notificationTemplates, setNotificationTemplates] = useState([]);
+
+  const loadNotificationTemplates = async ({ pull = false } = {}) => {
+    if (pull && navigator.onLine) {
+      try {
+        await referenceDataService.pullNotificationTemplates();
+      } catch (error) {
+        console.error('❌ Error pulling notification templates:', error);
+      }
+    }
+    setNotificationTemplates(await localDB.getAllRecords('notificationTemplates'));
+  };
+
+  useEffect(() => {
+    loadNotificationTemplates();
+  }, []);
+
+  // Stock levels: the server's on-hand per item plus local and current-session
+  // movements; the inventory grid's counts are computed from them
+  const [stockOnHand, setStockOnHand] = useState([]);
+  const [stockMovements, setStockMovements] = useState([]);
+  const [showStockMovement, setShowStockMovement] = useState(false);
+
+  const loadStockLevels = async ({ pull = false } = {}) => {
+    if (pull && navigator.onLine) {
+      try {
+        await referenceDataService.pullStockLevels(currentSession?.id ? [currentSession.id] : []);
+      } catch (error) {
+        console.error('❌ Error pulling stock levels:', error);
+      }
+    }
+    const { onHand, movements } = await referenceDataService.getStockLevels();
+    setStockOnHand(onHand);
+    setStockMovements(movements);
+    return { onHand, movements };
+  };
+
+  useEffect(() => {
+    loadStockLevels();
+  }, []);
+
+  const ledgerItems = useMemo(
+    () => inventoryLedger.applyToItems(inventoryItems, stockMovements, currentSession?.id, stockOnHand),
+    [inventoryItems, stockMovements, currentSession?.id, stockOnHand]
+  );
+
+  // Open tickets on this terminal with a promise, from any session, for the due alerts
+  const [promisedTickets, setPromisedTickets] = useState([]);
+
+  useEffect(() => {
+    localDB.getAllTickets()
+      .then(allTickets => setPromisedTickets(allTickets.filter(ticket =>
+        ticket.promised_ready_at && turnaround.isOpen(ticket)
+      )))
+      .catch(error => console.error('Error loading promised tickets:', error));
+  }, [allStoredTickets]);
+
+  const updateTicketLines = (transform) => {
+    setTickets(prev => prev.map((ticket, index) => {
+      if (index !== 0) return ticket;
+      const lines = transform(ticket.lines || []);
+      return { ...ticket, lines, ...serviceCatalog.summarize(lines) };
+    }));
+  };
+
+  const handleAddService = (service) => {
+    updateTicketLines(lines => serviceCatalog.addService(lines, service));
+  };
+
+  // changes: { quantity }, { unit_price } or { notes }
+  const handleChangeLine = (lineId, changes) => {
+    updateTicketLines(lines => lines.map(line => line.id === lineId ? serviceCatalog.updateLine(line, changes) : line));
+  };
+
+  const handleRemoveLine = (lineId) => {
+    updateTicketLines(lines => lines.filter(line => line.id !== lineId));
+  };
+
+  const handleChangePayments = (payments) => {
+    setTickets(prev => prev?.map((ticket, index) => index === 0 ? { ...ticket, payments } : ticket));
+  };
+
+  // Null goes back to the time from the turnaround rules
+  const handleChangeReadyAt = (promisedReadyAt) => {
+    setTickets(prev => prev?.map((ticket, index) => index === 0 ? { ...ticket, promised_ready_at: promisedReadyAt } : ticket));
+  };
+
   // Handle inserting a new ticket
   const handleInsertTicket = async () => {
     try {
@@ -250,30 +812,75 @@ const EmployeePOSTerminal = () => {
 
       // Validate current ticket
       const currentTicket = tickets[0];
+      // Add-ons ride along with a wash or dry; a ticket of add-ons alone is not taken
       if (!currentTicket || !currentTicket.ticketNumber || !(currentTicket.wash > 0 || currentTicket.dry > 0)) {
         alert('Please enter ticket number and wash or dry amount');
         return;
       }
 
-      // Check if ticket number already exists
-      const existingTickets = await localDB.getAllTickets();
-      const ticketExists = existingTickets.some(t => t.ticketNumber === currentTicket.ticketNumber);
-      if (ticketExists) {
-        alert('Ticket number already exists. Please use a different number.');
-        return;
-      }
-
-      // Create new ticket with current session
+      // Create new ticket with current session; service lines without a quantity are dropped
+      const lines = serviceCatalog.cleanLines(currentTicket.lines || []);
       const newTicket = {
         ...currentTicket,
+        ...(lines.length > 0 ? { lines, ...serviceCatalog.summarize(lines) } : {}),
         id: crypto.randomUUID(),
         pos_session_id: currentSession?.id,
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       };
 
-      // Save to localDB
-      await localDB.storeTickets([newTicket]);
+      // Promised ready time: as entered, or from the turnaround rules
+      newTicket.promised_ready_at = currentTicket.promised_ready_at ||
+        turnaround.getDefaultPromise(newTicket, turnaroundRules);
+      if (new Date(newTicket.promised_ready_at) <= new Date(newTicket.created_at)) {
+        alert('The ready-by time must be later than now.');
+        return;
+      }
+
+      // Payments must cover the final total; none chosen means cash
+      try {
+        newTicket.payments = tenders.validate(currentTicket.payments || [], newTicket.total);
+      } catch (paymentError) {
+        alert(paymentError.message);
+        return;
+      }
+
+      // Check and store under the ticket-number lock so another POS tab can't insert the same number in between
+      const inserted = await tabCoordinator.withLock('ticket-numbers', async () => {
+        const sessionDate = currentSession?.session_date || getTodayDate();
+        if (await ticketNumbering.isTicketNumberTaken(currentTicket.ticketNumber, sessionDate)) return false;
+
+        await localDB.storeTickets([newTicket]);
+        return true;
+      });
+
+      if (!inserted) {
+        alert('Ticket number already exists. Please use a different number.');
+        return;
+      }
+
+      // Queue for sync and let other POS tabs refresh their ticket history
+      await syncService.queueTicket(newTicket, currentSession);
+      if (newTicket.customer_id) {
+        await syncService.queueTicketCustomer(newTicket, newTicket.customer_id);
+      }
+      if (newTicket.lines?.length > 0) {
+        await syncService.queueTicketLines(newTicket);
+      }
+      await syncService.queueTicketPayments(newTicket);
+      await syncService.queueTicketPromise(newTicket);
+      tabCoordinator.publish('tickets-changed', { sessionId: currentSession?.id });
+
+      // Hand the customer a receipt and tag the bag
+      if (terminalSettings.get().autoPrintOnInsert) {
+        try {
+          await printTicketDocument(newTicket, 'receipt');
+          await printTicketDocument(newTicket, 'tag');
+        } catch (printError) {
+          console.error('Error printing ticket:', printError);
+          alert(`Ticket saved, but printing failed: ${printError.message}`);
+        }
+      }
 
       // Load all tickets again to ensure we have the latest
       const allTickets = await localDB.getAllTickets();
@@ -314,6 +921,359 @@ const EmployeePOSTerminal = () => {
     }
   };
 
+  // Move a drop-off ticket to its next stage (received -> washing -> ... -> picked up)
+  const [statusBusyTicketId, setStatusBusyTicketId] = useState(null);
+
+  const handleAdvanceTicketStatus = async (ticket) => {
+    setStatusBusyTicketId(ticket.id);
+    try {
+      // Read the stored copy under a lock so two tabs can't both advance the same ticket
+      const transition = await tabCoordinator.withLock('ticket-status', async () => {
+        const stored = (await localDB.getAllTickets()).find(t => t.id === ticket.id);
+        const next = stored && ticketStatus.buildTransition(stored);
+        if (!next) return null;
+
+        // Finished folding: tell the customer, by the channels they have an address for
+        const notifications = next.ticket.status === 'ready' && receiptSettings.notifyOnReady !== false
+          ? notificationService.buildReadyNotifications(next.ticket, customersById[next.ticket.customer_id], notificationTemplates, { employeeId: selectedEmployee })
+          : [];
+        if (notifications.length > 0) {
+          next.ticket = { ...next.ticket, notifications: [...(next.ticket.notifications || []), ...notifications] };
+        }
+
+        // putRecords keeps the ticket's synced flag; the change syncs through its own entry
+        await localDB.putRecords('posTickets', [next.ticket]);
+        await syncService.queueTicketStatus(next.ticket, { ...next, employeeId: selectedEmployee }, currentSession);
+        for (const notification of notifications) {
+          await syncService.queueTicketNotification(next.ticket, notification);
+        }
+        return next;
+      });
+
+      if (transition) {
+        const updated = transition.ticket;
+        setAllStoredTickets(prev => prev?.map(existing => existing.id === updated.id ? updated : existing));
+        setScannedTicket(prev => prev?.ticket.id === updated.id ? { ...prev, ticket: updated } : prev);
+        tabCoordinator.publish('tickets-changed', { sessionId: updated.pos_session_id });
+        console.log(`✅ Ticket ${updated.ticketNumber || updated.ticket_number} is now ${updated.status}`);
+      }
+    } catch (error) {
+      console.error('Error updating ticket status:', error);
+      alert('Error updating ticket status. Please try again.');
+    } finally {
+      setStatusBusyTicketId(null);
+    }
+  };
+
+  // Sends a customer message again, e.g. after it failed or the customer lost it
+  const handleResendNotification = async (ticket, notification) => {
+    try {
+      const updated = await tabCoordinator.withLock('ticket-status', async () => {
+        const stored = (await localDB.getAllTickets()).find(t => t.id === ticket.id);
+        if (!stored) return null;
+        const resend = notificationService.buildResend(notification, { employeeId: selectedEmployee });
+        const next = { ...stored, notifications: [...(stored.notifications || []), resend] };
+        await localDB.putRecords('posTickets', [next]);
+        await syncService.queueTicketNotification(next, resend);
+        return next;
+      });
+      if (!updated) return;
+
+      setAllStoredTickets(prev => prev?.map(existing => existing.id === updated.id ? updated : existing));
+      setScannedTicket(prev => prev?.ticket.id === updated.id ? { ...prev, ticket: updated } : prev);
+      tabCoordinator.publish('tickets-changed', { sessionId: updated.pos_session_id });
+    } catch (error) {
+      console.error('Error resending notification:', error);
+      alert('The message could not be queued. Please try again.');
+    }
+  };
+
+  // Voids and refunds: a reason first, then the manager PIN
+  const [adjustmentRequest, setAdjustmentRequest] = useState(null);
+
+  const handleAdjustTicket = (ticket, kind) => {
+    setAdjustmentRequest({ ticket, kind });
+  };
+
+  const applyTicketAdjustment = async (ticket, details, approval) => {
+    setStatusBusyTicketId(ticket.id);
+    try {
+      // Same lock as status changes: both rewrite the stored ticket
+      const result = await tabCoordinator.withLock('ticket-status', async () => {
+        // Tickets opened from the server (taken on another terminal) aren't stored here
+        const stored = (await localDB.getAllTickets()).find(t => t.id === ticket.id);
+        const next = ticketAdjustments.buildAdjustment(stored || ticket, { ...details, createdAt: new Date().toISOString() });
+
+        if (stored) await localDB.putRecords('posTickets', [next.ticket]);
+        await syncService.queueTicketAdjustment(next.ticket, next.adjustment, currentSession, approval);
+        return next;
+      });
+
+      const updated = result.ticket;
+      setAllStoredTickets(prev => prev?.map(existing => existing.id === updated.id ? updated : existing));
+      setScannedTicket(prev => prev?.ticket.id === updated.id ? { ...prev, ticket: updated } : prev);
+      tabCoordinator.publish('tickets-changed', { sessionId: updated.pos_session_id });
+      console.log(`✅ ${details.kind} recorded for ticket ${updated.ticketNumber || updated.ticket_number}:`, result.adjustment);
+    } catch (error) {
+      console.error('Error recording ticket adjustment:', error);
+      alert(`The ${details.kind} was not recorded: ${error.message}`);
+    } finally {
+      setStatusBusyTicketId(null);
+    }
+  };
+
+  const handleSubmitAdjustment = ({ amount, reason }) => {
+    const { ticket, kind } = adjustmentRequest;
+    const details = { kind, amount, reason, employeeId: selectedEmployee, sessionId: currentSession?.id };
+
+    // Check the request before asking for the PIN
+    try {
+      ticketAdjustments.buildAdjustment(ticket, details);
+    } catch (error) {
+      return error.message;
+    }
+
+    const ticketNumber = ticket.ticketNumber || ticket.ticket_number;
+    setAdjustmentRequest(null);
+    setPinRequest({
+      title: 'Manager approval',
+      pinLabel: 'Manager PIN',
+      managers: managerApproval.getManagers(employeeList),
+      description: kind === 'void'
+        ? `Void ticket ${ticketNumber} ($${ticketAdjustments.getTotal(ticket).toFixed(2)}): ${reason.trim()}`
+        : `Refund $${Number(amount).toFixed(2)} on ticket ${ticketNumber}: ${reason.trim()}`,
+      run: (approval) => applyTicketAdjustment(ticket, { ...details, approvedBy: approval.managerId }, approval)
+    });
+    return null;
+  };
+
+  // Corrections from the ticket history: { wash, dry } inline for typed tickets, { lines }
+  // from the line editor for priced ones. Returns an error message or null.
+  const handleEditTicket = async (ticket, changes) => {
+    const details = { ...changes, employeeId: selectedEmployee, sessionId: currentSession?.id };
+
+    setStatusBusyTicketId(ticket.id);
+    try {
+      const result = await tabCoordinator.withLock('ticket-status', async () => {
+        // Edit the stored copy, which may have moved on in another tab
+        const stored = (await localDB.getAllTickets()).find(t => t.id === ticket.id) || ticket;
+        const next = ticketEdits.buildEdit(stored, { ...details, editedAt: new Date().toISOString() });
+
+        await localDB.putRecords('posTickets', [next.ticket]);
+        await syncService.queueTicketEdit(next.ticket, next.edit, currentSession);
+        if (changes.lines) await syncService.queueTicketLines(next.ticket);
+        if (next.ticket.payments) await syncService.queueTicketPayments(next.ticket);
+        return next;
+      });
+
+      const updated = result.ticket;
+      setAllStoredTickets(prev => prev?.map(existing => existing.id === updated.id ? updated : existing));
+      setScannedTicket(prev => prev?.ticket.id === updated.id ? { ...prev, ticket: updated } : prev);
+      tabCoordinator.publish('tickets-changed', { sessionId: updated.pos_session_id });
+      console.log(`✅ Ticket ${updated.ticketNumber || updated.ticket_number} edited:`, result.edit);
+      return null;
+    } catch (error) {
+      console.error('Error editing ticket:', error);
+      return error.message;
+    } finally {
+      setStatusBusyTicketId(null);
+    }
+  };
+
+  // Stored ticket priced from services whose lines are being corrected
+  const [linesEditTicket, setLinesEditTicket] = useState(null);
+
+  const handleSubmitTicketLines = async (lines) => {
+    const error = await handleEditTicket(linesEditTicket, { lines });
+    if (!error) setLinesEditTicket(null);
+    return error;
+  };
+
+  // Customers: looked up or created at intake and attached to the ticket being entered
+  const [customers, setCustomers] = useState([]);
+  const [showCustomerLookup, setShowCustomerLookup] = useState(false);
+  const [customerHistory, setCustomerHistory] = useState(null);
+
+  // Local copy only; Save Progress and background sync pull the changes
+  useEffect(() => {
+    customerService.getAll().then(setCustomers);
+  }, []);
+
+  const customersById = useMemo(() => {
+    const byId = {};
+    customers.forEach(customer => {
+      byId[customer.id] = customer;
+    });
+    return byId;
+  }, [customers]);
+
+  const attachCustomer = (customer) => {
+    setTickets(prev => prev.map((ticket, index) => index === 0
+      ? { ...ticket, customer_id: customer?.id || null, customer_name: customer?.full_name || null }
+      : ticket
+    ));
+  };
+
+  const handleSelectCustomer = (customer) => {
+    attachCustomer(customer);
+    setShowCustomerLookup(false);
+  };
+
+  const handleCreateCustomer = async (fields) => {
+    try {
+      const customer = await customerService.create(fields);
+      setCustomers(await customerService.getAll());
+      handleSelectCustomer(customer);
+      return null;
+    } catch (error) {
+      console.error('Error creating customer:', error);
+      return error.message;
+    }
+  };
+
+  const handleShowCustomerHistory = async (customer) => {
+    setCustomerHistory({ customer, tickets: [], loading: true });
+    try {
+      const customerTickets = await customerService.getTicketHistory(customer.id);
+      setCustomerHistory(prev => prev?.customer.id === customer.id ? { customer, tickets: customerTickets, loading: false } : prev);
+    } catch (error) {
+      console.error('Error loading customer tickets:', error);
+      setCustomerHistory(prev => prev?.customer.id === customer.id ? { ...prev, loading: false } : prev);
+    }
+  };
+
+  // Barcode/QR scans: a scanned SKU sells one unit of that inventory item, a scanned
+  // ticket number opens the ticket
+  const [scannedTicket, setScannedTicket] = useState(null);
+  const [scanNotice, setScanNotice] = useState(null);
+  const [scannedItemId, setScannedItemId] = useState(null);
+  const scanHandlerRef = useRef(null);
+
+  const showScanNotice = (notice) => {
+    setScanNotice(notice);
+    setTimeout(() => setScanNotice(current => current === notice ? null : current), 3000);
+  };
+
+  scanHandlerRef.current = async (code) => {
+    console.log('🔎 Scanned:', code);
+
+    const item = scanInput.findItem(code, inventoryItems);
+    if (item) {
+      recordInventorySale([{ id: item.id, quantity: 1 }])
+        .catch(error => console.error('Error recording scanned sale:', error));
+      setScannedItemId(item.id);
+      setTimeout(() => setScannedItemId(current => current === item.id ? null : current), 1500);
+      showScanNotice({ type: 'success', text: `Sold 1 × ${item.name}` });
+      return;
+    }
+
+    const match = await scanInput.findTicket(code);
+    if (match) {
+      setScannedTicket(match);
+      return;
+    }
+
+    showScanNotice({ type: 'error', text: `No ticket or item matches "${code}"` });
+  };
+
+  useEffect(() => {
+    return scanInput.listen(code => scanHandlerRef.current?.(code));
+  }, []);
+
+  // Ticket search across days: this terminal's tickets first, then the server while online
+  const [showTicketSearch, setShowTicketSearch] = useState(false);
+
+  const handleSearchTickets = async (criteria, cursor) => {
+    const localTickets = await localDB.getAllTickets();
+    return ticketSearch.searchPage(criteria, { cursor, localTickets, customers });
+  };
+
+  // Opens like a scanned ticket; only tickets stored here can move on
+  const handleSelectSearchResult = ({ customer, local, ...ticket }) => {
+    setScannedTicket({ ticket, local });
+  };
+
+  // Bulk import of paper tickets from a sheet, into the current or an earlier session
+  const [importSessions, setImportSessions] = useState(null);
+
+  const handleOpenTicketImport = () => {
+    setPinRequest({
+      title: 'Import tickets',
+      description: 'Adds tickets from a CSV or Excel sheet to a session on this terminal.',
+      run: async () => {
+        const sessions = (await localDB.getAllSessions())
+          .filter(session => session.session_date)
+          .sort((a, b) => String(b.session_date).localeCompare(String(a.session_date)));
+        if (currentSession && !sessions.some(session => session.id === currentSession.id)) {
+          sessions.unshift(currentSession);
+        }
+        setImportSessions(sessions);
+      }
+    });
+  };
+
+  const findImportSession = (sessionId) =>
+    (importSessions || []).find(session => session.id === sessionId) ||
+    (currentSession?.id === sessionId ? currentSession : null);
+
+  const handlePreviewTicketImport = async (file, sessionId) => {
+    const session = findImportSession(sessionId);
+    const rows = await ticketImport.readFile(file);
+    return ticketImport.validate(rows, {
+      sessionDate: session.session_date,
+      employees: employeeList,
+      isTaken: (ticketNumber) => ticketNumbering.isTicketNumberTaken(ticketNumber, session.session_date)
+    });
+  };
+
+  const handleImportTickets = async (rows, sessionId) => {
+    const session = findImportSession(sessionId);
+    if (!session) return 'Choose a session';
+
+    try {
+      const batch = { batchId: crypto.randomUUID(), importedAt: new Date().toISOString() };
+
+      // Same check as a typed ticket, under the same lock, in case a number was used since the preview
+      const { imported, skipped } = await tabCoordinator.withLock('ticket-numbers', async () => {
+        const accepted = [];
+        const taken = [];
+        for (const row of rows) {
+          if (await ticketNumbering.isTicketNumberTaken(row.ticketNumber, session.session_date)) {
+            taken.push(row.ticketNumber);
+            continue;
+          }
+          const ticket = ticketImport.buildTicket(row, session, batch);
+          ticket.promised_ready_at = turnaround.getDefaultPromise(ticket, turnaroundRules);
+          ticket.payments = tenders.validate([], ticket.total);
+          accepted.push(ticket);
+        }
+        if (accepted.length > 0) await localDB.storeTickets(accepted);
+        return { imported: accepted, skipped: taken };
+      });
+
+      for (const ticket of imported) {
+        await syncService.queueTicket(ticket, session);
+        await syncService.queueTicketPayments(ticket);
+        await syncService.queueTicketPromise(ticket);
+        await syncService.queueTicketImport(ticket);
+      }
+      tabCoordinator.publish('tickets-changed', { sessionId: session.id });
+
+      if (session.id === currentSession?.id) {
+        setAllStoredTickets(prev => [...imported, ...(prev || [])]
+          .sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0)));
+      }
+
+      console.log(`✅ Imported ${imported.length} tickets into session ${session.id}`);
+      setImportSessions(null);
+      alert(`✅ Imported ${imported.length} tickets${skipped.length > 0 ? `. Skipped ${skipped.join(', ')}: the number is already in use.` : '.'}`);
+      return null;
+    } catch (error) {
+      console.error('❌ Ticket import failed:', error);
+      return error.message || 'Import failed';
+    }
+  };
+
   // Function to reset only SOLD and ADD fields for inventory items
   const resetInventoryTransactionFields = () => {
     setInventoryItems(prev => prev?.map(item => ({
@@ -541,49 +1501,20 @@ const EmployeePOSTerminal = () => {
     // Reset inventory items to default zero values but reload from master items
     await loadMasterInventoryItems();
 
-    // Enhanced: Generate new sequential tickets with guaranteed database sync
+    // Fresh tickets from the leased numbers; without a lease they stay blank
     try {
-      let newTickets;
-      
-      // Always use the enhanced service method for proper sequencing
-      const ticketNumbers = await posService?.generateTicketNumbers(3);
-      newTickets = ticketNumbers?.map((ticketNum, index) => ({
+      const ticketNumbers = await posService?.generateTicketNumbers(3, { sessionDate: currentSession?.session_date });
+      setTickets(Array.from({ length: 3 }, (_, index) => ({
         id: index + 1,
-        ticketNumber: ticketNum,
+        ticketNumber: ticketNumbers[index] || '',
         wash: 0,
         dry: 0,
         total: 0
-      }));
-      
-      setTickets(newTickets);
+      })));
       console.log(`✅ Generated fresh sequential tickets: ${ticketNumbers?.join(', ')}`);
     } catch (error) {
       console.error('Error generating sequential tickets:', error);
-      
-      // Enhanced fallback with better sequence detection
-      try {
-        // Get the current sequence status from database
-        const sequenceStatus = await posService?.getTicketSequenceStatus();
-        const currentNumber = sequenceStatus?.last_ticket_number || 0;
-        
-        setTickets([
-          { id: 1, ticketNumber: String(currentNumber + 1)?.padStart(3, '0'), wash: 0, dry: 0, total: 0 },
-          { id: 2, ticketNumber: String(currentNumber + 2)?.padStart(3, '0'), wash: 0, dry: 0, total: 0 },
-          { id: 3, ticketNumber: String(currentNumber + 3)?.padStart(3, '0'), wash: 0, dry: 0, total: 0 }
-        ]);
-        
-        console.log(`⚠️ Used fallback sequential numbering starting from: ${currentNumber + 1}`);
-      } catch (fallbackError) {
-        // Final fallback to timestamp-based numbers
-        const timestamp = Date.now();
-        setTickets([
-          { id: 1, ticketNumber: String(timestamp)?.slice(-3), wash: 0, dry: 0, total: 0 },
-          { id: 2, ticketNumber: String(timestamp + 1)?.slice(-3), wash: 0, dry: 0, total: 0 },
-          { id: 3, ticketNumber: String(timestamp + 2)?.slice(-3), wash: 0, dry: 0, total: 0 }
-        ]);
-        
-        console.warn('Used timestamp-based ticket numbers as final fallback');
-      }
+      setTickets(Array.from({ length: 3 }, (_, index) => ({ id: index + 1, ticketNumber: '', wash: 0, dry: 0, total: 0 })));
     }
 
     // Reset cash section
@@ -809,10 +1740,10 @@ const EmployeePOSTerminal = () => {
       // Generate new tickets for the new employee while preserving old ones in localDB
       try {
         // Get new sequential ticket numbers
-        const ticketNumbers = await posService?.generateTicketNumbers(3);
-        const newTickets = ticketNumbers?.map((ticketNum, index) => ({
+        const ticketNumbers = await posService?.generateTicketNumbers(3, { sessionDate: today });
+        const newTickets = Array.from({ length: 3 }, (_, index) => ({
           id: crypto.randomUUID(), // Use UUID to avoid conflicts with old tickets
-          ticketNumber: ticketNum,
+          ticketNumber: ticketNumbers[index] || '', // Blank once the leases run out
           wash: 0,
           dry: 0,
           total: 0,
@@ -913,11 +1844,11 @@ const EmployeePOSTerminal = () => {
       
       setInventoryItems(defaultInventory);
       
-      // Initialize with default ticket numbers and unique IDs
+      // Blank tickets with unique IDs; numbers only come from leased blocks
       const defaultTickets = [
-        { id: crypto.randomUUID(), ticketNumber: '001', wash: 0, dry: 0, total: 0 },
-        { id: crypto.randomUUID(), ticketNumber: '002', wash: 0, dry: 0, total: 0 },
-        { id: crypto.randomUUID(), ticketNumber: '003', wash: 0, dry: 0, total: 0 }
+        { id: crypto.randomUUID(), ticketNumber: '', wash: 0, dry: 0, total: 0 },
+        { id: crypto.randomUUID(), ticketNumber: '', wash: 0, dry: 0, total: 0 },
+        { id: crypto.randomUUID(), ticketNumber: '', wash: 0, dry: 0, total: 0 }
       ];
       
       setTickets(defaultTickets);
@@ -962,7 +1893,7 @@ const EmployeePOSTerminal = () => {
 
   // Auto-calculate totals whenever data changes
   useEffect(() => {
-    const inventoryTotal = inventoryItems?.reduce((sum, item) => sum + (item?.total || 0), 0);
+    const inventoryTotal = ledgerItems?.reduce((sum, item) => sum + (item?.total || 0), 0);
     const washDryTotal = tickets?.reduce((sum, ticket) => sum + (ticket?.total || 0), 0);
     const grandTotal = inventoryTotal + washDryTotal;
     
@@ -971,7 +1902,7 @@ const EmployeePOSTerminal = () => {
       washDrySubtotal: washDryTotal,
       grandTotal: grandTotal
     });
-  }, [inventoryItems, tickets]);
+  }, [ledgerItems, tickets]);
 
   // Auto-calculate cash total
   useEffect(() => {
@@ -983,6 +1914,8 @@ const EmployeePOSTerminal = () => {
 
   // Handle field click with proper input mode
   const handleFieldClick = (fieldInfo) => {
+    commitInventoryInput();
+
     // If clicking the same field, just toggle input mode
     if (activeInput && 
         activeInput.section === fieldInfo.section && 
@@ -992,21 +1925,98 @@ const EmployeePOSTerminal = () => {
       return;
     }
 
-    // Clear input state when switching fields
+    // Clear input state when switching fields
+    setCurrentInputValue('');
+    setIsInputMode(true);
+    setActiveInput(fieldInfo);
+
+    // For inventory fields, pre-fill with current value
+    if (fieldInfo.section === 'inventory') {
+      const item = ledgerItems.find(i => i.id === fieldInfo.id);
+      if (item && item[fieldInfo.field] !== undefined) {
+        setCurrentInputValue(item[fieldInfo.field].toString());
+      }
+    }
+    // For cash fields, pre-fill with current value
+    else if (fieldInfo.section === 'cash' && cashData[fieldInfo.field] !== undefined) {
+      setCurrentInputValue(cashData[fieldInfo.field].toString());
+    }
+  };
+
+  // Append movements to the ledger, then queue the affected items' recomputed counts for
+  // the master row and the session inventory rows, and let other POS tabs reload
+  const recordStockMovements = async (movements) => {
+    if (movements.length === 0) return;
+    await localDB.storeStockMovements(movements);
+    for (const movement of movements) {
+      await syncService.queueStockMovement(movement, currentSession);
+    }
+
+    const { onHand, movements: allMovements } = await loadStockLevels();
+    const changedKeys = new Set(movements.map(movement => inventoryLedger.getItemKey(movement.item_name)));
+    inventoryLedger.applyToItems(inventoryItems, allMovements, currentSession?.id, onHand)
+      .filter(item => changedKeys.has(inventoryLedger.getItemKey(item?.name)))
+      .forEach(item => {
+        if (item?.dbId) {
+          syncService.queueMasterInventoryItem(item)
+            .catch(error => console.error('Error queuing master inventory change:', error));
+        }
+        if (currentSession?.id) {
+          syncService.queueInventoryItem(item, currentSession)
+            .catch(error => console.error('Error queuing inventory change:', error));
+        }
+      });
+    tabCoordinator.publish('stock-changed', { sessionId: currentSession?.id });
+  };
+
+  const getMovementOptions = (extra = {}) => ({
+    sessionId: currentSession?.id || null,
+    employeeId: selectedEmployee || null,
+    terminalId: terminalSettings.getTerminalId(),
+    ...extra
+  });
+
+  // Sold units of inventory items; lines are [{ id, quantity }]
+  const recordInventorySale = async (lines, saleId = null) => {
+    const movements = lines
+      .map(line => ({ line, item: inventoryItems.find(item => item?.id === line.id) }))
+      .filter(({ item }) => item)
+      .map(({ line, item }) => inventoryLedger.buildMovement(item.name, 'sold', -line.quantity, getMovementOptions({ saleId })));
+    await recordStockMovements(movements);
+  };
+
+  // A count typed on the grid is recorded once the cell is left (Enter or another
+  // field), as the movement between the ledger's count and the typed one
+  const commitInventoryInput = () => {
+    if (activeInput?.section !== 'inventory' || !isInputMode || currentInputValue === '') return;
+    const item = ledgerItems.find(i => i?.id === activeInput.id);
     setCurrentInputValue('');
-    setIsInputMode(true);
-    setActiveInput(fieldInfo);
+    if (!item) return;
 
-    // For inventory fields, pre-fill with current value
-    if (fieldInfo.section === 'inventory') {
-      const item = inventoryItems.find(i => i.id === fieldInfo.id);
-      if (item && item[fieldInfo.field] !== undefined) {
-        setCurrentInputValue(item[fieldInfo.field].toString());
+    try {
+      const movement = inventoryLedger.buildGridCorrection(item, activeInput.field, parseFloat(currentInputValue), getMovementOptions());
+      if (movement) {
+        recordStockMovements([movement])
+          .catch(error => {
+            console.error('Error recording stock movement:', error);
+            alert(`The count was not saved: ${error.message}`);
+          });
       }
+    } catch (error) {
+      alert(error.message);
     }
-    // For cash fields, pre-fill with current value
-    else if (fieldInfo.section === 'cash' && cashData[fieldInfo.field] !== undefined) {
-      setCurrentInputValue(cashData[fieldInfo.field].toString());
+  };
+
+  const handleRecordStockMovement = async ({ itemName, movementType, quantity, reason }) => {
+    try {
+      const movement = inventoryLedger.buildMovement(itemName, movementType, quantity, getMovementOptions({ reason }));
+      await recordStockMovements([movement]);
+      setShowStockMovement(false);
+      console.log(`✅ Recorded ${movementType} ${quantity} × ${itemName}`);
+      return null;
+    } catch (error) {
+      console.error('Error recording stock movement:', error);
+      return error.message;
     }
   };
 
@@ -1018,26 +2028,8 @@ const EmployeePOSTerminal = () => {
     const roundedValue = Math.round(value * 100) / 100;
 
     if (section === 'inventory') {
-      setInventoryItems(prev => prev?.map(item => {
-        if (item?.id === id) {
-          const updatedItem = { ...item, [field]: roundedValue };
-          // Auto-calculate left and total with proper rounding
-          if (field === 'start' || field === 'add' || field === 'sold') {
-            const start = updatedItem?.start || 0;
-            const add = updatedItem?.add || 0;
-            const sold = updatedItem?.sold || 0;
-            const price = updatedItem?.price || 0;
-            
-            updatedItem.left = Math.max(0, start + add - sold); // Prevent negative inventory
-            updatedItem.total = Math.round(sold * price * 100) / 100; // Proper currency rounding
-            
-            // Update master inventory item in database immediately
-            updateMasterInventoryItem(updatedItem);
-          }
-          return updatedItem;
-        }
-        return item;
-      }));
+      // Counts stay in the input until the cell is left; see commitInventoryInput
+      return;
     } else if (section === 'tickets') {
       setTickets(prev => prev?.map(ticket => {
         if (ticket?.id === id) {
@@ -1055,38 +2047,44 @@ const EmployeePOSTerminal = () => {
         ...prev,
         [field]: roundedValue
       }));
+      queueSessionSnapshot({ cash: { ...cashData, [field]: roundedValue } });
     }
   };
 
-  // New function to update master inventory items in real-time
-  const updateMasterInventoryItem = async (updatedItem) => {
-    if (!updatedItem?.dbId) return; // Only update if we have a database ID
-    
+  // Store the current session snapshot (cash, notes, totals) locally and queue it for sync
+  const queueSessionSnapshot = async ({ cash = cashData, sessionNotes = notes } = {}) => {
+    if (!currentSession?.id || !selectedEmployee) return;
+
     try {
-      // Update master inventory item in database to maintain sync
-      const { error } = await supabase
-        ?.from('pos_inventory_items')
-        ?.update({
-          start_count: updatedItem?.start || 0,
-          left_count: updatedItem?.left || 0,
-          sold_count: updatedItem?.sold || 0,
-          add_count: updatedItem?.add || 0,
-          total_amount: updatedItem?.total || 0,
-          updated_at: new Date()?.toISOString()
-        })
-        ?.eq('id', updatedItem?.dbId)
-        ?.is('pos_session_id', null); // Only update master items
+      const snapshot = {
+        ...currentSession,
+        session_date: currentSession.session_date || getTodayDate(),
+        employee_id: currentSession.employee_id || selectedEmployee,
+        status: 'active',
+        notes: sessionNotes || '',
+        inventory_total: totals.inventorySalesTotal || 0,
+        wash_dry_total: totals.washDrySubtotal || 0,
+        grand_total: totals.grandTotal || 0,
+        cash_started: cash.started || 0,
+        cash_added: cash.added || 0,
+        coins_used: cash.coinsUsed || 0,
+        cash_total: (cash.started || 0) + (cash.added || 0) - (cash.coinsUsed || 0),
+        updated_at: new Date().toISOString()
+      };
 
-      if (error) {
-        console.error('Failed to update master inventory:', error);
-      } else {
-        console.log(`✅ Master inventory updated: ${updatedItem?.name} - Stock: ${updatedItem?.left}`);
-      }
+      await localDB.storeSession(snapshot);
+      await syncService.queueSession(snapshot);
+      tabCoordinator.publish('session-changed', { session: snapshot });
     } catch (error) {
-      console.error('Error updating master inventory:', error);
+      console.error('Error queuing session change:', error);
     }
   };
 
+  const handleNotesChange = (value) => {
+    setNotes(value);
+    queueSessionSnapshot({ sessionNotes: value });
+  };
+
   const handleNumberInput = (digit) => {
     if (!activeInput) return;
     
@@ -1162,6 +2160,7 @@ const EmployeePOSTerminal = () => {
   };
 
   const handleEnter = () => {
+    commitInventoryInput();
     // Just clear input mode without resetting values
     setIsInputMode(false);
     setActiveInput(null);
@@ -1229,27 +2228,10 @@ const EmployeePOSTerminal = () => {
       
       localStorage.setItem('active_timesheet', JSON.stringify(timesheetData));
       
-      // Store in localDB (this will mark it as unsynced)
+      // Store in localDB (this will mark it as unsynced) and queue for sync
       await localDB.storeTimesheet(timesheetData);
+      await syncService.queueTimesheet(timesheetData);
       console.log('✅ Stored timesheet in localDB:', timesheetData);
-
-      // If online, save to Supabase
-      if (navigator.onLine) {
-        const { error } = await supabase
-          .from('employee_timesheets')
-          .insert([{
-            id: timesheet.id,
-            employee_id: timesheet.employee_id,
-            clock_in_time: timesheet.clock_in_time,
-            clock_out_time: null,
-            created_at: timesheet.created_at
-          }]);
-
-        if (error) throw error;
-        
-        // If Supabase save successful, mark as synced in localDB
-        await localDB.markTimesheetsSynced([timesheet.id]);
-      }
       
       // Update state
       setActiveClockIn(timesheet);
@@ -1321,25 +2303,10 @@ const EmployeePOSTerminal = () => {
       
       localStorage.setItem('active_timesheet', JSON.stringify(updatedTimesheet));
       
-      // Store in localDB (this will mark it as unsynced)
+      // Store in localDB (this will mark it as unsynced) and queue for sync
       await localDB.storeTimesheet(updatedTimesheet);
+      await syncService.queueTimesheet(updatedTimesheet);
       console.log('✅ Updated timesheet in localDB:', updatedTimesheet);
-
-      // If online, save to Supabase
-      if (navigator.onLine) {
-        const { error } = await supabase
-          .from('employee_timesheets')
-          .update({
-            clock_out_time: timesheet.clock_out_time,
-            updated_at: now.toISOString()
-          })
-          .eq('id', timesheet.id);
-
-        if (error) throw error;
-        
-        // If Supabase save successful, mark as synced in localDB
-        await localDB.markTimesheetsSynced([timesheet.id]);
-      }
       
       // Update state
       setActiveClockIn(null);
@@ -1524,8 +2491,21 @@ const EmployeePOSTerminal = () => {
     }
   };
 
+  // Only one POS tab saves at a time; a click in another tab is told to wait
+  const handleSave = () => tabCoordinator.withLock('save', async (lock) => {
+    if (!lock) {
+      alert('Another POS window is saving right now. Please wait for it to finish.');
+      return;
+    }
+
+    // A count still being typed on the grid is kept
+    commitInventoryInput();
+    await runSave();
+    tabCoordinator.publish('session-saved', { sessionId: currentSession?.id });
+  }, { ifAvailable: true });
+
   // Save all data to database and fetch updated information
-  const handleSave = async () => {
+  const runSave = async () => {
     try {
       // Ensure localDB is ready before any operations
       await localDB.ready;
@@ -1534,9 +2514,11 @@ const EmployeePOSTerminal = () => {
       if (navigator.onLine) {
         console.log('🔄 Downloading latest data from server...');
         
-        // Fetch and store employees first
-        const { data: employees, error: empError } = await supabase.from('user_profiles').select('*');
-        if (empError) {
+        // Pull only employees changed since the last save, then use the full local list
+        let employees;
+        try {
+          employees = await referenceDataService.pullEmployees();
+        } catch (empError) {
           console.error('Error fetching employees:', empError);
           alert('Error downloading employee data. Please try again.');
           return;
@@ -1547,44 +2529,16 @@ const EmployeePOSTerminal = () => {
           return;
         }
 
-        // First ensure localDB is ready
-        await localDB.ready;
-
-        // Store employees in batches to prevent database closing
-        const batchSize = 5;
-        for (let i = 0; i < employees.length; i += batchSize) {
-          const batch = employees.slice(i, i + batchSize);
-          
-          // Process each batch
-          await Promise.all(batch.map(async (employee) => {
-            let retries = 3;
-            while (retries > 0) {
-              try {
-                // Wait for any previous transaction to complete
-                await new Promise(resolve => setTimeout(resolve, 100));
-            await localDB.storeEmployeeProfile(employee);
-                break; // Success, exit retry loop
-              } catch (error) {
-                retries--;
-                if (retries === 0) {
-                  console.error('Failed to store employee after retries:', employee.id);
-                  // Don't throw, just log and continue with other employees
-                  console.error('Error details:', error);
-                }
-                // Wait longer between retries
-                await new Promise(resolve => setTimeout(resolve, 2000));
-              }
-            }
-          }));
-
-          // Wait between batches
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
-
         // Update UI with downloaded employees
           setEmployeeList(employees);
           console.log('✅ Downloaded and stored employees:', employees.length);
 
+        // Customers and prices changed on other terminals or the dashboard since the last save
+        setCustomers(await customerService.refresh());
+        await loadServices({ pull: true });
+        await loadTurnaroundRules({ pull: true });
+        await loadNotificationTemplates({ pull: true });
+
         // If no employee is selected, prompt user to select one
         if (!selectedEmployee) {
           alert('Please select an employee to continue.');
@@ -1599,10 +2553,10 @@ const EmployeePOSTerminal = () => {
           .limit(10);
 
         if (!ticketsError && lastTickets?.length > 0) {
-          // Store tickets in localDB
-          await localDB.storeTickets(lastTickets);
-          setAllStoredTickets(lastTickets);
-          console.log('✅ Downloaded and stored last tickets:', lastTickets.length);
+          // Merge into the local copies, which may hold changes not synced yet
+          const storedTickets = await localDB.storeServerTickets(lastTickets, (server, local) => ticketStatus.mergeCopies(server, local));
+          setAllStoredTickets(storedTickets);
+          console.log('✅ Downloaded and stored last tickets:', storedTickets.length);
         } else {
           // If no tickets found in Supabase, set a message in the history
           setAllStoredTickets([{
@@ -1615,8 +2569,15 @@ const EmployeePOSTerminal = () => {
           }]);
         }
 
-        // Fetch and store master inventory
-        const { data: masterInventory, error: invError } = await supabase.from('master_inventory_items').select('*');
+        // Pull master inventory changes and read the cached catalog
+        let masterInventory = [];
+        let invError = null;
+        try {
+          masterInventory = await referenceDataService.pullMasterInventory();
+        } catch (error) {
+          invError = error;
+          console.error('Error fetching master inventory:', error);
+        }
         if (!invError && masterInventory?.length > 0) {
           // Get existing inventory from localDB first
           const existingInventory = await localDB.getAllInventoryItems();
@@ -1638,6 +2599,7 @@ const EmployeePOSTerminal = () => {
             return {
               id: item.id,
               name: item.item_name,
+              sku: item.sku || null,
               qty: item.quantity || existingItem?.qty || 1,
               price: Number(item.price || existingItem?.price || 0),
               start: existingItem?.left || existingItem?.start || 0,
@@ -1691,11 +2653,10 @@ const EmployeePOSTerminal = () => {
       await localDB.storeSession(sessionToSave);
       console.log('✅ Saved session to localDB:', sessionToSave);
 
-      // Save inventory items to localDB with session ID
-      const inventoryWithSession = inventoryItems.map(item => ({
+      // Save inventory items to localDB with session ID; their counts come from the stock ledger
+      const inventoryWithSession = ledgerItems.map(item => ({
         ...item,
-        pos_session_id: sessionToSave.id,
-        synced: navigator.onLine ? 1 : 0 // Only mark as unsynced when offline
+        pos_session_id: sessionToSave.id
       }));
       await localDB.storeInventoryItems(inventoryWithSession);
       console.log('✅ Saved inventory items to localDB:', inventoryWithSession.length);
@@ -1715,545 +2676,33 @@ const EmployeePOSTerminal = () => {
         console.log('✅ Saved new tickets to localDB:', ticketsWithSession);
       }
 
-      // Handle offline state and validation
+      // Queue the whole session (session, inventory, tickets, cash, notes) as one atomic commit
+      const sessionTickets = (await localDB.getAllTickets()).filter(ticket =>
+        ticket.pos_session_id === sessionToSave.id &&
+        typeof ticket.id === 'string' && ticket.id.includes('-') && // Templates use numeric ids
+        (ticket.ticketNumber || ticket.ticket_number) &&
+        ((ticket.wash > 0 || ticket.dry > 0) ||
+         (ticket.wash_amount > 0 || ticket.dry_amount > 0))
+      );
+      await syncService.queueSessionCommit(sessionToSave, inventoryWithSession, sessionTickets);
+
+      // Handle offline state - everything stays queued in the outbox
       if (!navigator.onLine) {
-        alert('No internet detected. Data saved to localDB. Will sync to server when online.');
+        const queued = await syncService.getSummary();
+        alert(`No internet detected. Data saved to localDB. ${queued.pending} change(s) queued and will sync when online.`);
         return; // Don't try to sync if offline
       } 
-      
-      // Validate employee selection and session ID
-      if (!selectedEmployee) {
-        alert('Error: No employee selected. Please select an employee before saving.');
-        return;
-      } 
-      
-      if (!sessionToSave.id) {
-        alert('Error: Invalid session ID. Please refresh and try again.');
-        return;
-      }
-
-      // Step 2: Upload everything to Supabase
-      console.log('🔄 Uploading data to Supabase...');
-
-      // Get all unsynced sessions from localDB
-      const unsyncedSessions = await localDB.getUnsyncedSessions();
-      console.log('Found unsynced sessions to upload:', unsyncedSessions);
-
-      // Create a map of old session IDs to new ones (in case we need to create new sessions)
-      const sessionIdMap = {};
-
-      // First ensure we have a valid session
-      let currentSessionId = sessionToSave.id || currentSession?.id;
-      console.log('Using session:', currentSessionId);
-
-      // Validate we have what we need
-      if (!currentSessionId || !selectedEmployee) {
-        console.error('❌ No valid session or employee');
-        alert('Please select an employee and ensure you have an active session before saving.');
-        return;
-      }
-
-      // First check if sessions exist for this employee today
-      const { data: activeSessions, error: checkError } = await supabase
-        .from('pos_sessions')
-        .select('*')
-        .match({ 
-          employee_id: selectedEmployee,
-          session_date: getTodayDate(),
-          status: 'active'
-        })
-        .order('created_at', { ascending: false }); // Get most recent first
-
-      if (checkError) {
-        console.error('❌ Error checking for active sessions:', checkError);
-        return;
-      }
-
-      // Handle multiple sessions case
-      let activeSession;
-      if (activeSessions && activeSessions.length > 0) {
-        // First try to find our local session in the active sessions
-        activeSession = activeSessions.find(s => s.id === currentSessionId);
-        
-        if (!activeSession) {
-          // If our local session isn't found, use the most recent
-          if (activeSessions.length > 1) {
-            console.warn(`Found ${activeSessions.length} active sessions for today. Using most recent.`);
-            // Mark older sessions as inactive
-            const oldSessions = activeSessions.slice(1);
-            for (const session of oldSessions) {
-              await supabase
-                .from('pos_sessions')
-                .update({ status: 'inactive', updated_at: new Date().toISOString() })
-                .eq('id', session.id);
-            }
-          }
-          // Use the most recent session
-          activeSession = activeSessions[0];
-          console.log('Using most recent active session:', activeSession.id);
-          currentSessionId = activeSession.id;
-        } else {
-          console.log('Found matching session in Supabase:', activeSession.id);
-        }
-        
-        // Update active session with current values but preserve creation time
-        const sessionPayload = {
-          id: activeSession.id,
-          created_at: activeSession.created_at, // Keep original creation time
-          session_date: getTodayDate(),
-          employee_id: selectedEmployee,
-          status: 'active',
-          notes: notes || '',
-          inventory_total: totals.inventorySalesTotal || 0,
-          wash_dry_total: totals.washDrySubtotal || 0,
-          grand_total: totals.grandTotal || 0,
-          cash_started: cashData.started || 0,
-          cash_added: cashData.added || 0,
-          coins_used: cashData.coinsUsed || 0,
-          cash_total: cashData.total || 0,
-          updated_at: new Date().toISOString()
-        };
-
-        console.log('Upserting session in Supabase:', sessionPayload);
-        const { error: createError } = await supabase
-          .from('pos_sessions')
-          .upsert([sessionPayload], {
-            onConflict: 'id',
-            ignoreDuplicates: false
-          });
-
-        if (createError) {
-          console.error('❌ Failed to upsert session in Supabase:', createError);
-          return;
-        }
-        console.log('✅ Created new session in Supabase:', currentSessionId);
-      }
-
-      // Following offline-first rules:
-      // 1. First try to use the current session from localStorage
-      const storedSessionId = localStorage.getItem('current_session_id');
-      let localActiveSession;
-      
-      if (storedSessionId) {
-        localActiveSession = await localDB.getSession(storedSessionId);
-        // Verify it's valid for current employee and date
-        if (localActiveSession?.employee_id !== selectedEmployee || 
-            localActiveSession?.session_date !== getTodayDate()) {
-          localActiveSession = null;
-        }
-      }
-      
-      // If no valid stored session, check for today's session
-      if (!localActiveSession) {
-        localActiveSession = await localDB.getSessionByEmployeeAndDate(selectedEmployee, getTodayDate());
-      }
-      
-      // If we have a valid session, use it
-      if (localActiveSession) {
-        console.log('Using existing session:', localActiveSession.id);
-        currentSessionId = localActiveSession.id;
-        // Update localStorage to maintain consistency
-        localStorage.setItem('current_session_id', localActiveSession.id);
-      }
-
-      // 2. Get all sessions that need to be synced
-      let sessionsToSync = [...unsyncedSessions]; // Copy existing unsynced sessions
-      console.log('Found unsynced sessions:', sessionsToSync);
-      
-      // 3. Add current session if it's not in the list and we don't have a local active session
-      if (!sessionsToSync.find(s => s.id === currentSessionId) && !localActiveSession) {
-        sessionsToSync.push({
-          id: currentSessionId,
-          created_at: new Date().toISOString(),
-          session_date: new Date().toISOString().split('T')[0],
-          employee_id: selectedEmployee,
-          status: 'active',
-          notes: notes || '',
-          inventory_total: totals.inventorySalesTotal || 0,
-          wash_dry_total: totals.washDrySubtotal || 0,
-          grand_total: totals.grandTotal || 0,
-          cash_started: cashData.started || 0,
-          cash_added: cashData.added || 0,
-          coins_used: cashData.coinsUsed || 0,
-          cash_total: cashData.total || 0,
-          updated_at: new Date().toISOString()
-        });
-      }
-      
-      // 3. Track uploaded sessions
-      const uploadedSessionIds = new Set();
-
-      // 4. Upload sessions one by one to prevent duplicates
-      for (const session of sessionsToSync) {
-        try {
-          // First check if session exists
-          const { data: existingSession, error: checkError } = await supabase
-          .from('pos_sessions')
-            .select('*')
-            .match({ id: session.id })
-            .maybeSingle();
-
-          if (checkError) {
-            console.error('❌ Error checking session:', session.id, checkError);
-            continue;
-          }
-
-          const sessionPayload = {
-            id: session.id,
-            created_at: session.created_at,
-            session_date: session.session_date,
-            employee_id: session.employee_id,
-            status: session.status,
-            notes: session.notes || '',
-            inventory_total: session.inventory_total || 0,
-            wash_dry_total: session.wash_dry_total || 0,
-            grand_total: session.grand_total || 0,
-            cash_started: session.cash_started || 0,
-            cash_added: session.cash_added || 0,
-            coins_used: session.coins_used || 0,
-            cash_total: session.cash_total || 0,
-            updated_at: new Date().toISOString()
-          };
-
-          if (existingSession) {
-            // Update existing session
-            console.log('Updating session:', session.id);
-            const { error: updateError } = await supabase
-              .from('pos_sessions')
-              .update(sessionPayload)
-              .eq('id', session.id);
-
-            if (updateError) {
-              console.error('❌ Error updating session:', session.id, updateError);
-              continue;
-            }
-          } else {
-            // Insert new session
-            console.log('Creating new session:', session.id);
-            const { error: insertError } = await supabase
-              .from('pos_sessions')
-              .insert([sessionPayload]);
-
-            if (insertError) {
-              console.error('❌ Error creating session:', session.id, insertError);
-              continue;
-            }
-          }
-
-          // Mark as synced and track
-        await localDB.markSessionsSynced([session.id]);
-          uploadedSessionIds.add(session.id);
-          console.log('✅ Session synced:', session.id);
-
-        } catch (error) {
-          console.error('❌ Error processing session:', session.id, error);
-        }
-      }
-
-      // Log sync results
-      console.log('✅ All sessions synced:', uploadedSessionIds.size);
-
-      console.log('✅ All sessions uploaded to Supabase:', sessionsToSync.length);
-
-      // Get all unsynced inventory items and current inventory items
-      const [unsyncedInventory, currentInventory] = await Promise.all([
-        localDB.getUnsyncedInventoryItems(),
-        localDB.getAllInventoryItems()
-      ]);
-
-      // Add current inventory items if they're not already in unsynced
-      const currentSessionItems = currentInventory.filter(item => item.pos_session_id === currentSessionId);
-      const unsyncedIds = new Set(unsyncedInventory.map(item => item.id));
-      const additionalItems = currentSessionItems.filter(item => !unsyncedIds.has(item.id));
-
-      const allInventoryToSync = [...unsyncedInventory, ...additionalItems];
-      console.log('Found inventory items to sync:', {
-        unsynced: unsyncedInventory.length,
-        current: additionalItems.length,
-        total: allInventoryToSync.length
-      });
-
-      // First get all inventory items for these sessions from Supabase
-      const { data: existingInventory, error: invCheckError } = await supabase
-          .from('pos_inventory_items')
-        .select('id, pos_session_id, item_name')
-        .in('pos_session_id', [...uploadedSessionIds]);
-
-      if (invCheckError) {
-        console.error('❌ Error checking existing inventory:', invCheckError);
-        return;
-      }
-
-      // Create lookup map for existing inventory
-      const existingInventoryMap = new Map();
-      existingInventory?.forEach(item => {
-        const key = `${item.pos_session_id}_${item.item_name}`;
-        existingInventoryMap.set(key, item.id);
-      });
-
-      // Prepare inventory items for update/insert
-      const inventoryToUpdate = [];
-      const inventoryToInsert = [];
-
-      allInventoryToSync.forEach(item => {
-        // Skip if session not verified
-        if (!uploadedSessionIds.has(item.pos_session_id)) {
-          console.log('Skipping inventory item - session not verified:', {
-            item_name: item.name,
-            session_id: item.pos_session_id
-          });
-          return;
-        }
-
-        const key = `${item.pos_session_id}_${item.name}`;
-        const payload = {
-          pos_session_id: item.pos_session_id,
-          item_name: item.name,
-          quantity: item.qty || 1,
-          price: Number(item.price || 0),
-          start_count: Number(item.start || 0),
-          add_count: Number(item.add || 0),
-          sold_count: Number(item.sold || 0),
-          left_count: Number(item.left || 0),
-          total_amount: Number(item.total || 0),
-          created_at: item.created_at || new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        };
-
-        // If item exists, add its ID and update
-        if (existingInventoryMap.has(key)) {
-          payload.id = existingInventoryMap.get(key);
-          inventoryToUpdate.push(payload);
-        } else {
-          inventoryToInsert.push(payload);
-        }
-      });
-
-      // No need to delete existing inventory - we'll use upsert for updates
-
-      // Filter and prepare inventory items that have valid session IDs
-      // Handle inventory updates
-      if (inventoryToUpdate.length > 0) {
-        console.log('Updating existing inventory items:', inventoryToUpdate.length);
-        const { error: updateError } = await supabase
-        .from('pos_inventory_items')
-          .upsert(inventoryToUpdate);
-
-        if (updateError) {
-          console.error('❌ Error updating inventory:', updateError);
-        return;
-      }
-      }
-
-      // Handle new inventory items
-      if (inventoryToInsert.length > 0) {
-        console.log('Inserting new inventory items:', inventoryToInsert.length);
-        // Add unique IDs for each new item
-        const itemsWithIds = inventoryToInsert.map(item => ({
-          ...item,
-          id: crypto.randomUUID()
-        }));
-        const { error: insertError } = await supabase
-          .from('pos_inventory_items')
-          .insert(itemsWithIds);
-
-        if (insertError) {
-          console.error('❌ Error inserting inventory:', insertError);
-          return;
-        }
-      }
-
-      // Mark all as synced
-      await localDB.markInventoryItemsSynced(unsyncedInventory.map(item => item.id));
-
-      console.log('✅ Inventory uploaded to Supabase:', {
-        updated: inventoryToUpdate.length,
-        inserted: inventoryToInsert.length
-      });
-
-       // Get all unsynced tickets
-       const unsyncedTickets = await localDB.getUnsyncedTickets();
-       console.log('Found unsynced tickets:', unsyncedTickets);
-
-       // Get all session IDs from unsynced tickets
-       const ticketSessionIds = [...new Set(unsyncedTickets
-         .filter(ticket => ticket && ticket.pos_session_id)
-         .map(ticket => ticket.pos_session_id))];
-       
-       // Verify these sessions exist in Supabase
-       const { data: validSessions } = await supabase
-         .from('pos_sessions')
-         .select('id')
-         .in('id', ticketSessionIds);
-       
-       const validSessionIds = validSessions?.map(s => s.id) || [];
-       console.log('Valid session IDs in Supabase:', validSessionIds);
-
-       // Delete existing tickets for valid sessions
-       if (validSessionIds.length > 0) {
-         await supabase
-           .from('pos_wash_dry_tickets')
-           .delete()
-           .in('pos_session_id', validSessionIds);
-       }
-
-       // Filter out empty tickets and prepare payload
-       // Group tickets by session ID and verify sessions exist
-       const ticketsBySession = {};
-       const uniqueSessionIds = new Set();
-       
-       unsyncedTickets.forEach(ticket => {
-         if (ticket.pos_session_id) {
-           uniqueSessionIds.add(ticket.pos_session_id);
-           if (!ticketsBySession[ticket.pos_session_id]) {
-             ticketsBySession[ticket.pos_session_id] = [];
-           }
-           ticketsBySession[ticket.pos_session_id].push(ticket);
-         }
-       });
-       console.log('Tickets grouped by session:', ticketsBySession);
-
-       // Prepare tickets for upload, maintaining session relationships
-       const ticketPayload = unsyncedTickets
-         .filter(ticket => {
-           // First check if the ticket's session exists in Supabase
-           const hasValidSession = validSessionIds.includes(ticket.pos_session_id);
-           // Keep only tickets that have:
-           // 1. A valid UUID (not numeric IDs which are templates)
-           // 2. A ticket number
-           // 3. Either wash or dry amount
-           // 4. A valid session ID
-           // Only proceed if session exists in Supabase
-           if (!hasValidSession) {
-             console.log('Skipping ticket due to invalid session:', ticket.id);
-             return false;
-           }
-
-           const isValidId = typeof ticket.id === 'string' && ticket.id.includes('-');
-           const hasNumber = ticket.ticketNumber || ticket.ticket_number;
-           const hasAmount = (ticket.wash > 0 || ticket.dry > 0) || 
-                           (ticket.wash_amount > 0 || ticket.dry_amount > 0);
-
-           const isValid = isValidId && hasNumber && hasAmount;
-           if (!isValid) {
-             console.log('Skipping invalid ticket:', { id: ticket.id, hasNumber, hasAmount });
-           }
-           return isValid;
-         })
-         .map(ticket => {
-           const { synced, ...ticketWithoutSync } = ticket;
-           
-           // Use existing amounts if they're in the old format
-           const washAmount = ticket.wash_amount || ticket.wash || 0;
-           const dryAmount = ticket.dry_amount || ticket.dry || 0;
-           const totalAmount = ticket.total_amount || ticket.total || (washAmount + dryAmount);
-           const ticketNumber = ticket.ticket_number || ticket.ticketNumber;
-           
-           return {
-             id: ticket.id,
-             pos_session_id: ticket.pos_session_id,
-             ticket_number: ticketNumber,
-             wash_amount: washAmount,
-             dry_amount: dryAmount,
-             total_amount: totalAmount,
-             created_at: ticket.created_at || new Date().toISOString(),
-             updated_at: new Date().toISOString()
-           };
-         });
-
-       console.log('Uploading tickets to Supabase:', ticketPayload);
-
-       const { error: ticketError } = await supabase
-         .from('pos_wash_dry_tickets')
-         .upsert(ticketPayload, { 
-           onConflict: 'id',
-           ignoreDuplicates: false
-         });
-
-      if (ticketError) {
-        console.error('❌ Error uploading tickets to Supabase:', ticketError);
-        alert('Error saving tickets to server. Data is safe in local storage.');
-        return;
-      }
-
-      // Mark tickets as synced
-      await localDB.markTicketsSynced(unsyncedTickets.map(t => t.id));
-      console.log('✅ All tickets uploaded to Supabase:', ticketPayload.length);
-
-      // Get all unsynced timesheets
-      const unsyncedTimesheets = await localDB.getUnsyncedTimesheets();
-      console.log('Found unsynced timesheets:', unsyncedTimesheets);
-
-      if (unsyncedTimesheets.length > 0) {
-        // First verify which timesheets already exist in Supabase
-        const timesheetIds = unsyncedTimesheets.map(t => t.id);
-        const { data: existingTimesheets } = await supabase
-          .from('employee_timesheets')
-          .select('id')
-          .in('id', timesheetIds);
-
-        const existingIds = new Set(existingTimesheets?.map(t => t.id) || []);
-
-        // Split timesheets into updates and inserts
-        const timesheetsToUpdate = [];
-        const timesheetsToInsert = [];
-
-        unsyncedTimesheets.forEach(timesheet => {
-          const payload = {
-            id: timesheet.id,
-            employee_id: timesheet.employee_id,
-            clock_in_time: timesheet.clock_in_time,
-            clock_out_time: timesheet.clock_out_time,
-            work_duration_minutes: timesheet.work_duration_minutes,
-            session_date: timesheet.session_date || new Date().toISOString().split('T')[0],
-            status: timesheet.clock_out_time ? 'clocked_out' : 'clocked_in',
-            notes: timesheet.notes,
-            created_at: timesheet.created_at,
-            updated_at: new Date().toISOString()
-          };
-
-          if (existingIds.has(timesheet.id)) {
-            timesheetsToUpdate.push(payload);
-          } else {
-            timesheetsToInsert.push(payload);
-          }
-        });
-
-      // Process timesheet updates
-      if (timesheetsToUpdate.length > 0) {
-        console.log('Updating existing timesheets:', timesheetsToUpdate.length);
-        const { error: updateError } = await supabase
-          .from('employee_timesheets')
-          .upsert(timesheetsToUpdate);
 
-          if (updateError) {
-            console.error('❌ Error updating timesheets:', updateError);
-            return;
-          }
-        }
+      // Step 2: Apply queued changes to Supabase
+      console.log('🔄 Applying queued changes to Supabase...');
+      const syncResult = await syncService.flush();
+      console.log('✅ Outbox flush finished:', syncResult);
 
-      // Handle new timesheets
-      if (timesheetsToInsert.length > 0) {
-        console.log('Inserting new timesheets:', timesheetsToInsert.length);
-        const { error: insertError } = await supabase
-          .from('employee_timesheets')
-          .insert(timesheetsToInsert);
-
-          if (insertError) {
-            console.error('❌ Error inserting timesheets:', insertError);
-          return;
-          }
-        }
+      // Top up leased ticket numbers while we have a connection
+      await ticketNumbering.refillLeases(today);
 
-        // Mark all as synced
-        await localDB.markTimesheetsSynced(unsyncedTimesheets.map(t => t.id));
-        console.log('✅ All timesheets synced:', {
-          updated: timesheetsToUpdate.length,
-          inserted: timesheetsToInsert.length
-        });
-      } else {
-        console.log('No unsynced timesheets found');
-      }
+      // On-hand including other terminals' stock movements
+      await loadStockLevels({ pull: true });
 
       // After successful save, reload latest state from localDB
       const [latestInventory, latestTickets, latestSession] = await Promise.all([
@@ -2283,7 +2732,17 @@ const EmployeePOSTerminal = () => {
         setNotes(latestSession.notes || '');
         console.log('✅ Reloaded session/cashData/notes from localDB after save:', latestSession);
       }
-      alert('✅ All data saved to Supabase and reloaded from localDB successfully!');
+      // Duplicate numbers are saved on the server but need someone to look at them
+      if (syncResult.numberConflicts?.length > 0) {
+        alert(`⚠️ Ticket number(s) ${syncResult.numberConflicts.join(', ')} were already used on the server. The tickets were saved and flagged as duplicate numbers; please check them on the dashboard.`);
+      }
+
+      const outbox = await syncService.getSummary();
+      if (outbox.pending === 0 && outbox.failed === 0) {
+        alert('✅ All data saved to Supabase and reloaded from localDB successfully!');
+      } else {
+        alert(`⚠️ Data saved to localDB. ${syncResult.applied} change(s) synced, ${outbox.pending} still queued${outbox.failed > 0 ? `, ${outbox.failed} rejected by the server` : ''}.\n\nQueued changes are retried with backoff on later Save Progress clicks.`);
+      }
     } catch (err) {
       console.error('❌ Error in handleSave:', err);
       // Show user-friendly error message
@@ -2428,6 +2887,7 @@ const EmployeePOSTerminal = () => {
                 return {
                   id: item.id,
                   item_name: name,
+                  sku: item.sku,
                   quantity: item.qty,
                   price: item.price
                 };
@@ -2443,7 +2903,7 @@ const EmployeePOSTerminal = () => {
             // If online, try to get from Supabase
             else if (navigator.onLine) {
               try {
-                const { data: masterInventory } = await supabase.from('master_inventory_items').select('*');
+                const masterInventory = await referenceDataService.pullMasterInventory();
                 if (masterInventory?.length > 0) {
                   inventoryStructure = masterInventory;
                   console.log('Using inventory structure from Supabase:', masterInventory);
@@ -2465,6 +2925,7 @@ const EmployeePOSTerminal = () => {
                 return {
                   id: item.id,
                   name: item.item_name || item.name,
+                  sku: item.sku || null,
                   qty: item.quantity || latestItem?.qty || 1,
                   price: Number(item.price || latestItem?.price || 0),
                   start: latestItem?.left || latestItem?.start || 0,
@@ -2559,6 +3020,7 @@ const EmployeePOSTerminal = () => {
       masterProducts = (masterData || []).map(item => ({
         id: item.id,
         name: item.item_name,
+        sku: item.sku || null,
         price: Number(item.price || 0),
         qty: item.quantity || 1
       }));
@@ -2587,11 +3049,13 @@ const EmployeePOSTerminal = () => {
         ...inv,
         id: prod.id, // Always use the unique id from Supabase
         name: prod.name,
+        sku: prod.sku,
         price: prod.price,
         qty: prod.qty
       } : {
         id: prod.id,
         name: prod.name,
+        sku: prod.sku,
         price: prod.price,
         qty: prod.qty,
         start: 0,
@@ -2664,6 +3128,47 @@ const EmployeePOSTerminal = () => {
   // Helper to get today's date in YYYY-MM-DD
   const getTodayDate = () => new Date().toISOString().split('T')[0];
 
+  if (dbUpgradeError) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 flex items-center justify-center p-6">
+        <div className="bg-white rounded-2xl shadow-lg p-8 max-w-lg text-center">
+          <Icon name="AlertTriangle" size={40} className="text-red-500 mx-auto mb-4" />
+          <h2 className="text-xl font-semibold text-slate-800 mb-2">Terminal update failed</h2>
+          <p className="text-slate-600 mb-2">{dbUpgradeError}</p>
+          <p className="text-sm text-slate-500 mb-6">
+            Nothing was lost, but the POS can't run until the update succeeds. Close other POS tabs and reload;
+            if it fails again, export a backup and contact the administrator.
+          </p>
+          <div className="flex justify-center space-x-3">
+            <button
+              onClick={handleExportBackup}
+              disabled={backupBusy}
+              className="px-4 py-2 text-sm rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100 disabled:opacity-50"
+            >
+              Export backup
+            </button>
+            <button
+              onClick={() => window.location.reload()}
+              className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700"
+            >
+              Reload
+            </button>
+          </div>
+        </div>
+        {pinRequest && (
+          <AdminPinDialog
+            title={pinRequest.title}
+            description={pinRequest.description}
+            pinLabel={pinRequest.pinLabel}
+            managers={pinRequest.managers}
+            onSubmit={handleSubmitAdminPin}
+            onCancel={() => setPinRequest(null)}
+          />
+        )}
+      </div>
+    );
+  }
+
   if (loading && !currentSession) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 flex items-center justify-center">
@@ -2823,12 +3328,28 @@ const EmployeePOSTerminal = () => {
                   <h2 className="text-xl font-semibold text-slate-800">Inventory Management</h2>
                   <p className="text-sm text-slate-600">Items synced in real-time from admin master inventory</p>
                 </div>
+                <button
+                  onClick={() => setShowStockMovement(true)}
+                  className="px-3 py-2 text-sm rounded-lg border border-emerald-600 text-emerald-700 hover:bg-emerald-50 flex items-center"
+                  title="Record received, damaged, transferred or adjusted stock"
+                >
+                  <Icon name="ArrowLeftRight" size={16} className="mr-1" />
+                  Stock
+                </button>
+                <button
+                  onClick={() => setShowSaleReceipt(true)}
+                  className="px-3 py-2 text-sm rounded-lg bg-emerald-600 text-white hover:bg-emerald-700 flex items-center"
+                >
+                  <Icon name="Receipt" size={16} className="mr-1" />
+                  Sale receipt
+                </button>
               </div>
               <InventoryGrid 
-                items={inventoryItems}
+                items={ledgerItems}
                 onFieldClick={handleFieldClick}
                 activeInput={activeInput}
                 getDisplayValue={getDisplayValue}
+                highlightId={scannedItemId}
               />
             </div>
 
@@ -2840,10 +3361,22 @@ const EmployeePOSTerminal = () => {
                 </div>
                 <h2 className="text-xl font-semibold text-slate-800">Wash & Dry Tickets</h2>
               </div>
+              <DueTicketsAlert tickets={promisedTickets} onSelect={(ticket) => setScannedTicket({ ticket, local: true })} />
               {/* Ticket History */}
               <TicketHistory 
                 tickets={allStoredTickets || []}
                 pageSize={10}
+                onAdvanceStatus={handleAdvanceTicketStatus}
+                busyTicketId={statusBusyTicketId}
+                customersById={customersById}
+                onShowCustomer={handleShowCustomerHistory}
+                onPrint={handlePrintTicket}
+                onAdjust={handleAdjustTicket}
+                onEdit={handleEditTicket}
+                onEditLines={setLinesEditTicket}
+                onSearch={() => setShowTicketSearch(true)}
+                onImport={handleOpenTicketImport}
+                currentSessionId={currentSession?.id}
               />
               {/* Debug output */}
               {process.env.NODE_ENV === 'development' && (
@@ -2855,6 +3388,13 @@ const EmployeePOSTerminal = () => {
               {/* Current Ticket Input */}
               <TicketInput 
                 ticket={tickets[0]}
+                services={services}
+                onAddService={handleAddService}
+                onChangeLine={handleChangeLine}
+                onRemoveLine={handleRemoveLine}
+                onChangePayments={handleChangePayments}
+                defaultReadyAt={turnaround.getDefaultPromise(tickets[0], turnaroundRules, new Date())}
+                onChangeReadyAt={handleChangeReadyAt}
                 onTicketNumberChange={(value) => {
                   setCurrentInputValue(value);
                   handleFieldChange('ticketNumber', value, tickets[0].id);
@@ -2883,6 +3423,8 @@ const EmployeePOSTerminal = () => {
                 }}
                 onInsert={handleInsertTicket}
                 loading={loading}
+                onPickCustomer={() => setShowCustomerLookup(true)}
+                onClearCustomer={() => attachCustomer(null)}
               />
             </div>
 
@@ -2894,14 +3436,14 @@ const EmployeePOSTerminal = () => {
                 activeInput={activeInput}
                 getDisplayValue={getDisplayValue}
               />
-              <TotalsSection totals={totals} />
-              <NotesSection notes={notes} setNotes={setNotes} />
+              <TotalsSection totals={totals} tenderBreakdown={tenderBreakdown} />
+              <NotesSection notes={notes} setNotes={handleNotesChange} />
             </div>
           </div>
         </div>
 
         {/* Numpad Area - 30% width */}
-        <div className="w-80 bg-white/90 backdrop-blur-sm border-l border-slate-200 p-6">
+        <div className="w-80 bg-white/90 backdrop-blur-sm border-l border-slate-200 p-6 flex flex-col">
           <Numpad 
             onNumberClick={handleNumberInput}
             onDecimalClick={handleDecimalInput}
@@ -2911,8 +3453,185 @@ const EmployeePOSTerminal = () => {
             activeInput={activeInput}
             loading={loading}
           />
+          <div className="mt-4">
+            <OutboxStatus
+              summary={outboxSummary}
+              backgroundSync={backgroundSyncEnabled}
+              onToggleBackgroundSync={handleToggleBackgroundSync}
+              onShowDetails={() => setShowSyncPanel(true)}
+            />
+          </div>
+          <div className="mt-4">
+            <TicketNumberingStatus
+              status={ticketNumberingStatus}
+              onEdit={adminPin.isConfigured() ? handleEditTicketNumbering : null}
+            />
+          </div>
+          <div className="mt-4">
+            <ReceiptPrinterStatus
+              settings={receiptSettings}
+              onEdit={adminPin.isConfigured() ? handleEditReceiptSettings : null}
+            />
+          </div>
+          <div className="mt-4">
+            <TerminalBackup
+              enabled={adminPin.isConfigured()}
+              busy={backupBusy}
+              onExport={handleExportBackup}
+              onImport={handleImportBackup}
+            />
+          </div>
         </div>
       </div>
+
+      {showSyncPanel && (
+        <SyncStatusPanel
+          status={syncStatus}
+          loading={syncStatusLoading}
+          busyKey={syncBusyKey}
+          onRetryRecord={handleRetrySyncRecord}
+          onDiscardRecord={handleDiscardSyncRecord}
+          onRetryEntry={handleRetrySyncEntry}
+          onDiscardEntry={handleDiscardSyncEntry}
+          onRefresh={loadSyncStatus}
+          onClose={() => setShowSyncPanel(false)}
+        />
+      )}
+
+      {editingTicketNumbering && (
+        <TicketNumberingDialog
+          prefix={ticketNumberingStatus?.prefix || ''}
+          width={ticketNumberingStatus?.width || 3}
+          onSave={handleSaveTicketNumbering}
+          onCancel={() => setEditingTicketNumbering(false)}
+        />
+      )}
+
+      {editingReceiptSettings && (
+        <ReceiptSettingsDialog
+          settings={receiptSettings}
+          onSave={handleSaveReceiptSettings}
+          onTestPrint={handleTestPrint}
+          onCancel={() => setEditingReceiptSettings(false)}
+        />
+      )}
+
+      {showSaleReceipt && (
+        <SaleReceiptDialog
+          items={ledgerItems}
+          busy={saleBusy}
+          onSubmit={handleRecordSale}
+          onCancel={() => setShowSaleReceipt(false)}
+        />
+      )}
+
+      {showStockMovement && (
+        <StockMovementDialog
+          items={ledgerItems}
+          movements={stockMovements}
+          employeesById={Object.fromEntries(employeeList.map(employee => [employee.id, employee]))}
+          onSubmit={handleRecordStockMovement}
+          onCancel={() => setShowStockMovement(false)}
+        />
+      )}
+
+      {showTicketSearch && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-4xl">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-slate-800">Find ticket</h3>
+              <button onClick={() => setShowTicketSearch(false)} className="text-slate-400 hover:text-slate-600" title="Close">
+                <Icon name="X" size={20} />
+              </button>
+            </div>
+            <TicketSearchPanel onSearch={handleSearchTickets} onSelect={handleSelectSearchResult} />
+          </div>
+        </div>
+      )}
+
+      {scannedTicket && (
+        <TicketDetailDialog
+          ticket={scannedTicket.ticket}
+          customer={scannedTicket.ticket.customer_id
+            ? customersById[scannedTicket.ticket.customer_id] || { id: scannedTicket.ticket.customer_id, full_name: scannedTicket.ticket.customer_name || 'Customer' }
+            : null}
+          busy={statusBusyTicketId === scannedTicket.ticket.id}
+          onAdvanceStatus={scannedTicket.local ? handleAdvanceTicketStatus : null}
+          onAdjust={handleAdjustTicket}
+          onResendNotification={scannedTicket.local ? handleResendNotification : null}
+          currentSessionId={currentSession?.id}
+          onPrint={handlePrintTicket}
+          onShowCustomer={handleShowCustomerHistory}
+          onClose={() => setScannedTicket(null)}
+        />
+      )}
+
+      {scanNotice && (
+        <div className={`fixed bottom-6 left-1/2 transform -translate-x-1/2 z-50 px-4 py-2 rounded-lg shadow-lg text-sm font-medium ${
+          scanNotice.type === 'error' ? 'bg-red-600 text-white' : 'bg-emerald-600 text-white'
+        }`}>
+          {scanNotice.text}
+        </div>
+      )}
+
+      {showCustomerLookup && (
+        <CustomerLookupDialog
+          customers={customers}
+          onSelect={handleSelectCustomer}
+          onCreate={handleCreateCustomer}
+          onShowHistory={handleShowCustomerHistory}
+          onClose={() => setShowCustomerLookup(false)}
+        />
+      )}
+
+      {customerHistory && (
+        <CustomerHistoryDialog
+          customer={customerHistory.customer}
+          tickets={customerHistory.tickets}
+          loading={customerHistory.loading}
+          onClose={() => setCustomerHistory(null)}
+        />
+      )}
+
+      {linesEditTicket && (
+        <TicketLinesDialog
+          ticket={linesEditTicket}
+          services={services}
+          onSubmit={handleSubmitTicketLines}
+          onCancel={() => setLinesEditTicket(null)}
+        />
+      )}
+
+      {importSessions && (
+        <TicketImportDialog
+          sessions={importSessions}
+          defaultSessionId={currentSession?.id}
+          employeesById={Object.fromEntries(employeeList.map(employee => [employee.id, employee]))}
+          onPreview={handlePreviewTicketImport}
+          onImport={handleImportTickets}
+          onCancel={() => setImportSessions(null)}
+        />
+      )}
+
+      {adjustmentRequest && (
+        <TicketAdjustmentDialog
+          ticket={adjustmentRequest.ticket}
+          kind={adjustmentRequest.kind}
+          onSubmit={handleSubmitAdjustment}
+          onCancel={() => setAdjustmentRequest(null)}
+        />
+      )}
+
+      {pinRequest && (
+        <AdminPinDialog
+          title={pinRequest.title}
+          description={pinRequest.description}
+          pinLabel={pinRequest.pinLabel}
+          managers={pinRequest.managers}
+          onSubmit={handleSubmitAdminPin}
+          onCancel={() => setPinRequest(null)}
+        />
+      )}
     </div>
   );
 };
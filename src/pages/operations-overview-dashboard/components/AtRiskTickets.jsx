@@ -0,0 +1,78 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+import { ticketStatusLabels } from '../../../services/ticketStatus';
+import { turnaround, DUE_SOON_MINUTES } from '../../../services/turnaround';
+
+// Open drop-off tickets past their promised ready time or due within the hour,
+// read from the server by turnaround.getAtRiskTickets
+const AtRiskTickets = ({ tickets = [], loading = false, onRefresh }) => {
+  const now = new Date();
+
+  if (loading) {
+    return (
+      <div className="bg-card border border-border rounded-lg p-6 shadow-card">
+        <div className="animate-pulse space-y-3">
+          <div className="h-6 bg-muted rounded w-32"></div>
+          {[...Array(3)].map((_, i) => (
+            <div key={i} className="h-4 bg-muted rounded w-full"></div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  const overdueCount = tickets.filter(ticket => turnaround.getDueState(ticket, now) === 'overdue').length;
+
+  return (
+    <div className="bg-card border border-border rounded-lg p-6 shadow-card">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-foreground">Tickets at Risk</h3>
+          <p className="text-xs text-muted-foreground">
+            {overdueCount} overdue, {tickets.length - overdueCount} due within {DUE_SOON_MINUTES} minutes
+          </p>
+        </div>
+        <button onClick={onRefresh} title="Refresh">
+          <Icon name="RefreshCw" size={16} className="text-muted-foreground hover:text-foreground cursor-pointer transition-smooth" />
+        </button>
+      </div>
+
+      {tickets.length === 0 ? (
+        <div className="text-center py-6 text-sm text-muted-foreground">
+          <Icon name="CheckCircle2" size={32} className="mx-auto mb-2 text-success" />
+          Every open ticket is on track
+        </div>
+      ) : (
+        <div className="overflow-y-auto" style={{ maxHeight: '260px' }}>
+          <table className="min-w-full text-sm">
+            <tbody>
+              {tickets.map(ticket => {
+                const overdue = turnaround.getDueState(ticket, now) === 'overdue';
+                return (
+                  <tr key={ticket.id} className="border-t border-border">
+                    <td className="py-2 pr-2 font-medium">{ticket.ticket_number}</td>
+                    <td className="py-2 pr-2">
+                      {ticket.customers?.full_name || '—'}
+                      {ticket.customers?.phone && (
+                        <span className="block text-xs text-muted-foreground">{ticket.customers.phone}</span>
+                      )}
+                    </td>
+                    <td className="py-2 pr-2 text-muted-foreground">{ticketStatusLabels[ticket.status]}</td>
+                    <td className={`py-2 text-right ${overdue ? 'text-error font-semibold' : 'text-warning'}`}>
+                      {turnaround.describeDue(ticket, now)}
+                      <span className="block text-xs text-muted-foreground font-normal">
+                        {new Date(ticket.promised_ready_at).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })}
+                      </span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AtRiskTickets;
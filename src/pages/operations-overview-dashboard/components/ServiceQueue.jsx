@@ -1,7 +1,7 @@
 import React from 'react';
 import Icon from '../../../components/AppIcon';
 
-const ServiceQueue = ({ queues, loading = false }) => {
+const ServiceQueue = ({ queues, loading = false, onRefresh }) => {
   const getQueueColor = (status, count) => {
     if (status === 'critical' || count > 10) return 'text-error';
     if (status === 'warning' || count > 5) return 'text-warning';
@@ -46,7 +46,9 @@ const ServiceQueue = ({ queues, loading = false }) => {
     <div className="bg-card border border-border rounded-lg p-6 shadow-card">
       <div className="flex items-center justify-between mb-4">
         <h3 className="text-lg font-semibold text-foreground">Service Queue</h3>
-        <Icon name="RefreshCw" size={16} className="text-muted-foreground hover:text-foreground cursor-pointer transition-smooth" />
+        <button onClick={onRefresh} title="Refresh queue">
+          <Icon name="RefreshCw" size={16} className="text-muted-foreground hover:text-foreground cursor-pointer transition-smooth" />
+        </button>
       </div>
       <div className="grid grid-cols-2 gap-4">
         {queues?.map((queue) => (
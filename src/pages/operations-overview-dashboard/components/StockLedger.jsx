@@ -0,0 +1,130 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+import { MOVEMENT_TYPES, movementTypeLabels } from '../../../services/inventoryLedger';
+
+const formatDate = (value) => value
+  ? new Date(value).toLocaleString([], { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+  : '—';
+
+// Stock on hand per item from the movement ledger, and the latest movements with who
+// recorded them and why. filter is { itemName, movementType }; onFilterChange(filter)
+// reloads the movements.
+const StockLedger = ({ onHand = [], movements = [], loading = false, filter = {}, onFilterChange, onRefresh }) => (
+  <div>
+    <div className="flex items-center justify-between mb-3">
+      <h3 className="text-lg font-semibold text-gray-800">Stock on hand</h3>
+      <button
+        onClick={onRefresh}
+        disabled={loading}
+        className="px-3 py-1.5 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+      >
+        <Icon name="RefreshCw" size={14} className={`inline mr-1 ${loading ? 'animate-spin' : ''}`} />
+        Refresh
+      </button>
+    </div>
+
+    <div className="overflow-x-auto mb-6">
+      <table className="min-w-full text-sm">
+        <thead className="bg-gray-50 text-left text-gray-600">
+          <tr>
+            <th className="px-3 py-2">Item</th>
+            <th className="px-3 py-2 text-right">On hand</th>
+            <th className="px-3 py-2 text-right">Received</th>
+            <th className="px-3 py-2 text-right">Sold</th>
+            <th className="px-3 py-2 text-right">Damaged</th>
+            <th className="px-3 py-2 text-right">Transferred</th>
+            <th className="px-3 py-2 text-right">Adjusted</th>
+            <th className="px-3 py-2">Last received</th>
+          </tr>
+        </thead>
+        <tbody>
+          {onHand.map(row => (
+            <tr
+              key={row.item_key}
+              onClick={() => onFilterChange({ ...filter, itemName: filter.itemName === row.item_name ? '' : row.item_name })}
+              className={`border-t border-gray-100 cursor-pointer hover:bg-gray-50 ${filter.itemName === row.item_name ? 'bg-cyan-50' : ''}`}
+            >
+              <td className="px-3 py-2 font-medium text-gray-800">{row.item_name}</td>
+              <td className={`px-3 py-2 text-right font-semibold ${row.on_hand < 0 ? 'text-red-600' : 'text-gray-800'}`}>{row.on_hand}</td>
+              <td className="px-3 py-2 text-right">{row.received}</td>
+              <td className="px-3 py-2 text-right">{row.sold}</td>
+              <td className="px-3 py-2 text-right">{row.damaged}</td>
+              <td className="px-3 py-2 text-right">{row.transferred}</td>
+              <td className="px-3 py-2 text-right">{row.adjusted}</td>
+              <td className="px-3 py-2 text-gray-600">{formatDate(row.last_received_at)}</td>
+            </tr>
+          ))}
+          {onHand.length === 0 && (
+            <tr>
+              <td colSpan={8} className="px-3 py-6 text-center text-gray-500">
+                {loading ? 'Loading…' : 'No stock movements recorded yet'}
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+
+    <div className="flex flex-wrap items-center gap-3 mb-3">
+      <h3 className="text-lg font-semibold text-gray-800 mr-auto">
+        Movements{filter.itemName ? ` · ${filter.itemName}` : ''}
+      </h3>
+      <select
+        value={filter.movementType || ''}
+        onChange={(e) => onFilterChange({ ...filter, movementType: e.target.value })}
+        className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm"
+      >
+        <option value="">All movements</option>
+        {MOVEMENT_TYPES.map(type => (
+          <option key={type} value={type}>{movementTypeLabels[type]}</option>
+        ))}
+      </select>
+      {filter.itemName && (
+        <button
+          onClick={() => onFilterChange({ ...filter, itemName: '' })}
+          className="px-3 py-1.5 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100"
+        >
+          All items
+        </button>
+      )}
+    </div>
+
+    <div className="max-h-96 overflow-y-auto">
+      <table className="min-w-full text-sm">
+        <thead className="bg-gray-50 text-left text-gray-600 sticky top-0">
+          <tr>
+            <th className="px-3 py-2">When</th>
+            <th className="px-3 py-2">Item</th>
+            <th className="px-3 py-2">Movement</th>
+            <th className="px-3 py-2 text-right">Units</th>
+            <th className="px-3 py-2">Reason</th>
+            <th className="px-3 py-2">Employee</th>
+          </tr>
+        </thead>
+        <tbody>
+          {movements.map(movement => (
+            <tr key={movement.id} className="border-t border-gray-100">
+              <td className="px-3 py-2 text-gray-600 whitespace-nowrap">{formatDate(movement.occurred_at)}</td>
+              <td className="px-3 py-2">{movement.item_name}</td>
+              <td className="px-3 py-2">{movementTypeLabels[movement.movement_type] || movement.movement_type}</td>
+              <td className={`px-3 py-2 text-right font-semibold ${movement.quantity > 0 ? 'text-green-700' : 'text-red-600'}`}>
+                {movement.quantity > 0 ? '+' : ''}{movement.quantity}
+              </td>
+              <td className="px-3 py-2 text-gray-600">{movement.reason || (movement.sale_id ? 'Sale receipt' : '—')}</td>
+              <td className="px-3 py-2 text-gray-600">{movement.user_profiles?.full_name || movement.terminal_id || '—'}</td>
+            </tr>
+          ))}
+          {movements.length === 0 && (
+            <tr>
+              <td colSpan={6} className="px-3 py-6 text-center text-gray-500">
+                {loading ? 'Loading…' : 'No movements match'}
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+export default StockLedger;
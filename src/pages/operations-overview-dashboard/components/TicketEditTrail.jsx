@@ -0,0 +1,89 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+
+const formatAmount = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+const AMOUNT_FIELDS = ['wash_amount', 'dry_amount', 'addon_amount', 'total_amount'];
+
+const describeLine = (line) =>
+  `${line.service_name} ×${Number(line.quantity || 0)} @ ${formatAmount(line.unit_price)}${line.notes ? ` (${line.notes})` : ''}`;
+
+// Lines of a ticket priced from services, before → after; nothing for typed tickets
+const LineChanges = ({ before = [], after = [] }) => {
+  const beforeText = before.map(describeLine);
+  const afterText = after.map(describeLine);
+  const removed = beforeText.filter(text => !afterText.includes(text));
+  const added = afterText.filter(text => !beforeText.includes(text));
+  if (removed.length === 0 && added.length === 0) return null;
+  return (
+    <div className="text-xs mt-1 space-y-0.5">
+      {removed.map((text, index) => <div key={`r${index}`} className="text-red-600">− {text}</div>)}
+      {added.map((text, index) => <div key={`a${index}`} className="text-green-700">+ {text}</div>)}
+    </div>
+  );
+};
+
+// Amount and service corrections made to a ticket on the POS, oldest first
+const TicketEditTrail = ({ ticket, edits = [], loading = false, onClose }) => {
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-2xl">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-800">Edit trail for ticket {ticket?.ticket_number}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close">
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="text-center py-8 text-gray-500">Loading edits...</div>
+        ) : edits.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">No edits recorded for this ticket.</div>
+        ) : (
+          <div className="max-h-96 overflow-y-auto">
+            <table className="min-w-full text-sm">
+              <thead className="sticky top-0 bg-white">
+                <tr className="bg-gray-50 text-gray-600">
+                  <th className="px-3 py-2 text-left font-semibold">When</th>
+                  <th className="px-3 py-2 text-left font-semibold">Who</th>
+                  <th className="px-3 py-2 text-right font-semibold">Wash</th>
+                  <th className="px-3 py-2 text-right font-semibold">Dry</th>
+                  <th className="px-3 py-2 text-right font-semibold">Add-ons</th>
+                  <th className="px-3 py-2 text-right font-semibold">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {edits.map(edit => (
+                  <tr key={edit.id} className="border-t border-gray-100">
+                    <td className="px-3 py-2 text-gray-600">
+                      {new Date(edit.edited_at).toLocaleString()}
+                      {edit.terminal_id && <div className="text-xs text-gray-400">{edit.terminal_id}</div>}
+                    </td>
+                    <td className="px-3 py-2">
+                      {edit.user_profiles?.full_name || 'Unknown'}
+                      {edit.after_values?.lines && (
+                        <LineChanges before={edit.before_values?.lines} after={edit.after_values.lines} />
+                      )}
+                    </td>
+                    {AMOUNT_FIELDS.map(field => {
+                      const before = edit.before_values?.[field];
+                      const after = edit.after_values?.[field];
+                      const changed = Number(before || 0) !== Number(after || 0);
+                      return (
+                        <td key={field} className={`px-3 py-2 text-right ${changed ? 'font-semibold' : 'text-gray-400'}`}>
+                          {changed ? `${formatAmount(before)} → ${formatAmount(after)}` : formatAmount(after)}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TicketEditTrail;
@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import { ticketStatus, ticketStatusLabels } from '../../../services/ticketStatus';
+import { ticketAging, AGING_BUCKETS, followupActionLabels } from '../../../services/ticketAging';
+
+const bucketColors = {
+  7: 'bg-amber-50 border-amber-200 text-amber-800',
+  30: 'bg-orange-50 border-orange-200 text-orange-800',
+  60: 'bg-red-50 border-red-200 text-red-800'
+};
+
+// Tickets not picked up after a week or more, by age bucket, with bulk follow-ups and a
+// spreadsheet export of what is shown. onFollowup(ticketIds, action, reason) resolves to
+// an error message, or null once recorded.
+const UnclaimedTickets = ({ tickets = [], loading = false, onRefresh, onFollowup }) => {
+  const [bucket, setBucket] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  // Donate or dispose waiting for its reason: { action, reason, error }
+  const [pending, setPending] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const now = new Date();
+  const counts = ticketAging.countByBucket(tickets, now);
+  const shown = bucket ? tickets.filter(ticket => ticketAging.getBucket(ticket, now) === bucket) : tickets;
+  const selected = shown.filter(ticket => selectedIds.includes(ticket.id));
+  const allSelected = shown.length > 0 && selected.length === shown.length;
+
+  const toggle = (ticketId) => {
+    setSelectedIds(prev => prev.includes(ticketId) ? prev.filter(id => id !== ticketId) : [...prev, ticketId]);
+  };
+
+  const runFollowup = async (action, reason = '') => {
+    setBusy(true);
+    const error = await onFollowup(selected.map(ticket => ticket.id), action, reason);
+    setBusy(false);
+    if (error) {
+      if (pending) setPending({ ...pending, error });
+      else setMessage({ type: 'error', text: error });
+      return;
+    }
+    setMessage({ type: 'success', text: `${selected.length} ticket${selected.length === 1 ? '' : 's'} marked ${followupActionLabels[action].toLowerCase()}` });
+    setSelectedIds([]);
+    setPending(null);
+  };
+
+  const exportList = () => {
+    import('xlsx').then(XLSX => {
+      const ws = XLSX.utils.aoa_to_sheet(ticketAging.toSheetRows(selected.length > 0 ? selected : shown, now));
+      const wb = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(wb, ws, 'Unclaimed');
+      XLSX.writeFile(wb, `laundryking-unclaimed-${now.toISOString().slice(0, 10)}.xlsx`);
+    });
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-3 gap-4 mb-4">
+        {[...AGING_BUCKETS].reverse().map(({ key, label }) => (
+          <button
+            key={key}
+            onClick={() => setBucket(bucket === key ? null : key)}
+            className={`p-4 rounded-lg border text-left ${bucketColors[key]} ${bucket === key ? 'ring-2 ring-offset-1 ring-cyan-500' : ''}`}
+          >
+            <div className="text-2xl font-bold">{counts[key]}</div>
+            <div className="text-sm">{label}</div>
+          </button>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <span className="text-sm text-gray-600 mr-2">
+          {selected.length > 0 ? `${selected.length} selected` : `${shown.length} ticket${shown.length === 1 ? '' : 's'}`}
+        </span>
+        <button
+          onClick={() => runFollowup('contacted')}
+          disabled={busy || selected.length === 0}
+          className="px-3 py-1.5 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+        >
+          <Icon name="PhoneCall" size={14} className="inline mr-1" />
+          Mark contacted
+        </button>
+        {['donated', 'disposed'].map(action => (
+          <button
+            key={action}
+            onClick={() => setPending({ action, reason: '', error: null })}
+            disabled={busy || selected.length === 0}
+            className="px-3 py-1.5 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+          >
+            Mark {followupActionLabels[action].toLowerCase()}...
+          </button>
+        ))}
+        <button
+          onClick={exportList}
+          disabled={shown.length === 0}
+          className="px-3 py-1.5 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+        >
+          <Icon name="Download" size={14} className="inline mr-1" />
+          Export {selected.length > 0 ? 'selected' : 'list'}
+        </button>
+        <button onClick={onRefresh} className="ml-auto" title="Refresh">
+          <Icon name="RefreshCw" size={16} className="text-gray-500 hover:text-gray-800" />
+        </button>
+      </div>
+
+      {message && (
+        <p className={`text-sm mb-3 ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+      )}
+
+      <div className="max-h-96 overflow-y-auto">
+        <table className="min-w-full text-sm">
+          <thead className="sticky top-0 bg-white">
+            <tr className="bg-gray-50 text-gray-600">
+              <th className="px-3 py-2 w-8">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={() => setSelectedIds(allSelected ? [] : shown.map(ticket => ticket.id))}
+                />
+              </th>
+              <th className="px-3 py-2 text-left font-semibold">Ticket #</th>
+              <th className="px-3 py-2 text-left font-semibold">Dropped off</th>
+              <th className="px-3 py-2 text-right font-semibold">Age</th>
+              <th className="px-3 py-2 text-left font-semibold">Status</th>
+              <th className="px-3 py-2 text-left font-semibold">Customer</th>
+              <th className="px-3 py-2 text-left font-semibold">Last contacted</th>
+              <th className="px-3 py-2 text-right font-semibold">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="8" className="px-3 py-8 text-center text-gray-500">Loading unclaimed tickets...</td>
+              </tr>
+            ) : shown.length === 0 ? (
+              <tr>
+                <td colSpan="8" className="px-3 py-8 text-center text-gray-500">No unclaimed tickets</td>
+              </tr>
+            ) : shown.map(ticket => (
+              <tr key={ticket.id} className="border-t border-gray-100">
+                <td className="px-3 py-2">
+                  <input type="checkbox" checked={selectedIds.includes(ticket.id)} onChange={() => toggle(ticket.id)} />
+                </td>
+                <td className="px-3 py-2 font-medium">{ticket.ticket_number}</td>
+                <td className="px-3 py-2 text-gray-600">
+                  {ticket.pos_sessions?.session_date || new Date(ticket.created_at).toLocaleDateString()}
+                </td>
+                <td className="px-3 py-2 text-right">{ticketAging.getAgeDays(ticket, now)}d</td>
+                <td className="px-3 py-2">{ticketStatusLabels[ticketStatus.getStatus(ticket)]}</td>
+                <td className="px-3 py-2">
+                  {ticket.customers?.full_name || <span className="text-gray-400">No customer</span>}
+                  {ticket.customers?.phone && (
+                    <a href={`tel:${ticket.customers.phone}`} className="block text-xs text-cyan-700 hover:underline">
+                      {ticket.customers.phone}
+                    </a>
+                  )}
+                </td>
+                <td className="px-3 py-2 text-gray-600">
+                  {ticket.last_contacted_at ? new Date(ticket.last_contacted_at).toLocaleDateString() : '—'}
+                </td>
+                <td className="px-3 py-2 text-right">${Number(ticket.total_amount || 0).toFixed(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {pending && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <form
+            onSubmit={(e) => {
+              e?.preventDefault();
+              runFollowup(pending.action, pending.reason);
+            }}
+            className="bg-white rounded-lg p-6 w-full max-w-md"
+          >
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">
+              Mark {selected.length} ticket{selected.length === 1 ? '' : 's'} {followupActionLabels[pending.action].toLowerCase()}
+            </h3>
+            <p className="text-sm text-gray-600 mb-4">The tickets are closed and leave this report. The reason is kept with each one.</p>
+            <textarea
+              autoFocus
+              rows={2}
+              value={pending.reason}
+              onChange={(e) => setPending({ ...pending, reason: e?.target?.value })}
+              placeholder={pending.action === 'donated' ? 'e.g. Unclaimed 90 days, given to shelter' : 'e.g. Mildewed, not salvageable'}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+            />
+            {pending.error && <p className="text-sm text-red-600 mt-2">{pending.error}</p>}
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                type="button"
+                onClick={() => setPending(null)}
+                className="px-4 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={busy || !pending.reason.trim()}
+                className="px-4 py-2 text-sm rounded-lg bg-cyan-600 text-white hover:bg-cyan-700 disabled:opacity-50"
+              >
+                Mark {followupActionLabels[pending.action].toLowerCase()}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UnclaimedTickets;
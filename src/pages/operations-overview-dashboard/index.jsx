@@ -8,6 +8,21 @@ import { XCircle } from 'lucide-react';
 import { supabase, handleSupabaseError, withSessionRetry } from '../../lib/supabase';
 import { useAuth } from '../../contexts/AuthContext';
 import { timesheetService } from '../../services/timesheetService';
+import { ticketStatus, ticketStatusLabels } from '../../services/ticketStatus';
+import { serviceCatalog, SERVICE_CATEGORIES, serviceCategoryLabels, pricingUnitLabels } from '../../services/serviceCatalog';
+import ServiceQueue from './components/ServiceQueue';
+import AtRiskTickets from './components/AtRiskTickets';
+import TicketEditTrail from './components/TicketEditTrail';
+import UnclaimedTickets from './components/UnclaimedTickets';
+import StockLedger from './components/StockLedger';
+import TicketSearchPanel from '../../components/TicketSearchPanel';
+import { ticketSearch } from '../../services/ticketSearch';
+import { TENDERS, tenderLabels, tenders } from '../../services/tenders';
+import { turnaround, TURNAROUND_CATEGORIES, turnaroundCategoryLabels } from '../../services/turnaround';
+import { ticketAging } from '../../services/ticketAging';
+import { inventoryLedger } from '../../services/inventoryLedger';
+import { notificationService, TEMPLATE_FIELDS } from '../../services/notificationService';
+import { NOTIFICATION_CHANNELS, notificationChannelLabels } from '../../services/notificationChannels';
 
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
 
@@ -18,9 +33,33 @@ const OperationsOverviewDashboard = () => {
   const [employees, setEmployees] = useState([]);
   const [inventory, setInventory] = useState([]);
   const [timesheets, setTimesheets] = useState([]);
+  const [serviceQueue, setServiceQueue] = useState([]);
+  const [serviceQueueLoading, setServiceQueueLoading] = useState(true);
+  const [customerQuery, setCustomerQuery] = useState('');
+  const [customerResults, setCustomerResults] = useState([]);
+  const [selectedCustomer, setSelectedCustomer] = useState(null);
+  const [customerTickets, setCustomerTickets] = useState([]);
+  const [customerLoading, setCustomerLoading] = useState(false);
+  const [editTrail, setEditTrail] = useState(null); // { ticket, edits, loading }
   const [activeEmployees, setActiveEmployees] = useState([]);
   const [editingEmployee, setEditingEmployee] = useState(null);
   const [editingInventory, setEditingInventory] = useState(null);
+  const [services, setServices] = useState([]);
+  // Turnaround hours per category, as typed: { default: '24', wash_fold: '48' }
+  const [turnaroundDraft, setTurnaroundDraft] = useState({});
+  const [turnaroundRules, setTurnaroundRules] = useState([]);
+  const [atRiskTickets, setAtRiskTickets] = useState([]);
+  const [atRiskLoading, setAtRiskLoading] = useState(true);
+  // "Order ready" message per channel, as edited: { sms: { subject, body, active }, email: {...} }
+  const [messageTemplatesDraft, setMessageTemplatesDraft] = useState({});
+  const [unclaimedTickets, setUnclaimedTickets] = useState([]);
+  const [unclaimedLoading, setUnclaimedLoading] = useState(true);
+  // Stock ledger: on hand per item and the latest movements, filtered by { itemName, movementType }
+  const [stockOnHand, setStockOnHand] = useState([]);
+  const [stockMovements, setStockMovements] = useState([]);
+  const [stockFilter, setStockFilter] = useState({ itemName: '', movementType: '' });
+  const [stockLoading, setStockLoading] = useState(true);
+  const [editingService, setEditingService] = useState(null);
   const [newPassword, setNewPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [passwordMessage, setPasswordMessage] = useState('');
@@ -76,6 +115,9 @@ const OperationsOverviewDashboard = () => {
     { id: 'sales', label: 'SALES', icon: 'TrendingUp' },
     { id: 'timesheets', label: 'Timesheets', icon: 'Clock' },
     { id: 'inventory', label: 'Inventory', icon: 'Package' },
+    { id: 'services', label: 'Prices', icon: 'Tags' },
+    { id: 'tickets', label: 'Tickets', icon: 'Search' },
+    { id: 'unclaimed', label: 'Unclaimed', icon: 'PackageX' },
     { id: 'employees', label: 'Employees', icon: 'Users' },
     { id: 'settings', label: 'Settings', icon: 'Settings' }
   ];
@@ -121,6 +163,11 @@ const OperationsOverviewDashboard = () => {
   useEffect(() => {
     loadEmployees();
     loadInventory();
+    loadServices();
+    loadTurnaroundRules();
+    loadMessageTemplates();
+    loadUnclaimedTickets();
+    loadStockLedger();
     loadTimesheets(); // This will now set up real-time sync
     // Removed loadActiveEmployees and periodic refresh for performance
     // Set up periodic refresh for active employees (every 30 seconds)
@@ -135,6 +182,182 @@ const OperationsOverviewDashboard = () => {
     };
   }, []);
 
+  // Live drop-off queue per stage, refreshed whenever a ticket changes
+  useEffect(() => {
+    loadServiceQueue();
+    loadAtRiskTickets();
+    // Promises come due without any ticket changing, so re-check the at-risk list too
+    const atRiskTimer = setInterval(loadAtRiskTickets, 5 * 60 * 1000);
+
+    const subscription = supabase
+      ?.channel('service_queue_sync')
+      ?.on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'pos_wash_dry_tickets'
+        },
+        (payload) => {
+          console.log('🔄 Real-time ticket change detected:', payload?.eventType);
+          loadServiceQueue();
+          loadAtRiskTickets();
+        }
+      )
+      ?.subscribe((status) => {
+        if (status === 'SUBSCRIBED') {
+          console.log('✅ Real-time service queue sync established');
+        } else if (status === 'CHANNEL_ERROR') {
+          console.error('❌ Real-time service queue sync failed');
+        }
+      });
+
+    return () => {
+      clearInterval(atRiskTimer);
+      subscription?.unsubscribe();
+    };
+  }, []);
+
+  const loadServiceQueue = async () => {
+    try {
+      const queues = await withSessionRetry(() => ticketStatus.getServiceQueue(), 'Loading service queue');
+      setServiceQueue(queues);
+    } catch (error) {
+      const errorMessage = handleSupabaseError(error, 'Error loading service queue');
+      console.error('❌ Service queue loading failed:', errorMessage);
+    } finally {
+      setServiceQueueLoading(false);
+    }
+  };
+
+  // Open tickets past or close to their promised ready time
+  const loadAtRiskTickets = async () => {
+    try {
+      const tickets = await withSessionRetry(() => turnaround.getAtRiskTickets(), 'Loading tickets at risk');
+      setAtRiskTickets(tickets);
+    } catch (error) {
+      const errorMessage = handleSupabaseError(error, 'Error loading tickets at risk');
+      console.error('❌ At-risk tickets loading failed:', errorMessage);
+    } finally {
+      setAtRiskLoading(false);
+    }
+  };
+
+  // Tickets still on the shelf a week or more after drop-off
+  const loadUnclaimedTickets = async () => {
+    try {
+      setUnclaimedLoading(true);
+      const tickets = await withSessionRetry(() => ticketAging.getUnclaimedTickets(), 'Loading unclaimed tickets');
+      setUnclaimedTickets(tickets);
+    } catch (error) {
+      const errorMessage = handleSupabaseError(error, 'Error loading unclaimed tickets');
+      console.error('❌ Unclaimed tickets loading failed:', errorMessage);
+    } finally {
+      setUnclaimedLoading(false);
+    }
+  };
+
+  const loadStockLedger = async (filter = stockFilter) => {
+    try {
+      setStockLoading(true);
+      const [onHand, movements] = await withSessionRetry(() => Promise.all([
+        inventoryLedger.getServerOnHand(),
+        inventoryLedger.getServerMovements(filter)
+      ]), 'Loading stock ledger');
+      setStockOnHand(onHand);
+      setStockMovements(movements);
+    } catch (error) {
+      const errorMessage = handleSupabaseError(error, 'Error loading stock ledger');
+      console.error('❌ Stock ledger loading failed:', errorMessage);
+    } finally {
+      setStockLoading(false);
+    }
+  };
+
+  const changeStockFilter = (filter) => {
+    setStockFilter(filter);
+    loadStockLedger(filter);
+  };
+
+  // Bulk contacted / donated / disposed; returns an error message or null
+  const recordUnclaimedFollowup = async (ticketIds, action, reason) => {
+    try {
+      const updated = await withSessionRetry(() => ticketAging.recordFollowup(ticketIds, action, reason), 'Recording ticket follow-up');
+      console.log(`✅ ${updated} unclaimed tickets marked ${action}`);
+      await loadUnclaimedTickets();
+      return null;
+    } catch (error) {
+      return handleSupabaseError(error, 'Error recording ticket follow-up');
+    }
+  };
+
+  // Customer lookup by name or phone
+  const searchCustomers = async () => {
+    try {
+      setCustomerLoading(true);
+      // Commas and parentheses would break the PostgREST or() filter
+      const term = customerQuery?.trim()?.replace(/[,()]/g, ' ');
+
+      let query = supabase
+        ?.from('customers')
+        ?.select('*')
+        ?.order('full_name', { ascending: true })
+        ?.limit(25);
+      if (term) {
+        query = query?.or(`full_name.ilike.%${term}%,phone.ilike.%${term}%`);
+      }
+
+      const { data, error } = await withSessionRetry(async () => await query, 'Searching customers');
+      if (error) throw error;
+      setCustomerResults(data || []);
+    } catch (error) {
+      const errorMessage = handleSupabaseError(error, 'Error searching customers');
+      setAuthError(errorMessage);
+    } finally {
+      setCustomerLoading(false);
+    }
+  };
+
+  const loadCustomerTickets = async (customer) => {
+    try {
+      setSelectedCustomer(customer);
+      setCustomerTickets([]);
+      setCustomerLoading(true);
+
+      const { data, error } = await withSessionRetry(async () => await supabase
+        ?.from('pos_wash_dry_tickets')
+        ?.select('*, pos_sessions(session_date)')
+        ?.eq('customer_id', customer?.id)
+        ?.order('created_at', { ascending: false }), 'Loading customer tickets');
+      if (error) throw error;
+      setCustomerTickets(data || []);
+    } catch (error) {
+      const errorMessage = handleSupabaseError(error, 'Error loading customer tickets');
+      setAuthError(errorMessage);
+    } finally {
+      setCustomerLoading(false);
+    }
+  };
+
+  // A ticket's amount corrections from the POS (pos_ticket_edits)
+  const loadTicketEditTrail = async (ticket) => {
+    try {
+      setEditTrail({ ticket, edits: [], loading: true });
+
+      const { data, error } = await withSessionRetry(async () => await supabase
+        ?.from('pos_ticket_edits')
+        ?.select('*, user_profiles(full_name)')
+        ?.eq('ticket_id', ticket?.id)
+        ?.order('edited_at', { ascending: true }), 'Loading ticket edits');
+      if (error) throw error;
+      setEditTrail({ ticket, edits: data || [], loading: false });
+    } catch (error) {
+      const errorMessage = handleSupabaseError(error, 'Error loading ticket edits');
+      setAuthError(errorMessage);
+      setEditTrail(null);
+    }
+  };
+
   // Enhanced filtered timesheet loading with better error handling
   const loadFilteredTimesheets = async () => {
     try {
@@ -355,7 +578,7 @@ const OperationsOverviewDashboard = () => {
       let data = await withSessionRetry(async () => {
         const { data, error } = await supabase
           ?.from('master_inventory_items')
-          ?.select('id, item_name, price, created_at')
+          ?.select('id, item_name, sku, price, created_at')
           ?.order('item_name');
         if (error) throw error;
         return data;
@@ -363,6 +586,7 @@ const OperationsOverviewDashboard = () => {
       const transformedInventory = (data || [])?.map(item => ({
         id: item?.id,
         item_name: item?.item_name,
+        sku: item?.sku || '',
         price: Number(item?.price || 0),
         created_at: item?.created_at
       }));
@@ -392,6 +616,12 @@ const OperationsOverviewDashboard = () => {
         throw new Error('Please enter a valid email address');
       }
 
+      // Manager PIN for approving voids and refunds; blank keeps the current one
+      const managerPin = employee?.manager_pin?.trim();
+      if (managerPin && !/^[0-9]{4,8}$/.test(managerPin)) {
+        throw new Error('The manager PIN must be 4 to 8 digits');
+      }
+
       await withRetry(async () => {
         if (employee?.id) {
           // Update existing employee using admin_update_employee function
@@ -402,6 +632,14 @@ const OperationsOverviewDashboard = () => {
             employee_role: employee?.role || 'employee'
           });
           if (error) throw error;
+
+          if (managerPin) {
+            const { error: pinError } = await supabase?.rpc('set_manager_pin', {
+              p_manager_id: employee?.id,
+              p_pin: managerPin
+            });
+            if (pinError) throw pinError;
+          }
         } else {
           // Create new employee using admin_create_employee function with validation
           const { data, error } = await supabase?.rpc('admin_create_employee', {
@@ -430,6 +668,8 @@ const OperationsOverviewDashboard = () => {
         displayMessage += 'Please enter a valid email address.';
       } else if (error?.message?.includes('Invalid role')) {
         displayMessage += 'Please select a valid role.';
+      } else if (error?.message?.includes('PIN must be')) {
+        displayMessage += 'The manager PIN must be 4 to 8 digits.';
       } else if (error?.message?.includes('Name cannot be empty')) {
         displayMessage += 'Employee name is required.';
       } else if (error?.message?.includes('constraint violation')) {
@@ -490,6 +730,7 @@ const OperationsOverviewDashboard = () => {
       }
       const itemData = {
         item_name: item?.item_name?.trim(),
+        sku: item?.sku?.trim() || null,
         price: parseFloat(item?.price)
       };
       await withRetry(async () => {
@@ -512,7 +753,9 @@ const OperationsOverviewDashboard = () => {
     } catch (error) {
       const errorMessage = handleSupabaseError(error, 'Error saving inventory item');
       let displayMessage = 'Failed to save inventory item. ';
-      if (error?.message?.includes('duplicate key')) {
+      if (error?.message?.includes('idx_master_inventory_items_sku')) {
+        displayMessage += 'Another item already uses this SKU.';
+      } else if (error?.message?.includes('duplicate key')) {
         displayMessage += 'An item with this name already exists.';
       } else if (error?.message?.includes('check constraint')) {
         displayMessage += 'Please check that all values are valid.';
@@ -547,6 +790,198 @@ const OperationsOverviewDashboard = () => {
     }
   };
 
+  // Service price list used by POS ticket entry
+  const loadServices = async () => {
+    try {
+      setAuthError('');
+      const data = await withSessionRetry(async () => {
+        const { data, error } = await supabase
+          ?.from('service_catalog')
+          ?.select('*')
+          ?.order('sort_order');
+        if (error) throw error;
+        return data;
+      }, 'Loading services');
+      setServices(data || []);
+    } catch (error) {
+      const errorMessage = handleSupabaseError(error, 'Error loading services');
+      setAuthError(errorMessage);
+      console.error('Service loading failed:', errorMessage);
+    }
+  };
+
+  const saveService = async (service) => {
+    setLoading(true);
+    try {
+      setAuthError('');
+      if (!service?.name?.trim()) {
+        throw new Error('Service name is required');
+      }
+      const price = parseFloat(service?.price);
+      if (isNaN(price) || price < 0) {
+        throw new Error('Valid price is required');
+      }
+      const minimumCharge = service?.minimum_charge === '' || service?.minimum_charge == null ? 0 : parseFloat(service?.minimum_charge);
+      if (isNaN(minimumCharge) || minimumCharge < 0) {
+        throw new Error('Minimum charge must be zero or more');
+      }
+      const serviceData = {
+        name: service?.name?.trim(),
+        category: service?.category,
+        pricing_unit: service?.pricing_unit,
+        price,
+        minimum_charge: minimumCharge,
+        sort_order: parseInt(service?.sort_order, 10) || 0,
+        active: service?.active !== false
+      };
+      await withRetry(async () => {
+        const { error } = service?.id
+          ? await supabase?.from('service_catalog')?.update(serviceData)?.eq('id', service?.id)
+          : await supabase?.from('service_catalog')?.insert([serviceData]);
+        if (error) throw error;
+      }, 'Saving service');
+      await loadServices();
+      setEditingService(null);
+    } catch (error) {
+      const errorMessage = handleSupabaseError(error, 'Error saving service');
+      alert(`Failed to save service: ${errorMessage}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Turnaround rules that default each ticket's promised ready time on the POS
+  const loadTurnaroundRules = async () => {
+    try {
+      const data = await withSessionRetry(async () => {
+        const { data, error } = await supabase
+          ?.from('pos_turnaround_rules')
+          ?.select('*');
+        if (error) throw error;
+        return data;
+      }, 'Loading turnaround rules');
+      setTurnaroundRules(data || []);
+      setTurnaroundDraft(Object.fromEntries((data || []).map(rule => [rule.category, String(Number(rule.turnaround_hours))])));
+    } catch (error) {
+      const errorMessage = handleSupabaseError(error, 'Error loading turnaround rules');
+      console.error('Turnaround rules loading failed:', errorMessage);
+    }
+  };
+
+  // A blank category falls back to the default rule, which can't be blank
+  const saveTurnaroundRules = async () => {
+    setLoading(true);
+    try {
+      const upserts = [];
+      const removed = [];
+      TURNAROUND_CATEGORIES.forEach(category => {
+        const value = (turnaroundDraft[category] ?? '').trim();
+        if (!value) {
+          if (category === 'default') throw new Error('The default turnaround is required');
+          if (turnaroundRules.some(rule => rule.category === category)) removed.push(category);
+          return;
+        }
+        const hours = parseFloat(value);
+        if (isNaN(hours) || hours <= 0) {
+          throw new Error(`${turnaroundCategoryLabels[category]} turnaround must be more than zero hours`);
+        }
+        upserts.push({ category, turnaround_hours: hours });
+      });
+
+      await withRetry(async () => {
+        const { error } = await supabase
+          ?.from('pos_turnaround_rules')
+          ?.upsert(upserts, { onConflict: 'category' });
+        if (error) throw error;
+        if (removed.length > 0) {
+          const { error: deleteError } = await supabase
+            ?.from('pos_turnaround_rules')
+            ?.delete()
+            ?.in('category', removed);
+          if (deleteError) throw deleteError;
+        }
+      }, 'Saving turnaround rules');
+      await loadTurnaroundRules();
+    } catch (error) {
+      const errorMessage = handleSupabaseError(error, 'Error saving turnaround rules');
+      alert(`Failed to save turnaround rules: ${errorMessage}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadMessageTemplates = async () => {
+    try {
+      const data = await withSessionRetry(async () => {
+        const { data, error } = await supabase
+          ?.from('pos_notification_templates')
+          ?.select('*')
+          ?.eq('event', 'ticket_ready');
+        if (error) throw error;
+        return data;
+      }, 'Loading message templates');
+      setMessageTemplatesDraft(Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => {
+        const template = (data || []).find(row => row.channel === channel);
+        return [channel, { subject: template?.subject || '', body: template?.body || '', active: template ? template.active !== false : false }];
+      })));
+    } catch (error) {
+      const errorMessage = handleSupabaseError(error, 'Error loading message templates');
+      console.error('Message templates loading failed:', errorMessage);
+    }
+  };
+
+  const saveMessageTemplates = async () => {
+    setLoading(true);
+    try {
+      const upserts = NOTIFICATION_CHANNELS.map(channel => {
+        const draft = messageTemplatesDraft[channel] || {};
+        const body = (draft.body || '').trim();
+        if (draft.active && !body) throw new Error(`The ${notificationChannelLabels[channel]} message is empty`);
+        return {
+          channel,
+          event: 'ticket_ready',
+          subject: channel === 'email' ? (draft.subject || '').trim() || null : null,
+          body,
+          active: !!draft.active && !!body
+        };
+      }).filter(template => template.body);
+
+      await withRetry(async () => {
+        const { error } = await supabase
+          ?.from('pos_notification_templates')
+          ?.upsert(upserts, { onConflict: 'channel,event' });
+        if (error) throw error;
+      }, 'Saving message templates');
+      await loadMessageTemplates();
+    } catch (error) {
+      const errorMessage = handleSupabaseError(error, 'Error saving message templates');
+      alert(`Failed to save message templates: ${errorMessage}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const deleteService = async (serviceId) => {
+    if (!window.confirm('Delete this service? Tickets already taken keep their prices. To hide it from the POS for now, make it inactive instead.')) return;
+    setLoading(true);
+    try {
+      setAuthError('');
+      await withRetry(async () => {
+        const { error } = await supabase
+          ?.from('service_catalog')
+          ?.delete()
+          ?.eq('id', serviceId);
+        if (error) throw error;
+      }, 'Deleting service');
+      await loadServices();
+    } catch (error) {
+      const errorMessage = handleSupabaseError(error, 'Error deleting service');
+      alert(`Failed to delete service: ${errorMessage}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const updateAdminPassword = () => {
     if (!newPassword || !confirmPassword) {
       setPasswordMessage('Please fill in both password fields');
@@ -964,6 +1399,7 @@ const OperationsOverviewDashboard = () => {
           <Button
             onClick={() => setEditingInventory({ 
               item_name: '', 
+              sku: '',
               price: '', 
               created_at: new Date()?.toISOString()
             })}
@@ -990,6 +1426,8 @@ const OperationsOverviewDashboard = () => {
                     <div className="text-sm text-gray-600 grid grid-cols-2 gap-4 mt-2">
                       <span>Price: ${Number(item?.price)?.toFixed(2)}</span>
                       <span>Created: {new Date(item?.created_at)?.toLocaleDateString()}</span>
+                      <span>SKU: {item?.sku || '—'}</span>
+                      <span>On hand: {stockOnHand.find(row => row.item_key === inventoryLedger.getItemKey(item?.item_name))?.on_hand ?? 0}</span>
                     </div>
                     <div className="text-xs text-gray-500 mt-1">
                       <span className="inline-flex items-center px-2 py-1 bg-blue-100 text-blue-800 rounded-full">
@@ -1052,6 +1490,16 @@ const OperationsOverviewDashboard = () => {
                   placeholder="0.00"
                   disabled={loading}
                 />
+                <Input
+                  label="SKU / Barcode"
+                  value={editingInventory?.sku || ''}
+                  onChange={(e) => setEditingInventory({
+                    ...editingInventory,
+                    sku: e?.target?.value
+                  })}
+                  placeholder="Scan or type the product barcode"
+                  disabled={loading}
+                />
                 <div className="text-xs text-gray-500 p-3 bg-blue-50 rounded-lg">
                   <Icon name="Info" size={14} className="inline mr-1" />
                   Master inventory items serve as templates for employee POS sessions. Changes will apply to future POS sessions.
@@ -1077,6 +1525,444 @@ const OperationsOverviewDashboard = () => {
             </div>
           </div>
         )}
+
+        <div className="mt-8 pt-6 border-t border-gray-200">
+          <StockLedger
+            onHand={stockOnHand}
+            movements={stockMovements}
+            loading={stockLoading}
+            filter={stockFilter}
+            onFilterChange={changeStockFilter}
+            onRefresh={() => loadStockLedger()}
+          />
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderServicesSection = () => (
+    <div id="services" className="mb-12 scroll-mt-20">
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center">
+            <Icon name="Tags" size={24} className="text-cyan-600 mr-3" />
+            <div>
+              <h2 className="text-2xl font-bold text-gray-800">Service Price List</h2>
+              <p className="text-sm text-gray-600 mt-1">Load sizes, dry cycles and wash-and-fold rates offered on POS tickets</p>
+            </div>
+          </div>
+          <Button
+            onClick={() => setEditingService({
+              name: '',
+              category: 'wash',
+              pricing_unit: 'load',
+              price: '',
+              minimum_charge: '',
+              sort_order: services.length,
+              active: true
+            })}
+            className="bg-cyan-600 hover:bg-cyan-700"
+            disabled={loading}
+          >
+            <Icon name="Plus" size={16} className="mr-2" />
+            Add Service
+          </Button>
+        </div>
+
+        {services.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">
+            <Icon name="Tags" size={48} className="mx-auto mb-4 opacity-50" />
+            <p>No services yet. Until services are added, cashiers type wash and dry amounts by hand.</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="bg-gray-50 text-gray-600">
+                  <th className="px-3 py-2 text-left font-semibold">Service</th>
+                  <th className="px-3 py-2 text-left font-semibold">Type</th>
+                  <th className="px-3 py-2 text-right font-semibold">Price</th>
+                  <th className="px-3 py-2 text-right font-semibold">Minimum</th>
+                  <th className="px-3 py-2 text-left font-semibold">Status</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...serviceCatalog.getActive(services), ...services.filter(service => service.active === false)].map(service => (
+                  <tr key={service.id} className={`border-t border-gray-100 ${service.active === false ? 'text-gray-400' : ''}`}>
+                    <td className="px-3 py-2 font-medium">{service.name}</td>
+                    <td className="px-3 py-2">{serviceCategoryLabels[service.category]}</td>
+                    <td className="px-3 py-2 text-right">
+                      ${Number(service.price || 0).toFixed(2)} {pricingUnitLabels[service.pricing_unit]}
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      {Number(service.minimum_charge) > 0 ? `$${Number(service.minimum_charge).toFixed(2)}` : '—'}
+                    </td>
+                    <td className="px-3 py-2">{service.active === false ? 'Inactive' : 'Active'}</td>
+                    <td className="px-3 py-2">
+                      <div className="flex justify-end space-x-2">
+                        <Button size="sm" variant="outline" onClick={() => setEditingService(service)} disabled={loading}>
+                          <Icon name="Edit" size={16} />
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => deleteService(service.id)}
+                          className="text-red-600 hover:text-red-700 border-red-300 hover:border-red-400"
+                          disabled={loading}
+                        >
+                          <Icon name="Trash2" size={16} />
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Turnaround rules for promised ready times */}
+        <div className="mt-8 pt-6 border-t border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-800">Turnaround</h3>
+          <p className="text-sm text-gray-600 mt-1 mb-4">
+            Hours from drop-off until a ticket is promised ready. A ticket with several kinds of service gets the longest; categories left blank use the default.
+          </p>
+          <div className="flex flex-wrap items-end gap-4">
+            {TURNAROUND_CATEGORIES.map(category => (
+              <div key={category} className="w-32">
+                <Input
+                  label={`${turnaroundCategoryLabels[category]}${category === 'default' ? ' *' : ''}`}
+                  type="number"
+                  step="0.5"
+                  min="0"
+                  value={turnaroundDraft[category] ?? ''}
+                  onChange={(e) => setTurnaroundDraft({ ...turnaroundDraft, [category]: e?.target?.value })}
+                  placeholder={category === 'default' ? '24' : 'Default'}
+                  disabled={loading}
+                />
+              </div>
+            ))}
+            <Button onClick={saveTurnaroundRules} className="bg-cyan-600 hover:bg-cyan-700" disabled={loading}>
+              Save Turnaround
+            </Button>
+          </div>
+        </div>
+
+        {/* "Your order is ready" messages to customers */}
+        <div className="mt-8 pt-6 border-t border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-800">Customer Messages</h3>
+          <p className="text-sm text-gray-600 mt-1 mb-4">
+            Sent when a ticket is moved to ready, to customers with a phone (SMS) or email on file. Placeholders: {TEMPLATE_FIELDS.map(field => `{{${field}}}`).join(', ')}
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {NOTIFICATION_CHANNELS.map(channel => {
+              const draft = messageTemplatesDraft[channel] || { subject: '', body: '', active: false };
+              const setDraft = (changes) => setMessageTemplatesDraft({ ...messageTemplatesDraft, [channel]: { ...draft, ...changes } });
+              const sample = { customer_name: 'Maria', ticket_number: '042', store_name: 'LaundryKing', total: '$18.50' };
+              return (
+                <div key={channel} className="space-y-2">
+                  <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={draft.active}
+                      onChange={(e) => setDraft({ active: e?.target?.checked })}
+                      disabled={loading}
+                    />
+                    <span>{notificationChannelLabels[channel]}</span>
+                  </label>
+                  {channel === 'email' && (
+                    <Input
+                      placeholder="Subject"
+                      value={draft.subject}
+                      onChange={(e) => setDraft({ subject: e?.target?.value })}
+                      disabled={loading}
+                    />
+                  )}
+                  <textarea
+                    rows={4}
+                    value={draft.body}
+                    onChange={(e) => setDraft({ body: e?.target?.value })}
+                    className="w-full border border-gray-300 rounded px-3 py-2 text-sm"
+                    disabled={loading}
+                  />
+                  {draft.body && (
+                    <p className="text-xs text-gray-500 whitespace-pre-line">
+                      {notificationService.render(draft.body, sample)}
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          <Button onClick={saveMessageTemplates} className="mt-4 bg-cyan-600 hover:bg-cyan-700" disabled={loading}>
+            Save Messages
+          </Button>
+        </div>
+
+        {editingService && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-md">
+              <h3 className="text-lg font-semibold mb-4">
+                {editingService?.id ? 'Edit' : 'Add'} Service
+              </h3>
+              <div className="space-y-4">
+                <Input
+                  label="Service Name *"
+                  value={editingService?.name || ''}
+                  onChange={(e) => setEditingService({ ...editingService, name: e?.target?.value })}
+                  placeholder="e.g., Large load wash"
+                  disabled={loading}
+                />
+                <div className="grid grid-cols-2 gap-4">
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium">Type</label>
+                    <select
+                      className="w-full border border-gray-300 rounded px-3 py-2 text-sm"
+                      value={editingService?.category}
+                      onChange={(e) => {
+                        const category = e.target.value;
+                        // Wash & fold is sold by weight, dry by the cycle, add-ons each
+                        const pricingUnit = { wash_fold: 'lb', dry: 'cycle', addon: 'each' }[category] || 'load';
+                        setEditingService({ ...editingService, category, pricing_unit: pricingUnit });
+                      }}
+                      disabled={loading}
+                    >
+                      {SERVICE_CATEGORIES.map(category => (
+                        <option key={category} value={category}>{serviceCategoryLabels[category]}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium">Priced</label>
+                    <select
+                      className="w-full border border-gray-300 rounded px-3 py-2 text-sm"
+                      value={editingService?.pricing_unit}
+                      onChange={(e) => setEditingService({ ...editingService, pricing_unit: e.target.value })}
+                      disabled={loading}
+                    >
+                      {Object.entries(pricingUnitLabels).map(([unit, label]) => (
+                        <option key={unit} value={unit}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <Input
+                    label="Price (USD) *"
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={editingService?.price ?? ''}
+                    onChange={(e) => setEditingService({ ...editingService, price: e?.target?.value })}
+                    placeholder="0.00"
+                    disabled={loading}
+                  />
+                  <Input
+                    label="Minimum charge"
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={editingService?.minimum_charge ?? ''}
+                    onChange={(e) => setEditingService({ ...editingService, minimum_charge: e?.target?.value })}
+                    placeholder="0.00"
+                    disabled={loading}
+                  />
+                </div>
+                <div className="grid grid-cols-2 gap-4 items-end">
+                  <Input
+                    label="Position"
+                    type="number"
+                    min="0"
+                    value={editingService?.sort_order ?? 0}
+                    onChange={(e) => setEditingService({ ...editingService, sort_order: e?.target?.value })}
+                    disabled={loading}
+                  />
+                  <label className="flex items-center space-x-2 text-sm pb-2">
+                    <input
+                      type="checkbox"
+                      checked={editingService?.active !== false}
+                      onChange={(e) => setEditingService({ ...editingService, active: e.target.checked })}
+                      disabled={loading}
+                    />
+                    <span>Offered on the POS</span>
+                  </label>
+                </div>
+                <div className="text-xs text-gray-500 p-3 bg-blue-50 rounded-lg">
+                  <Icon name="Info" size={14} className="inline mr-1" />
+                  Terminals pick up price changes on their next Save Progress. Tickets already taken keep the price they were charged.
+                </div>
+              </div>
+              <div className="flex space-x-3 mt-6">
+                <Button
+                  onClick={() => saveService(editingService)}
+                  disabled={loading || !editingService?.name?.trim() || editingService?.price === ''}
+                  className="flex-1"
+                >
+                  {loading ? 'Saving...' : 'Save Service'}
+                </Button>
+                <Button
+                  variant="outline"
+                  onClick={() => setEditingService(null)}
+                  className="flex-1"
+                  disabled={loading}
+                >
+                  Cancel
+                </Button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  // Every terminal's tickets on the server; edited ones open their edit trail
+  const renderTicketsSection = () => (
+    <div id="tickets" className="mb-12 scroll-mt-20">
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <div className="flex items-center mb-6">
+          <Icon name="Search" size={24} className="text-cyan-600 mr-3" />
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">Tickets</h2>
+            <p className="text-sm text-gray-600 mt-1">Find tickets from any day by number, customer, date, amount or status</p>
+          </div>
+        </div>
+        <TicketSearchPanel
+          onSearch={(criteria, cursor) => ticketSearch.searchPage(criteria, { cursor, online: true })}
+          onSelect={(ticket) => ticket.edited_at && loadTicketEditTrail(ticket)}
+        />
+      </div>
+    </div>
+  );
+
+  const renderUnclaimedSection = () => (
+    <div id="unclaimed" className="mb-12 scroll-mt-20">
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <div className="flex items-center mb-6">
+          <Icon name="PackageX" size={24} className="text-cyan-600 mr-3" />
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">Unclaimed Tickets</h2>
+            <p className="text-sm text-gray-600 mt-1">Bags not picked up a week or more after drop-off; call the customer, then donate or dispose</p>
+          </div>
+        </div>
+        <UnclaimedTickets
+          tickets={unclaimedTickets}
+          loading={unclaimedLoading}
+          onRefresh={loadUnclaimedTickets}
+          onFollowup={recordUnclaimedFollowup}
+        />
+      </div>
+    </div>
+  );
+
+  const renderCustomersSection = () => (
+    <div id="customers" className="mb-12 scroll-mt-20">
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <div className="flex items-center mb-6">
+          <Icon name="Users" size={24} className="text-cyan-600 mr-3" />
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">Customers</h2>
+            <p className="text-sm text-gray-600 mt-1">Look up a customer and see every ticket attached to them</p>
+          </div>
+        </div>
+
+        <form
+          onSubmit={(e) => {
+            e?.preventDefault();
+            searchCustomers();
+          }}
+          className="flex space-x-3 mb-6"
+        >
+          <div className="flex-1">
+            <Input
+              placeholder="Name or phone"
+              value={customerQuery}
+              onChange={(e) => setCustomerQuery(e?.target?.value)}
+              disabled={customerLoading}
+            />
+          </div>
+          <Button type="submit" disabled={customerLoading} className="bg-cyan-600 hover:bg-cyan-700">
+            <Icon name="Search" size={16} className="mr-2" />
+            Search
+          </Button>
+        </form>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="max-h-96 overflow-y-auto space-y-2">
+            {customerResults?.length === 0 ? (
+              <p className="text-center py-8 text-gray-500 text-sm">Search to list customers.</p>
+            ) : (
+              customerResults?.map((customer) => (
+                <button
+                  key={customer?.id}
+                  onClick={() => loadCustomerTickets(customer)}
+                  className={`w-full text-left p-3 rounded-lg ${
+                    selectedCustomer?.id === customer?.id ? 'bg-cyan-50 border border-cyan-200' : 'bg-gray-50 hover:bg-gray-100'
+                  }`}
+                >
+                  <div className="font-semibold text-gray-800">{customer?.full_name}</div>
+                  <div className="text-sm text-gray-600">{customer?.phone || 'No phone'}</div>
+                </button>
+              ))
+            )}
+          </div>
+
+          <div className="md:col-span-2">
+            {!selectedCustomer ? (
+              <p className="text-center py-8 text-gray-500 text-sm">Select a customer to see their tickets.</p>
+            ) : (
+              <>
+                <div className="mb-3">
+                  <h3 className="text-lg font-semibold text-gray-800">{selectedCustomer?.full_name}</h3>
+                  {selectedCustomer?.notes && (
+                    <p className="text-sm text-gray-600 whitespace-pre-line">{selectedCustomer?.notes}</p>
+                  )}
+                </div>
+                <div className="max-h-80 overflow-y-auto">
+                  <table className="min-w-full text-sm">
+                    <thead className="sticky top-0 bg-white">
+                      <tr className="bg-gray-50 text-gray-600">
+                        <th className="px-3 py-2 text-left font-semibold">Ticket #</th>
+                        <th className="px-3 py-2 text-left font-semibold">Date</th>
+                        <th className="px-3 py-2 text-right font-semibold">Wash</th>
+                        <th className="px-3 py-2 text-right font-semibold">Dry</th>
+                        <th className="px-3 py-2 text-right font-semibold">Total</th>
+                        <th className="px-3 py-2 text-left font-semibold">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {customerTickets?.map((ticket) => (
+                        <tr key={ticket?.id} className="border-t border-gray-100">
+                          <td className="px-3 py-2">
+                            {ticket?.ticket_number}
+                            {ticket?.edited_at && (
+                              <button onClick={() => loadTicketEditTrail(ticket)} className="ml-2 text-xs text-amber-600 hover:underline">
+                                edited
+                              </button>
+                            )}
+                          </td>
+                          <td className="px-3 py-2 text-gray-600">
+                            {ticket?.pos_sessions?.session_date || new Date(ticket?.created_at)?.toLocaleDateString()}
+                          </td>
+                          <td className="px-3 py-2 text-right">${Number(ticket?.wash_amount || 0)?.toFixed(2)}</td>
+                          <td className="px-3 py-2 text-right">${Number(ticket?.dry_amount || 0)?.toFixed(2)}</td>
+                          <td className="px-3 py-2 text-right font-semibold">${Number(ticket?.total_amount || 0)?.toFixed(2)}</td>
+                          <td className="px-3 py-2">{ticketStatusLabels[ticketStatus.getStatus(ticket)]}</td>
+                        </tr>
+                      ))}
+                      {!customerLoading && customerTickets?.length === 0 && (
+                        <tr>
+                          <td colSpan="6" className="px-3 py-8 text-center text-gray-500">No tickets for this customer yet</td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
       </div>
     </div>
   );
@@ -1188,6 +2074,21 @@ const OperationsOverviewDashboard = () => {
                     <option value="admin">Admin</option>
                   </select>
                 </div>
+                {editingEmployee?.id && ['manager', 'admin'].includes(editingEmployee?.role) && (
+                  <Input
+                    label="Manager PIN"
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="new-password"
+                    value={editingEmployee?.manager_pin || ''}
+                    onChange={(e) => setEditingEmployee({
+                      ...editingEmployee,
+                      manager_pin: e?.target?.value
+                    })}
+                    placeholder="4-8 digits; leave blank to keep the current PIN"
+                    disabled={loading}
+                  />
+                )}
                 <div className="text-xs text-gray-500">
                   * Required fields
                 </div>
@@ -1291,7 +2192,7 @@ const OperationsOverviewDashboard = () => {
         console.log('Querying pos_sessions for date:', excelDate);
         const { data: sessions, error } = await supabase
           .from('pos_sessions')
-          .select(`id, created_at, employee_id, notes, cash_started, cash_added, cash_total, inventory_total, wash_dry_total, grand_total, user_profiles (full_name), pos_wash_dry_tickets (*)`)
+          .select(`id, created_at, employee_id, notes, cash_started, cash_added, cash_total, inventory_total, wash_dry_total, grand_total, user_profiles (full_name), pos_wash_dry_tickets (*), pos_ticket_adjustments (*, pos_wash_dry_tickets (ticket_number), approver:user_profiles!approved_by (full_name)), pos_payments (ticket_id, sale_id, tender, amount)`)
           .eq('session_date', excelDate);
         if (error) throw error;
         console.log('All pos_sessions returned for date', excelDate, ':', sessions);
@@ -1361,6 +2262,17 @@ const OperationsOverviewDashboard = () => {
 
     const scrapedGrandTotal = scrapedInventoryTotal + scrapedWashDryTotal;
 
+    // Card, store credit and other come from recorded payments (voided tickets' left
+    // out); the rest of the grand total was taken in cash
+    const voidedTicketIds = new Set((excelSession?.pos_wash_dry_tickets || [])
+      .filter(ticket => ticket.voided_at)
+      .map(ticket => ticket.id));
+    const tenderTotals = tenders.summarize((excelSession?.pos_payments || [])
+      .filter(payment => !voidedTicketIds.has(payment.ticket_id)));
+    tenderTotals.cash = Math.round((scrapedGrandTotal - TENDERS
+      .filter(tender => tender !== 'cash')
+      .reduce((sum, tender) => sum + tenderTotals[tender], 0)) * 100) / 100;
+
     return (
       <div className="mb-10 bg-white rounded-2xl shadow-xl p-8 print:p-2 border border-gray-200">
         {/* Date Picker for Daily Sheet Preview with left/right buttons */}
@@ -1453,15 +2365,25 @@ const OperationsOverviewDashboard = () => {
                   ['Total Cash', excelSession?.cash_total ? Number(excelSession.cash_total).toFixed(2) : ''],
                   ['Inventory Total', excelSession?.inventory_total ? Number(excelSession.inventory_total).toFixed(2) : ''],
                   ['Wash & Dry Total', excelSession?.wash_dry_total ? Number(excelSession.wash_dry_total).toFixed(2) : ''],
-                  ['Grand Total', excelSession?.grand_total ? Number(excelSession.grand_total).toFixed(2) : '']
+                  ['Grand Total', excelSession?.grand_total ? Number(excelSession.grand_total).toFixed(2) : ''],
+                  ...TENDERS.map(tender => [tenderLabels[tender], tenderTotals[tender].toFixed(2)])
                 ];
+                // Voids and refunds recorded against this session
+                const adjustmentRows = (excelSession?.pos_ticket_adjustments || []).map(adjustment => [
+                  adjustment.kind === 'void' ? 'VOID' : 'REFUND',
+                  adjustment.pos_wash_dry_tickets?.ticket_number || '',
+                  (adjustment.kind === 'void' ? 0 : -Number(adjustment.amount || 0)).toFixed(2),
+                  adjustment.reason,
+                  adjustment.approver?.full_name || ''
+                ]);
                 // Combine all rows
                 const wsData = [
                   ...header,
                   ...inventoryHeader,
                   ...inventoryRows,
                   blank,
-                  ...cashRows
+                  ...cashRows,
+                  ...(adjustmentRows.length > 0 ? [blank, ['Voids & Refunds', 'Ticket #', 'Amount', 'Reason', 'Approved by'], ...adjustmentRows] : [])
                 ];
                 const ws = XLSX.utils.aoa_to_sheet(wsData);
                 // Merge header row
@@ -1580,7 +2502,8 @@ const OperationsOverviewDashboard = () => {
                       {(() => {
                         const latestTicketsByNumber = {};
                         (excelSession?.pos_wash_dry_tickets || []).forEach(ticket => {
-                          const key = ticket.ticket_number;
+                          // A ticket saved with a number already in use is its own row
+                          const key = ticket.number_conflict ? ticket.id : ticket.ticket_number;
                           if (
                             !latestTicketsByNumber[key] ||
                             new Date(ticket.updated_at || ticket.created_at) > new Date(latestTicketsByNumber[key].updated_at || latestTicketsByNumber[key].created_at)
@@ -1589,16 +2512,46 @@ const OperationsOverviewDashboard = () => {
                           }
                         });
                         const displayTickets = Object.values(latestTicketsByNumber);
+                        // Voided tickets stay on the sheet but are left out of the total
                         return displayTickets.map((ticket, idx) => (
                           <tr key={ticket.id}
-                              className={idx % 2 === 0 ? 'bg-gray-50 hover:bg-blue-50 transition' : 'bg-white hover:bg-blue-50 transition'}>
-                            <td className="border px-2 py-1">{ticket.ticket_number}</td>
-                            <td className="border px-2 py-1">{ticket.wash_amount ? Number(ticket.wash_amount).toFixed(2) : ''}</td>
-                            <td className="border px-2 py-1">{ticket.dry_amount ? Number(ticket.dry_amount).toFixed(2) : ''}</td>
-                            <td className="border px-2 py-1 ticket-total-cell">{ticket.total_amount ? Number(ticket.total_amount).toFixed(2) : ''}</td>
+                              className={idx % 2 === 0 ? 'bg-gray-50 hover:bg-blue-50 transition' : 'bg-white hover:bg-blue-50 transition'}
+                              title={ticket.voided_at ? `Voided: ${ticket.void_reason}` : undefined}>
+                            <td className="border px-2 py-1">
+                              {ticket.ticket_number}
+                              {ticket.number_conflict && (
+                                <span className="ml-1 text-xs text-red-600" title="This number was already used by another ticket">
+                                  duplicate #
+                                </span>
+                              )}
+                              {ticket.edited_at && (
+                                <button onClick={() => loadTicketEditTrail(ticket)} className="ml-1 text-xs text-amber-600 hover:underline print:hidden">
+                                  edited
+                                </button>
+                              )}
+                            </td>
+                            <td className={`border px-2 py-1 ${ticket.voided_at ? 'line-through text-gray-400' : ''}`}>{ticket.wash_amount ? Number(ticket.wash_amount).toFixed(2) : ''}</td>
+                            <td className={`border px-2 py-1 ${ticket.voided_at ? 'line-through text-gray-400' : ''}`}>{ticket.dry_amount ? Number(ticket.dry_amount).toFixed(2) : ''}</td>
+                            {ticket.voided_at ? (
+                              <td className="border px-2 py-1 font-semibold text-red-600">VOID</td>
+                            ) : (
+                              <td className="border px-2 py-1 ticket-total-cell">{ticket.total_amount ? Number(ticket.total_amount).toFixed(2) : ''}</td>
+                            )}
                           </tr>
                         ));
                       })()}
+                      {/* Refunds paid out in this session, possibly for tickets from earlier days */}
+                      {(excelSession?.pos_ticket_adjustments || [])
+                        .filter(adjustment => adjustment.kind === 'refund')
+                        .map(adjustment => (
+                          <tr key={adjustment.id} className="bg-red-50 text-red-700"
+                              title={adjustment.approver?.full_name ? `${adjustment.reason} (approved by ${adjustment.approver.full_name})` : adjustment.reason}>
+                            <td className="border px-2 py-1">Refund {adjustment.pos_wash_dry_tickets?.ticket_number || ''}</td>
+                            <td className="border px-2 py-1"></td>
+                            <td className="border px-2 py-1"></td>
+                            <td className="border px-2 py-1 ticket-total-cell">{(-Number(adjustment.amount || 0)).toFixed(2)}</td>
+                          </tr>
+                        ))}
                     </tbody>
                   </table>
                 </div>
@@ -1610,6 +2563,9 @@ const OperationsOverviewDashboard = () => {
               </div>
             </div>
             <div className="mt-6 font-bold text-right text-lg">GRAND TOTAL: ${scrapedGrandTotal.toFixed(2)}</div>
+            <div className="mt-1 text-right text-sm text-gray-600">
+              {TENDERS.map(tender => `${tenderLabels[tender]}: $${tenderTotals[tender].toFixed(2)}`).join(' | ')}
+            </div>
           </div>
         )}
       </div>
@@ -1683,11 +2639,29 @@ const OperationsOverviewDashboard = () => {
       </div>
       {/* Main Content */}
       <main className="container mx-auto px-6 py-8">
+        <div className="mb-12">
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <ServiceQueue queues={serviceQueue} loading={serviceQueueLoading} onRefresh={loadServiceQueue} />
+            <AtRiskTickets tickets={atRiskTickets} loading={atRiskLoading} onRefresh={loadAtRiskTickets} />
+          </div>
+        </div>
         {renderTimesheetsSection()}
         {renderInventorySection()}
+        {renderServicesSection()}
+        {renderTicketsSection()}
+        {renderUnclaimedSection()}
+        {renderCustomersSection()}
         {renderEmployeeSection()}
         {renderSettingsSection()}
       </main>
+      {editTrail && (
+        <TicketEditTrail
+          ticket={editTrail.ticket}
+          edits={editTrail.edits}
+          loading={editTrail.loading}
+          onClose={() => setEditTrail(null)}
+        />
+      )}
     </div>
   );
 };
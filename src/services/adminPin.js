@@ -0,0 +1,53 @@
+// Admin PIN for terminal setup actions: backup export/restore, the ticket number
+// format, receipt printer setup and paper ticket import. The PIN is set per
+// deployment with VITE_POS_ADMIN_PIN; without it those actions stay disabled on
+// every terminal. It ships in the bundle and the lockout only lasts until the
+// page reloads, so it keeps cashiers out of settings and is no approval of money
+// leaving the till: voids and refunds need a manager's own PIN, checked on the
+// server (managerApproval).
+
+const ADMIN_PIN = import.meta.env?.VITE_POS_ADMIN_PIN;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 5 * 60 * 1000;
+
+class AdminPin {
+  constructor() {
+    this.failedAttempts = 0;
+    this.lockedUntil = 0;
+  }
+
+  isConfigured() {
+    return !!ADMIN_PIN;
+  }
+
+  getLockoutRemaining() {
+    return Math.max(this.lockedUntil - Date.now(), 0);
+  }
+
+  // Returns true when the PIN matches. Repeated wrong entries lock the check for a while.
+  verify(pin) {
+    if (!this.isConfigured()) {
+      throw new Error('No admin PIN is configured for this terminal (VITE_POS_ADMIN_PIN)');
+    }
+
+    const remaining = this.getLockoutRemaining();
+    if (remaining > 0) {
+      throw new Error(`Too many wrong PIN entries. Try again in ${Math.ceil(remaining / 60000)} min.`);
+    }
+
+    if (String(pin ?? '') === String(ADMIN_PIN)) {
+      this.failedAttempts = 0;
+      return true;
+    }
+
+    this.failedAttempts++;
+    if (this.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      this.failedAttempts = 0;
+      this.lockedUntil = Date.now() + LOCKOUT_MS;
+      console.warn('⚠️ Admin PIN locked after repeated failures');
+    }
+    return false;
+  }
+}
+
+export const adminPin = new AdminPin();
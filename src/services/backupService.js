@@ -0,0 +1,201 @@
+import { localDB } from './localDB.jsx';
+
+// Terminal backup: every localDB store plus the localStorage keys the POS needs to
+// resume a shift, written to one versioned JSON file. Restoring merges the file into
+// the current terminal - existing records are never overwritten, so a restore can be
+// repeated safely and never duplicates tickets.
+
+const BACKUP_FORMAT = 'laundryking-pos-backup';
+const BACKUP_VERSION = 1;
+
+const BACKUP_LOCAL_STORAGE_KEYS = [
+  'active_timesheet',
+  'current_session_id',
+  'pos_offline_saves',
+  'selected_employee'
+];
+
+const getTicketNumber = (ticket) => ticket.ticketNumber || ticket.ticket_number;
+
+const ticketDedupeKey = (ticket) => `${ticket.pos_session_id}:${getTicketNumber(ticket)}`;
+
+class BackupService {
+  async createBackup() {
+    const { version, stores } = await localDB.getAllStoresForExport();
+
+    const localStorageData = {};
+    BACKUP_LOCAL_STORAGE_KEYS.forEach(key => {
+      const value = localStorage.getItem(key);
+      if (value !== null) localStorageData[key] = value;
+    });
+
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      db_version: version,
+      exported_at: new Date().toISOString(),
+      stores,
+      localStorage: localStorageData
+    };
+  }
+
+  async exportToFile() {
+    const backup = await this.createBackup();
+    const json = JSON.stringify(backup, null, 2);
+    const stamp = backup.exported_at.replace(/[:.]/g, '-');
+    const fileName = `laundryking-pos-backup-${stamp}.json`;
+
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    const recordCount = Object.values(backup.stores).reduce((sum, records) => sum + records.length, 0);
+    console.log(`✅ Exported terminal backup ${fileName} (${recordCount} records)`);
+    return { fileName, recordCount };
+  }
+
+  // Throws with a user-facing message when the file is not a usable backup
+  async validateBackup(backup) {
+    if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+      throw new Error('This file is not a Laundry King POS backup.');
+    }
+
+    if (!Number.isInteger(backup.version) || backup.version < 1) {
+      throw new Error('The backup file has no valid version.');
+    }
+    if (backup.version > BACKUP_VERSION) {
+      throw new Error(`The backup was made by a newer version of the POS (backup v${backup.version}). Update this terminal first.`);
+    }
+
+    const currentDbVersion = await localDB.getVersion();
+    if (backup.db_version > currentDbVersion) {
+      throw new Error(`The backup comes from a newer local database (v${backup.db_version}, this terminal has v${currentDbVersion}). Update this terminal first.`);
+    }
+
+    if (!backup.stores || typeof backup.stores !== 'object' || Array.isArray(backup.stores)) {
+      throw new Error('The backup file has no store data.');
+    }
+
+    const storeNames = await localDB.getStoreNames();
+    for (const [storeName, records] of Object.entries(backup.stores)) {
+      if (!storeNames.includes(storeName)) continue;
+
+      if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object')) {
+        throw new Error(`The backup data for "${storeName}" is damaged.`);
+      }
+
+      const keyPath = await localDB.getStoreKeyPath(storeName);
+      if (storeName !== 'syncOutbox' && records.some(record => record[keyPath] === undefined || record[keyPath] === null)) {
+        throw new Error(`Some "${storeName}" records in the backup have no ${keyPath}.`);
+      }
+      if (storeName === 'syncOutbox' && records.some(record => !record.idempotency_key || !record.kind)) {
+        throw new Error('Some queued sync entries in the backup are incomplete.');
+      }
+    }
+
+    const localStorageData = backup.localStorage || {};
+    if (typeof localStorageData !== 'object' || Object.values(localStorageData).some(value => typeof value !== 'string')) {
+      throw new Error('The backup file has invalid local settings.');
+    }
+  }
+
+  async parseFile(file) {
+    const text = await file.text();
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error('The backup file is not valid JSON.');
+    }
+  }
+
+  // Merge a backup into this terminal. Returns { stores: { name: { added, skipped } }, localStorage: { restored, skipped } }
+  async importFromFile(file) {
+    const backup = await this.parseFile(file);
+    await this.validateBackup(backup);
+    return this.mergeBackup(backup);
+  }
+
+  async mergeBackup(backup) {
+    const storeNames = await localDB.getStoreNames();
+    const result = { stores: {}, localStorage: { restored: [], skipped: [] } };
+
+    for (const [storeName, records] of Object.entries(backup.stores)) {
+      if (!storeNames.includes(storeName)) {
+        console.warn(`⚠️ Skipping unknown store in backup: ${storeName}`);
+        continue;
+      }
+
+      // Leased ticket numbers and tab claims belong to the device that made the backup;
+      // using them here could hand out numbers that device still spends
+      if (storeName === 'ticketSequence') {
+        result.stores[storeName] = { added: 0, skipped: records.length };
+        continue;
+      }
+
+      const existing = await localDB.getAllRecords(storeName);
+      const toAdd = storeName === 'syncOutbox'
+        ? this.selectOutboxEntries(records, existing)
+        : await this.selectNewRecords(storeName, records, existing);
+
+      await localDB.addRecords(storeName, toAdd);
+      result.stores[storeName] = { added: toAdd.length, skipped: records.length - toAdd.length };
+    }
+
+    // Keep this terminal's own state; only fill in keys it does not have
+    Object.entries(backup.localStorage || {}).forEach(([key, value]) => {
+      if (!BACKUP_LOCAL_STORAGE_KEYS.includes(key)) return;
+      if (localStorage.getItem(key) !== null) {
+        result.localStorage.skipped.push(key);
+        return;
+      }
+      localStorage.setItem(key, value);
+      result.localStorage.restored.push(key);
+    });
+
+    console.log('✅ Terminal backup merged:', result);
+    return result;
+  }
+
+  async selectNewRecords(storeName, records, existing) {
+    const keyPath = await localDB.getStoreKeyPath(storeName);
+    const existingKeys = new Set(existing.map(record => record[keyPath]));
+
+    if (storeName !== 'posTickets') {
+      return records.filter(record => !existingKeys.has(record[keyPath]));
+    }
+
+    // The same ticket can have different ids on two terminals, so tickets are also
+    // matched by session and ticket number. Blank ticket rows are not restored.
+    const existingTickets = new Set(existing.filter(getTicketNumber).map(ticketDedupeKey));
+
+    return records.filter(ticket => {
+      if (!getTicketNumber(ticket) || existingKeys.has(ticket.id)) return false;
+
+      const dedupeKey = ticketDedupeKey(ticket);
+      if (existingTickets.has(dedupeKey)) return false;
+
+      existingTickets.add(dedupeKey);
+      return true;
+    });
+  }
+
+  // Outbox entries get a new seq here; the idempotency key identifies them
+  selectOutboxEntries(records, existing) {
+    const existingKeys = new Set(existing.map(entry => entry.idempotency_key));
+
+    return records
+      .filter(entry => !existingKeys.has(entry.idempotency_key))
+      .map(({ seq, ...entry }) => ({
+        ...entry,
+        // An entry caught mid-send goes back to the queue
+        status: entry.status === 'sending' ? 'pending' : entry.status
+      }));
+  }
+}
+
+export const backupService = new BackupService();
@@ -0,0 +1,116 @@
+import { supabase } from '../lib/supabase';
+import { localDB } from './localDB.jsx';
+import { syncService } from './syncService';
+import { referenceDataService } from './referenceDataService';
+import { ticketStatus } from './ticketStatus';
+
+// Customers attached to wash/dry tickets at intake. Lookups run against the local
+// customers store so intake works offline; customers created here get their own id
+// and reach the server through the outbox (customer.upsert).
+
+const SEARCH_LIMIT = 20;
+
+const digitsOnly = (value) => String(value ?? '').replace(/\D/g, '');
+
+class CustomerService {
+  async getAll() {
+    const customers = await localDB.getAllCustomers();
+    return customers.sort((a, b) => (a.full_name || '').localeCompare(b.full_name || ''));
+  }
+
+  // Pull changed customers while online; always returns the full local list
+  async refresh() {
+    if (navigator.onLine) {
+      try {
+        await referenceDataService.pullCustomers();
+      } catch (error) {
+        console.error('❌ Error pulling customers:', error);
+      }
+    }
+    return this.getAll();
+  }
+
+  // Match by phone digits (3 or more) or by any part of the name
+  search(customers, query) {
+    const text = String(query || '').trim().toLowerCase();
+    if (!text) return customers.slice(0, SEARCH_LIMIT);
+
+    const digits = digitsOnly(text);
+    return customers
+      .filter(customer =>
+        (customer.full_name || '').toLowerCase().includes(text) ||
+        (digits.length >= 3 && digitsOnly(customer.phone).includes(digits))
+      )
+      .slice(0, SEARCH_LIMIT);
+  }
+
+  async findByPhone(phone) {
+    const digits = digitsOnly(phone);
+    if (!digits) return null;
+
+    const customers = await localDB.getAllCustomers();
+    return customers.find(customer => digitsOnly(customer.phone) === digits) || null;
+  }
+
+  // Throws with a user-facing message when the customer can't be created
+  async create({ full_name, phone = '', email = '', notes = '' }) {
+    const name = (full_name || '').trim();
+    if (!name) throw new Error('Please enter the customer name.');
+    if (email.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      throw new Error('Please enter a valid email address.');
+    }
+
+    const existing = await this.findByPhone(phone);
+    if (existing) {
+      throw new Error(`${existing.full_name} already uses this phone number.`);
+    }
+
+    const now = new Date().toISOString();
+    const customer = {
+      id: crypto.randomUUID(),
+      full_name: name,
+      phone: phone.trim(),
+      email: email.trim(),
+      notes: notes.trim(),
+      created_at: now,
+      updated_at: now
+    };
+
+    await localDB.storeCustomer(customer);
+    await syncService.queueCustomer(customer);
+    console.log('✅ Created customer:', customer.full_name);
+    return { ...customer, synced: 0 };
+  }
+
+  // Tickets stored on this terminal plus, while online, the customer's tickets from
+  // every other terminal. Newest first.
+  async getTicketHistory(customerId) {
+    const localTickets = (await localDB.getAllTickets()).filter(ticket => ticket.customer_id === customerId);
+    const ticketsById = {};
+
+    if (navigator.onLine) {
+      try {
+        const { data, error } = await supabase
+          .from('pos_wash_dry_tickets')
+          .select('*')
+          .eq('customer_id', customerId)
+          .order('created_at', { ascending: false });
+        if (error) throw error;
+
+        (data || []).forEach(ticket => {
+          ticketsById[ticket.id] = ticket;
+        });
+      } catch (error) {
+        console.error('❌ Error loading customer tickets from server:', error);
+      }
+    }
+
+    localTickets.forEach(ticket => {
+      ticketsById[ticket.id] = ticketStatus.mergeCopies(ticketsById[ticket.id], ticket);
+    });
+
+    return Object.values(ticketsById).sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0));
+  }
+}
+
+export const customerService = new CustomerService();
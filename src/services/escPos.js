@@ -0,0 +1,110 @@
+// ESC/POS encoder for receipt documents (see receiptService for the document shape).
+// Pure: the same document and options always give the same bytes, so output can be
+// compared against a stored snapshot without a printer attached.
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ALIGN = { left: 0, center: 1, right: 2 };
+
+// Thermal printers here run the default code page; anything outside printable
+// ASCII is replaced so it can't be read as a control byte
+const toAscii = (text) => Array.from(String(text ?? ''), char => {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 && code <= 0x7e ? code : 0x3f; // '?'
+});
+
+// Left and right text on one line, right text flush with the paper edge
+export const padRow = (left, right, columns) => {
+  const rightText = String(right ?? '');
+  const space = Math.max(columns - rightText.length - 1, 0);
+  const leftText = String(left ?? '').slice(0, space);
+  return `${leftText}${' '.repeat(columns - leftText.length - rightText.length)}${rightText}`;
+};
+
+// Word-wrap to the paper width; words longer than a line are split
+export const wrapText = (text, columns) => {
+  const lines = [];
+  String(text ?? '').split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      while (word.length > columns) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(word.slice(0, columns));
+        word = word.slice(columns);
+      }
+      if (!word) return;
+      if (line && line.length + 1 + word.length > columns) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+// Code39 as printed by GS k (format B, m = 69); the printer adds the start/stop characters
+const encodeBarcode = (value) => {
+  const data = toAscii(String(value).toUpperCase().replace(/[^0-9A-Z\-. $/+%]/g, ''));
+  if (data.length === 0 || data.length > 255) return [];
+
+  return [
+    ESC, 0x61, ALIGN.center,
+    GS, 0x68, 80, // height in dots
+    GS, 0x77, 2, // module width
+    GS, 0x48, 2, // human readable text below the bars
+    GS, 0x6b, 69, data.length, ...data,
+    LF
+  ];
+};
+
+export const encodeEscPos = (document, { columns = 32 } = {}) => {
+  const bytes = [ESC, 0x40]; // Initialise
+
+  (document?.blocks || []).forEach(block => {
+    switch (block.type) {
+      case 'text': {
+        const large = block.size === 'large';
+        // Double width halves the characters per line
+        const lines = wrapText(block.text, large ? Math.floor(columns / 2) : columns);
+        bytes.push(ESC, 0x61, ALIGN[block.align] ?? ALIGN.left);
+        bytes.push(ESC, 0x45, block.bold ? 1 : 0);
+        bytes.push(GS, 0x21, large ? 0x11 : 0x00);
+        lines.forEach(line => bytes.push(...toAscii(line), LF));
+        bytes.push(GS, 0x21, 0x00, ESC, 0x45, 0);
+        break;
+      }
+      case 'row':
+        bytes.push(ESC, 0x61, ALIGN.left, ESC, 0x45, block.bold ? 1 : 0);
+        bytes.push(...toAscii(padRow(block.left, block.right, columns)), LF);
+        bytes.push(ESC, 0x45, 0);
+        break;
+      case 'divider':
+        bytes.push(ESC, 0x61, ALIGN.left, ...toAscii('-'.repeat(columns)), LF);
+        break;
+      case 'barcode':
+        bytes.push(...encodeBarcode(block.value));
+        break;
+      case 'feed':
+        bytes.push(ESC, 0x64, Math.min(Math.max(block.lines || 1, 0), 255));
+        break;
+      case 'cut':
+        bytes.push(GS, 0x56, 66, 0); // Feed to the cutter, then partial cut
+        break;
+      default:
+        break;
+    }
+  });
+
+  return Uint8Array.from(bytes);
+};
+
+// Readable dump of a byte stream, e.g. "1B 40 0A", for snapshots and debugging
+export const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).toUpperCase().padStart(2, '0')).join(' ');
@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { encodeEscPos, toHex } from './escPos';
+
+// Shaped like receiptService.buildTicketReceipt's output, with every block type the
+// encoder knows, so a change to the bytes sent to the printer shows up in review
+const ticketReceipt = {
+  title: 'Receipt 0042',
+  blocks: [
+    { type: 'text', text: 'LaundryKing', align: 'center', bold: true, size: 'large' },
+    { type: 'text', text: '12 Main St, open 7am to 10pm every day', align: 'center' },
+    { type: 'text', text: 'CUSTOMER RECEIPT', align: 'center', bold: true },
+    { type: 'row', left: 'Ticket #', right: '0042', bold: true },
+    { type: 'row', left: 'Date', right: '10/19/2025 9:30 AM' },
+    { type: 'row', left: 'Customer', right: 'José Álvarez' },
+    { type: 'divider' },
+    { type: 'row', left: 'Wash', right: '$6.50' },
+    { type: 'row', left: 'Dry', right: '$4.00' },
+    { type: 'row', left: 'TOTAL', right: '$10.50', bold: true },
+    { type: 'row', left: 'Paid (Cash)', right: '$10.50' },
+    { type: 'barcode', value: '0042' },
+    { type: 'text', text: 'Thank you!', align: 'center' },
+    { type: 'feed', lines: 3 },
+    { type: 'cut' }
+  ]
+};
+
+describe('encodeEscPos', () => {
+  it('encodes a ticket receipt for 32-column paper', () => {
+    expect(toHex(encodeEscPos(ticketReceipt))).toMatchSnapshot();
+  });
+
+  it('encodes a ticket receipt for 48-column paper', () => {
+    expect(toHex(encodeEscPos(ticketReceipt, { columns: 48 }))).toMatchSnapshot();
+  });
+
+  it('gives the same bytes for the same document', () => {
+    expect(encodeEscPos(ticketReceipt)).toEqual(encodeEscPos(ticketReceipt));
+  });
+});
@@ -0,0 +1,172 @@
+import { supabase } from '../lib/supabase';
+
+// Inventory stock ledger, shared by the POS and the operations dashboard. Every change
+// to stock is an append-only movement (pos_inventory_movements) with a signed quantity,
+// a timestamp, the employee and a reason; nothing is edited or deleted, a mistake is
+// put right with another movement. On-hand is the sum of an item's movements. A terminal
+// doesn't keep the ledger: it has the server's on-hand per item from its last pull plus
+// the movements that snapshot doesn't include yet (counted: 0), and the current
+// session's movements. The POS grid's Start / Add / Sold / Left columns are a view over
+// the current session's:
+//
+//   add   = received this session          sold = sold this session
+//   other = damaged and transferred this session
+//   left  = on hand now                    start = left - add + sold - other
+//
+// so count corrections ('adjusted') land in Start. Items are matched by name, like the
+// session inventory rows.
+
+export const MOVEMENT_TYPES = ['received', 'sold', 'adjusted', 'damaged', 'transferred'];
+
+export const movementTypeLabels = {
+  received: 'Received',
+  sold: 'Sold',
+  adjusted: 'Adjusted',
+  damaged: 'Damaged',
+  transferred: 'Transferred'
+};
+
+// Movements that don't explain themselves
+export const REASON_REQUIRED_TYPES = ['adjusted', 'damaged', 'transferred'];
+
+// Grid column -> the movement a typed change is recorded as
+const gridFieldTypes = {
+  start: 'adjusted',
+  add: 'received',
+  sold: 'sold'
+};
+
+const GRID_START_REASON = 'Start count corrected on the grid';
+
+// PostgREST's default page size; the dashboard shows the latest movements only
+const MAX_MOVEMENTS = 1000;
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+class InventoryLedger {
+  getItemKey(name) {
+    return String(name || '').trim().toLowerCase();
+  }
+
+  // New movement; throws when it can't be recorded as given
+  buildMovement(itemName, movementType, quantity, { reason = '', sessionId = null, employeeId = null, saleId = null, terminalId = null, now = new Date().toISOString() } = {}) {
+    if (!MOVEMENT_TYPES.includes(movementType)) throw new Error(`Unknown movement type: ${movementType}`);
+    if (!String(itemName || '').trim()) throw new Error('Choose an item');
+    if (!Number.isInteger(quantity) || quantity === 0) throw new Error('Enter a whole number of units');
+    if (movementType === 'damaged' && quantity > 0) throw new Error('Damaged stock can only be taken out');
+    if (REASON_REQUIRED_TYPES.includes(movementType) && !reason.trim()) {
+      throw new Error(`Enter a reason for ${movementTypeLabels[movementType].toLowerCase()} stock`);
+    }
+
+    return {
+      id: crypto.randomUUID(),
+      item_name: String(itemName).trim(),
+      movement_type: movementType,
+      quantity,
+      reason: reason.trim() || null,
+      pos_session_id: sessionId,
+      employee_id: employeeId,
+      sale_id: saleId,
+      terminal_id: terminalId,
+      occurred_at: now
+    };
+  }
+
+  // { [itemKey]: units on hand }: the server's on-hand rows (pos_inventory_on_hand)
+  // plus the movements they don't include yet
+  getOnHand(onHandRows = [], movements = []) {
+    const onHand = {};
+    onHandRows.forEach(row => {
+      const key = this.getItemKey(row.item_key ?? row.item_name);
+      onHand[key] = (onHand[key] || 0) + Number(row.on_hand || 0);
+    });
+    movements
+      .filter(movement => movement.counted !== 1)
+      .forEach(movement => {
+        const key = this.getItemKey(movement.item_name);
+        onHand[key] = (onHand[key] || 0) + Number(movement.quantity || 0);
+      });
+    return onHand;
+  }
+
+  // Grid counts for one item in one session: { start, add, sold, other, left }
+  getSessionCounts(movements = [], itemName, sessionId, onHand = this.getOnHand([], movements)) {
+    const key = this.getItemKey(itemName);
+    const counts = { start: 0, add: 0, sold: 0, other: 0, left: onHand[key] || 0 };
+
+    movements
+      .filter(movement => sessionId && movement.pos_session_id === sessionId)
+      .filter(movement => this.getItemKey(movement.item_name) === key)
+      .forEach(movement => {
+        const quantity = Number(movement.quantity || 0);
+        if (movement.movement_type === 'received') counts.add += quantity;
+        else if (movement.movement_type === 'sold') counts.sold -= quantity;
+        else if (movement.movement_type !== 'adjusted') counts.other += quantity;
+      });
+
+    counts.start = counts.left - counts.add + counts.sold - counts.other;
+    return counts;
+  }
+
+  // Grid rows with their counts and sales total taken from the stock levels
+  applyToItems(items = [], movements = [], sessionId = null, onHandRows = []) {
+    const onHand = this.getOnHand(onHandRows, movements);
+    return items.map(item => {
+      const counts = this.getSessionCounts(movements, item?.name, sessionId, onHand);
+      return {
+        ...item,
+        ...counts,
+        total: roundCurrency(counts.sold * Number(item?.price || 0))
+      };
+    });
+  }
+
+  // The movement that turns a grid cell from its current count into the typed one,
+  // or null when nothing changed. Typing a smaller Add or Sold records a correction
+  // of the same type.
+  buildGridCorrection(item, field, value, options = {}) {
+    const movementType = gridFieldTypes[field];
+    if (!movementType) return null;
+    const delta = Math.round(Number(value) || 0) - Number(item?.[field] || 0);
+    if (delta === 0) return null;
+    return this.buildMovement(item.name, movementType, movementType === 'sold' ? -delta : delta, {
+      ...options,
+      reason: movementType === 'adjusted' ? GRID_START_REASON : ''
+    });
+  }
+
+  // An item's movements, newest first
+  getItemHistory(movements = [], itemName) {
+    const key = this.getItemKey(itemName);
+    return movements
+      .filter(movement => this.getItemKey(movement.item_name) === key)
+      .sort((a, b) => new Date(b.occurred_at) - new Date(a.occurred_at));
+  }
+
+  // Server on-hand per item (pos_inventory_on_hand), by name
+  async getServerOnHand() {
+    const { data, error } = await supabase
+      .from('pos_inventory_on_hand')
+      .select('*')
+      .order('item_name');
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Latest movements on the server, newest first, optionally for one item or type
+  async getServerMovements({ itemName = '', movementType = '' } = {}) {
+    let query = supabase
+      .from('pos_inventory_movements')
+      .select('id, item_name, movement_type, quantity, reason, occurred_at, terminal_id, sale_id, user_profiles(full_name)')
+      .order('occurred_at', { ascending: false })
+      .limit(MAX_MOVEMENTS);
+    if (itemName) query = query.eq('item_name', itemName);
+    if (movementType) query = query.eq('movement_type', movementType);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+export const inventoryLedger = new InventoryLedger();
@@ -1,6 +1,7 @@
 // IndexedDB wrapper for local storage
 const DB_NAME = 'laundryking_pos';
-const DB_VERSION = 2; // Increment version to add new store
+const MIGRATION_LOG_KEY = 'pos_db_migration_log';
+const MIGRATION_LOG_LIMIT = 50;
 
 // Helper to wrap request in promise
 const requestToPromise = (request) => new Promise((resolve, reject) => {
@@ -8,66 +9,338 @@ const requestToPromise = (request) => new Promise((resolve, reject) => {
   request.onsuccess = () => resolve(request.result);
 });
 
+// Rewrite every record in a store during an upgrade. `transform` returns the new
+// record, or undefined to leave it unchanged. A throw aborts the whole upgrade.
+const transformRecords = (transaction, storeName, transform) => {
+  const request = transaction.objectStore(storeName).openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    try {
+      const updated = transform(cursor.value);
+      if (updated !== undefined) cursor.update(updated);
+      cursor.continue();
+    } catch (error) {
+      console.error(`❌ Record transform failed in ${storeName}:`, error);
+      transaction.abort();
+    }
+  };
+};
+
+// Ordered schema migrations. To change the schema, append an entry with the next
+// version; never edit one that has shipped. Steps run inside the versionchange
+// transaction, and store creation stays guarded because databases created before
+// this list existed already have some of these stores.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create base POS stores',
+    upgrade: (db) => {
+      // Employee Profiles Store
+      if (!db.objectStoreNames.contains('employeeProfiles')) {
+        db.createObjectStore('employeeProfiles', { keyPath: 'id' });
+      }
+
+      // POS Inventory Items Store
+      if (!db.objectStoreNames.contains('posInventoryItems')) {
+        const inventoryStore = db.createObjectStore('posInventoryItems', { keyPath: 'id' });
+        inventoryStore.createIndex('synced', 'synced', { unique: false });
+      }
+
+      // Latest Inventory State Store
+      if (!db.objectStoreNames.contains('latestInventory')) {
+        db.createObjectStore('latestInventory', { keyPath: 'name' });
+      }
+
+      // POS Tickets Store
+      if (!db.objectStoreNames.contains('posTickets')) {
+        const ticketsStore = db.createObjectStore('posTickets', { keyPath: 'id' });
+        ticketsStore.createIndex('synced', 'synced', { unique: false });
+      }
+
+      // POS Session Store
+      if (!db.objectStoreNames.contains('posSession')) {
+        const sessionStore = db.createObjectStore('posSession', { keyPath: 'id' });
+        sessionStore.createIndex('synced', 'synced', { unique: false });
+      }
+
+      // Ticket Sequence Store
+      if (!db.objectStoreNames.contains('ticketSequence')) {
+        db.createObjectStore('ticketSequence', { keyPath: 'id' });
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Add employee timesheets store',
+    upgrade: (db) => {
+      if (!db.objectStoreNames.contains('employeeTimesheets')) {
+        const timesheetStore = db.createObjectStore('employeeTimesheets', { keyPath: 'id' });
+        timesheetStore.createIndex('synced', 'synced', { unique: false });
+        timesheetStore.createIndex('employee_id', 'employee_id', { unique: false });
+        timesheetStore.createIndex('session_id', 'session_id', { unique: false });
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Add sync outbox store',
+    upgrade: (db) => {
+      // Auto-increment key keeps entries in FIFO order
+      if (!db.objectStoreNames.contains('syncOutbox')) {
+        const outboxStore = db.createObjectStore('syncOutbox', { keyPath: 'seq', autoIncrement: true });
+        outboxStore.createIndex('idempotency_key', 'idempotency_key', { unique: true });
+        outboxStore.createIndex('entity_key', 'entity_key', { unique: false });
+        outboxStore.createIndex('status', 'status', { unique: false });
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Index tickets by session and backfill ticket fields on server-shaped tickets',
+    upgrade: (db, transaction) => {
+      const ticketsStore = transaction.objectStore('posTickets');
+      if (!ticketsStore.indexNames.contains('pos_session_id')) {
+        ticketsStore.createIndex('pos_session_id', 'pos_session_id', { unique: false });
+      }
+
+      // Tickets downloaded from Supabase only had ticket_number/wash_amount/dry_amount,
+      // so duplicate checks and history totals that read ticketNumber/wash/dry missed them
+      transformRecords(transaction, 'posTickets', (ticket) => {
+        if (ticket.ticketNumber || !ticket.ticket_number) return undefined;
+        const wash = Number(ticket.wash_amount || 0);
+        const dry = Number(ticket.dry_amount || 0);
+        return {
+          ...ticket,
+          ticketNumber: ticket.ticket_number,
+          wash,
+          dry,
+          total: Number(ticket.total_amount || wash + dry)
+        };
+      });
+    }
+  },
+  {
+    version: 5,
+    description: 'Add master inventory cache for incremental pulls',
+    upgrade: (db) => {
+      // Raw master_inventory_items rows, kept current by referenceDataService
+      if (!db.objectStoreNames.contains('masterInventory')) {
+        db.createObjectStore('masterInventory', { keyPath: 'id' });
+      }
+    }
+  },
+  {
+    version: 6,
+    description: 'Add customers cache for ticket intake',
+    upgrade: (db) => {
+      // customers rows pulled from the server plus customers created on this terminal (synced: 0)
+      if (!db.objectStoreNames.contains('customers')) {
+        const customersStore = db.createObjectStore('customers', { keyPath: 'id' });
+        customersStore.createIndex('synced', 'synced', { unique: false });
+        customersStore.createIndex('phone', 'phone', { unique: false });
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'Add service catalog cache for priced ticket lines',
+    upgrade: (db) => {
+      // Raw service_catalog rows, kept current by referenceDataService
+      if (!db.objectStoreNames.contains('serviceCatalog')) {
+        db.createObjectStore('serviceCatalog', { keyPath: 'id' });
+      }
+    }
+  },
+  {
+    version: 8,
+    description: 'Add inventory sales with their payments',
+    upgrade: (db) => {
+      // Sales rung up through the sale receipt: items sold plus payments by tender
+      if (!db.objectStoreNames.contains('posSales')) {
+        const salesStore = db.createObjectStore('posSales', { keyPath: 'id' });
+        salesStore.createIndex('pos_session_id', 'pos_session_id', { unique: false });
+      }
+    }
+  },
+  {
+    version: 9,
+    description: 'Add turnaround rules cache for promised ready times',
+    upgrade: (db) => {
+      // Raw pos_turnaround_rules rows, kept current by referenceDataService
+      if (!db.objectStoreNames.contains('turnaroundRules')) {
+        db.createObjectStore('turnaroundRules', { keyPath: 'id' });
+      }
+    }
+  },
+  {
+    version: 10,
+    description: 'Add notification templates cache for ready messages',
+    upgrade: (db) => {
+      // Raw pos_notification_templates rows, kept current by referenceDataService
+      if (!db.objectStoreNames.contains('notificationTemplates')) {
+        db.createObjectStore('notificationTemplates', { keyPath: 'id' });
+      }
+    }
+  },
+  {
+    version: 11,
+    description: 'Add inventory stock levels and movements',
+    upgrade: (db) => {
+      // Last pos_inventory_on_hand snapshot from the server, one row per item
+      if (!db.objectStoreNames.contains('inventoryOnHand')) {
+        db.createObjectStore('inventoryOnHand', { keyPath: 'item_key' });
+      }
+      // Movements recorded on this terminal (synced: 0 until sent) plus the open sessions'
+      // movements from the server; counted: 1 once the on-hand snapshot includes them
+      if (!db.objectStoreNames.contains('stockMovements')) {
+        const movementsStore = db.createObjectStore('stockMovements', { keyPath: 'id' });
+        movementsStore.createIndex('synced', 'synced', { unique: false });
+        movementsStore.createIndex('pos_session_id', 'pos_session_id', { unique: false });
+      }
+    }
+  }
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Keep a short migration history in localStorage - it survives a failed upgrade
+const logMigration = (entry) => {
+  const record = { ...entry, at: new Date().toISOString() };
+  if (entry.status === 'failed') {
+    console.error(`❌ localDB migration v${entry.version} failed:`, entry.error);
+  } else {
+    console.log(`✅ localDB migration v${entry.version} ${entry.status}: ${entry.description}`);
+  }
+
+  try {
+    const log = JSON.parse(localStorage.getItem(MIGRATION_LOG_KEY) || '[]');
+    log.push(record);
+    localStorage.setItem(MIGRATION_LOG_KEY, JSON.stringify(log.slice(-MIGRATION_LOG_LIMIT)));
+  } catch (error) {
+    console.warn('Could not write migration log:', error);
+  }
+};
+
 class LocalDB {
   constructor() {
+    this.migrationError = null;
+    this.previousDB = null; // Old-schema database after a failed upgrade, for backup export only
     this.ready = this.initDB();
+    // Callers see the rejection when they await ready; don't report it as unhandled
+    this.ready.catch(() => {});
   }
 
   async initDB() {
     return new Promise((resolve, reject) => {
       const request = indexedDB.open(DB_NAME, DB_VERSION);
+      let pendingMigrations = [];
+      let currentMigration = null; // Set while a step runs; record transforms fail later
+      let fromVersion = 0;
+
+      request.onerror = () => {
+        // No upgrade was attempted - nothing to fall back to
+        if (pendingMigrations.length === 0) {
+          reject(request.error);
+          return;
+        }
+
+        // The versionchange transaction was rolled back, so the database is still at
+        // its previous version with its data intact. The app's code expects the new
+        // stores, so nothing runs on it: every call fails with the upgrade error, and
+        // the old database is only opened for a backup export.
+        const failedVersion = currentMigration?.version || DB_VERSION;
+        logMigration({
+          version: failedVersion,
+          description: currentMigration?.description || `Upgrade from v${fromVersion}`,
+          status: 'failed',
+          error: request.error?.message || 'Upgrade aborted'
+        });
+        this.migrationError = `Local database upgrade to v${failedVersion} failed. This terminal's data is still on v${fromVersion}.`;
+        window.dispatchEvent(new CustomEvent('localdb-migration-failed', {
+          detail: { version: failedVersion, error: request.error?.message }
+        }));
+
+        reject(new Error(this.migrationError));
+      };
 
-      request.onerror = () => reject(request.error);
       request.onsuccess = () => {
-        this.db = request.result;
+        this.attachDB(request.result);
+        pendingMigrations.forEach(migration => logMigration({
+          version: migration.version,
+          description: migration.description,
+          status: 'applied'
+        }));
         resolve();
       };
 
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        // Employee Profiles Store
-        if (!db.objectStoreNames.contains('employeeProfiles')) {
-          db.createObjectStore('employeeProfiles', { keyPath: 'id' });
-        }
-
-        // POS Inventory Items Store
-        if (!db.objectStoreNames.contains('posInventoryItems')) {
-          const inventoryStore = db.createObjectStore('posInventoryItems', { keyPath: 'id' });
-          inventoryStore.createIndex('synced', 'synced', { unique: false });
-        }
+      request.onblocked = () => {
+        console.warn('⚠️ localDB upgrade is waiting for another POS tab to close');
+      };
 
-        // Latest Inventory State Store
-        if (!db.objectStoreNames.contains('latestInventory')) {
-          db.createObjectStore('latestInventory', { keyPath: 'name' });
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        const transaction = request.transaction;
+        fromVersion = event.oldVersion;
+        pendingMigrations = MIGRATIONS.filter(m => m.version > fromVersion && m.version <= DB_VERSION);
+
+        console.log(`🔄 Upgrading localDB from v${event.oldVersion} to v${DB_VERSION}`);
+
+        for (const migration of pendingMigrations) {
+          currentMigration = migration;
+          try {
+            migration.upgrade(db, transaction);
+          } catch (error) {
+            console.error(`❌ Migration v${migration.version} threw:`, error);
+            transaction.abort();
+            return;
+          }
         }
+        currentMigration = null;
+      };
+    });
+  }
 
-        // POS Tickets Store
-        if (!db.objectStoreNames.contains('posTickets')) {
-          const ticketsStore = db.createObjectStore('posTickets', { keyPath: 'id' });
-          ticketsStore.createIndex('synced', 'synced', { unique: false });
-        }
+  // Open the database at whatever version it is already on, without upgrading
+  async openExistingDB() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        console.warn(`⚠️ localDB opened at v${request.result.version} after a failed upgrade`);
+        resolve(request.result);
+      };
+    });
+  }
 
-        // POS Session Store
-        if (!db.objectStoreNames.contains('posSession')) {
-          const sessionStore = db.createObjectStore('posSession', { keyPath: 'id' });
-          sessionStore.createIndex('synced', 'synced', { unique: false });
-        }
+  // The database to export from: the current one, or the old-schema one when the
+  // upgrade failed, so a blocked terminal can still save its data
+  async getExportDB() {
+    try {
+      await this.ready;
+      return this.db;
+    } catch (error) {
+      if (!this.migrationError) throw error;
+      if (!this.previousDB) this.previousDB = await this.openExistingDB();
+      return this.previousDB;
+    }
+  }
 
-        // Ticket Sequence Store
-        if (!db.objectStoreNames.contains('ticketSequence')) {
-          db.createObjectStore('ticketSequence', { keyPath: 'id' });
-        }
+  attachDB(db) {
+    this.db = db;
+    // Let another tab with a newer build upgrade the schema
+    this.db.onversionchange = () => {
+      console.warn('⚠️ localDB schema changed in another tab; reload this tab to continue');
+      this.db.close();
+    };
+  }
 
-        // Employee Timesheets Store
-        if (!db.objectStoreNames.contains('employeeTimesheets')) {
-          const timesheetStore = db.createObjectStore('employeeTimesheets', { keyPath: 'id' });
-          timesheetStore.createIndex('synced', 'synced', { unique: false });
-          timesheetStore.createIndex('employee_id', 'employee_id', { unique: false });
-          timesheetStore.createIndex('session_id', 'session_id', { unique: false });
-        }
-      };
-    });
+  getMigrationLog() {
+    try {
+      return JSON.parse(localStorage.getItem(MIGRATION_LOG_KEY) || '[]');
+    } catch (error) {
+      return [];
+    }
   }
 
   async storeEmployeeProfile(employee) {
@@ -314,6 +587,22 @@ class LocalDB {
     }));
   }
 
+  // Tickets downloaded from the server. A ticket this terminal already has is merged
+  // with `merge(server, local)` so its local-only fields, unsynced changes and synced
+  // flag survive; one it doesn't have is stored as synced. Resolves to the stored records.
+  async storeServerTickets(tickets, merge) {
+    await this.ready;
+    const transaction = this.db.transaction(['posTickets'], 'readwrite');
+    const store = transaction.objectStore('posTickets');
+
+    return Promise.all(tickets.map(async ticket => {
+      const local = await requestToPromise(store.get(ticket.id));
+      const record = local ? merge(ticket, local) : { ...ticket, synced: 1 };
+      await requestToPromise(store.put(record));
+      return record;
+    }));
+  }
+
   async storeSession(session) {
     await this.ready;
     const transaction = this.db.transaction(['posSession'], 'readwrite');
@@ -336,6 +625,13 @@ class LocalDB {
     return sessions[sessions.length - 1]; // Return most recent session
   }
 
+  async getAllSessions() {
+    await this.ready;
+    const transaction = this.db.transaction(['posSession'], 'readonly');
+    const store = transaction.objectStore('posSession');
+    return requestToPromise(store.getAll());
+  }
+
   async getSessionByEmployeeAndDate(employeeId, date) {
     await this.ready;
     const transaction = this.db.transaction(['posSession'], 'readonly');
@@ -412,6 +708,278 @@ class LocalDB {
       }
     }));
   }
+
+  async storeCustomer(customer) {
+    await this.ready;
+    const transaction = this.db.transaction(['customers'], 'readwrite');
+    const store = transaction.objectStore('customers');
+
+    return requestToPromise(store.put({
+      ...customer,
+      synced: 0,
+      updated_at: new Date().toISOString()
+    }));
+  }
+
+  async getAllCustomers() {
+    await this.ready;
+    const transaction = this.db.transaction(['customers'], 'readonly');
+    const store = transaction.objectStore('customers');
+    return requestToPromise(store.getAll());
+  }
+
+  async getUnsyncedCustomers() {
+    await this.ready;
+    const transaction = this.db.transaction(['customers'], 'readonly');
+    const store = transaction.objectStore('customers');
+    const index = store.index('synced');
+    return requestToPromise(index.getAll(0)); // Get customers where synced = 0
+  }
+
+  async markCustomersSynced(ids) {
+    await this.ready;
+    const transaction = this.db.transaction(['customers'], 'readwrite');
+    const store = transaction.objectStore('customers');
+
+    return Promise.all(ids.map(async id => {
+      const customer = await requestToPromise(store.get(id));
+      if (customer) {
+        customer.synced = 1;
+        return requestToPromise(store.put(customer));
+      }
+    }));
+  }
+
+  // Movements are appended, never changed; synced: 0 until the outbox has sent them
+  async storeStockMovements(movements) {
+    return this.putRecords('stockMovements', movements.map(movement => ({ ...movement, synced: 0 })));
+  }
+
+  async markStockMovementsSynced(ids) {
+    await this.ready;
+    const transaction = this.db.transaction(['stockMovements'], 'readwrite');
+    const store = transaction.objectStore('stockMovements');
+
+    return Promise.all(ids.map(async id => {
+      const movement = await requestToPromise(store.get(id));
+      if (movement) {
+        movement.synced = 1;
+        return requestToPromise(store.put(movement));
+      }
+    }));
+  }
+
+  // Replaces the on-hand snapshot and, in the same transaction, flags the movements it
+  // includes: countedIds (sent before the snapshot was read) and serverMovements. Counted
+  // movements outside keepSessionIds are dropped; only the open sessions' are needed.
+  async storeStockLevels(onHandRows, { countedIds = [], serverMovements = [], keepSessionIds = [] } = {}) {
+    await this.ready;
+    const counted = new Set(countedIds);
+    const keep = new Set(keepSessionIds);
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['inventoryOnHand', 'stockMovements'], 'readwrite');
+      const onHandStore = transaction.objectStore('inventoryOnHand');
+      const movementsStore = transaction.objectStore('stockMovements');
+
+      onHandStore.clear();
+      onHandRows.forEach(row => onHandStore.put(row));
+
+      const request = movementsStore.getAll();
+      request.onsuccess = () => {
+        const movements = new Map(request.result.map(movement => [movement.id, movement]));
+        serverMovements.forEach(movement => movements.set(movement.id, { ...movement, synced: 1, counted: 1 }));
+
+        movements.forEach(movement => {
+          const isCounted = movement.counted === 1 || counted.has(movement.id);
+          if (isCounted && !keep.has(movement.pos_session_id)) {
+            movementsStore.delete(movement.id);
+          } else {
+            movementsStore.put({ ...movement, counted: isCounted ? 1 : 0 });
+          }
+        });
+      };
+
+      transaction.oncomplete = () => resolve(onHandRows.length);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Queue a mutation in the outbox. A pending entry for the same entity that has
+  // never been sent is replaced in place; once an entry has been attempted its
+  // idempotency key may already be recorded on the server, so a new entry is added.
+  async enqueueOutboxEntry(entry) {
+    await this.ready;
+    const transaction = this.db.transaction(['syncOutbox'], 'readwrite');
+    const store = transaction.objectStore('syncOutbox');
+
+    if (entry.entity_key) {
+      const existing = await requestToPromise(store.index('entity_key').getAll(entry.entity_key));
+      const unsent = existing.find(e => e.status === 'pending' && e.attempts === 0);
+      if (unsent) {
+        const merged = {
+          ...unsent,
+          payload: entry.payload,
+          updated_at: new Date().toISOString()
+        };
+        await requestToPromise(store.put(merged));
+        return merged;
+      }
+    }
+
+    const seq = await requestToPromise(store.add(entry));
+    return { ...entry, seq };
+  }
+
+  async getOutboxEntries() {
+    await this.ready;
+    const transaction = this.db.transaction(['syncOutbox'], 'readonly');
+    const store = transaction.objectStore('syncOutbox');
+    return requestToPromise(store.getAll()); // Ordered by seq (FIFO)
+  }
+
+  async updateOutboxEntry(entry) {
+    await this.ready;
+    const transaction = this.db.transaction(['syncOutbox'], 'readwrite');
+    const store = transaction.objectStore('syncOutbox');
+    return requestToPromise(store.put({
+      ...entry,
+      updated_at: new Date().toISOString()
+    }));
+  }
+
+  async deleteOutboxEntry(seq) {
+    await this.ready;
+    const transaction = this.db.transaction(['syncOutbox'], 'readwrite');
+    const store = transaction.objectStore('syncOutbox');
+    return requestToPromise(store.delete(seq));
+  }
+
+  // Ticket numbers handed out to open POS tabs (see posService.generateTicketNumbers)
+  async getTicketClaims() {
+    await this.ready;
+    const transaction = this.db.transaction(['ticketSequence'], 'readonly');
+    const store = transaction.objectStore('ticketSequence');
+    const records = await requestToPromise(store.getAll());
+    return records.filter(record => record.tab_id);
+  }
+
+  async storeTicketClaim(claim) {
+    await this.ready;
+    const transaction = this.db.transaction(['ticketSequence'], 'readwrite');
+    const store = transaction.objectStore('ticketSequence');
+    return requestToPromise(store.put({
+      ...claim,
+      updated_at: new Date().toISOString()
+    }));
+  }
+
+  // Removes tab claims or leases by id
+  async deleteTicketSequenceRecords(ids) {
+    await this.ready;
+    const transaction = this.db.transaction(['ticketSequence'], 'readwrite');
+    const store = transaction.objectStore('ticketSequence');
+    return Promise.all(ids.map(id => requestToPromise(store.delete(id))));
+  }
+
+  // Ticket number blocks leased from the server (see ticketNumbering)
+  async getTicketLeases() {
+    await this.ready;
+    const transaction = this.db.transaction(['ticketSequence'], 'readonly');
+    const store = transaction.objectStore('ticketSequence');
+    const records = await requestToPromise(store.getAll());
+    return records.filter(record => record.lease_id);
+  }
+
+  async storeTicketLease(lease) {
+    await this.ready;
+    const transaction = this.db.transaction(['ticketSequence'], 'readwrite');
+    const store = transaction.objectStore('ticketSequence');
+    return requestToPromise(store.put(lease));
+  }
+
+  // Generic store access for terminal backup/restore and incremental pulls
+  async getStoreNames() {
+    await this.ready;
+    return Array.from(this.db.objectStoreNames);
+  }
+
+  async getVersion() {
+    await this.ready;
+    return this.db.version;
+  }
+
+  // { version, stores: { [storeName]: records } } for a backup; reads the old-schema
+  // database when the upgrade failed
+  async getAllStoresForExport() {
+    const db = await this.getExportDB();
+    const stores = {};
+    for (const storeName of Array.from(db.objectStoreNames)) {
+      stores[storeName] = await requestToPromise(db.transaction([storeName], 'readonly').objectStore(storeName).getAll());
+    }
+    return { version: db.version, stores };
+  }
+
+  async getAllRecords(storeName) {
+    await this.ready;
+    const transaction = this.db.transaction([storeName], 'readonly');
+    const store = transaction.objectStore(storeName);
+    return requestToPromise(store.getAll());
+  }
+
+  async getStoreKeyPath(storeName) {
+    await this.ready;
+    const transaction = this.db.transaction([storeName], 'readonly');
+    return transaction.objectStore(storeName).keyPath;
+  }
+
+  // Writes records in one transaction, replacing any with the same key
+  async putRecords(storeName, records) {
+    await this.ready;
+    if (records.length === 0) return 0;
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+
+      records.forEach(record => store.put(record));
+
+      transaction.oncomplete = () => resolve(records.length);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async deleteRecords(storeName, keys) {
+    await this.ready;
+    if (keys.length === 0) return 0;
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+
+      keys.forEach(key => store.delete(key));
+
+      transaction.oncomplete = () => resolve(keys.length);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Adds records in one transaction; nothing is written if any add fails
+  async addRecords(storeName, records) {
+    await this.ready;
+    if (records.length === 0) return 0;
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+
+      records.forEach(record => store.add(record));
+
+      transaction.oncomplete = () => resolve(records.length);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error(`Import into ${storeName} was aborted`));
+    });
+  }
 }
 
 export const localDB = new LocalDB();
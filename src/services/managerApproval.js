@@ -0,0 +1,57 @@
+import { supabase } from '../lib/supabase';
+
+// Manager approval for voids and refunds. The manager picks their name and enters their
+// own PIN, set by an admin on the dashboard. Only the server knows the PIN: it is checked
+// here through verify_manager_pin while online, and again by apply_ticket_adjustment when
+// the outbox entry is applied, which records the manager as approved_by.
+// Offline the PIN can't be checked on the spot. The adjustment is recorded and, if the
+// server refuses the PIN at sync, its entry is parked as failed in the sync panel.
+
+const refusalMessages = {
+  not_a_manager: 'Only managers and admins can approve this.',
+  no_pin: 'This manager has no PIN yet. An admin can set one on the dashboard.',
+  locked: 'Too many wrong PIN entries. Try again in 15 min.',
+  wrong_pin: 'Wrong PIN'
+};
+
+class ManagerApproval {
+  getManagers(employees) {
+    return (employees || []).filter(employee => employee.role === 'manager' || employee.role === 'admin');
+  }
+
+  describeRefusal(reason) {
+    return refusalMessages[reason] || `Approval refused (${reason || 'unknown reason'})`;
+  }
+
+  // Resolves to { approved, checked, message }. checked is false when the server
+  // couldn't be reached and the PIN will only be checked at sync.
+  async verify(managerId, pin) {
+    if (!managerId) {
+      return { approved: false, checked: false, message: 'Please choose the approving manager.' };
+    }
+
+    if (!navigator.onLine) {
+      return { approved: true, checked: false, message: null };
+    }
+
+    const { data, error } = await supabase.rpc('verify_manager_pin', {
+      p_manager_id: managerId,
+      p_pin: String(pin ?? '')
+    });
+
+    if (error) {
+      if (error.message?.includes('Failed to fetch') || error.message?.includes('NetworkError')) {
+        return { approved: true, checked: false, message: null };
+      }
+      throw error;
+    }
+
+    return {
+      approved: !!data?.approved,
+      checked: true,
+      message: data?.approved ? null : this.describeRefusal(data?.reason)
+    };
+  }
+}
+
+export const managerApproval = new ManagerApproval();
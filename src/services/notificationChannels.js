@@ -0,0 +1,120 @@
+// Delivery of customer messages. Each channel (SMS, email) sends through a transport,
+// and every transport has the same shape:
+//
+//   { name, send(message) } where message is { id, channel, to, subject, body, ticket_number }
+//   and send resolves to { providerMessageId } or throws with the reason.
+//
+// A channel uses its provider when one is configured (VITE_SMS_WEBHOOK_URL,
+// VITE_EMAIL_WEBHOOK_URL: an endpoint that hands the message to Twilio, SendGrid or
+// similar) and the local transport otherwise, so notifications work end to end
+// without any outside service. register() swaps in another transport.
+// A transport with logOnly reaches no customer: its messages are recorded as 'logged',
+// not 'sent', and the terminal warns that the channel has no provider.
+
+export const NOTIFICATION_CHANNELS = ['sms', 'email'];
+
+export const notificationChannelLabels = {
+  sms: 'SMS',
+  email: 'Email'
+};
+
+const LOCAL_LOG_KEY = 'pos_notification_log';
+// Oldest messages are dropped past this many
+const LOCAL_LOG_LIMIT = 500;
+
+// Writes messages to the console and keeps them in localStorage, from where the
+// terminal can download them as a text file
+export const localTransport = {
+  name: 'local',
+  logOnly: true,
+
+  async send(message) {
+    console.log(`📨 [${message.channel}] to ${message.to}${message.subject ? ` · ${message.subject}` : ''}\n${message.body}`);
+    const log = this.getLog();
+    log.push({ ...message, logged_at: new Date().toISOString() });
+    localStorage.setItem(LOCAL_LOG_KEY, JSON.stringify(log.slice(-LOCAL_LOG_LIMIT)));
+    return { providerMessageId: `local-${message.id}` };
+  },
+
+  getLog() {
+    try {
+      return JSON.parse(localStorage.getItem(LOCAL_LOG_KEY) || '[]');
+    } catch (error) {
+      console.error('Error reading notification log:', error);
+      return [];
+    }
+  },
+
+  // The local log as a plain text file, newest last
+  download() {
+    const text = this.getLog().map(entry => [
+      `${entry.logged_at}  ${notificationChannelLabels[entry.channel] || entry.channel} to ${entry.to}  (ticket ${entry.ticket_number || '—'})`,
+      ...(entry.subject ? [`Subject: ${entry.subject}`] : []),
+      entry.body,
+      ''
+    ].join('\n')).join('\n');
+
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `laundryking-messages-${new Date().toISOString().slice(0, 10)}.log`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Posts the message as JSON to a provider endpoint. The message id goes along as the
+// idempotency key so the provider side can drop a repeat.
+export const createWebhookTransport = (name, url) => ({
+  name,
+
+  async send(message) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': message.id },
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+      throw new Error(`${name} responded ${response.status}`);
+    }
+    const data = await response.json().catch(() => ({}));
+    return { providerMessageId: data.id || data.sid || data.message_id || null };
+  }
+});
+
+const configuredProviders = {
+  sms: import.meta.env?.VITE_SMS_WEBHOOK_URL,
+  email: import.meta.env?.VITE_EMAIL_WEBHOOK_URL
+};
+
+class NotificationChannels {
+  constructor() {
+    this.transports = {};
+    NOTIFICATION_CHANNELS.forEach(channel => {
+      const url = configuredProviders[channel];
+      this.register(channel, url ? createWebhookTransport(`${channel}-provider`, url) : localTransport);
+    });
+  }
+
+  register(channel, transport) {
+    this.transports[channel] = transport;
+  }
+
+  getTransport(channel) {
+    return this.transports[channel] || null;
+  }
+
+  // Channels whose messages only end up in a log
+  getLogOnlyChannels() {
+    return NOTIFICATION_CHANNELS.filter(channel => this.getTransport(channel)?.logOnly);
+  }
+
+  async send(message) {
+    const transport = this.getTransport(message.channel);
+    if (!transport) throw new Error(`No transport for ${message.channel}`);
+    const result = await transport.send(message);
+    return { transport: transport.name, providerMessageId: result?.providerMessageId || null, logged: !!transport.logOnly };
+  }
+}
+
+export const notificationChannels = new NotificationChannels();
@@ -0,0 +1,105 @@
+import { terminalSettings } from './terminalSettings';
+import { notificationChannels, NOTIFICATION_CHANNELS } from './notificationChannels';
+
+// "Your order is ready" messages to customers, shared by the POS and the operations
+// dashboard. Templates (pos_notification_templates, one per channel) use {{field}}
+// placeholders. When a ticket moves to ready the terminal writes one message per
+// active template the customer has an address for and keeps it on the ticket
+// (notifications) and queues a ticket.notify outbox entry. When the entry syncs the
+// message is logged on the server first, then sent, and its outcome recorded; with
+// background sync on, an online terminal syncs the entry right away.
+
+export const TEMPLATE_FIELDS = ['customer_name', 'ticket_number', 'store_name', 'total'];
+
+// Where each channel reaches the customer
+const recipientFields = {
+  sms: 'phone',
+  email: 'email'
+};
+
+class NotificationService {
+  getValues(ticket, customer, settings = terminalSettings.get()) {
+    const total = Number(ticket.total ?? ticket.total_amount ?? 0);
+    return {
+      customer_name: (customer?.full_name || '').split(' ')[0] || 'there',
+      ticket_number: ticket.ticketNumber || ticket.ticket_number || '',
+      store_name: settings.receiptStoreName || 'LaundryKing',
+      total: `$${total.toFixed(2)}`
+    };
+  }
+
+  // Unknown placeholders are left as typed so a mistake shows in the preview
+  render(text, values) {
+    return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, field) => values[field] ?? match);
+  }
+
+  getRecipient(channel, customer) {
+    return (customer?.[recipientFields[channel]] || '').trim();
+  }
+
+  // Messages for a ticket that just became ready, one per active template with a
+  // recipient; none when the ticket has no customer
+  buildReadyNotifications(ticket, customer, templates = [], { employeeId = null, now = new Date().toISOString() } = {}) {
+    if (!customer) return [];
+    const values = this.getValues(ticket, customer);
+    return templates
+      .filter(template => template.active !== false && template.event === 'ticket_ready')
+      .filter(template => NOTIFICATION_CHANNELS.includes(template.channel))
+      .filter(template => this.getRecipient(template.channel, customer))
+      .map(template => ({
+        id: crypto.randomUUID(),
+        ticket_id: ticket.id,
+        channel: template.channel,
+        recipient: this.getRecipient(template.channel, customer),
+        subject: template.channel === 'email' ? this.render(template.subject, values) : null,
+        body: this.render(template.body, values),
+        status: 'pending',
+        employee_id: employeeId,
+        terminal_id: terminalSettings.getTerminalId(),
+        queued_at: now
+      }));
+  }
+
+  // The same message again, as a new entry in the send log
+  buildResend(notification, { employeeId = null, now = new Date().toISOString() } = {}) {
+    return {
+      ...notification,
+      id: crypto.randomUUID(),
+      status: 'pending',
+      transport: null,
+      provider_message_id: null,
+      error: null,
+      sent_at: null,
+      employee_id: employeeId,
+      queued_at: now
+    };
+  }
+
+  // Hands the message to its channel; resolves to the notification with the outcome:
+  // 'sent' through a provider, 'logged' when the channel has none, or 'failed'
+  async deliver(notification, ticketNumber = '') {
+    try {
+      const result = await notificationChannels.send({
+        id: notification.id,
+        channel: notification.channel,
+        to: notification.recipient,
+        subject: notification.subject,
+        body: notification.body,
+        ticket_number: ticketNumber
+      });
+      return {
+        ...notification,
+        status: result.logged ? 'logged' : 'sent',
+        transport: result.transport,
+        provider_message_id: result.providerMessageId,
+        error: null,
+        sent_at: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`❌ ${notification.channel} to ${notification.recipient} failed:`, error);
+      return { ...notification, status: 'failed', error: error.message || String(error) };
+    }
+  }
+}
+
+export const notificationService = new NotificationService();
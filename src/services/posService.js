@@ -1,66 +1,116 @@
 import { supabase } from '../lib/supabase';
 import { localDB } from './localDB.jsx';
+import { tabCoordinator } from './tabCoordinator';
+import { ticketNumbering } from './ticketNumbering';
+import { ticketImport } from './ticketImport';
 
 class POSService {
-  async generateTicketNumbers(count = 1) {
-    try {
-      // Get all tickets from localDB
-      const allTickets = await localDB.getAllTickets();
-      
-      // Filter valid ticket numbers and convert to numbers
-      const validNumbers = allTickets
-        .map(ticket => ticket.ticketNumber)
-        .filter(num => num && !isNaN(parseInt(num)))
-        .map(num => parseInt(num));
-      
-      // Find the highest ticket number
-      const highestNumber = validNumbers.length > 0 
-        ? Math.max(...validNumbers) 
-        : 0;
-      
-      // Generate new sequential numbers
-      const newNumbers = Array.from({ length: count }, (_, i) => 
-        String(highestNumber + i + 1).padStart(3, '0')
-      );
-      
+  // Numbers come from this terminal's leased blocks (see ticketNumbering) and are
+  // allocated under a cross-tab lock. Each tab records what it handed out as its claim,
+  // so blank tickets it still shows are reused rather than burning new numbers.
+  // Returns fewer than `count` numbers - possibly none - when the leases have run out:
+  // a number the server didn't lease could already belong to another terminal.
+  async generateTicketNumbers(count = 1, { sessionDate } = {}) {
+    return tabCoordinator.withLock('ticket-numbers', async () => {
+      const [allTickets, claims, liveTabIds] = await Promise.all([
+        localDB.getAllTickets(),
+        localDB.getTicketClaims(),
+        tabCoordinator.getLiveTabIds()
+      ]);
+
+      // Claims left behind by closed tabs no longer reserve anything
+      const ownClaim = claims.find(claim => claim.tab_id === tabCoordinator.tabId);
+      const staleClaims = liveTabIds
+        ? claims.filter(claim => claim.tab_id !== tabCoordinator.tabId && !liveTabIds.includes(claim.tab_id))
+        : [];
+      if (staleClaims.length > 0) {
+        await localDB.deleteTicketSequenceRecords(staleClaims.map(claim => claim.id));
+      }
+
+      const sequenceKey = ticketNumbering.getSequenceKey(sessionDate);
+      const usedNumbers = new Set(allTickets.map(ticket => ticket.ticketNumber || ticket.ticket_number));
+
+      // 1. Numbers this tab handed out earlier that never became a ticket
+      const newNumbers = (ownClaim?.sequence_key === sequenceKey ? ownClaim.numbers || [] : [])
+        .filter(num => !usedNumbers.has(num))
+        .slice(0, count);
+
+      // 2. Fresh numbers from the leased blocks
+      if (newNumbers.length < count) {
+        newNumbers.push(...await ticketNumbering.takeLeasedNumbers(count - newNumbers.length, sessionDate));
+      }
+
+      if (newNumbers.length < count) {
+        console.warn(`⚠️ No leased ticket numbers left - ${count - newNumbers.length} ticket(s) left without a number until the next sync`);
+      }
+
+      // Replaces this tab's earlier claim - its previous blank tickets are gone
+      await localDB.storeTicketClaim({
+        id: `claim:${tabCoordinator.tabId}`,
+        tab_id: tabCoordinator.tabId,
+        sequence_key: sequenceKey,
+        numbers: newNumbers
+      });
+
       console.log('Generated new ticket numbers:', newNumbers);
+      ticketNumbering.notify();
       return newNumbers;
-    } catch (error) {
-      console.error('Error generating ticket numbers:', error);
-      // Fallback: generate numbers based on timestamp
-      const timestamp = Date.now();
-      return Array.from({ length: count }, (_, i) => 
-        String(timestamp + i).slice(-3).padStart(3, '0')
-      );
-    }
+    });
+  }
+
+  // Build the commit_pos_session payload from local session, inventory and ticket records
+  buildSessionCommitPayload(session, inventoryItems = [], tickets = []) {
+    return {
+      session: {
+        id: session.id,
+        employee_id: session.employee_id,
+        session_date: session.session_date,
+        status: session.status || 'active',
+        notes: session.notes || '',
+        cash_started: session.cash_started || 0,
+        cash_added: session.cash_added || 0,
+        coins_used: session.coins_used || 0,
+        cash_total: session.cash_total || 0,
+        created_at: session.created_at
+      },
+      items: inventoryItems.map(item => ({
+        local_id: item.id,
+        item_name: item.name || item.item_name,
+        quantity: item.qty || item.quantity || 1,
+        price: Number(item.price || 0),
+        start_count: Number(item.start || item.start_count || 0),
+        add_count: Number(item.add || item.add_count || 0),
+        sold_count: Number(item.sold || item.sold_count || 0),
+        left_count: Number(item.left || item.left_count || 0),
+        total_amount: Number(item.total || item.total_amount || 0)
+      })),
+      tickets: tickets.map(ticket => {
+        const washAmount = ticket.wash_amount || ticket.wash || 0;
+        const dryAmount = ticket.dry_amount || ticket.dry || 0;
+        return {
+          id: ticket.id,
+          ticket_number: ticket.ticket_number || ticket.ticketNumber,
+          wash_amount: washAmount,
+          dry_amount: dryAmount,
+          total_amount: ticket.total_amount || ticket.total || (washAmount + dryAmount),
+          ticket_sequence_key: ticketImport.getSequenceKey(ticket),
+          created_at: ticket.created_at
+        };
+      })
+    };
   }
 
-  async getTicketSequenceStatus() {
-    try {
-      // Get all tickets from localDB
-      const allTickets = await localDB.getAllTickets();
-      
-      // Find the highest ticket number
-      const validNumbers = allTickets
-        .map(ticket => ticket.ticketNumber)
-        .filter(num => num && !isNaN(parseInt(num)))
-        .map(num => parseInt(num));
-      
-      const lastTicketNumber = validNumbers.length > 0 
-        ? Math.max(...validNumbers) 
-        : 0;
-      
-      return {
-        last_ticket_number: lastTicketNumber,
-        total_tickets: validNumbers.length
-      };
-    } catch (error) {
-      console.error('Error getting ticket sequence status:', error);
-      return {
-        last_ticket_number: 0,
-        total_tickets: 0
-      };
-    }
+  // Write a whole session (session, inventory, tickets, cash, notes) in one server transaction
+  async commitSession(payload, idempotencyKey = null) {
+    const { data, error } = await supabase.rpc('commit_pos_session', {
+      p_payload: payload,
+      p_idempotency_key: idempotencyKey
+    });
+
+    if (error) throw error;
+
+    console.log('✅ Committed POS session:', data);
+    return data;
   }
 }
 
@@ -0,0 +1,317 @@
+import { terminalSettings } from './terminalSettings';
+import { encodeEscPos } from './escPos';
+import { serviceCatalog } from './serviceCatalog';
+import { tenderLabels } from './tenders';
+
+// Customer receipts and bag claim tags. Builders turn a ticket or sale into a plain
+// document - { title, blocks } with text, row, divider, barcode, feed and cut blocks -
+// which is rendered either as HTML for the browser print dialog or as ESC/POS bytes
+// for a thermal printer. Builders take the print time as an argument, so the same
+// input always gives the same document.
+
+const PAPER_WIDTH_MM = { 32: 58, 48: 80 };
+
+// Code39 patterns: 5 bars and 4 spaces, n = narrow, w = wide
+const CODE39 = {
+  '0': 'nnnwwnwnn', '1': 'wnnwnnnnw', '2': 'nnwwnnnnw', '3': 'wnwwnnnnn', '4': 'nnnwwnnnw',
+  '5': 'wnnwwnnnn', '6': 'nnwwwnnnn', '7': 'nnnwnnwnw', '8': 'wnnwnnwnn', '9': 'nnwwnnwnn',
+  A: 'wnnnnwnnw', B: 'nnwnnwnnw', C: 'wnwnnwnnn', D: 'nnnnwwnnw', E: 'wnnnwwnnn',
+  F: 'nnwnwwnnn', G: 'nnnnnwwnw', H: 'wnnnnwwnn', I: 'nnwnnwwnn', J: 'nnnnwwwnn',
+  K: 'wnnnnnnww', L: 'nnwnnnnww', M: 'wnwnnnnwn', N: 'nnnnwnnww', O: 'wnnnwnnwn',
+  P: 'nnwnwnnwn', Q: 'nnnnnnwww', R: 'wnnnnnwwn', S: 'nnwnnnwwn', T: 'nnnnwnwwn',
+  U: 'wwnnnnnnw', V: 'nwwnnnnnw', W: 'wwwnnnnnn', X: 'nwnnwnnnw', Y: 'wwnnwnnnn',
+  Z: 'nwwnwnnnn', '-': 'nwnnnnwnw', '.': 'wwnnnnwnn', ' ': 'nwwnnnwnn', '$': 'nwnwnwnnn',
+  '/': 'nwnwnnnwn', '+': 'nwnnnwnwn', '%': 'nnnwnwnwn', '*': 'nwnnwnwnn'
+};
+
+const money = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+// Fixed format so output does not depend on the browser locale
+export const formatDateTime = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  const hours = date.getHours();
+  return `${pad2(date.getMonth() + 1)}/${pad2(date.getDate())}/${date.getFullYear()} ${hours % 12 || 12}:${pad2(date.getMinutes())} ${hours < 12 ? 'AM' : 'PM'}`;
+};
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const getTicketAmounts = (ticket) => {
+  const wash = Number(ticket.wash_amount || ticket.wash || 0);
+  const dry = Number(ticket.dry_amount || ticket.dry || 0);
+  return { wash, dry, total: Number(ticket.total_amount || ticket.total || wash + dry) };
+};
+
+const headerBlocks = (store) => [
+  { type: 'text', text: store.name, align: 'center', bold: true, size: 'large' },
+  ...(store.details ? [{ type: 'text', text: store.details, align: 'center' }] : []),
+  { type: 'divider' }
+];
+
+const footerBlocks = (store) => [
+  ...(store.footer ? [{ type: 'divider' }, { type: 'text', text: store.footer, align: 'center' }] : []),
+  { type: 'feed', lines: 3 },
+  { type: 'cut' }
+];
+
+// Pickup promise, once tickets carry one
+const promiseBlocks = (ticket) => ticket.promised_ready_at
+  ? [{ type: 'row', left: 'Ready by', right: formatDateTime(ticket.promised_ready_at), bold: true }]
+  : [];
+
+// How it was paid, once tickets and sales record their payments
+const paymentBlocks = (payments = []) => payments.map(payment => ({
+  type: 'row',
+  left: `Paid ${tenderLabels[payment.tender] || payment.tender}`,
+  right: money(Number(payment.amount || 0))
+}));
+
+const customerBlocks = (customer) => customer
+  ? [
+    { type: 'row', left: 'Customer', right: customer.full_name },
+    ...(customer.phone ? [{ type: 'row', left: 'Phone', right: customer.phone }] : [])
+  ]
+  : [];
+
+// One row per priced service line, with its note; tickets typed by hand show their wash and dry amounts
+const amountBlocks = (ticket, wash, dry) => {
+  if (ticket.lines?.length > 0) {
+    return ticket.lines.flatMap(line => [
+      {
+        type: 'row',
+        left: `${line.service_name} ${serviceCatalog.formatQuantity(line)}`,
+        right: money(Number(line.amount || 0))
+      },
+      ...(line.notes ? [{ type: 'text', text: `  ${line.notes}` }] : [])
+    ]);
+  }
+  return [
+    ...(wash > 0 ? [{ type: 'row', left: 'Wash', right: money(wash) }] : []),
+    ...(dry > 0 ? [{ type: 'row', left: 'Dry', right: money(dry) }] : [])
+  ];
+};
+
+class ReceiptService {
+  getStore(settings = terminalSettings.get()) {
+    return {
+      name: settings.receiptStoreName || 'LaundryKing',
+      details: settings.receiptStoreDetails || '',
+      footer: settings.receiptFooter || ''
+    };
+  }
+
+  getColumns(settings = terminalSettings.get()) {
+    return Number(settings.receiptColumns) === 48 ? 48 : 32;
+  }
+
+  buildTicketReceipt(ticket, { customer = null, printedAt = new Date(), store = this.getStore() } = {}) {
+    const ticketNumber = ticket.ticketNumber || ticket.ticket_number;
+    const { wash, dry, total } = getTicketAmounts(ticket);
+
+    return {
+      title: `Receipt ${ticketNumber}`,
+      blocks: [
+        ...headerBlocks(store),
+        { type: 'text', text: 'CUSTOMER RECEIPT', align: 'center', bold: true },
+        { type: 'row', left: 'Ticket #', right: ticketNumber, bold: true },
+        { type: 'row', left: 'Date', right: formatDateTime(ticket.created_at || printedAt) },
+        ...customerBlocks(customer),
+        { type: 'divider' },
+        ...amountBlocks(ticket, wash, dry),
+        { type: 'row', left: 'TOTAL', right: money(total), bold: true },
+        ...paymentBlocks(ticket.payments),
+        ...promiseBlocks(ticket),
+        { type: 'barcode', value: ticketNumber },
+        { type: 'text', text: `Printed ${formatDateTime(printedAt)}`, align: 'center' },
+        ...footerBlocks(store)
+      ]
+    };
+  }
+
+  // Tag attached to the bag; the large number is readable across the counter
+  buildClaimTag(ticket, { customer = null, printedAt = new Date(), store = this.getStore() } = {}) {
+    const ticketNumber = ticket.ticketNumber || ticket.ticket_number;
+    const { total } = getTicketAmounts(ticket);
+
+    return {
+      title: `Claim tag ${ticketNumber}`,
+      blocks: [
+        { type: 'text', text: store.name, align: 'center', bold: true },
+        { type: 'text', text: 'CLAIM TAG', align: 'center' },
+        { type: 'text', text: ticketNumber, align: 'center', bold: true, size: 'large' },
+        ...(customer ? [{ type: 'text', text: customer.full_name, align: 'center', bold: true }] : []),
+        { type: 'divider' },
+        { type: 'row', left: 'Drop-off', right: formatDateTime(ticket.created_at || printedAt) },
+        ...promiseBlocks(ticket),
+        { type: 'row', left: 'Amount', right: money(total) },
+        { type: 'barcode', value: ticketNumber },
+        ...footerBlocks(store)
+      ]
+    };
+  }
+
+  // sale: { reference, lines: [{ name, quantity, price }], payments, created_at }
+  buildSaleReceipt(sale, { printedAt = new Date(), store = this.getStore() } = {}) {
+    const lines = sale.lines || [];
+    const total = lines.reduce((sum, line) => sum + Number(line.quantity || 0) * Number(line.price || 0), 0);
+
+    return {
+      title: `Sale ${sale.reference}`,
+      blocks: [
+        ...headerBlocks(store),
+        { type: 'text', text: 'SALES RECEIPT', align: 'center', bold: true },
+        { type: 'row', left: 'Sale #', right: sale.reference, bold: true },
+        { type: 'row', left: 'Date', right: formatDateTime(sale.created_at || printedAt) },
+        { type: 'divider' },
+        ...lines.map(line => ({
+          type: 'row',
+          left: `${line.quantity} x ${line.name}`,
+          right: money(Number(line.quantity || 0) * Number(line.price || 0))
+        })),
+        { type: 'divider' },
+        { type: 'row', left: 'TOTAL', right: money(total), bold: true },
+        ...paymentBlocks(sale.payments),
+        { type: 'barcode', value: sale.reference },
+        ...footerBlocks(store)
+      ]
+    };
+  }
+
+  // Short reference printed on sale receipts, e.g. S251019143005
+  createSaleReference(date = new Date()) {
+    return `S${String(date.getFullYear()).slice(2)}${pad2(date.getMonth() + 1)}${pad2(date.getDate())}${pad2(date.getHours())}${pad2(date.getMinutes())}${pad2(date.getSeconds())}`;
+  }
+
+  toEscPos(document, settings = terminalSettings.get()) {
+    return encodeEscPos(document, { columns: this.getColumns(settings) });
+  }
+
+  renderBarcodeSvg(value) {
+    const text = `*${String(value).toUpperCase().replace(/[^0-9A-Z\-. $/+%]/g, '')}*`;
+    const rects = [];
+    let x = 0;
+
+    Array.from(text).forEach(char => {
+      Array.from(CODE39[char]).forEach((width, index) => {
+        const size = width === 'w' ? 3 : 1;
+        if (index % 2 === 0) rects.push(`<rect x="${x}" y="0" width="${size}" height="50"/>`);
+        x += size;
+      });
+      x += 1; // Gap between characters
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${x} 50" width="100%" height="50" preserveAspectRatio="none">${rects.join('')}</svg>`;
+  }
+
+  toHtml(document, settings = terminalSettings.get()) {
+    const widthMm = PAPER_WIDTH_MM[this.getColumns(settings)];
+
+    const body = (document.blocks || []).map(block => {
+      switch (block.type) {
+        case 'text':
+          return `<div class="text ${block.align || 'left'}${block.bold ? ' bold' : ''}${block.size === 'large' ? ' large' : ''}">${escapeHtml(block.text).replace(/\n/g, '<br>')}</div>`;
+        case 'row':
+          return `<div class="row${block.bold ? ' bold' : ''}"><span>${escapeHtml(block.left)}</span><span>${escapeHtml(block.right)}</span></div>`;
+        case 'divider':
+          return '<hr>';
+        case 'barcode':
+          return `<div class="barcode">${this.renderBarcodeSvg(block.value)}<div>${escapeHtml(block.value)}</div></div>`;
+        default:
+          return '';
+      }
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.title)}</title>
+<style>
+  @page { size: ${widthMm}mm auto; margin: 0; }
+  body { width: ${widthMm - 6}mm; margin: 3mm; font-family: 'Courier New', monospace; font-size: 12px; color: #000; }
+  .center { text-align: center; }
+  .right { text-align: right; }
+  .bold { font-weight: bold; }
+  .large { font-size: 20px; }
+  .row { display: flex; justify-content: space-between; gap: 8px; }
+  .row span:last-child { text-align: right; }
+  hr { border: 0; border-top: 1px dashed #000; margin: 4px 0; }
+  .barcode { text-align: center; margin: 6px 0; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+  }
+
+  // Print through the browser dialog, or send the ESC/POS bytes to the thermal printer.
+  // settings can be passed to try printer options before they are saved.
+  async print(document, settings = terminalSettings.get()) {
+    if (settings.receiptPrinter === 'escpos') {
+      return this.sendToThermalPrinter(this.toEscPos(document, settings), settings);
+    }
+    return this.printHtml(this.toHtml(document, settings));
+  }
+
+  buildTestPage(settings = terminalSettings.get(), printedAt = new Date()) {
+    return this.buildTicketReceipt(
+      { ticketNumber: 'TEST-001', wash: 4.5, dry: 3, created_at: printedAt },
+      { printedAt, store: this.getStore(settings) }
+    );
+  }
+
+  printHtml(html) {
+    return new Promise((resolve) => {
+      const frame = window.document.createElement('iframe');
+      frame.style.position = 'fixed';
+      frame.style.width = '0';
+      frame.style.height = '0';
+      frame.style.border = '0';
+      window.document.body.appendChild(frame);
+
+      frame.onload = () => {
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+        // print() blocks until the dialog closes in most browsers
+        setTimeout(() => {
+          frame.remove();
+          resolve(true);
+        }, 500);
+      };
+      frame.srcdoc = html;
+    });
+  }
+
+  // Thermal printers on a USB serial port, through Web Serial. The port is chosen
+  // once and remembered by the browser.
+  async sendToThermalPrinter(bytes, settings = terminalSettings.get()) {
+    if (!navigator.serial) {
+      throw new Error('This browser cannot reach a thermal printer. Switch receipts to browser printing.');
+    }
+
+    const [grantedPort] = await navigator.serial.getPorts();
+    const port = grantedPort || await navigator.serial.requestPort();
+    const baudRate = Number(settings.receiptBaudRate) || 9600;
+
+    await port.open({ baudRate });
+    try {
+      const writer = port.writable.getWriter();
+      await writer.write(bytes);
+      writer.releaseLock();
+    } finally {
+      await port.close();
+    }
+
+    console.log(`✅ Sent ${bytes.length} bytes to the thermal printer`);
+    return true;
+  }
+}
+
+export const receiptService = new ReceiptService();
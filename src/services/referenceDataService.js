@@ -0,0 +1,252 @@
+import { supabase } from '../lib/supabase';
+import { localDB } from './localDB.jsx';
+import { tabCoordinator } from './tabCoordinator';
+
+// Incremental pulls of reference data (employees, master catalog, customers, service
+// price list, turnaround rules, notification templates). Each table is read from its last updated_at cursor, and deletions arrive
+// as rows in pos_sync_tombstones, so a Save Progress on a weak connection only
+// downloads what actually changed. Stock levels are pulled as on-hand per item plus
+// the open sessions' movements, never the whole ledger (pullStockLevels).
+
+const CURSORS_KEY = 'pos_pull_cursors';
+const PAGE_SIZE = 500;
+// Rows committed slightly out of order can carry an updated_at just before the cursor;
+// re-reading a short window is cheap and the writes are idempotent
+const CURSOR_OVERLAP_MS = 60 * 1000;
+
+// Pulled by the opt-in background sync as well as Save Progress
+const BACKGROUND_PULLS = ['pullCustomers', 'pullServiceCatalog', 'pullTurnaroundRules', 'pullNotificationTemplates', 'pullStockLevels'];
+
+// Server table -> local store
+const pullTables = {
+  user_profiles: 'employeeProfiles',
+  master_inventory_items: 'masterInventory',
+  customers: 'customers',
+  service_catalog: 'serviceCatalog',
+  pos_turnaround_rules: 'turnaroundRules',
+  pos_notification_templates: 'notificationTemplates'
+};
+
+const getTodayDate = () => new Date().toISOString().split('T')[0];
+const isUuid = (value) => typeof value === 'string' && value.includes('-');
+
+class ReferenceDataService {
+  getCursors() {
+    try {
+      return JSON.parse(localStorage.getItem(CURSORS_KEY) || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
+  setCursor(name, value) {
+    localStorage.setItem(CURSORS_KEY, JSON.stringify({ ...this.getCursors(), [name]: value }));
+  }
+
+  // Keyset pagination on (updated_at, id) so equal timestamps never stall a page
+  async fetchChangedRows(table, since) {
+    const rows = [];
+    let after = null;
+    const from = since ? new Date(new Date(since).getTime() - CURSOR_OVERLAP_MS).toISOString() : null;
+
+    while (true) {
+      let query = supabase
+        .from(table)
+        .select('*')
+        .order('updated_at', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(PAGE_SIZE);
+
+      if (after) {
+        query = query.or(`updated_at.gt."${after.updated_at}",and(updated_at.eq."${after.updated_at}",id.gt.${after.id})`);
+      } else if (from) {
+        query = query.gte('updated_at', from);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+
+      const last = data[data.length - 1];
+      if (!last.updated_at) break; // Rows without updated_at sort last; nothing to page past
+      after = { updated_at: last.updated_at, id: last.id };
+    }
+
+    return rows;
+  }
+
+  // Apply deletions recorded since the last pull. The first call only sets the cursor,
+  // because the first table pull is a full download anyway.
+  async pullTombstones() {
+    const cursor = this.getCursors().tombstones;
+
+    if (cursor === undefined) {
+      const { data, error } = await supabase
+        .from('pos_sync_tombstones')
+        .select('id')
+        .order('id', { ascending: false })
+        .limit(1);
+      if (error) throw error;
+
+      this.setCursor('tombstones', data?.[0]?.id || 0);
+      return 0;
+    }
+
+    const { data, error } = await supabase
+      .from('pos_sync_tombstones')
+      .select('*')
+      .in('table_name', Object.keys(pullTables))
+      .gt('id', cursor)
+      .order('id', { ascending: true });
+    if (error) throw error;
+    if (!data?.length) return 0;
+
+    for (const [table, store] of Object.entries(pullTables)) {
+      const ids = data.filter(t => t.table_name === table).map(t => t.row_id);
+      await localDB.deleteRecords(store, ids);
+    }
+
+    this.setCursor('tombstones', data[data.length - 1].id);
+    console.log(`🗑️ Applied ${data.length} deletion(s) from the server`);
+    return data.length;
+  }
+
+  async pullTable(table) {
+    const store = pullTables[table];
+    const since = this.getCursors()[table];
+
+    await this.pullTombstones();
+    const rows = await this.fetchChangedRows(table, since);
+
+    if (!since) {
+      // Full download: drop local rows the server no longer has, except ones created
+      // on this terminal that are still waiting in the outbox
+      const serverIds = new Set(rows.map(row => row.id));
+      const localRows = await localDB.getAllRecords(store);
+      await localDB.deleteRecords(store, localRows.filter(row => !serverIds.has(row.id) && row.synced !== 0).map(row => row.id));
+    }
+
+    await localDB.putRecords(store, rows);
+
+    const newest = rows
+      .map(row => row.updated_at)
+      .filter(Boolean)
+      .sort()
+      .pop();
+    if (newest) this.setCursor(table, newest);
+
+    console.log(`📥 Pulled ${rows.length} changed ${table} row(s)${since ? '' : ' (full download)'}`);
+    return rows.length;
+  }
+
+  // Each pull returns the full local copy after applying the changes
+  async pullEmployees() {
+    await this.pullTable('user_profiles');
+    return localDB.getAllEmployees();
+  }
+
+  async pullMasterInventory() {
+    await this.pullTable('master_inventory_items');
+    return this.getMasterInventory();
+  }
+
+  // Customers are only readable when signed in. An anonymous terminal would get no
+  // rows back, and a first pull would then drop its copy, so it keeps what it has.
+  async pullCustomers() {
+    const { data } = await supabase.auth.getSession();
+    if (data?.session) {
+      await this.pullTable('customers');
+    } else {
+      console.log('ℹ️ Skipped customers pull - not signed in');
+    }
+    return localDB.getAllCustomers();
+  }
+
+  async pullServiceCatalog() {
+    await this.pullTable('service_catalog');
+    return localDB.getAllRecords('serviceCatalog');
+  }
+
+  async pullTurnaroundRules() {
+    await this.pullTable('pos_turnaround_rules');
+    return localDB.getAllRecords('turnaroundRules');
+  }
+
+  async pullNotificationTemplates() {
+    await this.pullTable('pos_notification_templates');
+    return localDB.getAllRecords('notificationTemplates');
+  }
+
+  // On-hand per item from pos_inventory_on_hand, and the movements of today's sessions
+  // (plus sessionIds) for the grid's Add and Sold. Runs under the sync lock, so no
+  // movement is sent between noting which ones the server has and reading on-hand.
+  async pullStockLevels(sessionIds = []) {
+    await tabCoordinator.withLock('sync', async () => {
+      const today = getTodayDate();
+      const openSessionIds = [...new Set([
+        ...sessionIds,
+        ...(await localDB.getAllSessions()).filter(session => session.session_date === today).map(session => session.id)
+      ])].filter(isUuid);
+      const sentIds = (await localDB.getAllRecords('stockMovements'))
+        .filter(movement => movement.synced === 1)
+        .map(movement => movement.id);
+
+      const { data: onHand, error } = await supabase
+        .from('pos_inventory_on_hand')
+        .select('item_key, item_name, on_hand');
+      if (error) throw error;
+
+      let sessionMovements = [];
+      if (openSessionIds.length > 0) {
+        const { data, error: movementsError } = await supabase
+          .from('pos_inventory_movements')
+          .select('*')
+          .in('pos_session_id', openSessionIds);
+        if (movementsError) throw movementsError;
+        sessionMovements = data || [];
+      }
+
+      await localDB.storeStockLevels(onHand || [], {
+        countedIds: sentIds,
+        serverMovements: sessionMovements,
+        keepSessionIds: openSessionIds
+      });
+      console.log(`📥 Pulled on-hand for ${onHand?.length || 0} item(s) and ${sessionMovements.length} session movement(s)`);
+    });
+    return this.getStockLevels();
+  }
+
+  async getStockLevels() {
+    const [onHand, movements] = await Promise.all([
+      localDB.getAllRecords('inventoryOnHand'),
+      localDB.getAllRecords('stockMovements')
+    ]);
+    return { onHand, movements };
+  }
+
+  // Background sync's pulls. A failed pull doesn't stop the others; the POS reloads
+  // its copies on pos-reference-data-pulled.
+  async pullInBackground() {
+    const pulled = [];
+    for (const pull of BACKGROUND_PULLS) {
+      try {
+        await this[pull]();
+        pulled.push(pull);
+      } catch (error) {
+        console.error(`❌ Background ${pull} failed:`, error);
+      }
+    }
+
+    window.dispatchEvent(new CustomEvent('pos-reference-data-pulled', { detail: { pulled } }));
+    return pulled;
+  }
+
+  async getMasterInventory() {
+    const items = await localDB.getAllRecords('masterInventory');
+    return items.sort((a, b) => (a.item_name || '').localeCompare(b.item_name || ''));
+  }
+}
+
+export const referenceDataService = new ReferenceDataService();
@@ -0,0 +1,91 @@
+import { supabase } from '../lib/supabase';
+import { localDB } from './localDB.jsx';
+
+// USB barcode/QR scanners type like a keyboard, only much faster than a person, and
+// finish with Enter. The listener watches keystrokes on the whole page and reports a
+// burst as one scan, so the cashier doesn't need to focus a field first. Typing into a
+// focused input is left alone; the scanned text simply lands in that field.
+
+const MAX_KEY_GAP_MS = 50; // Scanners send a character every few ms; people are far slower
+const MIN_LENGTH = 3;
+
+const isEditable = (element) => {
+  if (!element) return false;
+  if (element.isContentEditable) return true;
+  const tag = element.tagName;
+  if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+  if (tag !== 'INPUT') return false;
+  return !['button', 'checkbox', 'radio', 'range', 'submit', 'reset'].includes(element.type);
+};
+
+// Codes are compared case-insensitively: Code39 tags only carry upper case
+export const normalizeCode = (value) => String(value ?? '').trim().toUpperCase();
+
+class ScanInput {
+  // Calls onScan(code) for every scan; returns a function that stops listening
+  listen(onScan) {
+    let buffer = '';
+    let lastKeyAt = 0;
+
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      if (isEditable(event.target)) {
+        buffer = '';
+        return;
+      }
+
+      const now = event.timeStamp || Date.now();
+      const gap = now - lastKeyAt;
+      lastKeyAt = now;
+
+      if (event.key === 'Enter') {
+        const code = buffer.trim();
+        buffer = '';
+        if (code.length >= MIN_LENGTH && gap <= MAX_KEY_GAP_MS) {
+          // Keep the Enter from clicking whatever button has focus
+          event.preventDefault();
+          event.stopPropagation();
+          onScan(code);
+        }
+        return;
+      }
+
+      if (event.key.length !== 1) return;
+      buffer = gap > MAX_KEY_GAP_MS ? event.key : buffer + event.key;
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }
+
+  findItem(code, items = []) {
+    const target = normalizeCode(code);
+    return items.find(item => item?.sku && normalizeCode(item.sku) === target) || null;
+  }
+
+  // Tickets stored on this terminal first, then other terminals' tickets while online.
+  // Resolves to { ticket, local } or null.
+  async findTicket(code) {
+    const target = normalizeCode(code);
+    const localTickets = await localDB.getAllTickets();
+    const local = localTickets.find(ticket => normalizeCode(ticket.ticket_number || ticket.ticketNumber) === target);
+    if (local) return { ticket: local, local: true };
+    if (!navigator.onLine) return null;
+
+    try {
+      const { data, error } = await supabase
+        .from('pos_wash_dry_tickets')
+        .select('*')
+        .ilike('ticket_number', target)
+        .order('created_at', { ascending: false })
+        .limit(1);
+      if (error) throw error;
+      return data?.[0] ? { ticket: data[0], local: false } : null;
+    } catch (error) {
+      console.error('❌ Error looking up scanned ticket:', error);
+      return null;
+    }
+  }
+}
+
+export const scanInput = new ScanInput();
@@ -0,0 +1,116 @@
+// Service price list (service_catalog) and ticket line pricing, shared by the POS and
+// the operations dashboard. Terminals keep the catalog in the serviceCatalog store
+// (referenceDataService); a priced line copies the service's name and prices so the
+// ticket keeps what the customer was charged even if the price list changes later.
+
+export const SERVICE_CATEGORIES = ['wash', 'dry', 'wash_fold', 'addon'];
+
+export const serviceCategoryLabels = {
+  wash: 'Wash',
+  dry: 'Dry',
+  wash_fold: 'Wash & Fold',
+  addon: 'Add-on'
+};
+
+export const pricingUnitLabels = {
+  load: 'per load',
+  cycle: 'per cycle',
+  lb: 'per lb',
+  each: 'each'
+};
+
+// Line categories that add up to the ticket's wash_amount; dry lines make dry_amount and
+// add-ons (detergent, hang-dry, rush...) addon_amount
+const WASH_CATEGORIES = ['wash', 'wash_fold'];
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+class ServiceCatalog {
+  // Active services in price list order
+  getActive(services = []) {
+    return services
+      .filter(service => service.active !== false)
+      .sort((a, b) =>
+        SERVICE_CATEGORIES.indexOf(a.category) - SERVICE_CATEGORIES.indexOf(b.category) ||
+        (a.sort_order || 0) - (b.sort_order || 0) ||
+        (a.name || '').localeCompare(b.name || '')
+      );
+  }
+
+  // Quantity is loads, cycles or pounds; the minimum charge applies to the whole line
+  calculateAmount(line) {
+    const quantity = Math.max(Number(line.quantity) || 0, 0);
+    if (quantity === 0) return 0;
+    return roundCurrency(Math.max(quantity * Number(line.unit_price || 0), Number(line.minimum_charge || 0)));
+  }
+
+  createLine(service, quantity = 1) {
+    const line = {
+      id: crypto.randomUUID(),
+      service_id: service.id,
+      service_name: service.name,
+      category: service.category,
+      pricing_unit: service.pricing_unit || 'load',
+      quantity,
+      unit_price: Number(service.price || 0),
+      minimum_charge: Number(service.minimum_charge || 0),
+      notes: ''
+    };
+    return { ...line, amount: this.calculateAmount(line) };
+  }
+
+  // Lines after tapping a service: another load, cycle or add-on of a service already
+  // on the ticket adds to its line; weight is entered on a new line
+  addService(lines, service) {
+    const existing = service.pricing_unit !== 'lb' && lines.find(line => line.service_id === service.id);
+    if (existing) {
+      return lines.map(line => line.id === existing.id ? this.setQuantity(line, Number(line.quantity || 0) + 1) : line);
+    }
+    return [...lines, this.createLine(service, service.pricing_unit === 'lb' ? '' : 1)];
+  }
+
+  // Quantity, unit price or notes changed on the ticket; the amount follows
+  updateLine(line, changes) {
+    const updated = { ...line, ...changes };
+    return { ...updated, amount: this.calculateAmount(updated) };
+  }
+
+  setQuantity(line, quantity) {
+    return this.updateLine(line, { quantity });
+  }
+
+  // Lines as stored on a ticket: numbers parsed, empty quantities dropped, notes trimmed
+  cleanLines(lines = []) {
+    return lines
+      .map(line => this.updateLine(line, {
+        quantity: Number(line.quantity) || 0,
+        unit_price: roundCurrency(Math.max(Number(line.unit_price) || 0, 0)),
+        notes: (line.notes || '').trim()
+      }))
+      .filter(line => line.quantity > 0);
+  }
+
+  sumCategory(lines, categories) {
+    return roundCurrency(lines
+      .filter(line => categories.includes(line.category))
+      .reduce((sum, line) => sum + Number(line.amount || 0), 0));
+  }
+
+  // Ticket wash/dry/addons/total fields derived from its lines
+  summarize(lines = []) {
+    const wash = this.sumCategory(lines, WASH_CATEGORIES);
+    const dry = this.sumCategory(lines, ['dry']);
+    const addons = this.sumCategory(lines, ['addon']);
+    return { wash, dry, addons, total: roundCurrency(wash + dry + addons) };
+  }
+
+  formatQuantity(line) {
+    const quantity = Number(line.quantity || 0);
+    if (line.pricing_unit === 'lb') return `${quantity} lb`;
+    if (line.pricing_unit === 'each') return `x${quantity}`;
+    const unit = line.pricing_unit === 'cycle' ? 'cycle' : 'load';
+    return `${quantity} ${unit}${quantity === 1 ? '' : 's'}`;
+  }
+}
+
+export const serviceCatalog = new ServiceCatalog();
@@ -0,0 +1,889 @@
+import { supabase } from '../lib/supabase';
+import { localDB } from './localDB.jsx';
+import { posService } from './posService';
+import { tabCoordinator } from './tabCoordinator';
+import { ticketNumbering } from './ticketNumbering';
+import { terminalSettings } from './terminalSettings';
+import { notificationService } from './notificationService';
+import { referenceDataService } from './referenceDataService';
+import { ticketImport } from './ticketImport';
+
+// Outbox sync: every local mutation is queued in localDB with an idempotency key
+// and replayed through the apply_pos_mutation RPC, which records the key in the
+// same transaction as the write so an entry is applied to Supabase exactly once.
+
+const LAST_SYNC_KEY = 'pos_last_sync_at';
+const LAST_ERROR_KEY = 'pos_last_sync_error';
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 8; // Server-rejected entries are parked as failed after this
+
+// Local stores whose rows carry a synced flag
+const markSyncedByStore = {
+  posSession: (ids) => localDB.markSessionsSynced(ids),
+  posTickets: (ids) => localDB.markTicketsSynced(ids),
+  posInventoryItems: (ids) => localDB.markInventoryItemsSynced(ids),
+  employeeTimesheets: (ids) => localDB.markTimesheetsSynced(ids),
+  customers: (ids) => localDB.markCustomersSynced(ids),
+  stockMovements: (ids) => localDB.markStockMovementsSynced(ids)
+};
+
+const getRetryDelay = (attempts) =>
+  Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+
+const isNetworkError = (error) =>
+  !navigator.onLine ||
+  error?.message?.includes('Failed to fetch') ||
+  error?.message?.includes('NetworkError') ||
+  error?.message?.includes('AuthRetryableFetchError');
+
+// Minimal session reference so the server can create the parent row if needed
+const toSessionRef = (session) => session?.id ? {
+  id: session.id,
+  employee_id: session.employee_id,
+  session_date: session.session_date
+} : null;
+
+const isUuid = (value) => typeof value === 'string' && value.includes('-');
+
+const formatMoney = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+// Unsynced rows per local store (read through localDB's getUnsynced* methods).
+// Rows that can never be accepted by the server - e.g. empty ticket templates or
+// sessions for offline-only employees - are left out of the sweep and the counts.
+const syncableStores = {
+  posSession: {
+    label: 'Sessions',
+    load: () => localDB.getUnsyncedSessions(),
+    entityKey: (session) => `session:${session.id}`,
+    isSyncable: (session) => isUuid(session.id) && isUuid(session.employee_id),
+    describe: (session) => `${session.session_date} · cash ${formatMoney(session.cash_total)}`
+  },
+  posTickets: {
+    label: 'Tickets',
+    load: () => localDB.getUnsyncedTickets(),
+    entityKey: (ticket) => `ticket:${ticket.id}`,
+    isSyncable: (ticket) => {
+      const hasNumber = ticket.ticketNumber || ticket.ticket_number;
+      const hasAmount = (ticket.wash > 0 || ticket.dry > 0) || (ticket.wash_amount > 0 || ticket.dry_amount > 0);
+      return isUuid(ticket.id) && !!hasNumber && hasAmount;
+    },
+    describe: (ticket) => `#${ticket.ticketNumber || ticket.ticket_number} · ${formatMoney(ticket.total || ticket.total_amount)}`
+  },
+  posInventoryItems: {
+    label: 'Inventory',
+    load: () => localDB.getUnsyncedInventoryItems(),
+    entityKey: (item) => `inventory:${item.pos_session_id}:${item.name}`,
+    isSyncable: (item, sessionsById) => !!item.name && !!sessionsById[item.pos_session_id],
+    describe: (item) => `${item.name} · left ${item.left || 0}`
+  },
+  employeeTimesheets: {
+    label: 'Clock in/out',
+    load: () => localDB.getUnsyncedTimesheets(),
+    entityKey: (timesheet) => `timesheet:${timesheet.id}`,
+    isSyncable: (timesheet) => isUuid(timesheet.id),
+    describe: (timesheet) => `${new Date(timesheet.clock_in_time).toLocaleString()}${timesheet.clock_out_time ? ' → out' : ''}`
+  },
+  customers: {
+    label: 'Customers',
+    load: () => localDB.getUnsyncedCustomers(),
+    entityKey: (customer) => `customer:${customer.id}`,
+    isSyncable: (customer) => isUuid(customer.id) && !!customer.full_name?.trim(),
+    describe: (customer) => `${customer.full_name}${customer.phone ? ` · ${customer.phone}` : ''}`
+  }
+};
+
+// Outbox kinds applied by apply_customer_mutation instead of apply_pos_mutation
+const customerKinds = ['customer.upsert', 'ticket.customer'];
+
+// Outbox kinds applied by their own RPC, which takes the idempotency key and payload.
+// session.commit and ticket.notify have their own steps (see applyEntry).
+const rpcByKind = {
+  'ticket.status': 'apply_ticket_status_change',
+  'ticket.adjustment': 'apply_ticket_adjustment',
+  'ticket.edit': 'apply_ticket_edit',
+  'ticket.payments': 'apply_ticket_payments',
+  'ticket.promise': 'apply_ticket_promise',
+  'ticket.lines': 'apply_ticket_lines',
+  'ticket.import': 'apply_ticket_import',
+  'sale.record': 'apply_inventory_sale',
+  'stock.movement': 'apply_inventory_movement'
+};
+
+class SyncService {
+  constructor() {
+    this.flushPromise = null;
+    this.backgroundTimer = null;
+    this.handleOnline = null;
+
+    // Another tab queued or sent something - refresh this tab's summary
+    tabCoordinator.subscribe('outbox-changed', () => this.dispatchSummary());
+  }
+
+  async enqueue(kind, payload, { entityKey = null, store = null, recordId = null } = {}) {
+    const now = new Date().toISOString();
+    const entry = await localDB.enqueueOutboxEntry({
+      idempotency_key: crypto.randomUUID(),
+      kind,
+      entity_key: entityKey,
+      store,
+      record_id: recordId,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: null,
+      last_error: null,
+      created_at: now,
+      updated_at: now
+    });
+
+    console.log(`📥 Queued ${kind}:`, entry.idempotency_key);
+    this.notify();
+    return entry;
+  }
+
+  async queueSession(session) {
+    return this.enqueue('session.upsert', {
+      record: {
+        id: session.id,
+        employee_id: session.employee_id,
+        session_date: session.session_date,
+        status: session.status || 'active',
+        notes: session.notes || '',
+        cash_started: session.cash_started || 0,
+        cash_added: session.cash_added || 0,
+        coins_used: session.coins_used || 0,
+        cash_total: session.cash_total || 0,
+        created_at: session.created_at
+      }
+    }, { entityKey: `session:${session.id}`, store: 'posSession', recordId: session.id });
+  }
+
+  async queueTicket(ticket, session) {
+    const washAmount = ticket.wash_amount || ticket.wash || 0;
+    const dryAmount = ticket.dry_amount || ticket.dry || 0;
+
+    return this.enqueue('ticket.insert', {
+      record: {
+        id: ticket.id,
+        pos_session_id: ticket.pos_session_id,
+        ticket_number: ticket.ticket_number || ticket.ticketNumber,
+        wash_amount: washAmount,
+        dry_amount: dryAmount,
+        total_amount: ticket.total_amount || ticket.total || (washAmount + dryAmount),
+        ticket_sequence_key: ticketImport.getSequenceKey(ticket),
+        created_at: ticket.created_at
+      },
+      session: toSessionRef(session)
+    }, { entityKey: `ticket:${ticket.id}`, store: 'posTickets', recordId: ticket.id });
+  }
+
+  // One entry per transition, so every timestamp reaches pos_ticket_status_events
+  async queueTicketStatus(ticket, { fromStatus, toStatus, changedAt, employeeId = null }, session) {
+    const washAmount = ticket.wash_amount || ticket.wash || 0;
+    const dryAmount = ticket.dry_amount || ticket.dry || 0;
+
+    return this.enqueue('ticket.status', {
+      record: {
+        ticket_id: ticket.id,
+        from_status: fromStatus,
+        to_status: toStatus,
+        changed_at: changedAt,
+        employee_id: isUuid(employeeId) ? employeeId : null,
+        terminal_id: terminalSettings.getTerminalId()
+      },
+      ticket: {
+        id: ticket.id,
+        pos_session_id: ticket.pos_session_id,
+        ticket_number: ticket.ticket_number || ticket.ticketNumber,
+        wash_amount: washAmount,
+        dry_amount: dryAmount,
+        total_amount: ticket.total_amount || ticket.total || (washAmount + dryAmount),
+        created_at: ticket.created_at
+      },
+      session: toSessionRef(session)
+    }, { entityKey: `ticket-status:${ticket.id}:${toStatus}` });
+  }
+
+  // Void or refund; the server checks the manager PIN and records it once in
+  // pos_ticket_adjustments. The PIN stays in the outbox entry only until it is applied.
+  async queueTicketAdjustment(ticket, adjustment, session, approval) {
+    const washAmount = ticket.wash_amount || ticket.wash || 0;
+    const dryAmount = ticket.dry_amount || ticket.dry || 0;
+
+    return this.enqueue('ticket.adjustment', {
+      record: {
+        ...adjustment,
+        employee_id: isUuid(adjustment.employee_id) ? adjustment.employee_id : null,
+        terminal_id: terminalSettings.getTerminalId()
+      },
+      approval: {
+        manager_id: approval?.managerId || null,
+        pin: approval?.pin ?? null
+      },
+      ticket: {
+        id: ticket.id,
+        pos_session_id: ticket.pos_session_id,
+        ticket_number: ticket.ticket_number || ticket.ticketNumber,
+        wash_amount: washAmount,
+        dry_amount: dryAmount,
+        total_amount: ticket.total_amount || ticket.total || (washAmount + dryAmount),
+        created_at: ticket.created_at
+      },
+      session: toSessionRef(session)
+    }, { entityKey: `ticket-adjustment:${adjustment.id}` });
+  }
+
+  // Amount correction with its before/after values, kept in pos_ticket_edits
+  async queueTicketEdit(ticket, edit, session) {
+    return this.enqueue('ticket.edit', {
+      record: {
+        ...edit,
+        employee_id: isUuid(edit.employee_id) ? edit.employee_id : null,
+        terminal_id: terminalSettings.getTerminalId()
+      },
+      ticket: {
+        id: ticket.id,
+        pos_session_id: ticket.pos_session_id,
+        ticket_number: ticket.ticket_number || ticket.ticketNumber,
+        wash_amount: edit.before_values.wash_amount,
+        dry_amount: edit.before_values.dry_amount,
+        total_amount: edit.before_values.total_amount,
+        created_at: ticket.created_at
+      },
+      session: toSessionRef(session)
+    }, { entityKey: `ticket-edit:${edit.id}` });
+  }
+
+  async queueInventoryItem(item, session) {
+    return this.enqueue('inventory.upsert', {
+      record: {
+        pos_session_id: item.pos_session_id || session?.id,
+        item_name: item.name,
+        quantity: item.qty || 1,
+        price: Number(item.price || 0),
+        start_count: Number(item.start || 0),
+        add_count: Number(item.add || 0),
+        sold_count: Number(item.sold || 0),
+        left_count: Number(item.left || 0),
+        total_amount: Number(item.total || 0)
+      },
+      session: toSessionRef(session)
+    }, {
+      entityKey: `inventory:${item.pos_session_id || session?.id}:${item.name}`,
+      store: 'posInventoryItems',
+      recordId: item.id
+    });
+  }
+
+  // Counts on the store-wide master row; a newer count replaces one not yet sent
+  async queueMasterInventoryItem(item) {
+    return this.enqueue('inventory.master', {
+      record: {
+        id: item.dbId,
+        start_count: Number(item.start || 0),
+        add_count: Number(item.add || 0),
+        sold_count: Number(item.sold || 0),
+        left_count: Number(item.left || 0),
+        total_amount: Number(item.total || 0)
+      }
+    }, { entityKey: `inventory-master:${item.dbId}` });
+  }
+
+  async queueTimesheet(timesheet) {
+    return this.enqueue('timesheet.upsert', {
+      record: {
+        id: timesheet.id,
+        employee_id: timesheet.employee_id,
+        clock_in_time: timesheet.clock_in_time,
+        clock_out_time: timesheet.clock_out_time || null,
+        session_date: timesheet.session_date || timesheet.clock_in_time?.split('T')[0],
+        status: timesheet.clock_out_time ? 'clocked_out' : 'clocked_in',
+        notes: timesheet.notes || null,
+        created_at: timesheet.created_at
+      }
+    }, { entityKey: `timesheet:${timesheet.id}`, store: 'employeeTimesheets', recordId: timesheet.id });
+  }
+
+  async queueCustomer(customer) {
+    return this.enqueue('customer.upsert', {
+      record: {
+        id: customer.id,
+        full_name: customer.full_name,
+        phone: customer.phone || null,
+        email: customer.email || null,
+        notes: customer.notes || null,
+        created_at: customer.created_at
+      }
+    }, { entityKey: `customer:${customer.id}`, store: 'customers', recordId: customer.id });
+  }
+
+  // Queued after the ticket itself, so the server already has the row to attach to
+  async queueTicketCustomer(ticket, customerId) {
+    return this.enqueue('ticket.customer', {
+      record: {
+        ticket_id: ticket.id,
+        customer_id: customerId
+      }
+    }, { entityKey: `ticket-customer:${ticket.id}` });
+  }
+
+  // The ticket's complete set of priced service lines; a newer set replaces an unsent one
+  async queueTicketLines(ticket) {
+    return this.enqueue('ticket.lines', {
+      record: {
+        ticket_id: ticket.id,
+        lines: (ticket.lines || []).map(line => ({
+          id: line.id,
+          service_id: line.service_id,
+          service_name: line.service_name,
+          category: line.category,
+          pricing_unit: line.pricing_unit,
+          quantity: Number(line.quantity || 0),
+          unit_price: Number(line.unit_price || 0),
+          minimum_charge: Number(line.minimum_charge || 0),
+          amount: Number(line.amount || 0),
+          notes: line.notes || null
+        }))
+      }
+    }, { entityKey: `ticket-lines:${ticket.id}` });
+  }
+
+  // The ticket's complete set of payments; re-sent when an edit changes the total
+  async queueTicketPayments(ticket) {
+    return this.enqueue('ticket.payments', {
+      record: {
+        ticket_id: ticket.id,
+        payments: (ticket.payments || []).map(payment => ({
+          id: payment.id,
+          tender: payment.tender,
+          amount: Number(payment.amount || 0)
+        }))
+      }
+    }, { entityKey: `ticket-payments:${ticket.id}` });
+  }
+
+  // When the customer was told the ticket will be ready; a newer promise replaces an unsent one
+  async queueTicketPromise(ticket) {
+    return this.enqueue('ticket.promise', {
+      record: {
+        ticket_id: ticket.id,
+        promised_ready_at: ticket.promised_ready_at
+      }
+    }, { entityKey: `ticket-promise:${ticket.id}` });
+  }
+
+  // Paper ticket imported from a sheet: who wrote it and which import brought it in.
+  // The server also moves its ticket counter past the paper number.
+  async queueTicketImport(ticket) {
+    return this.enqueue('ticket.import', {
+      record: {
+        ticket_id: ticket.id,
+        employee_id: isUuid(ticket.employee_id) ? ticket.employee_id : null,
+        imported_at: ticket.imported_at,
+        import_batch_id: ticket.import_batch_id,
+        sequence_number: ticketNumbering.parse(ticket.ticketNumber || ticket.ticket_number)
+      }
+    }, { entityKey: `ticket-import:${ticket.id}` });
+  }
+
+  // "Order ready" message kept on the ticket; logged and delivered when the entry syncs.
+  // With background sync on, an online terminal sends it right away instead of waiting
+  // for the next sync.
+  async queueTicketNotification(ticket, notification) {
+    const entry = await this.enqueue('ticket.notify', {
+      record: { ...notification, ticket_id: ticket.id }
+    }, { entityKey: `notification:${notification.id}` });
+
+    if (navigator.onLine && terminalSettings.get().backgroundSync) {
+      // Not awaited: the caller may hold the ticket-status lock that delivery needs
+      (this.flushPromise || Promise.resolve())
+        .then(() => this.flush({ seqs: [entry.seq] }))
+        .catch(error => console.error('❌ Error sending notification:', error));
+    }
+    return entry;
+  }
+
+  // Logs a queued message on the server as 'sending', then sends it and records the
+  // outcome. Only the attempt that logged it sends it: a retry after a failed outcome
+  // call, or after the terminal stopped mid-send, never messages the customer twice.
+  async applyTicketNotification(entry) {
+    const record = entry.payload.record;
+    const { data, error } = await supabase.rpc('apply_ticket_notification', {
+      p_idempotency_key: entry.idempotency_key,
+      p_payload: { record: { ...record, status: 'sending' } }
+    });
+    if (error) throw error;
+
+    const delivered = await this.deliverNotification(record, { alreadyLogged: !!data?.duplicate });
+    const { error: outcomeError } = await supabase.rpc('record_ticket_notification_outcome', {
+      p_payload: { record: delivered }
+    });
+    if (outcomeError) throw outcomeError;
+    return data;
+  }
+
+  // Sends a message once and writes the outcome to the stored ticket. A message an
+  // earlier attempt already logged on the server without storing its outcome here may
+  // have gone out, so it is recorded as failed instead of sent again.
+  async deliverNotification(record, { alreadyLogged = false } = {}) {
+    const ticket = (await localDB.getAllTickets()).find(t => t.id === record.ticket_id);
+    const stored = ticket?.notifications?.find(n => n.id === record.id);
+    if (stored && stored.status !== 'pending') return stored;
+
+    const delivered = alreadyLogged
+      ? { ...record, status: 'failed', error: 'Sending was interrupted; it may not have reached the customer' }
+      : await notificationService.deliver(record, ticket?.ticketNumber || ticket?.ticket_number);
+    if (ticket) {
+      await tabCoordinator.withLock('ticket-status', async () => {
+        const latest = (await localDB.getAllTickets()).find(t => t.id === ticket.id) || ticket;
+        const notifications = (latest.notifications || []).map(n => n.id === delivered.id ? delivered : n);
+        await localDB.putRecords('posTickets', [{ ...latest, notifications }]);
+      });
+      tabCoordinator.publish('tickets-changed', { sessionId: ticket.pos_session_id });
+    }
+    return delivered;
+  }
+
+  // Inventory sale rung up through the sale receipt, with its payments
+  async queueSale(sale, session) {
+    return this.enqueue('sale.record', {
+      record: {
+        id: sale.id,
+        pos_session_id: sale.pos_session_id,
+        reference: sale.reference,
+        lines: sale.lines,
+        total_amount: sale.total,
+        employee_id: isUuid(sale.employee_id) ? sale.employee_id : null,
+        terminal_id: terminalSettings.getTerminalId(),
+        created_at: sale.created_at,
+        payments: sale.payments.map(payment => ({
+          id: payment.id,
+          tender: payment.tender,
+          amount: Number(payment.amount || 0)
+        }))
+      },
+      session: toSessionRef(session)
+    }, { entityKey: `sale:${sale.id}` });
+  }
+
+  // One entry per movement; the ledger is append-only, so nothing is coalesced
+  async queueStockMovement(movement, session) {
+    return this.enqueue('stock.movement', {
+      record: {
+        id: movement.id,
+        item_name: movement.item_name,
+        movement_type: movement.movement_type,
+        quantity: movement.quantity,
+        reason: movement.reason,
+        pos_session_id: movement.pos_session_id,
+        sale_id: movement.sale_id,
+        employee_id: isUuid(movement.employee_id) ? movement.employee_id : null,
+        terminal_id: movement.terminal_id,
+        occurred_at: movement.occurred_at
+      },
+      session: movement.pos_session_id ? toSessionRef(session) : null
+    }, { entityKey: `stock-movement:${movement.id}`, store: 'stockMovements', recordId: movement.id });
+  }
+
+  // Whole-session snapshot written by commit_pos_session in a single transaction
+  async queueSessionCommit(session, inventoryItems = [], tickets = []) {
+    return this.enqueue(
+      'session.commit',
+      posService.buildSessionCommitPayload(session, inventoryItems, tickets),
+      { entityKey: `commit:${session.id}`, store: 'posSession', recordId: session.id }
+    );
+  }
+
+  async queueRecord(store, record, sessionsById = {}) {
+    const session = sessionsById[record.pos_session_id];
+
+    switch (store) {
+      case 'posSession':
+        return this.queueSession(record);
+      case 'posTickets':
+        return this.queueTicket(record, session);
+      case 'posInventoryItems':
+        return this.queueInventoryItem(record, session);
+      case 'employeeTimesheets':
+        return this.queueTimesheet(record);
+      case 'customers':
+        return this.queueCustomer(record);
+      default:
+        return null;
+    }
+  }
+
+  async getSummary() {
+    const entries = await localDB.getOutboxEntries();
+    const pending = entries.filter(e => e.status !== 'failed');
+    const failed = entries.filter(e => e.status === 'failed');
+
+    const byKind = {};
+    pending.forEach(e => {
+      byKind[e.kind] = (byKind[e.kind] || 0) + 1;
+    });
+
+    const retryTimes = pending
+      .map(e => e.next_attempt_at)
+      .filter(Boolean)
+      .sort();
+
+    const lastErrorEntry = [...entries].reverse().find(e => e.last_error);
+
+    return {
+      pending: pending.length,
+      failed: failed.length,
+      byKind,
+      nextAttemptAt: retryTimes[0] || null,
+      lastError: lastErrorEntry?.last_error || null,
+      lastSyncedAt: localStorage.getItem(LAST_SYNC_KEY)
+    };
+  }
+
+  async notify() {
+    tabCoordinator.publish('outbox-changed');
+    return this.dispatchSummary();
+  }
+
+  async dispatchSummary() {
+    try {
+      const summary = await this.getSummary();
+      window.dispatchEvent(new CustomEvent('pos-outbox-changed', { detail: summary }));
+    } catch (error) {
+      console.error('Error reading outbox summary:', error);
+    }
+  }
+
+  getLastError() {
+    try {
+      return JSON.parse(localStorage.getItem(LAST_ERROR_KEY) || 'null');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Apply queued entries in FIFO order. Entries still inside their backoff window
+  // are skipped unless force is set; seqs limits the run to specific entries.
+  // Only one tab flushes at a time; the others wait and then find less to send.
+  async flush({ force = false, seqs = null } = {}) {
+    if (this.flushPromise) return this.flushPromise;
+
+    this.flushPromise = tabCoordinator.withLock('sync', () => this.runFlush(force, seqs)).finally(() => {
+      this.flushPromise = null;
+      this.notify();
+    });
+
+    return this.flushPromise;
+  }
+
+  async runFlush(force, seqs) {
+    const result = { applied: 0, duplicates: 0, deferred: 0, failed: 0, offline: false, numberConflicts: [] };
+
+    if (!navigator.onLine) {
+      result.offline = true;
+      return result;
+    }
+
+    const allEntries = await localDB.getOutboxEntries();
+    const entries = seqs ? allEntries.filter(e => seqs.includes(e.seq)) : allEntries;
+    const now = Date.now();
+
+    for (const entry of entries) {
+      if (entry.status === 'failed') {
+        result.failed++;
+        continue;
+      }
+
+      if (!force && entry.next_attempt_at && new Date(entry.next_attempt_at).getTime() > now) {
+        result.deferred++;
+        continue;
+      }
+
+      // Count the attempt before sending so this entry is never coalesced again
+      const attempt = {
+        ...entry,
+        status: 'sending',
+        attempts: (entry.attempts || 0) + 1
+      };
+      await localDB.updateOutboxEntry(attempt);
+
+      try {
+        const data = await this.applyEntry(entry);
+
+        await localDB.deleteOutboxEntry(entry.seq);
+        await this.markRecordSynced(entry);
+
+        if (data?.duplicate) {
+          result.duplicates++;
+        } else {
+          result.applied++;
+        }
+        // Saved anyway, flagged on the server as a duplicate number
+        if (data?.number_conflicts?.length > 0) {
+          result.numberConflicts.push(...data.number_conflicts);
+          console.warn(`⚠️ Ticket number(s) already used on the server: ${data.number_conflicts.join(', ')}`);
+        }
+        console.log(`✅ Applied ${entry.kind}:`, entry.idempotency_key);
+      } catch (error) {
+        const networkError = isNetworkError(error);
+        const parked = !networkError && (error?.permanent || attempt.attempts >= MAX_ATTEMPTS);
+
+        await localDB.updateOutboxEntry({
+          ...attempt,
+          status: parked ? 'failed' : 'pending',
+          next_attempt_at: parked ? null : new Date(Date.now() + getRetryDelay(attempt.attempts)).toISOString(),
+          last_error: error?.message || 'Unknown error'
+        });
+        localStorage.setItem(LAST_ERROR_KEY, JSON.stringify({
+          message: error?.message || 'Unknown error',
+          kind: entry.kind,
+          at: new Date().toISOString()
+        }));
+
+        console.error(`❌ Failed to apply ${entry.kind} (attempt ${attempt.attempts}):`, error);
+
+        if (parked) {
+          result.failed++;
+          continue;
+        }
+
+        result.deferred++;
+
+        // Nothing else will get through while the connection is down
+        if (networkError) {
+          result.offline = true;
+          break;
+        }
+      }
+    }
+
+    if (result.applied > 0 || result.duplicates > 0) {
+      localStorage.setItem(LAST_SYNC_KEY, new Date().toISOString());
+    }
+
+    return result;
+  }
+
+  async loadUnsyncedRecords() {
+    const sessions = await localDB.getAllSessions();
+    const sessionsById = {};
+    sessions.forEach(session => {
+      sessionsById[session.id] = session;
+    });
+
+    const groups = await Promise.all(Object.entries(syncableStores).map(async ([store, config]) => {
+      const rows = await config.load();
+      return { store, records: rows.filter(row => config.isSyncable(row, sessionsById)) };
+    }));
+
+    return { groups, sessionsById };
+  }
+
+  // Queue rows from the synced-indexed stores that are still unsynced and not already
+  // in the outbox. Used by background sync, which has no UI action to queue them.
+  async queueUnsyncedRows() {
+    const [entries, { groups, sessionsById }] = await Promise.all([
+      localDB.getOutboxEntries(),
+      this.loadUnsyncedRecords()
+    ]);
+
+    const queuedKeys = new Set(entries.map(e => e.entity_key));
+    let queued = 0;
+
+    for (const { store, records } of groups) {
+      for (const record of records) {
+        if (queuedKeys.has(syncableStores[store].entityKey(record))) continue;
+        await this.queueRecord(store, record, sessionsById);
+        queued++;
+      }
+    }
+
+    return queued;
+  }
+
+  // Per-store view of unsynced rows and the outbox entries carrying them, for the
+  // sync status panel. Entries that match no unsynced row are listed separately.
+  async getSyncStatus() {
+    const [entries, { groups }] = await Promise.all([
+      localDB.getOutboxEntries(),
+      this.loadUnsyncedRecords()
+    ]);
+
+    const matched = new Set();
+    const stores = groups.map(({ store, records }) => {
+      const config = syncableStores[store];
+
+      return {
+        store,
+        label: config.label,
+        count: records.length,
+        records: records.map(record => {
+          const entityKey = config.entityKey(record);
+          const recordEntries = entries.filter(e =>
+            e.entity_key === entityKey || (e.store === store && e.record_id === record.id)
+          );
+          recordEntries.forEach(e => matched.add(e.seq));
+
+          return {
+            id: record.id,
+            description: config.describe(record),
+            row: record,
+            entries: recordEntries
+          };
+        })
+      };
+    });
+
+    return {
+      stores,
+      otherEntries: entries.filter(e => !matched.has(e.seq)),
+      lastSyncedAt: localStorage.getItem(LAST_SYNC_KEY),
+      lastError: this.getLastError()
+    };
+  }
+
+  // Send a single record now, queueing it first if nothing is in the outbox for it
+  async retryRecord(store, record) {
+    let seqs = record.entries.map(e => e.seq);
+
+    if (seqs.length === 0) {
+      const { sessionsById } = await this.loadUnsyncedRecords();
+      const entry = await this.queueRecord(store, record.row, sessionsById);
+      if (!entry) return null;
+      seqs = [entry.seq];
+    }
+
+    return this.retryEntries(seqs);
+  }
+
+  // Failed entries go back to pending for one more forced attempt
+  async retryEntries(seqs) {
+    const entries = await localDB.getOutboxEntries();
+
+    for (const entry of entries) {
+      if (seqs.includes(entry.seq) && entry.status === 'failed') {
+        await localDB.updateOutboxEntry({ ...entry, status: 'pending', next_attempt_at: null });
+      }
+    }
+
+    // Let a running flush finish so this one only sends the requested entries
+    if (this.flushPromise) await this.flushPromise;
+    return this.flush({ force: true, seqs });
+  }
+
+  // Drop the queued change and stop counting the local row as unsynced.
+  // The row itself stays in localDB.
+  async discardRecord(store, record) {
+    await this.discardEntries(record.entries.map(e => e.seq));
+
+    const markSynced = markSyncedByStore[store];
+    if (markSynced) await markSynced([record.id]);
+
+    console.log(`⚠️ Discarded unsynced ${store} record:`, record.id);
+    this.notify();
+  }
+
+  async discardEntries(seqs) {
+    for (const seq of seqs) {
+      await localDB.deleteOutboxEntry(seq);
+    }
+    this.notify();
+  }
+
+  // Opt-in per terminal (see terminalSettings): push pending data when the browser
+  // comes back online and on a timer, without waiting for Save Progress
+  startBackgroundSync(intervalMinutes = 5) {
+    this.stopBackgroundSync();
+
+    this.handleOnline = () => this.runBackgroundSync();
+    window.addEventListener('online', this.handleOnline);
+    this.backgroundTimer = setInterval(() => this.runBackgroundSync(), intervalMinutes * 60 * 1000);
+
+    console.log(`🔄 Background sync enabled (every ${intervalMinutes} min and on reconnect)`);
+    this.runBackgroundSync();
+  }
+
+  stopBackgroundSync() {
+    if (this.handleOnline) {
+      window.removeEventListener('online', this.handleOnline);
+      this.handleOnline = null;
+    }
+    if (this.backgroundTimer) {
+      clearInterval(this.backgroundTimer);
+      this.backgroundTimer = null;
+    }
+  }
+
+  async runBackgroundSync() {
+    if (!navigator.onLine) return null;
+
+    try {
+      const queued = await this.queueUnsyncedRows();
+      const result = await this.flush();
+      await ticketNumbering.refillLeases();
+      await referenceDataService.pullInBackground();
+      console.log('✅ Background sync finished:', { queued, ...result });
+      return result;
+    } catch (error) {
+      console.error('❌ Background sync failed:', error);
+      return null;
+    }
+  }
+
+  async applyEntry(entry) {
+    if (entry.kind === 'session.commit') {
+      return posService.commitSession(entry.payload, entry.idempotency_key);
+    }
+
+    if (entry.kind === 'ticket.notify') {
+      return this.applyTicketNotification(entry);
+    }
+
+    const rpc = rpcByKind[entry.kind];
+    const { data, error } = rpc
+      ? await supabase.rpc(rpc, {
+        p_idempotency_key: entry.idempotency_key,
+        p_payload: entry.payload
+      })
+      : await supabase.rpc(customerKinds.includes(entry.kind) ? 'apply_customer_mutation' : 'apply_pos_mutation', {
+        p_idempotency_key: entry.idempotency_key,
+        p_kind: entry.kind,
+        p_payload: entry.payload
+      });
+
+    if (error) throw error;
+
+    // Retrying won't change the PIN; park the entry at once
+    if (entry.kind === 'ticket.adjustment' && data?.rejected) {
+      const rejection = new Error(`Manager approval refused: ${data.reason}`);
+      rejection.permanent = true;
+      throw rejection;
+    }
+    return data;
+  }
+
+  // Mark the local row synced once no newer change for it is still queued
+  async markRecordSynced(entry) {
+    // A session commit carries its tickets and inventory rows as well
+    if (entry.kind === 'session.commit') {
+      const ticketIds = (entry.payload?.tickets || []).map(t => t.id);
+      const itemIds = (entry.payload?.items || []).map(i => i.local_id).filter(id => id !== undefined);
+      if (ticketIds.length > 0) await localDB.markTicketsSynced(ticketIds);
+      if (itemIds.length > 0) await localDB.markInventoryItemsSynced(itemIds);
+    }
+
+    const markSynced = markSyncedByStore[entry.store];
+    if (!markSynced || entry.record_id === null || entry.record_id === undefined) return;
+
+    // Entries without a key share nothing with other entries
+    if (entry.entity_key) {
+      const remaining = await localDB.getOutboxEntries();
+      if (remaining.some(e => e.entity_key === entry.entity_key)) return;
+    }
+
+    await markSynced([entry.record_id]);
+  }
+}
+
+export const syncService = new SyncService();
@@ -0,0 +1,88 @@
+// Coordination between POS tabs/windows open on the same terminal.
+// Web Locks serialise work that must not run twice at once (syncing, ticket number
+// allocation); a BroadcastChannel tells the other tabs about local edits so they can
+// refresh their view. Each tab also holds a lock named after its tabId for its whole
+// lifetime, which lets other tabs see which tabs are still open.
+
+const CHANNEL_NAME = 'laundryking_pos';
+const LOCK_PREFIX = 'laundryking_pos:';
+const TAB_LOCK_PREFIX = 'laundryking_pos_tab:';
+
+class TabCoordinator {
+  constructor() {
+    this.tabId = crypto.randomUUID();
+    this.handlers = {};
+    this.localLocks = {};
+
+    this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+    if (this.channel) {
+      this.channel.onmessage = (event) => this.dispatch(event.data);
+    }
+
+    if (this.hasWebLocks()) {
+      // Never released - the browser drops it when the tab closes
+      navigator.locks.request(`${TAB_LOCK_PREFIX}${this.tabId}`, () => new Promise(() => {}));
+    } else {
+      console.warn('⚠️ Web Locks not supported - POS tabs are only coordinated within themselves');
+    }
+  }
+
+  hasWebLocks() {
+    return typeof navigator !== 'undefined' && !!navigator.locks;
+  }
+
+  // Run callback while holding the named lock across all tabs. With ifAvailable the
+  // callback gets null instead of waiting when another tab holds the lock.
+  async withLock(name, callback, { ifAvailable = false } = {}) {
+    if (this.hasWebLocks()) {
+      return navigator.locks.request(`${LOCK_PREFIX}${name}`, { ifAvailable }, callback);
+    }
+
+    // Fallback: serialise within this tab only
+    const previous = this.localLocks[name];
+    if (previous && ifAvailable) return callback(null);
+
+    const run = (previous || Promise.resolve()).then(() => callback({ name }));
+    const settled = run.catch(() => {}).then(() => {
+      if (this.localLocks[name] === settled) delete this.localLocks[name];
+    });
+    this.localLocks[name] = settled;
+    return run;
+  }
+
+  // Ids of the POS tabs that are still open, or null when this can't be known
+  async getLiveTabIds() {
+    if (!this.hasWebLocks()) return null;
+
+    const { held = [] } = await navigator.locks.query();
+    return held
+      .map(lock => lock.name)
+      .filter(name => name?.startsWith(TAB_LOCK_PREFIX))
+      .map(name => name.slice(TAB_LOCK_PREFIX.length));
+  }
+
+  publish(type, detail = {}) {
+    this.channel?.postMessage({ type, detail, from: this.tabId });
+  }
+
+  // Returns an unsubscribe function. Handlers only see messages from other tabs.
+  subscribe(type, handler) {
+    if (!this.handlers[type]) this.handlers[type] = new Set();
+    this.handlers[type].add(handler);
+    return () => this.handlers[type].delete(handler);
+  }
+
+  dispatch(message) {
+    if (!message?.type || message.from === this.tabId) return;
+
+    this.handlers[message.type]?.forEach(handler => {
+      try {
+        handler(message.detail);
+      } catch (error) {
+        console.error(`Error handling ${message.type} from another tab:`, error);
+      }
+    });
+  }
+}
+
+export const tabCoordinator = new TabCoordinator();
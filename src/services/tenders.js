@@ -0,0 +1,122 @@
+// Payment tenders on wash/dry tickets and inventory sales, shared by the POS and the
+// operations dashboard. A payment is { id, tender, amount }; a ticket's or sale's
+// payments add up to its total. While entering a ticket a single payment has no amount
+// of its own - it covers whatever the total comes to.
+
+export const TENDERS = ['cash', 'card', 'store_credit', 'other'];
+
+export const tenderLabels = {
+  cash: 'Cash',
+  card: 'Card',
+  store_credit: 'Store credit',
+  other: 'Other'
+};
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const emptySummary = () => TENDERS.reduce((summary, tender) => ({ ...summary, [tender]: 0 }), {});
+
+class Tenders {
+  createPayment(tender = 'cash', amount = null) {
+    return { id: crypto.randomUUID(), tender, amount };
+  }
+
+  getPaid(payments = []) {
+    return roundCurrency(payments.reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0));
+  }
+
+  // Payments as stored for a total: none means all cash, one covers the whole total,
+  // a split keeps its amounts (zero amounts dropped)
+  normalize(payments = [], total) {
+    const amount = roundCurrency(Number(total) || 0);
+    if (payments.length <= 1) {
+      const payment = payments[0] || this.createPayment('cash');
+      return amount > 0 ? [{ ...payment, amount }] : [];
+    }
+    return payments
+      .map(payment => ({ ...payment, amount: roundCurrency(Number(payment.amount) || 0) }))
+      .filter(payment => payment.amount > 0);
+  }
+
+  // Throws with a user-facing message when a split doesn't add up to the total
+  validate(payments = [], total) {
+    const normalized = this.normalize(payments, total);
+    if (normalized.some(payment => !TENDERS.includes(payment.tender))) {
+      throw new Error('Please pick a payment method for every payment.');
+    }
+    const paid = this.getPaid(normalized);
+    const amount = roundCurrency(Number(total) || 0);
+    if (paid !== amount) {
+      throw new Error(`Payments add up to $${paid.toFixed(2)} but the total is $${amount.toFixed(2)}.`);
+    }
+    return normalized;
+  }
+
+  // After a total changes (ticket edit), the difference is settled in cash; a lower
+  // total takes back cash first, then the other payments from the last one
+  settleDifference(payments = [], total) {
+    let difference = roundCurrency((Number(total) || 0) - this.getPaid(payments));
+    if (difference === 0) return payments;
+
+    const settled = payments.map(payment => ({ ...payment }));
+    let cash = settled.find(payment => payment.tender === 'cash');
+    if (difference > 0) {
+      if (!cash) {
+        cash = this.createPayment('cash', 0);
+        settled.push(cash);
+      }
+      cash.amount = roundCurrency(Number(cash.amount) + difference);
+      return settled;
+    }
+
+    const order = [...(cash ? [cash] : []), ...settled.filter(payment => payment !== cash).reverse()];
+    for (const payment of order) {
+      if (difference === 0) break;
+      const taken = Math.min(Number(payment.amount), -difference);
+      payment.amount = roundCurrency(Number(payment.amount) - taken);
+      difference = roundCurrency(difference + taken);
+    }
+    return settled.filter(payment => payment.amount > 0);
+  }
+
+  // { cash, card, store_credit, other } for a list of payments
+  summarize(payments = []) {
+    const summary = emptySummary();
+    payments.forEach(payment => {
+      if (payment.tender in summary) {
+        summary[payment.tender] = roundCurrency(summary[payment.tender] + (Number(payment.amount) || 0));
+      }
+    });
+    return summary;
+  }
+
+  // A session's takings by tender. Tickets without payments (taken before tenders were
+  // recorded) count as cash, as does inventory counted on the grid rather than rung up
+  // as a sale. Voided tickets are left out and refunds are paid back in cash.
+  sessionBreakdown({ tickets = [], sales = [], inventoryTotal = 0, refunds = 0 } = {}) {
+    const payments = [];
+
+    tickets
+      .filter(ticket => !ticket.voided_at)
+      .forEach(ticket => {
+        const total = Number(ticket.total_amount || ticket.total || 0);
+        payments.push(...this.normalize(ticket.payments || [], total));
+      });
+
+    let salesTotal = 0;
+    sales.forEach(sale => {
+      payments.push(...(sale.payments || []));
+      salesTotal += Number(sale.total || sale.total_amount || 0);
+    });
+
+    const summary = this.summarize(payments);
+    summary.cash = roundCurrency(summary.cash + Math.max(Number(inventoryTotal || 0) - salesTotal, 0) - Number(refunds || 0));
+
+    return {
+      byTender: summary,
+      total: roundCurrency(TENDERS.reduce((sum, tender) => sum + summary[tender], 0))
+    };
+  }
+}
+
+export const tenders = new Tenders();
@@ -0,0 +1,57 @@
+// Per-terminal settings, kept in localStorage so each tablet decides for itself.
+// These are never synced to Supabase.
+
+const SETTINGS_KEY = 'pos_terminal_settings';
+
+const DEFAULT_SETTINGS = {
+  // Off by default: sync normally only happens on an explicit Save Progress click
+  backgroundSync: false,
+  backgroundSyncIntervalMinutes: 5,
+  // Ticket number display format; the reset mode and refill threshold are store-wide and cached from the server
+  ticketPrefix: '',
+  ticketNumberWidth: 3,
+  ticketResetMode: 'continuous',
+  ticketRefillThreshold: 20,
+  // Receipts and claim tags: 'browser' print dialog or 'escpos' thermal printer over Web Serial
+  receiptPrinter: 'browser',
+  receiptColumns: 32, // 32 = 58mm paper, 48 = 80mm
+  receiptBaudRate: 9600,
+  receiptStoreName: 'LaundryKing',
+  receiptStoreDetails: '',
+  receiptFooter: 'Thank you for your business!',
+  autoPrintOnInsert: false,
+  // Message the customer (SMS/email templates) when their ticket is moved to ready
+  notifyOnReady: true
+};
+
+class TerminalSettings {
+  get() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+      return { ...DEFAULT_SETTINGS, ...stored };
+    } catch (error) {
+      console.error('Error reading terminal settings:', error);
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  update(changes) {
+    const settings = { ...this.get(), ...changes };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+
+    window.dispatchEvent(new CustomEvent('pos-terminal-settings-changed', {
+      detail: settings
+    }));
+
+    return settings;
+  }
+
+  // Stable id for this terminal, used when leasing ticket numbers
+  getTerminalId() {
+    const { terminalId } = this.get();
+    if (terminalId) return terminalId;
+    return this.update({ terminalId: crypto.randomUUID() }).terminalId;
+  }
+}
+
+export const terminalSettings = new TerminalSettings();
@@ -0,0 +1,85 @@
+// Voids and refunds of wash/dry tickets. Both need a reason and a manager's PIN, keep
+// the original ticket, and are synced as ticket.adjustment outbox entries that the
+// server writes to pos_ticket_adjustments. A void takes the whole ticket out of its
+// session's totals and is only allowed during that session; a refund pays back part
+// or all of a ticket later and counts against the session that paid it out.
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+export const adjustmentLabels = {
+  void: 'Void',
+  refund: 'Refund'
+};
+
+class TicketAdjustments {
+  getTotal(ticket) {
+    const wash = Number(ticket.wash_amount || ticket.wash || 0);
+    const dry = Number(ticket.dry_amount || ticket.dry || 0);
+    return roundCurrency(Number(ticket.total_amount || ticket.total || wash + dry));
+  }
+
+  isVoided(ticket) {
+    return !!ticket?.voided_at;
+  }
+
+  getRefundable(ticket) {
+    if (this.isVoided(ticket)) return 0;
+    return Math.max(roundCurrency(this.getTotal(ticket) - Number(ticket.refunded_amount || 0)), 0);
+  }
+
+  // Voids are for correcting mistakes before the session's cash is counted
+  canVoid(ticket, sessionId) {
+    return !this.isVoided(ticket) && !!sessionId && ticket.pos_session_id === sessionId && !(ticket.refunded_amount > 0);
+  }
+
+  canRefund(ticket) {
+    return this.getRefundable(ticket) > 0;
+  }
+
+  // Throws with a user-facing message when the adjustment isn't allowed. Returns the
+  // adjustment record and the ticket with its void/refund markers applied.
+  buildAdjustment(ticket, { kind, amount, reason, employeeId = null, approvedBy = null, sessionId, createdAt = new Date().toISOString() }) {
+    const trimmedReason = (reason || '').trim();
+    if (!trimmedReason) throw new Error('Please enter a reason.');
+
+    if (kind === 'void') {
+      if (!this.canVoid(ticket, sessionId)) {
+        throw new Error('Only tickets from the current session without refunds can be voided.');
+      }
+    } else if (kind === 'refund') {
+      if (!sessionId) throw new Error('Start a session before refunding, so the refund is counted in it.');
+      const refundable = this.getRefundable(ticket);
+      amount = roundCurrency(Number(amount) || 0);
+      if (amount <= 0) throw new Error('Please enter the refund amount.');
+      if (amount > refundable) throw new Error(`At most $${refundable.toFixed(2)} can be refunded on this ticket.`);
+    } else {
+      throw new Error(`Unknown adjustment: ${kind}`);
+    }
+
+    const adjustment = {
+      id: crypto.randomUUID(),
+      ticket_id: ticket.id,
+      // A void belongs to the ticket's own session, a refund to the session paying it out
+      pos_session_id: kind === 'void' ? ticket.pos_session_id : sessionId,
+      kind,
+      amount: kind === 'void' ? this.getTotal(ticket) : amount,
+      reason: trimmedReason,
+      employee_id: employeeId,
+      approved_by: approvedBy,
+      created_at: createdAt
+    };
+
+    return {
+      adjustment,
+      ticket: {
+        ...ticket,
+        ...(kind === 'void'
+          ? { voided_at: createdAt, void_reason: trimmedReason }
+          : { refunded_amount: roundCurrency(Number(ticket.refunded_amount || 0) + amount) }),
+        adjustments: [...(ticket.adjustments || []), adjustment]
+      }
+    };
+  }
+}
+
+export const ticketAdjustments = new TicketAdjustments();
@@ -0,0 +1,98 @@
+import { supabase } from '../lib/supabase';
+import { ticketStatus, ticketStatusLabels } from './ticketStatus';
+
+// Unclaimed-ticket aging report for the operations dashboard: drop-off tickets not
+// picked up a week or more after drop-off, bucketed by age. Staff record follow-ups
+// on them in bulk through record_ticket_followups: 'contacted' keeps the ticket open,
+// 'donated' and 'disposed' close it and take it off the report.
+
+// Oldest first, so a ticket falls in the first bucket it is old enough for
+export const AGING_BUCKETS = [
+  { key: '60', minDays: 60, label: '60+ days' },
+  { key: '30', minDays: 30, label: '30–59 days' },
+  { key: '7', minDays: 7, label: '7–29 days' }
+];
+
+export const FOLLOWUP_ACTIONS = ['contacted', 'donated', 'disposed'];
+
+export const followupActionLabels = {
+  contacted: 'Contacted',
+  donated: 'Donated',
+  disposed: 'Disposed'
+};
+
+const MIN_AGE_DAYS = AGING_BUCKETS[AGING_BUCKETS.length - 1].minDays;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// PostgREST's default page size; the report is meant to stay well below it
+const MAX_TICKETS = 1000;
+
+class TicketAging {
+  getAgeDays(ticket, now = new Date()) {
+    return Math.floor((new Date(now).getTime() - new Date(ticket.created_at).getTime()) / DAY_MS);
+  }
+
+  // Bucket key ('7', '30' or '60'), or null for tickets under a week old
+  getBucket(ticket, now = new Date()) {
+    const age = this.getAgeDays(ticket, now);
+    return AGING_BUCKETS.find(bucket => age >= bucket.minDays)?.key || null;
+  }
+
+  // { '7': n, '30': n, '60': n }
+  countByBucket(tickets = [], now = new Date()) {
+    const counts = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+    tickets.forEach(ticket => {
+      const key = this.getBucket(ticket, now);
+      if (key) counts[key] += 1;
+    });
+    return counts;
+  }
+
+  // Tickets on the server still waiting to be collected, oldest first
+  async getUnclaimedTickets({ now = new Date() } = {}) {
+    const droppedOffBefore = new Date(new Date(now).getTime() - MIN_AGE_DAYS * DAY_MS).toISOString();
+    const { data, error } = await supabase
+      .from('pos_wash_dry_tickets')
+      .select('id, ticket_number, status, created_at, total_amount, last_contacted_at, customers(full_name, phone), pos_sessions(session_date)')
+      .neq('status', 'picked_up')
+      .is('voided_at', null)
+      .is('disposed_at', null)
+      .lte('created_at', droppedOffBefore)
+      .order('created_at', { ascending: true })
+      .limit(MAX_TICKETS);
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Donated and disposed need a reason; returns how many tickets were updated
+  async recordFollowup(ticketIds, action, reason = '') {
+    if (!FOLLOWUP_ACTIONS.includes(action)) throw new Error(`Unknown follow-up action: ${action}`);
+    if (action !== 'contacted' && !reason.trim()) throw new Error('Enter a reason');
+    const { data, error } = await supabase.rpc('record_ticket_followups', {
+      p_ticket_ids: ticketIds,
+      p_action: action,
+      p_reason: reason.trim() || null
+    });
+    if (error) throw error;
+    return data || 0;
+  }
+
+  // Rows for the spreadsheet export, header first
+  toSheetRows(tickets = [], now = new Date()) {
+    return [
+      ['Ticket #', 'Dropped off', 'Age (days)', 'Bucket', 'Status', 'Customer', 'Phone', 'Last contacted', 'Total'],
+      ...tickets.map(ticket => [
+        ticket.ticket_number,
+        ticket.pos_sessions?.session_date || new Date(ticket.created_at).toLocaleDateString(),
+        this.getAgeDays(ticket, now),
+        AGING_BUCKETS.find(bucket => bucket.key === this.getBucket(ticket, now))?.label || '',
+        ticketStatusLabels[ticketStatus.getStatus(ticket)],
+        ticket.customers?.full_name || '',
+        ticket.customers?.phone || '',
+        ticket.last_contacted_at ? new Date(ticket.last_contacted_at).toLocaleString() : '',
+        Number(ticket.total_amount || 0)
+      ])
+    ];
+  }
+}
+
+export const ticketAging = new TicketAging();
@@ -0,0 +1,111 @@
+// Corrections to a stored ticket from the POS ticket history: typed wash/dry amounts,
+// or the service lines of a ticket priced from the price list. Every correction keeps
+// who made it, when, and the values before and after (with the lines, for a priced
+// ticket); it is stored on the local ticket (edits[]) and synced as a ticket.edit
+// outbox entry that the server writes to pos_ticket_edits.
+
+import { ticketAdjustments } from './ticketAdjustments';
+import { tenders } from './tenders';
+import { serviceCatalog } from './serviceCatalog';
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// What the edit trail keeps of a line
+const toLineValues = (line) => ({
+  service_name: line.service_name,
+  quantity: Number(line.quantity || 0),
+  unit_price: Number(line.unit_price || 0),
+  amount: Number(line.amount || 0),
+  notes: line.notes || ''
+});
+
+class TicketEdits {
+  getAmounts(ticket) {
+    const wash = roundCurrency(Number(ticket.wash_amount || ticket.wash || 0));
+    const dry = roundCurrency(Number(ticket.dry_amount || ticket.dry || 0));
+    const addons = roundCurrency(Number(ticket.addon_amount || ticket.addons || 0));
+    return { wash_amount: wash, dry_amount: dry, addon_amount: addons, total_amount: roundCurrency(wash + dry + addons) };
+  }
+
+  isPriced(ticket) {
+    return ticket.lines?.length > 0;
+  }
+
+  // Only the current session's tickets, and not once money has been handed back
+  canEdit(ticket, sessionId) {
+    return !!sessionId &&
+      ticket.pos_session_id === sessionId &&
+      !ticketAdjustments.isVoided(ticket) &&
+      !(ticket.refunded_amount > 0);
+  }
+
+  // Throws with a user-facing message when the edit isn't allowed. Typed tickets take
+  // { wash, dry }; tickets priced from services take their new { lines }, which decide
+  // the amounts. Returns the edit record and the updated ticket.
+  buildEdit(ticket, { wash, dry, lines = null, employeeId = null, sessionId, editedAt = new Date().toISOString() }) {
+    if (!this.canEdit(ticket, sessionId)) {
+      throw new Error('Only tickets from the current session without refunds can be edited.');
+    }
+
+    const before = this.getAmounts(ticket);
+    let after;
+    let newLines = null;
+
+    if (this.isPriced(ticket)) {
+      if (!lines) throw new Error('This ticket is priced from its services. Edit its lines instead.');
+      newLines = serviceCatalog.cleanLines(lines);
+      const summary = serviceCatalog.summarize(newLines);
+      // Add-ons ride along with a wash or dry, as when the ticket was taken
+      if (summary.wash === 0 && summary.dry === 0) throw new Error('A ticket needs a wash or dry service. Void it instead.');
+      after = { wash_amount: summary.wash, dry_amount: summary.dry, addon_amount: summary.addons, total_amount: summary.total };
+      before.lines = ticket.lines.map(toLineValues);
+      after.lines = newLines.map(toLineValues);
+      if (JSON.stringify(before) === JSON.stringify(after)) throw new Error('Nothing was changed.');
+    } else {
+      const washAmount = roundCurrency(Number(wash) || 0);
+      const dryAmount = roundCurrency(Number(dry) || 0);
+      if (washAmount < 0 || dryAmount < 0) throw new Error('Amounts can\'t be negative.');
+      if (washAmount === 0 && dryAmount === 0) throw new Error('A ticket needs a wash or dry amount. Void it instead.');
+
+      after = { wash_amount: washAmount, dry_amount: dryAmount, addon_amount: 0, total_amount: roundCurrency(washAmount + dryAmount) };
+      if (before.wash_amount === after.wash_amount && before.dry_amount === after.dry_amount) {
+        throw new Error('Nothing was changed.');
+      }
+    }
+
+    const edit = {
+      id: crypto.randomUUID(),
+      ticket_id: ticket.id,
+      before_values: before,
+      after_values: after,
+      employee_id: employeeId,
+      edited_at: editedAt
+    };
+
+    // Local tickets use wash/dry/addons/total; ones pulled from the server use the column names
+    return {
+      edit,
+      ticket: {
+        ...ticket,
+        wash: after.wash_amount,
+        dry: after.dry_amount,
+        addons: after.addon_amount,
+        total: after.total_amount,
+        ...('wash_amount' in ticket ? {
+          wash_amount: after.wash_amount,
+          dry_amount: after.dry_amount,
+          addon_amount: after.addon_amount,
+          total_amount: after.total_amount
+        } : {}),
+        ...(newLines ? { lines: newLines } : {}),
+        // Payments follow the new total; the difference is settled in cash
+        ...(ticket.payments ? { payments: tenders.settleDifference(ticket.payments, after.total_amount) } : {}),
+        edited_at: editedAt,
+        updated_at: editedAt,
+        edits: [...(ticket.edits || []), edit]
+      }
+    };
+  }
+}
+
+export const ticketEdits = new TicketEdits();
@@ -0,0 +1,193 @@
+import { ticketNumbering } from './ticketNumbering';
+
+// Bulk import of paper tickets written during an outage, from a CSV or Excel sheet
+// with one ticket per row: ticket number, wash, dry, time and employee. Rows are
+// checked like a ticket typed into TicketInput (a number, a wash or dry amount, no
+// number already used in the session's day) and previewed before anything is stored;
+// the POS then inserts the valid rows into the chosen session.
+//
+// The preview only knows this terminal's tickets, so a paper number may already be in
+// use on another one. Imported tickets sync under their own server sequence key,
+// import:<batch>, and never clash with leased numbers there.
+
+// Accepted header spellings, compared without case, spaces or punctuation
+const COLUMN_ALIASES = {
+  ticketNumber: ['ticket', 'ticketnumber', 'ticketno', 'number', 'no'],
+  wash: ['wash', 'washamount'],
+  dry: ['dry', 'dryamount'],
+  time: ['time', 'created', 'createdat', 'date', 'datetime'],
+  employee: ['employee', 'staff', 'cashier', 'enteredby']
+};
+
+// Largest sheet accepted in one go
+const MAX_ROWS = 500;
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+class TicketImport {
+  // Raw rows of the first sheet, keyed by column role; throws when the sheet can't be used
+  async readFile(file) {
+    const XLSX = await import('xlsx');
+    const workbook = XLSX.read(await file.arrayBuffer(), { cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) throw new Error('The file has no sheets.');
+
+    const [headers = [], ...rows] = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: true });
+    const columns = {};
+    headers.forEach((header, index) => {
+      const role = Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(normalizeHeader(header)));
+      if (role && columns[role] === undefined) columns[role] = index;
+    });
+    if (columns.ticketNumber === undefined) {
+      throw new Error('No ticket number column found. The first row should name the columns: Ticket, Wash, Dry, Time, Employee.');
+    }
+
+    const filled = rows
+      .map((cells, index) => ({ cells, rowNumber: index + 2 }))
+      .filter(({ cells }) => cells.some(cell => String(cell).trim() !== ''));
+    if (filled.length > MAX_ROWS) throw new Error(`The sheet has ${filled.length} rows; import at most ${MAX_ROWS} at a time.`);
+
+    return filled.map(({ cells, rowNumber }) => ({
+      rowNumber,
+      ...Object.fromEntries(Object.entries(columns).map(([role, index]) => [role, cells[index]]))
+    }));
+  }
+
+  // Digits alone are written the way this terminal prints numbers ("42" -> "A042")
+  normalizeTicketNumber(value) {
+    const text = String(value ?? '').trim();
+    return /^\d+$/.test(text) ? ticketNumbering.format(parseInt(text, 10)) : text;
+  }
+
+  // null for an empty cell, NaN for text that isn't an amount
+  parseAmount(value) {
+    if (value === '' || value === null || value === undefined) return null;
+    if (typeof value === 'number') return roundCurrency(value);
+    const text = String(value).replace(/[$,\s]/g, '');
+    return text === '' ? null : roundCurrency(Number(text));
+  }
+
+  // ISO time on the session's day. Accepts a time ("14:35", "2:35 PM"), a full date
+  // and time, or an Excel date/time cell. Null when empty, NaN date when unreadable.
+  parseTime(value, sessionDate) {
+    if (value === '' || value === null || value === undefined) return null;
+    const onSessionDay = (hours, minutes) => {
+      const date = new Date(`${sessionDate}T00:00:00`);
+      date.setHours(hours, minutes, 0, 0);
+      return date;
+    };
+
+    // Time-only Excel cells come back as dates in 1899
+    if (value instanceof Date) {
+      return value.getFullYear() < 1901 ? onSessionDay(value.getHours(), value.getMinutes()) : value;
+    }
+    // Fraction of a day
+    if (typeof value === 'number' && value >= 0 && value < 1) {
+      const minutes = Math.round(value * 24 * 60);
+      return onSessionDay(Math.floor(minutes / 60), minutes % 60);
+    }
+
+    const text = String(value).trim();
+    const match = text.match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?$/i);
+    if (match) {
+      let hours = parseInt(match[1], 10);
+      const meridiem = match[3]?.toLowerCase();
+      if (meridiem === 'pm' && hours < 12) hours += 12;
+      if (meridiem === 'am' && hours === 12) hours = 0;
+      return onSessionDay(hours, parseInt(match[2], 10));
+    }
+    return new Date(text);
+  }
+
+  findEmployee(value, employees = []) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (!text) return null;
+    return employees.find(employee =>
+      employee.id === text ||
+      (employee.full_name || '').toLowerCase() === text ||
+      (employee.email || '').toLowerCase() === text
+    ) || null;
+  }
+
+  // Preview rows: { rowNumber, ticketNumber, wash, dry, total, createdAt, employee,
+  // errors, warnings }. Rows with errors are not imported. isTaken(ticketNumber)
+  // reports numbers already used in the session's day.
+  async validate(rows, { sessionDate, employees = [], isTaken, now = new Date() }) {
+    const counts = {};
+    rows.forEach(row => {
+      const number = this.normalizeTicketNumber(row.ticketNumber);
+      if (number) counts[number] = (counts[number] || 0) + 1;
+    });
+
+    const preview = [];
+    for (const row of rows) {
+      const errors = [];
+      const warnings = [];
+      const ticketNumber = this.normalizeTicketNumber(row.ticketNumber);
+      const wash = this.parseAmount(row.wash);
+      const dry = this.parseAmount(row.dry);
+
+      if (!ticketNumber) errors.push('No ticket number');
+      else if (counts[ticketNumber] > 1) errors.push('Ticket number appears more than once in the sheet');
+      else if (await isTaken(ticketNumber)) errors.push('Ticket number already exists');
+
+      if (Number.isNaN(wash) || Number.isNaN(dry)) errors.push('Wash and dry must be amounts');
+      else if ((wash || 0) < 0 || (dry || 0) < 0) errors.push('Amounts can\'t be negative');
+      else if (!((wash || 0) > 0 || (dry || 0) > 0)) errors.push('No wash or dry amount');
+
+      let createdAt = this.parseTime(row.time, sessionDate);
+      if (createdAt && Number.isNaN(createdAt.getTime())) {
+        errors.push(`Unreadable time "${row.time}"`);
+        createdAt = null;
+      } else if (createdAt && createdAt > now) {
+        errors.push('Time is in the future');
+      } else if (!createdAt) {
+        createdAt = new Date(`${sessionDate}T12:00:00`);
+        if (createdAt > now) createdAt = now;
+        warnings.push('No time; using midday');
+      }
+
+      const employee = this.findEmployee(row.employee, employees);
+      if (String(row.employee ?? '').trim() && !employee) warnings.push(`Unknown employee "${row.employee}"`);
+
+      preview.push({
+        rowNumber: row.rowNumber,
+        ticketNumber,
+        wash: wash || 0,
+        dry: dry || 0,
+        total: roundCurrency((wash || 0) + (dry || 0)),
+        createdAt: createdAt ? createdAt.toISOString() : null,
+        employee,
+        errors,
+        warnings
+      });
+    }
+    return preview;
+  }
+
+  // Server sequence key of an imported ticket; null for every other ticket
+  getSequenceKey(ticket) {
+    return ticket?.import_batch_id ? `import:${ticket.import_batch_id}` : null;
+  }
+
+  // Local ticket for a valid preview row, in the shape handleInsertTicket stores
+  buildTicket(row, session, { batchId, importedAt = new Date().toISOString() }) {
+    return {
+      id: crypto.randomUUID(),
+      ticketNumber: row.ticketNumber,
+      wash: row.wash,
+      dry: row.dry,
+      total: row.total,
+      pos_session_id: session.id,
+      employee_id: row.employee?.id || null,
+      import_batch_id: batchId,
+      imported_at: importedAt,
+      created_at: row.createdAt,
+      updated_at: importedAt
+    };
+  }
+}
+
+export const ticketImport = new TicketImport();
@@ -0,0 +1,180 @@
+import { supabase } from '../lib/supabase';
+import { localDB } from './localDB.jsx';
+import { terminalSettings } from './terminalSettings';
+
+// Ticket numbers come from blocks leased from the server with lease_ticket_numbers
+// while online, so terminals never hand out the same number. Leases live in the
+// localDB ticketSequence store and are spent offline; when they run out the terminal
+// issues no numbers until Save Progress or background sync leases another block.
+// The server decides when to refill (its refill threshold); the terminal caches it
+// to show when it is running low.
+
+const getTodayDate = () => new Date().toISOString().split('T')[0];
+
+class TicketNumbering {
+  getFormat() {
+    const { ticketPrefix, ticketNumberWidth } = terminalSettings.get();
+    return {
+      prefix: ticketPrefix || '',
+      width: Number(ticketNumberWidth) || 3
+    };
+  }
+
+  getResetMode() {
+    return terminalSettings.get().ticketResetMode === 'daily' ? 'daily' : 'continuous';
+  }
+
+  format(number) {
+    const { prefix, width } = this.getFormat();
+    return `${prefix}${String(number).padStart(width, '0')}`;
+  }
+
+  // Numeric part of a formatted ticket number, e.g. "A-014" -> 14
+  parse(ticketNumber) {
+    const match = String(ticketNumber ?? '').match(/(\d+)$/);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  // Numbers restart per session date in daily mode
+  getSequenceKey(sessionDate = getTodayDate()) {
+    return this.getResetMode() === 'daily' ? sessionDate : 'continuous';
+  }
+
+  async getRemaining(sequenceKey) {
+    const leases = await localDB.getTicketLeases();
+    return leases
+      .filter(lease => lease.sequence_key === sequenceKey)
+      .reduce((sum, lease) => sum + Math.max(lease.range_end - lease.next_number + 1, 0), 0);
+  }
+
+  // Drop spent leases and daily leases for earlier days
+  async pruneLeases(sessionDate = getTodayDate()) {
+    const leases = await localDB.getTicketLeases();
+    const expired = leases.filter(lease =>
+      lease.next_number > lease.range_end ||
+      (lease.reset_mode === 'daily' && lease.sequence_key < sessionDate)
+    );
+
+    if (expired.length > 0) {
+      await localDB.deleteTicketSequenceRecords(expired.map(lease => lease.id));
+    }
+  }
+
+  async requestLease(sessionDate) {
+    const { data, error } = await supabase.rpc('lease_ticket_numbers', {
+      p_terminal_id: terminalSettings.getTerminalId(),
+      p_session_date: sessionDate,
+      p_remaining: await this.getRemaining(this.getSequenceKey(sessionDate))
+    });
+    if (error) throw error;
+    return data;
+  }
+
+  // Ask the server for a new block; it only leases when this terminal is below the
+  // refill threshold. Called from Save Progress and background sync.
+  async refillLeases(sessionDate = getTodayDate()) {
+    if (!navigator.onLine) return null;
+
+    try {
+      await this.pruneLeases(sessionDate);
+      let data = await this.requestLease(sessionDate);
+
+      // The server decides the reset mode; remember it for offline allocation. What
+      // was counted as left belonged to the old sequence, so ask again.
+      if (data.reset_mode !== this.getResetMode()) {
+        terminalSettings.update({ ticketResetMode: data.reset_mode });
+        if (!data.leased) data = await this.requestLease(sessionDate);
+      }
+      if (data.refill_threshold !== terminalSettings.get().ticketRefillThreshold) {
+        terminalSettings.update({ ticketRefillThreshold: data.refill_threshold });
+      }
+
+      if (!data.leased) {
+        this.notify();
+        return null;
+      }
+
+      await localDB.storeTicketLease({
+        id: `lease:${data.lease_id}`,
+        lease_id: data.lease_id,
+        sequence_key: data.sequence_key,
+        reset_mode: data.reset_mode,
+        range_start: data.range_start,
+        range_end: data.range_end,
+        next_number: data.range_start,
+        leased_at: new Date().toISOString()
+      });
+
+      console.log(`✅ Leased ticket numbers ${data.range_start}-${data.range_end} (${data.sequence_key})`);
+      this.notify();
+      return data;
+    } catch (error) {
+      console.error('❌ Error leasing ticket numbers:', error);
+      return null;
+    }
+  }
+
+  // Spend up to `count` leased numbers. Callers hold the ticket-numbers tab lock.
+  async takeLeasedNumbers(count, sessionDate = getTodayDate()) {
+    const sequenceKey = this.getSequenceKey(sessionDate);
+    const leases = (await localDB.getTicketLeases())
+      .filter(lease => lease.sequence_key === sequenceKey && lease.next_number <= lease.range_end)
+      .sort((a, b) => a.range_start - b.range_start);
+
+    const numbers = [];
+    for (const lease of leases) {
+      if (numbers.length >= count) break;
+
+      while (numbers.length < count && lease.next_number <= lease.range_end) {
+        numbers.push(this.format(lease.next_number));
+        lease.next_number++;
+      }
+      await localDB.storeTicketLease(lease);
+    }
+
+    return numbers;
+  }
+
+  // In daily mode a number only has to be unique among tickets of the same session date
+  async isTicketNumberTaken(ticketNumber, sessionDate = getTodayDate()) {
+    const tickets = await localDB.getAllTickets();
+    const sameNumber = tickets.filter(t => (t.ticketNumber || t.ticket_number) === ticketNumber);
+    if (sameNumber.length === 0 || this.getResetMode() !== 'daily') return sameNumber.length > 0;
+
+    const sessions = await localDB.getAllSessions();
+    const sessionDates = {};
+    sessions.forEach(session => {
+      sessionDates[session.id] = session.session_date;
+    });
+
+    return sameNumber.some(ticket => sessionDates[ticket.pos_session_id] === sessionDate);
+  }
+
+  async getStatus(sessionDate = getTodayDate()) {
+    const sequenceKey = this.getSequenceKey(sessionDate);
+    const leases = (await localDB.getTicketLeases())
+      .filter(lease => lease.sequence_key === sequenceKey && lease.next_number <= lease.range_end)
+      .sort((a, b) => a.range_start - b.range_start);
+
+    const remaining = await this.getRemaining(sequenceKey);
+
+    return {
+      ...this.getFormat(),
+      resetMode: this.getResetMode(),
+      remaining,
+      low: remaining < (Number(terminalSettings.get().ticketRefillThreshold) || 0),
+      nextNumber: leases[0] ? this.format(leases[0].next_number) : null
+    };
+  }
+
+  async notify() {
+    try {
+      const status = await this.getStatus();
+      window.dispatchEvent(new CustomEvent('pos-ticket-numbering-changed', { detail: status }));
+    } catch (error) {
+      console.error('Error reading ticket numbering status:', error);
+    }
+  }
+}
+
+export const ticketNumbering = new TicketNumbering();
@@ -0,0 +1,188 @@
+import { supabase } from '../lib/supabase';
+import { ticketStatus } from './ticketStatus';
+import { ticketAdjustments } from './ticketAdjustments';
+
+// Ticket search across days, shared by the POS and the operations dashboard. Criteria
+// are free text (ticket number, customer name or phone), a created date range, a total
+// range and a status. Terminals pass in their stored tickets and customers, which are
+// searched first; the server is searched as well while online. Pages are keyset pages
+// (newest first, id breaking ties), so merging the two sources never repeats or skips
+// a ticket from one page to the next.
+
+export const DEFAULT_PAGE_SIZE = 20;
+
+export const emptyCriteria = {
+  query: '',
+  dateFrom: '',
+  dateTo: '',
+  minTotal: '',
+  maxTotal: '',
+  status: ''
+};
+
+// Customers matched on the server before looking up their tickets
+const CUSTOMER_MATCH_LIMIT = 50;
+
+const digitsOnly = (value) => String(value ?? '').replace(/\D/g, '');
+
+// Characters that would break a PostgREST or() filter
+const toPattern = (text) => `%${text.replace(/[%_,()]/g, '')}%`;
+
+// Dates are picked in the terminal's local time
+const startOfDay = (date) => new Date(`${date}T00:00:00`).toISOString();
+const startOfNextDay = (date) => {
+  const next = new Date(`${date}T00:00:00`);
+  next.setDate(next.getDate() + 1);
+  return next.toISOString();
+};
+
+const compareTickets = (a, b) =>
+  new Date(b.created_at || 0) - new Date(a.created_at || 0) ||
+  String(b.id).localeCompare(String(a.id));
+
+class TicketSearch {
+  hasCriteria(criteria = {}) {
+    return Object.keys(emptyCriteria).some(key => String(criteria[key] ?? '').trim() !== '');
+  }
+
+  // A stored ticket against the criteria; customersById resolves names and phones
+  matches(ticket, criteria, customersById = {}) {
+    const text = String(criteria.query || '').trim().toLowerCase();
+    if (text) {
+      const ticketNumber = String(ticket.ticket_number || ticket.ticketNumber || '').toLowerCase();
+      const customer = customersById[ticket.customer_id];
+      const name = (customer?.full_name || ticket.customer_name || '').toLowerCase();
+      const digits = digitsOnly(text);
+      const matchesText = ticketNumber.includes(text) ||
+        name.includes(text) ||
+        (digits.length >= 3 && digitsOnly(customer?.phone).includes(digits));
+      if (!matchesText) return false;
+    }
+
+    const createdAt = new Date(ticket.created_at || 0).toISOString();
+    if (criteria.dateFrom && createdAt < startOfDay(criteria.dateFrom)) return false;
+    if (criteria.dateTo && createdAt >= startOfNextDay(criteria.dateTo)) return false;
+
+    const total = ticketAdjustments.getTotal(ticket);
+    if (criteria.minTotal !== '' && criteria.minTotal != null && total < Number(criteria.minTotal)) return false;
+    if (criteria.maxTotal !== '' && criteria.maxTotal != null && total > Number(criteria.maxTotal)) return false;
+
+    if (criteria.status === 'voided') return ticketAdjustments.isVoided(ticket);
+    if (criteria.status) {
+      return !ticketAdjustments.isVoided(ticket) && ticketStatus.getStatus(ticket) === criteria.status;
+    }
+    return true;
+  }
+
+  // True when the ticket sorts after the cursor (the last ticket of the previous page)
+  isAfterCursor(ticket, cursor) {
+    return !cursor || compareTickets(cursor, ticket) < 0;
+  }
+
+  async findServerCustomerIds(text) {
+    const filters = [`full_name.ilike.${toPattern(text)}`];
+    const digits = digitsOnly(text);
+    if (digits.length >= 3) filters.push(`phone.ilike.${toPattern(digits)}`);
+
+    const { data, error } = await supabase
+      .from('customers')
+      .select('id')
+      .or(filters.join(','))
+      .limit(CUSTOMER_MATCH_LIMIT);
+    if (error) throw error;
+    return (data || []).map(customer => customer.id);
+  }
+
+  async searchServer(criteria, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    let query = supabase
+      .from('pos_wash_dry_tickets')
+      .select('*, customers(full_name, phone)');
+
+    // Text and cursor conditions are both or() groups, so they go into one filter tree
+    const groups = [];
+    const text = String(criteria.query || '').trim();
+    if (text) {
+      const customerIds = await this.findServerCustomerIds(text);
+      const textFilters = [`ticket_number.ilike.${toPattern(text)}`];
+      if (customerIds.length > 0) textFilters.push(`customer_id.in.(${customerIds.join(',')})`);
+      groups.push(`or(${textFilters.join(',')})`);
+    }
+    if (cursor) {
+      groups.push(`or(created_at.lt.${cursor.created_at},and(created_at.eq.${cursor.created_at},id.lt.${cursor.id}))`);
+    }
+    if (groups.length > 0) query = query.or(`and(${groups.join(',')})`);
+
+    if (criteria.dateFrom) query = query.gte('created_at', startOfDay(criteria.dateFrom));
+    if (criteria.dateTo) query = query.lt('created_at', startOfNextDay(criteria.dateTo));
+    if (criteria.minTotal !== '' && criteria.minTotal != null) query = query.gte('total_amount', Number(criteria.minTotal));
+    if (criteria.maxTotal !== '' && criteria.maxTotal != null) query = query.lte('total_amount', Number(criteria.maxTotal));
+    if (criteria.status === 'voided') {
+      query = query.not('voided_at', 'is', null);
+    } else if (criteria.status) {
+      query = query.eq('status', criteria.status).is('voided_at', null);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    return data || [];
+  }
+
+  // One page of results after the cursor: { tickets, nextCursor, hasMore, serverError }.
+  // Each ticket carries `customer` and `local` (stored on this terminal).
+  async searchPage(criteria, { cursor = null, pageSize = DEFAULT_PAGE_SIZE, localTickets = [], customers = [], online = navigator.onLine } = {}) {
+    const customersById = {};
+    customers.forEach(customer => {
+      customersById[customer.id] = customer;
+    });
+
+    // pageSize + 1 from each source is enough to know the merged page and whether more follow
+    const local = localTickets
+      .filter(ticket =>
+        ticket.id !== 'message' &&
+        (ticket.ticket_number || ticket.ticketNumber) &&
+        this.isAfterCursor(ticket, cursor) &&
+        this.matches(ticket, criteria, customersById)
+      )
+      .sort(compareTickets)
+      .slice(0, pageSize + 1);
+
+    const ticketsById = {};
+    let serverError = null;
+
+    if (online) {
+      try {
+        const serverTickets = await this.searchServer(criteria, { cursor, limit: pageSize + 1 });
+        serverTickets.forEach(({ customers: customer, ...ticket }) => {
+          ticketsById[ticket.id] = { ...ticket, customer: customer || null, local: false };
+        });
+      } catch (error) {
+        console.error('❌ Error searching tickets on the server:', error);
+        serverError = error.message;
+      }
+    }
+
+    local.forEach(ticket => {
+      ticketsById[ticket.id] = {
+        ...ticketStatus.mergeCopies(ticketsById[ticket.id], ticket),
+        customer: customersById[ticket.customer_id] || ticketsById[ticket.id]?.customer || null,
+        local: true
+      };
+    });
+
+    const merged = Object.values(ticketsById).sort(compareTickets);
+    const tickets = merged.slice(0, pageSize);
+    const last = tickets[tickets.length - 1];
+
+    return {
+      tickets,
+      nextCursor: last ? { created_at: last.created_at, id: last.id } : null,
+      hasMore: merged.length > pageSize,
+      serverError
+    };
+  }
+}
+
+export const ticketSearch = new TicketSearch();
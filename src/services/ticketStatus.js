@@ -0,0 +1,104 @@
+import { supabase } from '../lib/supabase';
+
+// Lifecycle of a drop-off ticket, shared by the POS and the operations dashboard.
+// Terminals move tickets forward locally and queue each move as a ticket.status
+// outbox entry; the server keeps every transition in pos_ticket_status_events and
+// only ever moves a ticket's status forward.
+
+export const TICKET_STATUSES = ['received', 'washing', 'drying', 'folded', 'ready', 'picked_up'];
+
+export const ticketStatusLabels = {
+  received: 'Received',
+  washing: 'Washing',
+  drying: 'Drying',
+  folded: 'Folded',
+  ready: 'Ready',
+  picked_up: 'Picked up'
+};
+
+// Dashboard queue cards (ServiceQueue types) and the stages each one counts
+const serviceQueueStages = [
+  { type: 'wash', statuses: ['received', 'washing'] },
+  { type: 'dry', statuses: ['drying'] },
+  { type: 'fold', statuses: ['folded'] },
+  { type: 'pickup', statuses: ['ready'] }
+];
+
+const WARNING_WAIT_MINUTES = 60;
+const CRITICAL_WAIT_MINUTES = 120;
+
+class TicketStatusService {
+  getStatus(ticket) {
+    return TICKET_STATUSES.includes(ticket?.status) ? ticket.status : 'received';
+  }
+
+  getNextStatus(ticket) {
+    const index = TICKET_STATUSES.indexOf(this.getStatus(ticket));
+    return TICKET_STATUSES[index + 1] || null;
+  }
+
+  // Ticket after moving it one stage forward, with the transition appended to its
+  // local history. Null when the ticket was already picked up.
+  buildTransition(ticket, changedAt = new Date().toISOString()) {
+    const fromStatus = this.getStatus(ticket);
+    const toStatus = this.getNextStatus(ticket);
+    if (!toStatus) return null;
+
+    return {
+      fromStatus,
+      toStatus,
+      changedAt,
+      ticket: {
+        ...ticket,
+        status: toStatus,
+        status_updated_at: changedAt,
+        status_history: [...(ticket.status_history || []), { from: fromStatus, to: toStatus, at: changedAt }]
+      }
+    };
+  }
+
+  // One ticket known both locally and on the server. The local copy may carry changes
+  // that have not synced yet; status only moves forward, so whichever copy is further
+  // along wins.
+  mergeCopies(server, local) {
+    const merged = { ...server, ...local };
+    if (server && TICKET_STATUSES.indexOf(this.getStatus(server)) > TICKET_STATUSES.indexOf(this.getStatus(local))) {
+      merged.status = server.status;
+      merged.status_updated_at = server.status_updated_at;
+    }
+    return merged;
+  }
+
+  // Open tickets per dashboard queue card, read from the server
+  async getServiceQueue() {
+    const { data, error } = await supabase.rpc('get_ticket_status_queue');
+    if (error) throw error;
+
+    const byStatus = {};
+    (data || []).forEach(row => {
+      byStatus[row.status] = row;
+    });
+
+    return serviceQueueStages.map(({ type, statuses }) => {
+      const rows = statuses.map(status => byStatus[status]).filter(Boolean);
+      const count = rows.reduce((sum, row) => sum + Number(row.ticket_count || 0), 0);
+      const waitMinutes = count > 0
+        ? Math.round(rows.reduce((sum, row) => sum + Number(row.avg_wait_minutes || 0) * Number(row.ticket_count || 0), 0) / count)
+        : 0;
+
+      return {
+        type,
+        count,
+        status: waitMinutes >= CRITICAL_WAIT_MINUTES ? 'critical' : waitMinutes >= WARNING_WAIT_MINUTES ? 'warning' : 'normal',
+        avgWait: count > 0 ? this.formatWait(waitMinutes) : '—'
+      };
+    });
+  }
+
+  formatWait(minutes) {
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+}
+
+export const ticketStatus = new TicketStatusService();
@@ -0,0 +1,101 @@
+import { supabase } from '../lib/supabase';
+import { ticketStatus } from './ticketStatus';
+
+// Promised ready times on drop-off tickets, shared by the POS and the operations
+// dashboard. The promise defaults from the turnaround rules (pos_turnaround_rules):
+// hours per service category, with the 'default' rule covering tickets with typed
+// amounts and categories without a rule of their own. A ticket with several kinds of
+// service is promised for the slowest one.
+
+export const TURNAROUND_CATEGORIES = ['default', 'wash', 'dry', 'wash_fold'];
+
+export const turnaroundCategoryLabels = {
+  default: 'Default',
+  wash: 'Wash',
+  dry: 'Dry',
+  wash_fold: 'Wash & fold'
+};
+
+// Used until a default rule has been pulled
+const FALLBACK_TURNAROUND_HOURS = 24;
+// Open tickets due within this window are flagged as due soon
+export const DUE_SOON_MINUTES = 60;
+// Promises are rounded up to the next quarter hour ("ready by 5:15pm")
+const ROUND_TO_MINUTES = 15;
+
+// Stages before the customer's laundry is ready
+export const OPEN_STATUSES = ['received', 'washing', 'drying', 'folded'];
+
+class Turnaround {
+  getHours(rules = [], categories = []) {
+    const byCategory = {};
+    rules.forEach(rule => {
+      byCategory[rule.category] = Number(rule.turnaround_hours) || 0;
+    });
+    const fallback = byCategory.default || FALLBACK_TURNAROUND_HOURS;
+    const hours = categories.map(category => byCategory[category] || fallback);
+    return hours.length > 0 ? Math.max(...hours) : fallback;
+  }
+
+  // ISO time the ticket will be ready by, counted from its drop-off. Add-on lines ride
+  // along with the wash or dry they belong to and do not change the promise.
+  getDefaultPromise(ticket, rules = [], from = ticket?.created_at || new Date()) {
+    const categories = [...new Set((ticket?.lines || []).map(line => line.category))]
+      .filter(category => TURNAROUND_CATEGORIES.includes(category));
+    const due = new Date(new Date(from).getTime() + this.getHours(rules, categories) * 60 * 60 * 1000);
+    const step = ROUND_TO_MINUTES * 60 * 1000;
+    return new Date(Math.ceil(due.getTime() / step) * step).toISOString();
+  }
+
+  // Only tickets still being worked on can miss their promise
+  isOpen(ticket) {
+    return !ticket?.voided_at && OPEN_STATUSES.includes(ticketStatus.getStatus(ticket));
+  }
+
+  // 'overdue', 'due_soon' or null
+  getDueState(ticket, now = new Date()) {
+    if (!ticket?.promised_ready_at || !this.isOpen(ticket)) return null;
+    const minutesLeft = (new Date(ticket.promised_ready_at).getTime() - new Date(now).getTime()) / 60000;
+    if (minutesLeft < 0) return 'overdue';
+    if (minutesLeft <= DUE_SOON_MINUTES) return 'due_soon';
+    return null;
+  }
+
+  // "due in 45m" / "2h 10m late"
+  describeDue(ticket, now = new Date()) {
+    const minutes = Math.round((new Date(ticket.promised_ready_at).getTime() - new Date(now).getTime()) / 60000);
+    return minutes < 0
+      ? `${ticketStatus.formatWait(-minutes)} late`
+      : `due in ${ticketStatus.formatWait(minutes)}`;
+  }
+
+  // Open tickets on the server that are overdue or due soon, most urgent first
+  async getAtRiskTickets({ limit = 50, now = new Date() } = {}) {
+    const dueBy = new Date(new Date(now).getTime() + DUE_SOON_MINUTES * 60 * 1000).toISOString();
+    const { data, error } = await supabase
+      .from('pos_wash_dry_tickets')
+      .select('id, ticket_number, status, promised_ready_at, created_at, total_amount, customers(full_name, phone)')
+      .is('voided_at', null)
+      .is('disposed_at', null)
+      .in('status', OPEN_STATUSES)
+      .not('promised_ready_at', 'is', null)
+      .lte('promised_ready_at', dueBy)
+      .order('promised_ready_at', { ascending: true })
+      .limit(limit);
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Value for an <input type="datetime-local"> in the terminal's time zone
+  toInputValue(isoString) {
+    if (!isoString) return '';
+    const date = new Date(isoString);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+
+  fromInputValue(value) {
+    return value ? new Date(value).toISOString() : null;
+  }
+}
+
+export const turnaround = new Turnaround();
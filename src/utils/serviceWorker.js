@@ -0,0 +1,52 @@
+// Registers the app-shell service worker (public/sw.js) and announces waiting updates
+
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000; // Terminals stay open all day
+
+const announceUpdate = (worker) => {
+  window.dispatchEvent(new CustomEvent('sw-update-available', {
+    detail: { worker }
+  }));
+};
+
+export const registerServiceWorker = () => {
+  // The dev server has no precache manifest, so only production builds register
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register('/sw.js');
+      console.log('✅ Service worker registered:', registration.scope);
+
+      // A new build may already be installed and waiting from a previous visit
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        announceUpdate(registration.waiting);
+      }
+
+      registration.addEventListener('updatefound', () => {
+        const installing = registration.installing;
+        installing?.addEventListener('statechange', () => {
+          // Only an update when an older worker is already controlling the page
+          if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+            announceUpdate(installing);
+          }
+        });
+      });
+
+      setInterval(() => {
+        if (navigator.onLine) {
+          registration.update().catch(error => console.warn('Service worker update check failed:', error));
+        }
+      }, UPDATE_CHECK_INTERVAL_MS);
+    } catch (error) {
+      console.error('❌ Service worker registration failed:', error);
+    }
+  });
+};
+
+// Switch to the waiting build and reload once it takes control
+export const applyServiceWorkerUpdate = (worker) => {
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    window.location.reload();
+  }, { once: true });
+  worker.postMessage({ type: 'SKIP_WAITING' });
+};
@@ -0,0 +1,189 @@
+-- Location: supabase/migrations/20251019100000_add_pos_sync_outbox.sql
+-- Schema Analysis: Existing pos_sessions, pos_inventory_items, pos_wash_dry_tickets, employee_timesheets tables
+-- Integration Type: Enhancement - Idempotent apply endpoint for the POS terminal sync outbox
+-- Dependencies: pos_sessions, pos_inventory_items, pos_wash_dry_tickets, employee_timesheets tables
+
+-- The POS terminal queues every local mutation in an IndexedDB outbox and replays it
+-- through apply_pos_mutation(). Each outbox entry carries an idempotency key, which is
+-- recorded here in the same transaction as the write so a retried entry is applied once.
+
+-- 1. Columns the terminal already sends but the base schema is missing
+ALTER TABLE public.pos_sessions
+ADD COLUMN IF NOT EXISTS coins_used DECIMAL(10,2) DEFAULT 0.00;
+
+-- 2. Applied mutation log
+CREATE TABLE public.pos_sync_mutations (
+    idempotency_key TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    applied_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_pos_sync_mutations_applied_at ON public.pos_sync_mutations(applied_at);
+
+ALTER TABLE public.pos_sync_mutations ENABLE ROW LEVEL SECURITY;
+
+-- POS terminals work without authentication, same as the ticket sequence counter
+CREATE POLICY "flexible_pos_sync_mutations_access"
+ON public.pos_sync_mutations
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- 3. Apply a single outbox entry exactly once
+CREATE OR REPLACE FUNCTION public.apply_pos_mutation(
+    p_idempotency_key TEXT,
+    p_kind TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    session_data JSONB;
+    row_data JSONB;
+BEGIN
+    IF p_idempotency_key IS NULL OR p_kind IS NULL OR p_payload IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key, kind and payload are required';
+    END IF;
+
+    -- Claim the key; a duplicate means this entry was already applied
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, p_kind)
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    row_data := p_payload->'record';
+    session_data := p_payload->'session';
+
+    -- Tickets and inventory rows reference a session that may still be queued behind them
+    IF session_data IS NOT NULL AND p_kind <> 'session.upsert' THEN
+        INSERT INTO public.pos_sessions (id, employee_id, session_date, status)
+        VALUES (
+            (session_data->>'id')::UUID,
+            (session_data->>'employee_id')::UUID,
+            COALESCE((session_data->>'session_date')::DATE, CURRENT_DATE),
+            'active'::public.pos_session_status
+        )
+        ON CONFLICT (id) DO NOTHING;
+    END IF;
+
+    IF p_kind = 'session.upsert' THEN
+        INSERT INTO public.pos_sessions (
+            id, employee_id, session_date, status, notes,
+            inventory_total, wash_dry_total, grand_total,
+            cash_started, cash_added, coins_used, cash_total,
+            created_at, updated_at
+        )
+        VALUES (
+            (row_data->>'id')::UUID,
+            (row_data->>'employee_id')::UUID,
+            COALESCE((row_data->>'session_date')::DATE, CURRENT_DATE),
+            COALESCE((row_data->>'status')::public.pos_session_status, 'active'::public.pos_session_status),
+            row_data->>'notes',
+            COALESCE((row_data->>'inventory_total')::DECIMAL, 0),
+            COALESCE((row_data->>'wash_dry_total')::DECIMAL, 0),
+            COALESCE((row_data->>'grand_total')::DECIMAL, 0),
+            COALESCE((row_data->>'cash_started')::DECIMAL, 0),
+            COALESCE((row_data->>'cash_added')::DECIMAL, 0),
+            COALESCE((row_data->>'coins_used')::DECIMAL, 0),
+            COALESCE((row_data->>'cash_total')::DECIMAL, 0),
+            COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO UPDATE SET
+            status = EXCLUDED.status,
+            notes = EXCLUDED.notes,
+            inventory_total = EXCLUDED.inventory_total,
+            wash_dry_total = EXCLUDED.wash_dry_total,
+            grand_total = EXCLUDED.grand_total,
+            cash_started = EXCLUDED.cash_started,
+            cash_added = EXCLUDED.cash_added,
+            coins_used = EXCLUDED.coins_used,
+            cash_total = EXCLUDED.cash_total,
+            updated_at = CURRENT_TIMESTAMP;
+
+    ELSIF p_kind = 'ticket.insert' THEN
+        INSERT INTO public.pos_wash_dry_tickets (
+            id, pos_session_id, ticket_number,
+            wash_amount, dry_amount, total_amount,
+            created_at, updated_at
+        )
+        VALUES (
+            (row_data->>'id')::UUID,
+            (row_data->>'pos_session_id')::UUID,
+            row_data->>'ticket_number',
+            COALESCE((row_data->>'wash_amount')::DECIMAL, 0),
+            COALESCE((row_data->>'dry_amount')::DECIMAL, 0),
+            COALESCE((row_data->>'total_amount')::DECIMAL, 0),
+            COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO NOTHING;
+
+    ELSIF p_kind = 'inventory.upsert' THEN
+        -- One inventory row per item per session, matched by name
+        UPDATE public.pos_inventory_items
+        SET quantity = COALESCE((row_data->>'quantity')::INTEGER, 1),
+            price = COALESCE((row_data->>'price')::DECIMAL, 0),
+            start_count = COALESCE((row_data->>'start_count')::INTEGER, 0),
+            add_count = COALESCE((row_data->>'add_count')::INTEGER, 0),
+            sold_count = COALESCE((row_data->>'sold_count')::INTEGER, 0),
+            left_count = COALESCE((row_data->>'left_count')::INTEGER, 0),
+            total_amount = COALESCE((row_data->>'total_amount')::DECIMAL, 0),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE pos_session_id = (row_data->>'pos_session_id')::UUID
+        AND item_name = row_data->>'item_name';
+
+        IF NOT FOUND THEN
+            INSERT INTO public.pos_inventory_items (
+                pos_session_id, item_name, quantity, price,
+                start_count, add_count, sold_count, left_count, total_amount
+            )
+            VALUES (
+                (row_data->>'pos_session_id')::UUID,
+                row_data->>'item_name',
+                COALESCE((row_data->>'quantity')::INTEGER, 1),
+                COALESCE((row_data->>'price')::DECIMAL, 0),
+                COALESCE((row_data->>'start_count')::INTEGER, 0),
+                COALESCE((row_data->>'add_count')::INTEGER, 0),
+                COALESCE((row_data->>'sold_count')::INTEGER, 0),
+                COALESCE((row_data->>'left_count')::INTEGER, 0),
+                COALESCE((row_data->>'total_amount')::DECIMAL, 0)
+            );
+        END IF;
+
+    ELSIF p_kind = 'timesheet.upsert' THEN
+        INSERT INTO public.employee_timesheets (
+            id, employee_id, clock_in_time, clock_out_time,
+            session_date, status, notes, created_at, updated_at
+        )
+        VALUES (
+            (row_data->>'id')::UUID,
+            (row_data->>'employee_id')::UUID,
+            (row_data->>'clock_in_time')::TIMESTAMPTZ,
+            (row_data->>'clock_out_time')::TIMESTAMPTZ,
+            COALESCE((row_data->>'session_date')::DATE, CURRENT_DATE),
+            COALESCE((row_data->>'status')::public.clock_status, 'clocked_in'::public.clock_status),
+            row_data->>'notes',
+            COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO UPDATE SET
+            clock_out_time = EXCLUDED.clock_out_time,
+            status = EXCLUDED.status,
+            notes = COALESCE(EXCLUDED.notes, public.employee_timesheets.notes),
+            updated_at = CURRENT_TIMESTAMP;
+
+    ELSE
+        RAISE EXCEPTION 'Unknown POS mutation kind: %', p_kind;
+    END IF;
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_pos_mutation(TEXT, TEXT, JSONB) TO anon, authenticated;
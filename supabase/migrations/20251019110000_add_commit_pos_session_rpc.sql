@@ -0,0 +1,171 @@
+-- Location: supabase/migrations/20251019110000_add_commit_pos_session_rpc.sql
+-- Schema Analysis: Existing pos_sessions, pos_inventory_items, pos_wash_dry_tickets, pos_sync_mutations tables
+-- Integration Type: Enhancement - Single transactional commit for a whole POS session
+-- Dependencies: pos_sessions, pos_inventory_items, pos_wash_dry_tickets, pos_sync_mutations tables
+
+-- Save Progress used to write the session, its inventory and its tickets with separate
+-- PostgREST calls, so a dropped connection could leave a session with half its rows.
+-- commit_pos_session() takes the whole payload and writes it in one transaction: either
+-- everything is stored or nothing is.
+--
+-- Payload shape:
+-- {
+--   "session": { id, employee_id, session_date, status, notes, inventory_total, wash_dry_total,
+--                grand_total, cash_started, cash_added, coins_used, cash_total, created_at },
+--   "items":   [{ item_name, quantity, price, start_count, add_count, sold_count, left_count, total_amount }],
+--   "tickets": [{ id, ticket_number, wash_amount, dry_amount, total_amount, created_at }]
+-- }
+
+CREATE OR REPLACE FUNCTION public.commit_pos_session(
+    p_payload JSONB,
+    p_idempotency_key TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    session_data JSONB := p_payload->'session';
+    target_session_id UUID;
+    item_data JSONB;
+    ticket_data JSONB;
+    item_names TEXT[] := ARRAY[]::TEXT[];
+    items_saved INTEGER := 0;
+    tickets_saved INTEGER := 0;
+BEGIN
+    IF session_data IS NULL OR session_data->>'id' IS NULL THEN
+        RAISE EXCEPTION 'Session payload with an id is required';
+    END IF;
+
+    target_session_id := (session_data->>'id')::UUID;
+
+    -- Same idempotency log as apply_pos_mutation so an outbox retry is applied once
+    IF p_idempotency_key IS NOT NULL THEN
+        INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+        VALUES (p_idempotency_key, 'session.commit')
+        ON CONFLICT (idempotency_key) DO NOTHING;
+
+        IF NOT FOUND THEN
+            RETURN jsonb_build_object('applied', false, 'duplicate', true, 'session_id', target_session_id);
+        END IF;
+    END IF;
+
+    -- 1. Session with cash and notes
+    INSERT INTO public.pos_sessions (
+        id, employee_id, session_date, status, notes,
+        inventory_total, wash_dry_total, grand_total,
+        cash_started, cash_added, coins_used, cash_total,
+        created_at, updated_at
+    )
+    VALUES (
+        target_session_id,
+        (session_data->>'employee_id')::UUID,
+        COALESCE((session_data->>'session_date')::DATE, CURRENT_DATE),
+        COALESCE((session_data->>'status')::public.pos_session_status, 'active'::public.pos_session_status),
+        session_data->>'notes',
+        COALESCE((session_data->>'inventory_total')::DECIMAL, 0),
+        COALESCE((session_data->>'wash_dry_total')::DECIMAL, 0),
+        COALESCE((session_data->>'grand_total')::DECIMAL, 0),
+        COALESCE((session_data->>'cash_started')::DECIMAL, 0),
+        COALESCE((session_data->>'cash_added')::DECIMAL, 0),
+        COALESCE((session_data->>'coins_used')::DECIMAL, 0),
+        COALESCE((session_data->>'cash_total')::DECIMAL, 0),
+        COALESCE((session_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+        CURRENT_TIMESTAMP
+    )
+    ON CONFLICT (id) DO UPDATE SET
+        status = EXCLUDED.status,
+        notes = EXCLUDED.notes,
+        inventory_total = EXCLUDED.inventory_total,
+        wash_dry_total = EXCLUDED.wash_dry_total,
+        grand_total = EXCLUDED.grand_total,
+        cash_started = EXCLUDED.cash_started,
+        cash_added = EXCLUDED.cash_added,
+        coins_used = EXCLUDED.coins_used,
+        cash_total = EXCLUDED.cash_total,
+        updated_at = CURRENT_TIMESTAMP;
+
+    -- 2. Inventory rows, one per item name; the payload is the full list for the session
+    FOR item_data IN SELECT * FROM jsonb_array_elements(COALESCE(p_payload->'items', '[]'::JSONB))
+    LOOP
+        item_names := array_append(item_names, item_data->>'item_name');
+
+        UPDATE public.pos_inventory_items
+        SET quantity = COALESCE((item_data->>'quantity')::INTEGER, 1),
+            price = COALESCE((item_data->>'price')::DECIMAL, 0),
+            start_count = COALESCE((item_data->>'start_count')::INTEGER, 0),
+            add_count = COALESCE((item_data->>'add_count')::INTEGER, 0),
+            sold_count = COALESCE((item_data->>'sold_count')::INTEGER, 0),
+            left_count = COALESCE((item_data->>'left_count')::INTEGER, 0),
+            total_amount = COALESCE((item_data->>'total_amount')::DECIMAL, 0),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE pos_session_id = target_session_id
+        AND item_name = item_data->>'item_name';
+
+        IF NOT FOUND THEN
+            INSERT INTO public.pos_inventory_items (
+                pos_session_id, item_name, quantity, price,
+                start_count, add_count, sold_count, left_count, total_amount
+            )
+            VALUES (
+                target_session_id,
+                item_data->>'item_name',
+                COALESCE((item_data->>'quantity')::INTEGER, 1),
+                COALESCE((item_data->>'price')::DECIMAL, 0),
+                COALESCE((item_data->>'start_count')::INTEGER, 0),
+                COALESCE((item_data->>'add_count')::INTEGER, 0),
+                COALESCE((item_data->>'sold_count')::INTEGER, 0),
+                COALESCE((item_data->>'left_count')::INTEGER, 0),
+                COALESCE((item_data->>'total_amount')::DECIMAL, 0)
+            );
+        END IF;
+
+        items_saved := items_saved + 1;
+    END LOOP;
+
+    IF p_payload ? 'items' THEN
+        DELETE FROM public.pos_inventory_items
+        WHERE pos_session_id = target_session_id
+        AND NOT (item_name = ANY(item_names));
+    END IF;
+
+    -- 3. Tickets, keyed by their client-generated id. Tickets are never deleted here:
+    -- a terminal that lost its local history must not wipe the server copy.
+    FOR ticket_data IN SELECT * FROM jsonb_array_elements(COALESCE(p_payload->'tickets', '[]'::JSONB))
+    LOOP
+        INSERT INTO public.pos_wash_dry_tickets (
+            id, pos_session_id, ticket_number,
+            wash_amount, dry_amount, total_amount,
+            created_at, updated_at
+        )
+        VALUES (
+            (ticket_data->>'id')::UUID,
+            target_session_id,
+            ticket_data->>'ticket_number',
+            COALESCE((ticket_data->>'wash_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'dry_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'total_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO UPDATE SET
+            ticket_number = EXCLUDED.ticket_number,
+            wash_amount = EXCLUDED.wash_amount,
+            dry_amount = EXCLUDED.dry_amount,
+            total_amount = EXCLUDED.total_amount,
+            updated_at = CURRENT_TIMESTAMP;
+
+        tickets_saved := tickets_saved + 1;
+    END LOOP;
+
+    RETURN jsonb_build_object(
+        'applied', true,
+        'duplicate', false,
+        'session_id', target_session_id,
+        'items', items_saved,
+        'tickets', tickets_saved
+    );
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.commit_pos_session(JSONB, TEXT) TO anon, authenticated;
@@ -0,0 +1,225 @@
+-- Location: supabase/migrations/20251019120000_add_ticket_number_leases.sql
+-- Schema Analysis: Existing pos_ticket_sequence counter (unused by terminals), pos_wash_dry_tickets with free-text ticket_number
+-- Integration Type: Enhancement - Block leases of ticket numbers for offline terminals plus a uniqueness guarantee
+-- Dependencies: pos_ticket_sequence, pos_wash_dry_tickets, pos_sessions tables
+
+-- Each terminal computed max(local ticket numbers) + 1, so two terminals handed out the
+-- same number. Terminals now lease a block of numbers while online with
+-- lease_ticket_numbers() and spend it offline; the blocks never overlap.
+--
+-- Numbers either run continuously (the existing pos_ticket_sequence counter) or restart
+-- every day (one counter per session date). The reset mode is store-wide so every
+-- terminal agrees on it; prefix and width are display settings on each terminal.
+
+-- 1. Store-wide numbering settings (single row)
+CREATE TABLE public.pos_ticket_numbering_settings (
+    id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+    reset_mode TEXT NOT NULL DEFAULT 'continuous' CHECK (reset_mode IN ('continuous', 'daily')),
+    block_size INTEGER NOT NULL DEFAULT 50 CHECK (block_size BETWEEN 1 AND 1000),
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO public.pos_ticket_numbering_settings (id) VALUES (true);
+
+-- 2. Daily counters, one row per session date
+CREATE TABLE public.pos_ticket_daily_sequence (
+    sequence_date DATE PRIMARY KEY,
+    last_ticket_number INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 3. Leased blocks, kept for auditing which terminal had which numbers
+CREATE TABLE public.pos_ticket_number_leases (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    terminal_id TEXT NOT NULL,
+    sequence_key TEXT NOT NULL,
+    range_start INTEGER NOT NULL,
+    range_end INTEGER NOT NULL,
+    leased_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CHECK (range_end >= range_start)
+);
+
+CREATE INDEX idx_pos_ticket_number_leases_terminal_id ON public.pos_ticket_number_leases(terminal_id);
+CREATE INDEX idx_pos_ticket_number_leases_sequence_key ON public.pos_ticket_number_leases(sequence_key);
+
+ALTER TABLE public.pos_ticket_numbering_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.pos_ticket_daily_sequence ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.pos_ticket_number_leases ENABLE ROW LEVEL SECURITY;
+
+-- POS terminals work without authentication, same as the ticket sequence counter
+CREATE POLICY "flexible_ticket_numbering_settings_access"
+ON public.pos_ticket_numbering_settings
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "flexible_ticket_daily_sequence_access"
+ON public.pos_ticket_daily_sequence
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "flexible_ticket_number_leases_access"
+ON public.pos_ticket_number_leases
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- 4. Server-side uniqueness: a ticket number can be used once per sequence
+-- ('continuous', or the session date when numbers reset daily). Rows inserted before
+-- this migration have no sequence key and are not checked.
+ALTER TABLE public.pos_wash_dry_tickets
+ADD COLUMN IF NOT EXISTS ticket_sequence_key TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pos_wash_dry_tickets_sequence_number
+ON public.pos_wash_dry_tickets(ticket_sequence_key, ticket_number)
+WHERE ticket_sequence_key IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION public.set_ticket_sequence_key()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    current_mode TEXT;
+    ticket_session_date DATE;
+BEGIN
+    IF NEW.ticket_sequence_key IS NOT NULL THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT reset_mode INTO current_mode
+    FROM public.pos_ticket_numbering_settings
+    LIMIT 1;
+
+    IF COALESCE(current_mode, 'continuous') = 'daily' THEN
+        SELECT session_date INTO ticket_session_date
+        FROM public.pos_sessions
+        WHERE id = NEW.pos_session_id;
+
+        NEW.ticket_sequence_key := COALESCE(ticket_session_date, CURRENT_DATE)::TEXT;
+    ELSE
+        NEW.ticket_sequence_key := 'continuous';
+    END IF;
+
+    RETURN NEW;
+END;
+$function$;
+
+CREATE TRIGGER set_ticket_sequence_key_before_insert
+BEFORE INSERT ON public.pos_wash_dry_tickets
+FOR EACH ROW
+EXECUTE FUNCTION public.set_ticket_sequence_key();
+
+-- 5. Lease the next block of numbers for a terminal
+-- Returns { lease_id, sequence_key, reset_mode, range_start, range_end }
+CREATE OR REPLACE FUNCTION public.lease_ticket_numbers(
+    p_terminal_id TEXT,
+    p_session_date DATE DEFAULT CURRENT_DATE,
+    p_block_size INTEGER DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    settings RECORD;
+    block INTEGER;
+    counter_id UUID;
+    last_number INTEGER;
+    target_key TEXT;
+    new_lease_id UUID;
+BEGIN
+    IF p_terminal_id IS NULL OR p_terminal_id = '' THEN
+        RAISE EXCEPTION 'A terminal id is required to lease ticket numbers';
+    END IF;
+
+    SELECT reset_mode, block_size INTO settings
+    FROM public.pos_ticket_numbering_settings
+    LIMIT 1;
+
+    block := GREATEST(COALESCE(p_block_size, settings.block_size, 50), 1);
+
+    IF COALESCE(settings.reset_mode, 'continuous') = 'daily' THEN
+        target_key := COALESCE(p_session_date, CURRENT_DATE)::TEXT;
+
+        INSERT INTO public.pos_ticket_daily_sequence (sequence_date, last_ticket_number)
+        VALUES (COALESCE(p_session_date, CURRENT_DATE), 0)
+        ON CONFLICT (sequence_date) DO NOTHING;
+
+        SELECT last_ticket_number INTO last_number
+        FROM public.pos_ticket_daily_sequence
+        WHERE sequence_date = COALESCE(p_session_date, CURRENT_DATE)
+        FOR UPDATE;
+
+        UPDATE public.pos_ticket_daily_sequence
+        SET last_ticket_number = last_number + block,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE sequence_date = COALESCE(p_session_date, CURRENT_DATE);
+    ELSE
+        target_key := 'continuous';
+
+        -- Continuous numbering keeps using the existing counter row
+        SELECT id, last_ticket_number INTO counter_id, last_number
+        FROM public.pos_ticket_sequence
+        ORDER BY updated_at DESC
+        LIMIT 1
+        FOR UPDATE;
+
+        IF counter_id IS NULL THEN
+            SELECT COALESCE(MAX(CAST(ticket_number AS INTEGER)), 0)
+            INTO last_number
+            FROM public.pos_wash_dry_tickets
+            WHERE ticket_number ~ '^[0-9]+$';
+
+            INSERT INTO public.pos_ticket_sequence (last_ticket_number, updated_by)
+            VALUES (last_number, COALESCE(auth.uid(), NULL))
+            RETURNING id INTO counter_id;
+        END IF;
+
+        UPDATE public.pos_ticket_sequence
+        SET last_ticket_number = last_number + block,
+            updated_at = CURRENT_TIMESTAMP,
+            updated_by = COALESCE(auth.uid(), NULL)
+        WHERE id = counter_id;
+    END IF;
+
+    INSERT INTO public.pos_ticket_number_leases (terminal_id, sequence_key, range_start, range_end)
+    VALUES (p_terminal_id, target_key, last_number + 1, last_number + block)
+    RETURNING id INTO new_lease_id;
+
+    RETURN jsonb_build_object(
+        'lease_id', new_lease_id,
+        'sequence_key', target_key,
+        'reset_mode', COALESCE(settings.reset_mode, 'continuous'),
+        'range_start', last_number + 1,
+        'range_end', last_number + block
+    );
+END;
+$function$;
+
+-- 6. Change the store-wide reset mode (admin only when authenticated)
+CREATE OR REPLACE FUNCTION public.set_ticket_numbering_mode(
+    p_reset_mode TEXT,
+    p_block_size INTEGER DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Authentication required to change ticket numbering';
+    END IF;
+
+    UPDATE public.pos_ticket_numbering_settings
+    SET reset_mode = p_reset_mode,
+        block_size = COALESCE(p_block_size, block_size),
+        updated_at = CURRENT_TIMESTAMP;
+
+    RETURN true;
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.lease_ticket_numbers(TEXT, DATE, INTEGER) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.set_ticket_numbering_mode(TEXT, INTEGER) TO authenticated;
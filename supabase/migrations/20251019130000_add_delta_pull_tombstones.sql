@@ -0,0 +1,95 @@
+-- Location: supabase/migrations/20251019130000_add_delta_pull_tombstones.sql
+-- Schema Analysis: user_profiles with updated_at (never bumped on update); master_inventory_items read by the POS and admin dashboard but not created by any migration
+-- Integration Type: Enhancement - updated_at cursors and delete tombstones for incremental pulls
+-- Dependencies: user_profiles, master_inventory_items tables
+
+-- Terminals used to download the whole employee list and master catalog on every Save
+-- Progress. They now pull only rows with updated_at past their last cursor, plus the
+-- tombstones of rows deleted since their last pull.
+
+-- 1. Master catalog table used by the admin dashboard (created outside migrations on
+-- existing projects, so everything here is guarded)
+CREATE TABLE IF NOT EXISTS public.master_inventory_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    item_name TEXT NOT NULL UNIQUE,
+    price DECIMAL(10,2) DEFAULT 0.00,
+    quantity INTEGER DEFAULT 1,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE public.master_inventory_items
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE public.master_inventory_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "flexible_master_inventory_items_access" ON public.master_inventory_items;
+CREATE POLICY "flexible_master_inventory_items_access"
+ON public.master_inventory_items
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- 2. Keep updated_at current so it can be used as a pull cursor
+CREATE OR REPLACE FUNCTION public.touch_updated_at()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $function$
+BEGIN
+    NEW.updated_at := CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$function$;
+
+DROP TRIGGER IF EXISTS touch_user_profiles_updated_at ON public.user_profiles;
+CREATE TRIGGER touch_user_profiles_updated_at
+BEFORE UPDATE ON public.user_profiles
+FOR EACH ROW EXECUTE FUNCTION public.touch_updated_at();
+
+DROP TRIGGER IF EXISTS touch_master_inventory_items_updated_at ON public.master_inventory_items;
+CREATE TRIGGER touch_master_inventory_items_updated_at
+BEFORE UPDATE ON public.master_inventory_items
+FOR EACH ROW EXECUTE FUNCTION public.touch_updated_at();
+
+CREATE INDEX IF NOT EXISTS idx_user_profiles_updated_at ON public.user_profiles(updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_master_inventory_items_updated_at ON public.master_inventory_items(updated_at, id);
+
+-- 3. Tombstones for deleted rows
+CREATE TABLE public.pos_sync_tombstones (
+    id BIGSERIAL PRIMARY KEY,
+    table_name TEXT NOT NULL,
+    row_id UUID NOT NULL,
+    deleted_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_pos_sync_tombstones_table_name ON public.pos_sync_tombstones(table_name, id);
+
+ALTER TABLE public.pos_sync_tombstones ENABLE ROW LEVEL SECURITY;
+
+-- POS terminals work without authentication; tombstones carry ids only
+CREATE POLICY "flexible_pos_sync_tombstones_read"
+ON public.pos_sync_tombstones
+FOR SELECT
+USING (true);
+
+CREATE OR REPLACE FUNCTION public.record_sync_tombstone()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+BEGIN
+    INSERT INTO public.pos_sync_tombstones (table_name, row_id)
+    VALUES (TG_TABLE_NAME, OLD.id);
+    RETURN OLD;
+END;
+$function$;
+
+DROP TRIGGER IF EXISTS record_user_profiles_tombstone ON public.user_profiles;
+CREATE TRIGGER record_user_profiles_tombstone
+AFTER DELETE ON public.user_profiles
+FOR EACH ROW EXECUTE FUNCTION public.record_sync_tombstone();
+
+DROP TRIGGER IF EXISTS record_master_inventory_items_tombstone ON public.master_inventory_items;
+CREATE TRIGGER record_master_inventory_items_tombstone
+AFTER DELETE ON public.master_inventory_items
+FOR EACH ROW EXECUTE FUNCTION public.record_sync_tombstone();
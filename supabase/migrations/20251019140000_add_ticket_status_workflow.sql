@@ -0,0 +1,175 @@
+-- Location: supabase/migrations/20251019140000_add_ticket_status_workflow.sql
+-- Schema Analysis: pos_wash_dry_tickets stores only the ticket number and wash/dry amounts; pos_sync_mutations idempotency log
+-- Integration Type: Enhancement - Lifecycle status for drop-off tickets with timestamped transitions and live queue counts
+-- Dependencies: pos_wash_dry_tickets, pos_sessions, pos_sync_mutations tables
+
+-- A drop-off load moves received -> washing -> drying -> folded -> ready -> picked_up.
+-- Terminals record each move offline and replay it through apply_ticket_status_change();
+-- every move is kept in pos_ticket_status_events, and the ticket row carries its
+-- current status so the dashboard can count the queue per stage.
+
+-- 1. Status type; the declaration order is the workflow order
+CREATE TYPE public.ticket_status AS ENUM ('received', 'washing', 'drying', 'folded', 'ready', 'picked_up');
+
+-- Tickets written before this migration were handed back long ago, so they start as
+-- picked_up; new tickets start as received
+ALTER TABLE public.pos_wash_dry_tickets
+ADD COLUMN IF NOT EXISTS status public.ticket_status NOT NULL DEFAULT 'picked_up'::public.ticket_status;
+
+ALTER TABLE public.pos_wash_dry_tickets
+ALTER COLUMN status SET DEFAULT 'received'::public.ticket_status;
+
+ALTER TABLE public.pos_wash_dry_tickets
+ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP;
+
+UPDATE public.pos_wash_dry_tickets
+SET status_updated_at = COALESCE(updated_at, created_at, CURRENT_TIMESTAMP);
+
+CREATE INDEX IF NOT EXISTS idx_pos_wash_dry_tickets_status ON public.pos_wash_dry_tickets(status);
+
+-- 2. Transition log
+CREATE TABLE public.pos_ticket_status_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    ticket_id UUID REFERENCES public.pos_wash_dry_tickets(id) ON DELETE CASCADE,
+    from_status public.ticket_status,
+    to_status public.ticket_status NOT NULL,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    employee_id UUID,
+    terminal_id TEXT,
+    recorded_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_pos_ticket_status_events_ticket_id ON public.pos_ticket_status_events(ticket_id, changed_at);
+
+ALTER TABLE public.pos_ticket_status_events ENABLE ROW LEVEL SECURITY;
+
+-- POS terminals work without authentication, same as the ticket sequence counter
+CREATE POLICY "flexible_pos_ticket_status_events_access"
+ON public.pos_ticket_status_events
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- 3. Apply one status change from the terminal outbox exactly once
+-- Payload: { "record": { ticket_id, from_status, to_status, changed_at, employee_id, terminal_id },
+--            "ticket": { id, pos_session_id, ticket_number, wash_amount, dry_amount, total_amount, created_at },
+--            "session": { id, employee_id, session_date } }
+CREATE OR REPLACE FUNCTION public.apply_ticket_status_change(
+    p_idempotency_key TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    row_data JSONB := p_payload->'record';
+    ticket_data JSONB := p_payload->'ticket';
+    session_data JSONB := p_payload->'session';
+    target_ticket_id UUID;
+    target_status public.ticket_status;
+    target_changed_at TIMESTAMPTZ;
+    updated_count INTEGER;
+BEGIN
+    IF p_idempotency_key IS NULL OR row_data IS NULL OR row_data->>'ticket_id' IS NULL OR row_data->>'to_status' IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key, ticket id and status are required';
+    END IF;
+
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, 'ticket.status')
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    target_ticket_id := (row_data->>'ticket_id')::UUID;
+    target_status := (row_data->>'to_status')::public.ticket_status;
+    target_changed_at := COALESCE((row_data->>'changed_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP);
+
+    -- The ticket itself may still be queued behind this change on another path
+    IF ticket_data IS NOT NULL THEN
+        IF session_data IS NOT NULL THEN
+            INSERT INTO public.pos_sessions (id, employee_id, session_date, status)
+            VALUES (
+                (session_data->>'id')::UUID,
+                (session_data->>'employee_id')::UUID,
+                COALESCE((session_data->>'session_date')::DATE, CURRENT_DATE),
+                'active'::public.pos_session_status
+            )
+            ON CONFLICT (id) DO NOTHING;
+        END IF;
+
+        INSERT INTO public.pos_wash_dry_tickets (
+            id, pos_session_id, ticket_number,
+            wash_amount, dry_amount, total_amount,
+            created_at, updated_at
+        )
+        VALUES (
+            target_ticket_id,
+            (ticket_data->>'pos_session_id')::UUID,
+            ticket_data->>'ticket_number',
+            COALESCE((ticket_data->>'wash_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'dry_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'total_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO NOTHING;
+    END IF;
+
+    INSERT INTO public.pos_ticket_status_events (
+        ticket_id, from_status, to_status, changed_at, employee_id, terminal_id
+    )
+    VALUES (
+        target_ticket_id,
+        (row_data->>'from_status')::public.ticket_status,
+        target_status,
+        target_changed_at,
+        (row_data->>'employee_id')::UUID,
+        row_data->>'terminal_id'
+    );
+
+    -- Only move forward, so changes replayed late from another terminal never undo newer ones
+    UPDATE public.pos_wash_dry_tickets
+    SET status = target_status,
+        status_updated_at = target_changed_at,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = target_ticket_id
+    AND status < target_status;
+
+    GET DIAGNOSTICS updated_count = ROW_COUNT;
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false, 'status_changed', updated_count > 0);
+END;
+$function$;
+
+-- 4. Live queue per stage for the operations dashboard
+CREATE OR REPLACE FUNCTION public.get_ticket_status_queue()
+RETURNS TABLE(status public.ticket_status, ticket_count BIGINT, avg_wait_minutes INTEGER, oldest_status_at TIMESTAMPTZ)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $function$
+    SELECT
+        t.status,
+        COUNT(*) AS ticket_count,
+        ROUND(AVG(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - t.status_updated_at)) / 60))::INTEGER AS avg_wait_minutes,
+        MIN(t.status_updated_at) AS oldest_status_at
+    FROM public.pos_wash_dry_tickets t
+    WHERE t.status <> 'picked_up'::public.ticket_status
+    GROUP BY t.status
+    ORDER BY t.status;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_ticket_status_change(TEXT, JSONB) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_ticket_status_queue() TO anon, authenticated;
+
+-- 5. Let the dashboard follow ticket changes in real time
+DO $$
+BEGIN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.pos_wash_dry_tickets;
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+    WHEN undefined_object THEN NULL;
+END $$;
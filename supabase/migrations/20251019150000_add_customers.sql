@@ -0,0 +1,112 @@
+-- Location: supabase/migrations/20251019150000_add_customers.sql
+-- Schema Analysis: pos_wash_dry_tickets has no owner; touch_updated_at and record_sync_tombstone triggers from the delta pull migration
+-- Integration Type: Enhancement - Customer records attached to wash/dry tickets
+-- Dependencies: pos_wash_dry_tickets, pos_sync_mutations, pos_sync_tombstones tables
+
+-- At intake the cashier looks a customer up by phone or name (or creates one) and
+-- attaches them to the ticket, so a bag can be matched to its owner at pickup.
+-- Terminals create customers offline with their own ids and replay them through
+-- apply_customer_mutation(); they pull the list back incrementally like employees.
+
+-- 1. Customers
+CREATE TABLE public.customers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    full_name TEXT NOT NULL,
+    phone TEXT,
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_customers_phone ON public.customers(phone);
+CREATE INDEX idx_customers_full_name ON public.customers(LOWER(full_name));
+CREATE INDEX idx_customers_updated_at ON public.customers(updated_at, id);
+
+ALTER TABLE public.customers ENABLE ROW LEVEL SECURITY;
+
+-- POS terminals work without authentication, same as the ticket sequence counter
+CREATE POLICY "flexible_customers_access"
+ON public.customers
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+CREATE TRIGGER touch_customers_updated_at
+BEFORE UPDATE ON public.customers
+FOR EACH ROW EXECUTE FUNCTION public.touch_updated_at();
+
+CREATE TRIGGER record_customers_tombstone
+AFTER DELETE ON public.customers
+FOR EACH ROW EXECUTE FUNCTION public.record_sync_tombstone();
+
+-- 2. Ticket owner
+ALTER TABLE public.pos_wash_dry_tickets
+ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES public.customers(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_pos_wash_dry_tickets_customer_id ON public.pos_wash_dry_tickets(customer_id, created_at);
+
+-- 3. Apply a customer outbox entry exactly once
+-- customer.upsert: { "record": { id, full_name, phone, notes, created_at } }
+-- ticket.customer: { "record": { ticket_id, customer_id } }
+CREATE OR REPLACE FUNCTION public.apply_customer_mutation(
+    p_idempotency_key TEXT,
+    p_kind TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    row_data JSONB := p_payload->'record';
+BEGIN
+    IF p_idempotency_key IS NULL OR p_kind IS NULL OR row_data IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key, kind and record are required';
+    END IF;
+
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, p_kind)
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    IF p_kind = 'customer.upsert' THEN
+        IF COALESCE(TRIM(row_data->>'full_name'), '') = '' THEN
+            RAISE EXCEPTION 'Customer name is required';
+        END IF;
+
+        INSERT INTO public.customers (id, full_name, phone, notes, created_at)
+        VALUES (
+            (row_data->>'id')::UUID,
+            TRIM(row_data->>'full_name'),
+            NULLIF(TRIM(row_data->>'phone'), ''),
+            NULLIF(row_data->>'notes', ''),
+            COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP)
+        )
+        ON CONFLICT (id) DO UPDATE SET
+            full_name = EXCLUDED.full_name,
+            phone = EXCLUDED.phone,
+            notes = EXCLUDED.notes;
+
+    ELSIF p_kind = 'ticket.customer' THEN
+        UPDATE public.pos_wash_dry_tickets
+        SET customer_id = (row_data->>'customer_id')::UUID,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = (row_data->>'ticket_id')::UUID;
+
+        -- The ticket is still queued behind this entry; fail so the outbox retries it
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Ticket % has not been synced yet', row_data->>'ticket_id';
+        END IF;
+
+    ELSE
+        RAISE EXCEPTION 'Unknown customer mutation kind: %', p_kind;
+    END IF;
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_customer_mutation(TEXT, TEXT, JSONB) TO anon, authenticated;
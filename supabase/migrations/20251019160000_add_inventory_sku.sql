@@ -0,0 +1,16 @@
+-- Location: supabase/migrations/20251019160000_add_inventory_sku.sql
+-- Schema Analysis: master_inventory_items identifies products only by item_name
+-- Integration Type: Enhancement - scannable SKU per master inventory item
+-- Dependencies: master_inventory_items table (20251019130000_add_delta_pull_tombstones)
+
+-- POS terminals sell one unit of an item when its SKU barcode is scanned. The SKU
+-- reaches terminals through the existing incremental pull (the updated_at trigger
+-- already covers edits to the new column).
+
+ALTER TABLE public.master_inventory_items
+ADD COLUMN IF NOT EXISTS sku TEXT;
+
+-- Scanners may send either case; two items can't share a code
+CREATE UNIQUE INDEX IF NOT EXISTS idx_master_inventory_items_sku
+ON public.master_inventory_items(UPPER(sku))
+WHERE sku IS NOT NULL;
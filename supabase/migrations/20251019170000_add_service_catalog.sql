@@ -0,0 +1,139 @@
+-- Location: supabase/migrations/20251019170000_add_service_catalog.sql
+-- Schema Analysis: pos_wash_dry_tickets stores hand-typed wash_amount/dry_amount only; touch_updated_at and record_sync_tombstone triggers from the delta pull migration
+-- Integration Type: Enhancement - Admin-managed service price list and priced ticket lines
+-- Dependencies: pos_wash_dry_tickets, pos_sync_mutations, pos_sync_tombstones tables
+
+-- Admins keep a price list of services (load sizes, dry cycles, wash-and-fold by the
+-- pound) on the dashboard. Terminals pull it incrementally like the master inventory;
+-- cashiers pick services on a ticket and each priced line is stored in
+-- pos_ticket_lines. The ticket's wash_amount/dry_amount stay the sum of its lines so
+-- existing totals and reports keep working.
+
+-- 1. Service catalog
+CREATE TABLE public.service_catalog (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    -- wash and wash_fold lines count toward wash_amount, dry lines toward dry_amount
+    category TEXT NOT NULL CHECK (category IN ('wash', 'dry', 'wash_fold')),
+    pricing_unit TEXT NOT NULL DEFAULT 'load' CHECK (pricing_unit IN ('load', 'cycle', 'lb')),
+    price DECIMAL(10,2) NOT NULL DEFAULT 0.00 CHECK (price >= 0),
+    minimum_charge DECIMAL(10,2) NOT NULL DEFAULT 0.00 CHECK (minimum_charge >= 0),
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_service_catalog_updated_at ON public.service_catalog(updated_at, id);
+
+ALTER TABLE public.service_catalog ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "flexible_service_catalog_access"
+ON public.service_catalog
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+CREATE TRIGGER touch_service_catalog_updated_at
+BEFORE UPDATE ON public.service_catalog
+FOR EACH ROW EXECUTE FUNCTION public.touch_updated_at();
+
+CREATE TRIGGER record_service_catalog_tombstone
+AFTER DELETE ON public.service_catalog
+FOR EACH ROW EXECUTE FUNCTION public.record_sync_tombstone();
+
+-- 2. Priced lines of a ticket. Name, unit and prices are copied from the catalog at
+-- intake, so later price changes never rewrite old tickets.
+CREATE TABLE public.pos_ticket_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    ticket_id UUID NOT NULL REFERENCES public.pos_wash_dry_tickets(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL DEFAULT 1,
+    service_id UUID REFERENCES public.service_catalog(id) ON DELETE SET NULL,
+    service_name TEXT NOT NULL,
+    category TEXT NOT NULL,
+    pricing_unit TEXT NOT NULL,
+    quantity DECIMAL(10,2) NOT NULL DEFAULT 1,
+    unit_price DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    minimum_charge DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_pos_ticket_lines_ticket_id ON public.pos_ticket_lines(ticket_id, line_number);
+
+ALTER TABLE public.pos_ticket_lines ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "flexible_pos_ticket_lines_access"
+ON public.pos_ticket_lines
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- 3. Apply a ticket.lines outbox entry exactly once. The entry carries the ticket's
+-- complete line set, which replaces whatever the server has.
+-- { "record": { ticket_id, lines: [{ id, service_id, service_name, category,
+--   pricing_unit, quantity, unit_price, minimum_charge, amount }] } }
+CREATE OR REPLACE FUNCTION public.apply_ticket_lines(
+    p_idempotency_key TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    row_data JSONB := p_payload->'record';
+    target_ticket_id UUID;
+    line_data JSONB;
+    line_index INTEGER := 0;
+BEGIN
+    IF p_idempotency_key IS NULL OR row_data IS NULL OR row_data->>'ticket_id' IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key and ticket_id are required';
+    END IF;
+
+    target_ticket_id := (row_data->>'ticket_id')::UUID;
+
+    -- The ticket is queued ahead of its lines; fail so the outbox retries
+    IF NOT EXISTS (SELECT 1 FROM public.pos_wash_dry_tickets WHERE id = target_ticket_id) THEN
+        RAISE EXCEPTION 'Ticket % has not been synced yet', target_ticket_id;
+    END IF;
+
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, 'ticket.lines')
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    DELETE FROM public.pos_ticket_lines WHERE ticket_id = target_ticket_id;
+
+    FOR line_data IN SELECT * FROM jsonb_array_elements(COALESCE(row_data->'lines', '[]'::JSONB))
+    LOOP
+        line_index := line_index + 1;
+
+        INSERT INTO public.pos_ticket_lines (
+            id, ticket_id, line_number, service_id, service_name, category,
+            pricing_unit, quantity, unit_price, minimum_charge, amount
+        )
+        VALUES (
+            COALESCE((line_data->>'id')::UUID, gen_random_uuid()),
+            target_ticket_id,
+            line_index,
+            -- Services deleted since the ticket was taken keep their copied name
+            (SELECT id FROM public.service_catalog WHERE id = (line_data->>'service_id')::UUID),
+            COALESCE(line_data->>'service_name', 'Service'),
+            COALESCE(line_data->>'category', 'wash'),
+            COALESCE(line_data->>'pricing_unit', 'load'),
+            COALESCE((line_data->>'quantity')::DECIMAL, 1),
+            COALESCE((line_data->>'unit_price')::DECIMAL, 0),
+            COALESCE((line_data->>'minimum_charge')::DECIMAL, 0),
+            COALESCE((line_data->>'amount')::DECIMAL, 0)
+        );
+    END LOOP;
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false, 'lines', line_index);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_ticket_lines(TEXT, JSONB) TO anon, authenticated;
@@ -0,0 +1,228 @@
+-- Location: supabase/migrations/20251019180000_add_ticket_voids_refunds.sql
+-- Schema Analysis: pos_wash_dry_tickets rows are insert-only; update_pos_session_totals sums every ticket of a session
+-- Integration Type: Enhancement - Manager-approved voids and refunds as reversing entries
+-- Dependencies: pos_wash_dry_tickets, pos_sessions, user_profiles, pos_sync_mutations tables
+
+-- A mistyped ticket is voided, and money handed back is refunded. Both need a reason and
+-- the manager PIN on the terminal. The original ticket row is never changed apart from
+-- its void/refund markers; each action is written to pos_ticket_adjustments.
+-- Session totals leave voided tickets out and subtract refunds in the session that paid
+-- them out.
+
+-- 1. Ticket markers
+ALTER TABLE public.pos_wash_dry_tickets
+ADD COLUMN IF NOT EXISTS voided_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS void_reason TEXT,
+ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+
+-- 2. Reversing entries
+CREATE TYPE public.ticket_adjustment_kind AS ENUM ('void', 'refund');
+
+CREATE TABLE public.pos_ticket_adjustments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    ticket_id UUID NOT NULL REFERENCES public.pos_wash_dry_tickets(id) ON DELETE CASCADE,
+    -- Session the adjustment belongs to: the ticket's own for a void, the paying-out one for a refund
+    pos_session_id UUID NOT NULL REFERENCES public.pos_sessions(id) ON DELETE CASCADE,
+    kind public.ticket_adjustment_kind NOT NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+    reason TEXT NOT NULL,
+    employee_id UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+    terminal_id TEXT,
+    approved_by TEXT NOT NULL DEFAULT 'manager_pin',
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_pos_ticket_adjustments_ticket_id ON public.pos_ticket_adjustments(ticket_id);
+CREATE INDEX idx_pos_ticket_adjustments_session_id ON public.pos_ticket_adjustments(pos_session_id);
+
+ALTER TABLE public.pos_ticket_adjustments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "flexible_pos_ticket_adjustments_access"
+ON public.pos_ticket_adjustments
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- 3. Session totals without voided tickets and net of refunds
+CREATE OR REPLACE FUNCTION public.update_pos_session_totals()
+RETURNS TRIGGER
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    session_id UUID;
+    inventory_sum DECIMAL(10,2) := 0;
+    wash_dry_sum DECIMAL(10,2) := 0;
+    refund_sum DECIMAL(10,2) := 0;
+BEGIN
+    -- Get session_id from the affected row
+    session_id := COALESCE(NEW.pos_session_id, OLD.pos_session_id);
+
+    -- Calculate inventory total
+    SELECT COALESCE(SUM(total_amount), 0)
+    INTO inventory_sum
+    FROM public.pos_inventory_items
+    WHERE pos_session_id = session_id;
+
+    -- Calculate wash/dry total, leaving out voided tickets
+    SELECT COALESCE(SUM(total_amount), 0)
+    INTO wash_dry_sum
+    FROM public.pos_wash_dry_tickets
+    WHERE pos_session_id = session_id
+    AND voided_at IS NULL;
+
+    -- Refunds paid out during this session
+    SELECT COALESCE(SUM(amount), 0)
+    INTO refund_sum
+    FROM public.pos_ticket_adjustments
+    WHERE pos_session_id = session_id
+    AND kind = 'refund'::public.ticket_adjustment_kind;
+
+    wash_dry_sum := wash_dry_sum - refund_sum;
+
+    -- Update session totals
+    UPDATE public.pos_sessions
+    SET
+        inventory_total = inventory_sum,
+        wash_dry_total = wash_dry_sum,
+        grand_total = inventory_sum + wash_dry_sum,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = session_id;
+
+    RETURN COALESCE(NEW, OLD);
+END;
+$$;
+
+CREATE TRIGGER update_pos_totals_adjustments
+  AFTER INSERT OR UPDATE OR DELETE ON public.pos_ticket_adjustments
+  FOR EACH ROW EXECUTE FUNCTION public.update_pos_session_totals();
+
+-- 4. Apply a void or refund from the terminal outbox exactly once
+-- Payload: { "record": { id, ticket_id, pos_session_id, kind, amount, reason, employee_id, terminal_id, created_at },
+--            "ticket": { id, pos_session_id, ticket_number, wash_amount, dry_amount, total_amount, created_at },
+--            "session": { id, employee_id, session_date } }
+CREATE OR REPLACE FUNCTION public.apply_ticket_adjustment(
+    p_idempotency_key TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    row_data JSONB := p_payload->'record';
+    ticket_data JSONB := p_payload->'ticket';
+    session_data JSONB := p_payload->'session';
+    target_ticket_id UUID;
+    target_kind public.ticket_adjustment_kind;
+    adjustment_at TIMESTAMPTZ;
+    adjustment_amount DECIMAL(10,2);
+    ticket_row public.pos_wash_dry_tickets%ROWTYPE;
+BEGIN
+    IF p_idempotency_key IS NULL OR row_data IS NULL OR row_data->>'ticket_id' IS NULL OR row_data->>'kind' IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key, ticket id and kind are required';
+    END IF;
+
+    IF COALESCE(TRIM(row_data->>'reason'), '') = '' THEN
+        RAISE EXCEPTION 'A reason is required';
+    END IF;
+
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, 'ticket.adjustment')
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    target_ticket_id := (row_data->>'ticket_id')::UUID;
+    target_kind := (row_data->>'kind')::public.ticket_adjustment_kind;
+    adjustment_at := COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP);
+
+    -- The session and ticket may still be queued behind this entry on another path
+    IF session_data IS NOT NULL THEN
+        INSERT INTO public.pos_sessions (id, employee_id, session_date, status)
+        VALUES (
+            (session_data->>'id')::UUID,
+            (session_data->>'employee_id')::UUID,
+            COALESCE((session_data->>'session_date')::DATE, CURRENT_DATE),
+            'active'::public.pos_session_status
+        )
+        ON CONFLICT (id) DO NOTHING;
+    END IF;
+
+    IF ticket_data IS NOT NULL THEN
+        INSERT INTO public.pos_wash_dry_tickets (
+            id, pos_session_id, ticket_number,
+            wash_amount, dry_amount, total_amount,
+            created_at, updated_at
+        )
+        VALUES (
+            target_ticket_id,
+            (ticket_data->>'pos_session_id')::UUID,
+            ticket_data->>'ticket_number',
+            COALESCE((ticket_data->>'wash_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'dry_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'total_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO NOTHING;
+    END IF;
+
+    SELECT * INTO ticket_row
+    FROM public.pos_wash_dry_tickets
+    WHERE id = target_ticket_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Ticket % has not been synced yet', target_ticket_id;
+    END IF;
+
+    -- Another terminal already voided it; nothing left to reverse
+    IF ticket_row.voided_at IS NOT NULL THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', false, 'reason', 'already_voided');
+    END IF;
+
+    IF target_kind = 'void'::public.ticket_adjustment_kind THEN
+        adjustment_amount := COALESCE(ticket_row.total_amount, 0);
+
+        UPDATE public.pos_wash_dry_tickets
+        SET voided_at = adjustment_at,
+            void_reason = TRIM(row_data->>'reason'),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = target_ticket_id;
+    ELSE
+        adjustment_amount := COALESCE((row_data->>'amount')::DECIMAL, 0);
+
+        IF adjustment_amount <= 0 OR adjustment_amount > COALESCE(ticket_row.total_amount, 0) - ticket_row.refunded_amount THEN
+            RAISE EXCEPTION 'Refund of % exceeds what is left on ticket %', adjustment_amount, ticket_row.ticket_number;
+        END IF;
+
+        UPDATE public.pos_wash_dry_tickets
+        SET refunded_amount = refunded_amount + adjustment_amount,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = target_ticket_id;
+    END IF;
+
+    INSERT INTO public.pos_ticket_adjustments (
+        id, ticket_id, pos_session_id, kind, amount, reason,
+        employee_id, terminal_id, created_at
+    )
+    VALUES (
+        COALESCE((row_data->>'id')::UUID, gen_random_uuid()),
+        target_ticket_id,
+        COALESCE((row_data->>'pos_session_id')::UUID, ticket_row.pos_session_id),
+        target_kind,
+        adjustment_amount,
+        TRIM(row_data->>'reason'),
+        (row_data->>'employee_id')::UUID,
+        row_data->>'terminal_id',
+        adjustment_at
+    );
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false, 'amount', adjustment_amount);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_ticket_adjustment(TEXT, JSONB) TO anon, authenticated;
@@ -0,0 +1,148 @@
+-- Location: supabase/migrations/20251019190000_add_ticket_edit_audit.sql
+-- Schema Analysis: pos_wash_dry_tickets amounts are written once at insert (ticket.insert is DO NOTHING on conflict); voided_at from the voids/refunds migration
+-- Integration Type: Enhancement - Amount corrections on synced tickets with a before/after audit trail
+-- Dependencies: pos_wash_dry_tickets, pos_sessions, user_profiles, pos_sync_mutations tables
+
+-- Cashiers correct a ticket's wash/dry amounts from the POS ticket history (e.g. the
+-- customer added a dry cycle). Each correction is replayed through apply_ticket_edit()
+-- and kept in pos_ticket_edits with who made it, when, and the amounts before and after.
+-- The session totals trigger on pos_wash_dry_tickets picks up the new amounts.
+
+-- 1. Last correction time, so lists can flag edited tickets without loading the trail
+ALTER TABLE public.pos_wash_dry_tickets
+ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+
+-- 2. Edit trail
+CREATE TABLE public.pos_ticket_edits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    ticket_id UUID NOT NULL REFERENCES public.pos_wash_dry_tickets(id) ON DELETE CASCADE,
+    -- { wash_amount, dry_amount, total_amount } as shown to the cashier before and after
+    before_values JSONB NOT NULL,
+    after_values JSONB NOT NULL,
+    employee_id UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+    terminal_id TEXT,
+    edited_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    recorded_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_pos_ticket_edits_ticket_id ON public.pos_ticket_edits(ticket_id, edited_at);
+
+ALTER TABLE public.pos_ticket_edits ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "flexible_pos_ticket_edits_access"
+ON public.pos_ticket_edits
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- 3. Apply one correction from the terminal outbox exactly once
+-- Payload: { "record": { id, ticket_id, before_values, after_values, employee_id, terminal_id, edited_at },
+--            "ticket": { id, pos_session_id, ticket_number, wash_amount, dry_amount, total_amount, created_at },
+--            "session": { id, employee_id, session_date } }
+CREATE OR REPLACE FUNCTION public.apply_ticket_edit(
+    p_idempotency_key TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    row_data JSONB := p_payload->'record';
+    ticket_data JSONB := p_payload->'ticket';
+    session_data JSONB := p_payload->'session';
+    after_data JSONB := p_payload->'record'->'after_values';
+    target_ticket_id UUID;
+    target_edited_at TIMESTAMPTZ;
+    ticket_row public.pos_wash_dry_tickets%ROWTYPE;
+BEGIN
+    IF p_idempotency_key IS NULL OR row_data IS NULL OR row_data->>'ticket_id' IS NULL OR after_data IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key, ticket id and new amounts are required';
+    END IF;
+
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, 'ticket.edit')
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    target_ticket_id := (row_data->>'ticket_id')::UUID;
+    target_edited_at := COALESCE((row_data->>'edited_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP);
+
+    -- The ticket itself may still be queued behind this edit on another path
+    IF session_data IS NOT NULL THEN
+        INSERT INTO public.pos_sessions (id, employee_id, session_date, status)
+        VALUES (
+            (session_data->>'id')::UUID,
+            (session_data->>'employee_id')::UUID,
+            COALESCE((session_data->>'session_date')::DATE, CURRENT_DATE),
+            'active'::public.pos_session_status
+        )
+        ON CONFLICT (id) DO NOTHING;
+    END IF;
+
+    IF ticket_data IS NOT NULL THEN
+        INSERT INTO public.pos_wash_dry_tickets (
+            id, pos_session_id, ticket_number,
+            wash_amount, dry_amount, total_amount,
+            created_at, updated_at
+        )
+        VALUES (
+            target_ticket_id,
+            (ticket_data->>'pos_session_id')::UUID,
+            ticket_data->>'ticket_number',
+            COALESCE((ticket_data->>'wash_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'dry_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'total_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO NOTHING;
+    END IF;
+
+    SELECT * INTO ticket_row
+    FROM public.pos_wash_dry_tickets
+    WHERE id = target_ticket_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Ticket % has not been synced yet', target_ticket_id;
+    END IF;
+
+    -- A void from another terminal wins; the edit is dropped
+    IF ticket_row.voided_at IS NOT NULL THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', false, 'reason', 'voided');
+    END IF;
+
+    UPDATE public.pos_wash_dry_tickets
+    SET wash_amount = COALESCE((after_data->>'wash_amount')::DECIMAL, 0),
+        dry_amount = COALESCE((after_data->>'dry_amount')::DECIMAL, 0),
+        total_amount = COALESCE((after_data->>'total_amount')::DECIMAL, 0),
+        edited_at = target_edited_at,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = target_ticket_id;
+
+    INSERT INTO public.pos_ticket_edits (
+        id, ticket_id, before_values, after_values, employee_id, terminal_id, edited_at
+    )
+    VALUES (
+        COALESCE((row_data->>'id')::UUID, gen_random_uuid()),
+        target_ticket_id,
+        COALESCE(row_data->'before_values', jsonb_build_object(
+            'wash_amount', ticket_row.wash_amount,
+            'dry_amount', ticket_row.dry_amount,
+            'total_amount', ticket_row.total_amount
+        )),
+        after_data,
+        (row_data->>'employee_id')::UUID,
+        row_data->>'terminal_id',
+        target_edited_at
+    );
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_ticket_edit(TEXT, JSONB) TO anon, authenticated;
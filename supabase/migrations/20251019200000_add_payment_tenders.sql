@@ -0,0 +1,202 @@
+-- Location: supabase/migrations/20251019200000_add_payment_tenders.sql
+-- Schema Analysis: pos_sessions only has cash fields (cash_started, cash_added, cash_total); tickets and inventory counts carry no tender
+-- Integration Type: Enhancement - Payments by tender (cash, card, store credit, other) on tickets and inventory sales
+-- Dependencies: pos_sessions, pos_wash_dry_tickets, user_profiles, pos_sync_mutations tables
+
+-- Each wash/dry ticket and each inventory sale rung up on the POS records one or more
+-- payments. A ticket's payments add up to its total; a sale keeps its items and its
+-- payments. Sessions are reconciled by tender on the daily sheet: card, store credit
+-- and other come from pos_payments, and everything else (inventory counted on the
+-- grid, tickets from before this migration, minus refunds) is cash.
+
+-- 1. Tender type
+CREATE TYPE public.payment_tender AS ENUM ('cash', 'card', 'store_credit', 'other');
+
+-- 2. Inventory sales rung up through the sale receipt
+CREATE TABLE public.pos_inventory_sales (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    pos_session_id UUID NOT NULL REFERENCES public.pos_sessions(id) ON DELETE CASCADE,
+    reference TEXT NOT NULL,
+    -- [{ id, name, price, quantity }] as sold
+    lines JSONB NOT NULL DEFAULT '[]'::JSONB,
+    total_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    employee_id UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+    terminal_id TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_pos_inventory_sales_session_id ON public.pos_inventory_sales(pos_session_id);
+
+ALTER TABLE public.pos_inventory_sales ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "flexible_pos_inventory_sales_access"
+ON public.pos_inventory_sales
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- 3. Payments, each for either a ticket or a sale
+CREATE TABLE public.pos_payments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    pos_session_id UUID NOT NULL REFERENCES public.pos_sessions(id) ON DELETE CASCADE,
+    ticket_id UUID REFERENCES public.pos_wash_dry_tickets(id) ON DELETE CASCADE,
+    sale_id UUID REFERENCES public.pos_inventory_sales(id) ON DELETE CASCADE,
+    tender public.payment_tender NOT NULL DEFAULT 'cash'::public.payment_tender,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((ticket_id IS NULL) <> (sale_id IS NULL))
+);
+
+CREATE INDEX idx_pos_payments_session_id ON public.pos_payments(pos_session_id);
+CREATE INDEX idx_pos_payments_ticket_id ON public.pos_payments(ticket_id);
+CREATE INDEX idx_pos_payments_sale_id ON public.pos_payments(sale_id);
+
+ALTER TABLE public.pos_payments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "flexible_pos_payments_access"
+ON public.pos_payments
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- 4. Apply a ticket.payments outbox entry exactly once. The entry carries the ticket's
+-- complete payment set (re-sent when an edit changes the total), which replaces
+-- whatever the server has.
+-- { "record": { ticket_id, payments: [{ id, tender, amount }] } }
+CREATE OR REPLACE FUNCTION public.apply_ticket_payments(
+    p_idempotency_key TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    row_data JSONB := p_payload->'record';
+    target_ticket_id UUID;
+    target_session_id UUID;
+    payment_data JSONB;
+    payment_count INTEGER := 0;
+BEGIN
+    IF p_idempotency_key IS NULL OR row_data IS NULL OR row_data->>'ticket_id' IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key and ticket_id are required';
+    END IF;
+
+    target_ticket_id := (row_data->>'ticket_id')::UUID;
+
+    SELECT pos_session_id INTO target_session_id
+    FROM public.pos_wash_dry_tickets
+    WHERE id = target_ticket_id;
+
+    -- The ticket is queued ahead of its payments; fail so the outbox retries
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Ticket % has not been synced yet', target_ticket_id;
+    END IF;
+
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, 'ticket.payments')
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    DELETE FROM public.pos_payments WHERE ticket_id = target_ticket_id;
+
+    FOR payment_data IN SELECT * FROM jsonb_array_elements(COALESCE(row_data->'payments', '[]'::JSONB))
+    LOOP
+        INSERT INTO public.pos_payments (id, pos_session_id, ticket_id, tender, amount)
+        VALUES (
+            COALESCE((payment_data->>'id')::UUID, gen_random_uuid()),
+            target_session_id,
+            target_ticket_id,
+            COALESCE(payment_data->>'tender', 'cash')::public.payment_tender,
+            (payment_data->>'amount')::DECIMAL
+        );
+        payment_count := payment_count + 1;
+    END LOOP;
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false, 'payments', payment_count);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_ticket_payments(TEXT, JSONB) TO anon, authenticated;
+
+-- 5. Apply a sale.record outbox entry exactly once
+-- { "record": { id, pos_session_id, reference, lines, total_amount, employee_id, terminal_id, created_at,
+--               payments: [{ id, tender, amount }] },
+--   "session": { id, employee_id, session_date } }
+CREATE OR REPLACE FUNCTION public.apply_inventory_sale(
+    p_idempotency_key TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    row_data JSONB := p_payload->'record';
+    session_data JSONB := p_payload->'session';
+    target_sale_id UUID;
+    payment_data JSONB;
+BEGIN
+    IF p_idempotency_key IS NULL OR row_data IS NULL OR row_data->>'id' IS NULL OR row_data->>'pos_session_id' IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key, sale id and session id are required';
+    END IF;
+
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, 'sale.record')
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    target_sale_id := (row_data->>'id')::UUID;
+
+    -- The session may still be queued behind this sale
+    IF session_data IS NOT NULL THEN
+        INSERT INTO public.pos_sessions (id, employee_id, session_date, status)
+        VALUES (
+            (session_data->>'id')::UUID,
+            (session_data->>'employee_id')::UUID,
+            COALESCE((session_data->>'session_date')::DATE, CURRENT_DATE),
+            'active'::public.pos_session_status
+        )
+        ON CONFLICT (id) DO NOTHING;
+    END IF;
+
+    INSERT INTO public.pos_inventory_sales (
+        id, pos_session_id, reference, lines, total_amount, employee_id, terminal_id, created_at
+    )
+    VALUES (
+        target_sale_id,
+        (row_data->>'pos_session_id')::UUID,
+        row_data->>'reference',
+        COALESCE(row_data->'lines', '[]'::JSONB),
+        COALESCE((row_data->>'total_amount')::DECIMAL, 0),
+        (row_data->>'employee_id')::UUID,
+        row_data->>'terminal_id',
+        COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP)
+    )
+    ON CONFLICT (id) DO NOTHING;
+
+    FOR payment_data IN SELECT * FROM jsonb_array_elements(COALESCE(row_data->'payments', '[]'::JSONB))
+    LOOP
+        INSERT INTO public.pos_payments (id, pos_session_id, sale_id, tender, amount, created_at)
+        VALUES (
+            COALESCE((payment_data->>'id')::UUID, gen_random_uuid()),
+            (row_data->>'pos_session_id')::UUID,
+            target_sale_id,
+            COALESCE(payment_data->>'tender', 'cash')::public.payment_tender,
+            (payment_data->>'amount')::DECIMAL,
+            COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP)
+        )
+        ON CONFLICT (id) DO NOTHING;
+    END LOOP;
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_inventory_sale(TEXT, JSONB) TO anon, authenticated;
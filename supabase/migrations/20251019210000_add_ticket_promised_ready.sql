@@ -0,0 +1,92 @@
+-- Location: supabase/migrations/20251019210000_add_ticket_promised_ready.sql
+-- Schema Analysis: pos_wash_dry_tickets has lifecycle status (received → picked_up) but no pickup promise; touch_updated_at and record_sync_tombstone triggers from the delta pull migration
+-- Integration Type: Enhancement - Promised ready times on tickets, defaulted from store-wide turnaround rules
+-- Dependencies: pos_wash_dry_tickets, pos_sync_mutations, pos_sync_tombstones tables
+
+-- Drop-off customers are told when their laundry will be ready. Each ticket stores
+-- that promise in promised_ready_at. Terminals default it from the turnaround rules
+-- (hours per service category, plus a default for tickets with typed amounts), which
+-- admins keep on the dashboard and terminals pull like the service price list. The
+-- dashboard lists open tickets that are overdue or due soon.
+
+-- 1. Promise on each ticket
+ALTER TABLE public.pos_wash_dry_tickets
+ADD COLUMN IF NOT EXISTS promised_ready_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_pos_wash_dry_tickets_promised_ready_at
+ON public.pos_wash_dry_tickets(promised_ready_at)
+WHERE promised_ready_at IS NOT NULL AND voided_at IS NULL;
+
+-- 2. Turnaround rules, one per service category ('default' covers everything else)
+CREATE TABLE public.pos_turnaround_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    category TEXT NOT NULL UNIQUE CHECK (category IN ('default', 'wash', 'dry', 'wash_fold')),
+    turnaround_hours DECIMAL(6,2) NOT NULL CHECK (turnaround_hours > 0),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_pos_turnaround_rules_updated_at ON public.pos_turnaround_rules(updated_at, id);
+
+ALTER TABLE public.pos_turnaround_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "flexible_pos_turnaround_rules_access"
+ON public.pos_turnaround_rules
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+CREATE TRIGGER touch_pos_turnaround_rules_updated_at
+BEFORE UPDATE ON public.pos_turnaround_rules
+FOR EACH ROW EXECUTE FUNCTION public.touch_updated_at();
+
+CREATE TRIGGER record_pos_turnaround_rules_tombstone
+AFTER DELETE ON public.pos_turnaround_rules
+FOR EACH ROW EXECUTE FUNCTION public.record_sync_tombstone();
+
+INSERT INTO public.pos_turnaround_rules (category, turnaround_hours)
+VALUES ('default', 24), ('wash_fold', 48)
+ON CONFLICT (category) DO NOTHING;
+
+-- 3. Apply a ticket.promise outbox entry exactly once. A newer promise for the same
+-- ticket replaces an unsent one on the terminal, so the last one set wins.
+-- { "record": { ticket_id, promised_ready_at } }
+CREATE OR REPLACE FUNCTION public.apply_ticket_promise(
+    p_idempotency_key TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    row_data JSONB := p_payload->'record';
+BEGIN
+    IF p_idempotency_key IS NULL OR row_data IS NULL OR row_data->>'ticket_id' IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key and ticket_id are required';
+    END IF;
+
+    -- The ticket is queued ahead of its promise; fail so the outbox retries
+    PERFORM 1 FROM public.pos_wash_dry_tickets WHERE id = (row_data->>'ticket_id')::UUID;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Ticket % has not been synced yet', row_data->>'ticket_id';
+    END IF;
+
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, 'ticket.promise')
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    UPDATE public.pos_wash_dry_tickets
+    SET promised_ready_at = (row_data->>'promised_ready_at')::TIMESTAMPTZ,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = (row_data->>'ticket_id')::UUID;
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_ticket_promise(TEXT, JSONB) TO anon, authenticated;
@@ -0,0 +1,191 @@
+-- Location: supabase/migrations/20251019220000_add_ticket_line_addons.sql
+-- Schema Analysis: pos_ticket_lines holds wash/dry/wash_fold lines only and the terminal copies their sums into wash_amount/dry_amount; update_pos_session_totals sums ticket total_amount
+-- Integration Type: Enhancement - Add-on services, line notes, and ticket/session totals computed from lines
+-- Dependencies: service_catalog, pos_ticket_lines, pos_wash_dry_tickets, pos_ticket_adjustments, pos_inventory_items, pos_sync_mutations tables
+
+-- Orders include extras besides washing and drying: detergent, softener, hang-dry,
+-- stain treatment, rush service. These are 'addon' services on the price list, sold
+-- each. Every ticket line can carry a note ("blue shirt, coffee stain"). A ticket with
+-- lines gets its amounts from them on the server too: wash and wash & fold lines make
+-- wash_amount, dry lines dry_amount, add-ons addon_amount, and all of them the total.
+-- Session totals use the lines of each ticket that has them and the typed amounts
+-- otherwise.
+
+-- 1. Add-on services, sold each
+ALTER TABLE public.service_catalog DROP CONSTRAINT IF EXISTS service_catalog_category_check;
+ALTER TABLE public.service_catalog
+ADD CONSTRAINT service_catalog_category_check CHECK (category IN ('wash', 'dry', 'wash_fold', 'addon'));
+
+ALTER TABLE public.service_catalog DROP CONSTRAINT IF EXISTS service_catalog_pricing_unit_check;
+ALTER TABLE public.service_catalog
+ADD CONSTRAINT service_catalog_pricing_unit_check CHECK (pricing_unit IN ('load', 'cycle', 'lb', 'each'));
+
+-- 2. Line notes and the ticket's add-on amount
+ALTER TABLE public.pos_ticket_lines
+ADD COLUMN IF NOT EXISTS notes TEXT;
+
+ALTER TABLE public.pos_wash_dry_tickets
+ADD COLUMN IF NOT EXISTS addon_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+
+-- 3. Ticket amounts follow its lines. A ticket whose lines are all removed keeps its
+-- last amounts; tickets without lines keep their typed ones.
+CREATE OR REPLACE FUNCTION public.sync_ticket_amounts_from_lines()
+RETURNS TRIGGER
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    target_ticket_id UUID := COALESCE(NEW.ticket_id, OLD.ticket_id);
+    wash_sum DECIMAL(10,2);
+    dry_sum DECIMAL(10,2);
+    addon_sum DECIMAL(10,2);
+BEGIN
+    SELECT
+        COALESCE(SUM(amount) FILTER (WHERE category IN ('wash', 'wash_fold')), 0),
+        COALESCE(SUM(amount) FILTER (WHERE category = 'dry'), 0),
+        COALESCE(SUM(amount) FILTER (WHERE category = 'addon'), 0)
+    INTO wash_sum, dry_sum, addon_sum
+    FROM public.pos_ticket_lines
+    WHERE ticket_id = target_ticket_id;
+
+    IF EXISTS (SELECT 1 FROM public.pos_ticket_lines WHERE ticket_id = target_ticket_id) THEN
+        UPDATE public.pos_wash_dry_tickets
+        SET wash_amount = wash_sum,
+            dry_amount = dry_sum,
+            addon_amount = addon_sum,
+            total_amount = wash_sum + dry_sum + addon_sum,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = target_ticket_id
+        AND (wash_amount, dry_amount, addon_amount, total_amount)
+            IS DISTINCT FROM (wash_sum, dry_sum, addon_sum, wash_sum + dry_sum + addon_sum);
+    END IF;
+
+    RETURN COALESCE(NEW, OLD);
+END;
+$$;
+
+CREATE TRIGGER sync_ticket_amounts_from_lines
+  AFTER INSERT OR UPDATE OR DELETE ON public.pos_ticket_lines
+  FOR EACH ROW EXECUTE FUNCTION public.sync_ticket_amounts_from_lines();
+
+-- 4. Session totals from ticket lines, leaving out voided tickets and net of refunds
+CREATE OR REPLACE FUNCTION public.update_pos_session_totals()
+RETURNS TRIGGER
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    session_id UUID;
+    inventory_sum DECIMAL(10,2) := 0;
+    wash_dry_sum DECIMAL(10,2) := 0;
+    refund_sum DECIMAL(10,2) := 0;
+BEGIN
+    -- Get session_id from the affected row
+    session_id := COALESCE(NEW.pos_session_id, OLD.pos_session_id);
+
+    -- Calculate inventory total
+    SELECT COALESCE(SUM(total_amount), 0)
+    INTO inventory_sum
+    FROM public.pos_inventory_items
+    WHERE pos_session_id = session_id;
+
+    -- Calculate wash/dry total: a ticket's lines when it has them, its typed amount otherwise
+    SELECT COALESCE(SUM(COALESCE(
+        (SELECT SUM(l.amount) FROM public.pos_ticket_lines l WHERE l.ticket_id = t.id),
+        t.total_amount
+    )), 0)
+    INTO wash_dry_sum
+    FROM public.pos_wash_dry_tickets t
+    WHERE t.pos_session_id = session_id
+    AND t.voided_at IS NULL;
+
+    -- Refunds paid out during this session
+    SELECT COALESCE(SUM(amount), 0)
+    INTO refund_sum
+    FROM public.pos_ticket_adjustments
+    WHERE pos_session_id = session_id
+    AND kind = 'refund'::public.ticket_adjustment_kind;
+
+    wash_dry_sum := wash_dry_sum - refund_sum;
+
+    -- Update session totals
+    UPDATE public.pos_sessions
+    SET
+        inventory_total = inventory_sum,
+        wash_dry_total = wash_dry_sum,
+        grand_total = inventory_sum + wash_dry_sum,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = session_id;
+
+    RETURN COALESCE(NEW, OLD);
+END;
+$$;
+
+-- 5. Apply a ticket.lines outbox entry exactly once, now with line notes
+-- { "record": { ticket_id, lines: [{ id, service_id, service_name, category,
+--   pricing_unit, quantity, unit_price, minimum_charge, amount, notes }] } }
+CREATE OR REPLACE FUNCTION public.apply_ticket_lines(
+    p_idempotency_key TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    row_data JSONB := p_payload->'record';
+    target_ticket_id UUID;
+    line_data JSONB;
+    line_index INTEGER := 0;
+BEGIN
+    IF p_idempotency_key IS NULL OR row_data IS NULL OR row_data->>'ticket_id' IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key and ticket_id are required';
+    END IF;
+
+    target_ticket_id := (row_data->>'ticket_id')::UUID;
+
+    -- The ticket is queued ahead of its lines; fail so the outbox retries
+    IF NOT EXISTS (SELECT 1 FROM public.pos_wash_dry_tickets WHERE id = target_ticket_id) THEN
+        RAISE EXCEPTION 'Ticket % has not been synced yet', target_ticket_id;
+    END IF;
+
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, 'ticket.lines')
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    DELETE FROM public.pos_ticket_lines WHERE ticket_id = target_ticket_id;
+
+    FOR line_data IN SELECT * FROM jsonb_array_elements(COALESCE(row_data->'lines', '[]'::JSONB))
+    LOOP
+        line_index := line_index + 1;
+
+        INSERT INTO public.pos_ticket_lines (
+            id, ticket_id, line_number, service_id, service_name, category,
+            pricing_unit, quantity, unit_price, minimum_charge, amount, notes
+        )
+        VALUES (
+            COALESCE((line_data->>'id')::UUID, gen_random_uuid()),
+            target_ticket_id,
+            line_index,
+            -- Services deleted since the ticket was taken keep their copied name
+            (SELECT id FROM public.service_catalog WHERE id = (line_data->>'service_id')::UUID),
+            COALESCE(line_data->>'service_name', 'Service'),
+            COALESCE(line_data->>'category', 'wash'),
+            COALESCE(line_data->>'pricing_unit', 'load'),
+            COALESCE((line_data->>'quantity')::DECIMAL, 1),
+            COALESCE((line_data->>'unit_price')::DECIMAL, 0),
+            COALESCE((line_data->>'minimum_charge')::DECIMAL, 0),
+            COALESCE((line_data->>'amount')::DECIMAL, 0),
+            NULLIF(TRIM(line_data->>'notes'), '')
+        );
+    END LOOP;
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false, 'lines', line_index);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_ticket_lines(TEXT, JSONB) TO anon, authenticated;
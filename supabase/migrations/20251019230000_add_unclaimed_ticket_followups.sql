@@ -0,0 +1,117 @@
+-- Location: supabase/migrations/20251019230000_add_unclaimed_ticket_followups.sql
+-- Schema Analysis: pos_wash_dry_tickets has created_at, status (received → picked_up) and voided_at, but nothing for bags that are never collected; get_ticket_status_queue counts every ticket not picked up
+-- Integration Type: Enhancement - Unclaimed-ticket follow-ups (contacted, donated, disposed) recorded from the dashboard aging report
+-- Dependencies: pos_wash_dry_tickets, user_profiles tables; ticket_status enum
+
+-- Bags pile up when customers never come back. The dashboard lists tickets not picked
+-- up after 7, 30 and 60+ days and staff follow up on them in bulk: a call or message
+-- is recorded as 'contacted', and a bag given away or thrown out closes the ticket as
+-- 'donated' or 'disposed' with a reason. Every follow-up is kept in
+-- pos_ticket_followups; the ticket carries the latest contact and its disposition.
+-- Closed tickets leave the service queue.
+
+-- 1. Latest contact and the final disposition on each ticket
+ALTER TABLE public.pos_wash_dry_tickets
+ADD COLUMN IF NOT EXISTS last_contacted_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS disposition TEXT CHECK (disposition IN ('donated', 'disposed')),
+ADD COLUMN IF NOT EXISTS disposition_reason TEXT,
+ADD COLUMN IF NOT EXISTS disposed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_pos_wash_dry_tickets_unclaimed
+ON public.pos_wash_dry_tickets(created_at)
+WHERE status <> 'picked_up'::public.ticket_status AND voided_at IS NULL AND disposed_at IS NULL;
+
+-- 2. Every follow-up, with who recorded it
+CREATE TABLE public.pos_ticket_followups (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    ticket_id UUID NOT NULL REFERENCES public.pos_wash_dry_tickets(id) ON DELETE CASCADE,
+    action TEXT NOT NULL CHECK (action IN ('contacted', 'donated', 'disposed')),
+    reason TEXT,
+    recorded_by UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_pos_ticket_followups_ticket_id ON public.pos_ticket_followups(ticket_id, created_at);
+
+ALTER TABLE public.pos_ticket_followups ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "flexible_pos_ticket_followups_access"
+ON public.pos_ticket_followups
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- 3. Record one follow-up on several tickets at once. Tickets picked up, voided or
+-- already donated/disposed in the meantime are skipped. Returns how many were updated.
+CREATE OR REPLACE FUNCTION public.record_ticket_followups(
+    p_ticket_ids UUID[],
+    p_action TEXT,
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    clean_reason TEXT := NULLIF(TRIM(p_reason), '');
+    recorder UUID;
+    updated_count INTEGER;
+BEGIN
+    IF p_action NOT IN ('contacted', 'donated', 'disposed') THEN
+        RAISE EXCEPTION 'Unknown follow-up action %', p_action;
+    END IF;
+
+    IF p_action <> 'contacted' AND clean_reason IS NULL THEN
+        RAISE EXCEPTION 'A reason is required to mark tickets %', p_action;
+    END IF;
+
+    SELECT id INTO recorder FROM public.user_profiles WHERE id = auth.uid();
+
+    WITH targets AS (
+        SELECT id
+        FROM public.pos_wash_dry_tickets
+        WHERE id = ANY(p_ticket_ids)
+        AND status <> 'picked_up'::public.ticket_status
+        AND voided_at IS NULL
+        AND disposed_at IS NULL
+        FOR UPDATE
+    ),
+    logged AS (
+        INSERT INTO public.pos_ticket_followups (ticket_id, action, reason, recorded_by)
+        SELECT id, p_action, clean_reason, recorder FROM targets
+        RETURNING ticket_id
+    )
+    UPDATE public.pos_wash_dry_tickets t
+    SET last_contacted_at = CASE WHEN p_action = 'contacted' THEN CURRENT_TIMESTAMP ELSE t.last_contacted_at END,
+        disposition = CASE WHEN p_action = 'contacted' THEN NULL ELSE p_action END,
+        disposition_reason = CASE WHEN p_action = 'contacted' THEN NULL ELSE clean_reason END,
+        disposed_at = CASE WHEN p_action = 'contacted' THEN NULL ELSE CURRENT_TIMESTAMP END,
+        updated_at = CURRENT_TIMESTAMP
+    FROM logged
+    WHERE t.id = logged.ticket_id;
+
+    GET DIAGNOSTICS updated_count = ROW_COUNT;
+    RETURN updated_count;
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.record_ticket_followups(UUID[], TEXT, TEXT) TO authenticated;
+
+-- 4. Donated and disposed tickets are no longer waiting in any stage
+CREATE OR REPLACE FUNCTION public.get_ticket_status_queue()
+RETURNS TABLE(status public.ticket_status, ticket_count BIGINT, avg_wait_minutes INTEGER, oldest_status_at TIMESTAMPTZ)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $function$
+    SELECT
+        t.status,
+        COUNT(*) AS ticket_count,
+        ROUND(AVG(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - t.status_updated_at)) / 60))::INTEGER AS avg_wait_minutes,
+        MIN(t.status_updated_at) AS oldest_status_at
+    FROM public.pos_wash_dry_tickets t
+    WHERE t.status <> 'picked_up'::public.ticket_status
+    AND t.disposed_at IS NULL
+    GROUP BY t.status
+    ORDER BY t.status;
+$function$;
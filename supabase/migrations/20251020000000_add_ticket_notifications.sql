@@ -0,0 +1,211 @@
+-- Location: supabase/migrations/20251020000000_add_ticket_notifications.sql
+-- Schema Analysis: customers have phone but no email; tickets reach 'ready' through apply_ticket_status_change and staff call customers by hand; touch_updated_at and record_sync_tombstone triggers from the delta pull migration
+-- Integration Type: Enhancement - "Your order is ready" messages by SMS and email from editable templates, with a send log per ticket
+-- Dependencies: customers, pos_wash_dry_tickets, user_profiles, pos_sync_mutations, pos_sync_tombstones tables
+
+-- When a ticket is moved to ready the terminal writes the customer a message from the
+-- store's templates (one per channel), keeps it on the ticket and sends it with the
+-- next sync through the channel's transport: an SMS or email provider, or the local
+-- log when none is configured. What was sent, or why it failed, is logged here in
+-- pos_ticket_notifications. Admins edit the templates on the dashboard; terminals pull
+-- them like the turnaround rules.
+
+-- 1. Email address for customers who prefer it
+ALTER TABLE public.customers
+ADD COLUMN IF NOT EXISTS email TEXT;
+
+-- 2. Message templates per channel and event
+CREATE TABLE public.pos_notification_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    channel TEXT NOT NULL CHECK (channel IN ('sms', 'email')),
+    event TEXT NOT NULL DEFAULT 'ticket_ready' CHECK (event IN ('ticket_ready')),
+    subject TEXT,
+    body TEXT NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (channel, event)
+);
+
+CREATE INDEX idx_pos_notification_templates_updated_at ON public.pos_notification_templates(updated_at, id);
+
+ALTER TABLE public.pos_notification_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "flexible_pos_notification_templates_access"
+ON public.pos_notification_templates
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+CREATE TRIGGER touch_pos_notification_templates_updated_at
+BEFORE UPDATE ON public.pos_notification_templates
+FOR EACH ROW EXECUTE FUNCTION public.touch_updated_at();
+
+CREATE TRIGGER record_pos_notification_templates_tombstone
+AFTER DELETE ON public.pos_notification_templates
+FOR EACH ROW EXECUTE FUNCTION public.record_sync_tombstone();
+
+INSERT INTO public.pos_notification_templates (channel, event, subject, body)
+VALUES
+    ('sms', 'ticket_ready', NULL,
+     'Hi {{customer_name}}, your order #{{ticket_number}} is ready for pickup at {{store_name}}. Total {{total}}.'),
+    ('email', 'ticket_ready', 'Your order #{{ticket_number}} is ready',
+     E'Hi {{customer_name}},\n\nYour order #{{ticket_number}} is ready for pickup at {{store_name}}.\nTotal: {{total}}\n\nSee you soon!')
+ON CONFLICT (channel, event) DO NOTHING;
+
+-- 3. Send log: one row per message, sent or failed
+CREATE TABLE public.pos_ticket_notifications (
+    id UUID PRIMARY KEY,
+    ticket_id UUID NOT NULL REFERENCES public.pos_wash_dry_tickets(id) ON DELETE CASCADE,
+    channel TEXT NOT NULL CHECK (channel IN ('sms', 'email')),
+    recipient TEXT NOT NULL,
+    subject TEXT,
+    body TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+    transport TEXT,
+    provider_message_id TEXT,
+    error TEXT,
+    employee_id UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+    terminal_id TEXT,
+    queued_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMPTZ,
+    recorded_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_pos_ticket_notifications_ticket_id ON public.pos_ticket_notifications(ticket_id, queued_at);
+
+ALTER TABLE public.pos_ticket_notifications ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "flexible_pos_ticket_notifications_access"
+ON public.pos_ticket_notifications
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- 4. Customer mutations now carry the email address
+-- customer.upsert: { "record": { id, full_name, phone, email, notes, created_at } }
+-- ticket.customer: { "record": { ticket_id, customer_id } }
+CREATE OR REPLACE FUNCTION public.apply_customer_mutation(
+    p_idempotency_key TEXT,
+    p_kind TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    row_data JSONB := p_payload->'record';
+BEGIN
+    IF p_idempotency_key IS NULL OR p_kind IS NULL OR row_data IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key, kind and record are required';
+    END IF;
+
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, p_kind)
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    IF p_kind = 'customer.upsert' THEN
+        IF COALESCE(TRIM(row_data->>'full_name'), '') = '' THEN
+            RAISE EXCEPTION 'Customer name is required';
+        END IF;
+
+        INSERT INTO public.customers (id, full_name, phone, email, notes, created_at)
+        VALUES (
+            (row_data->>'id')::UUID,
+            TRIM(row_data->>'full_name'),
+            NULLIF(TRIM(row_data->>'phone'), ''),
+            NULLIF(TRIM(row_data->>'email'), ''),
+            NULLIF(row_data->>'notes', ''),
+            COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP)
+        )
+        ON CONFLICT (id) DO UPDATE SET
+            full_name = EXCLUDED.full_name,
+            phone = EXCLUDED.phone,
+            email = EXCLUDED.email,
+            notes = EXCLUDED.notes;
+
+    ELSIF p_kind = 'ticket.customer' THEN
+        UPDATE public.pos_wash_dry_tickets
+        SET customer_id = (row_data->>'customer_id')::UUID,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = (row_data->>'ticket_id')::UUID;
+
+        -- The ticket is still queued behind this entry; fail so the outbox retries it
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Ticket % has not been synced yet', row_data->>'ticket_id';
+        END IF;
+
+    ELSE
+        RAISE EXCEPTION 'Unknown customer mutation kind: %', p_kind;
+    END IF;
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false);
+END;
+$function$;
+
+-- 5. Log a ticket.notify outbox entry exactly once. The terminal delivers the message
+-- before sending this, so the row records the outcome.
+-- { "record": { id, ticket_id, channel, recipient, subject, body, status, transport,
+--   provider_message_id, error, employee_id, terminal_id, queued_at, sent_at } }
+CREATE OR REPLACE FUNCTION public.apply_ticket_notification(
+    p_idempotency_key TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    row_data JSONB := p_payload->'record';
+BEGIN
+    IF p_idempotency_key IS NULL OR row_data IS NULL OR row_data->>'ticket_id' IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key and ticket_id are required';
+    END IF;
+
+    -- The ticket is queued ahead of its messages; fail so the outbox retries
+    PERFORM 1 FROM public.pos_wash_dry_tickets WHERE id = (row_data->>'ticket_id')::UUID;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Ticket % has not been synced yet', row_data->>'ticket_id';
+    END IF;
+
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, 'ticket.notify')
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    INSERT INTO public.pos_ticket_notifications (
+        id, ticket_id, channel, recipient, subject, body, status, transport,
+        provider_message_id, error, employee_id, terminal_id, queued_at, sent_at
+    )
+    VALUES (
+        (row_data->>'id')::UUID,
+        (row_data->>'ticket_id')::UUID,
+        row_data->>'channel',
+        row_data->>'recipient',
+        NULLIF(row_data->>'subject', ''),
+        row_data->>'body',
+        row_data->>'status',
+        row_data->>'transport',
+        row_data->>'provider_message_id',
+        row_data->>'error',
+        -- Employees removed since keep the message, without its sender
+        (SELECT id FROM public.user_profiles WHERE id = (row_data->>'employee_id')::UUID),
+        row_data->>'terminal_id',
+        COALESCE((row_data->>'queued_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+        (row_data->>'sent_at')::TIMESTAMPTZ
+    )
+    ON CONFLICT (id) DO NOTHING;
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_ticket_notification(TEXT, JSONB) TO anon, authenticated;
@@ -0,0 +1,63 @@
+-- Location: supabase/migrations/20251020010000_add_ticket_import.sql
+-- Schema Analysis: pos_wash_dry_tickets records the session but not who wrote the ticket, and apply_pos_mutation only copies the ticket's number, amounts and time
+-- Integration Type: Enhancement - Provenance for tickets imported in bulk from a sheet of paper tickets
+-- Dependencies: pos_wash_dry_tickets, user_profiles, pos_sync_mutations tables
+
+-- During an outage staff write tickets on paper and later import them on a terminal
+-- from a CSV or Excel sheet. Imported tickets sync like typed ones; a ticket.import
+-- entry then records the employee named on the paper ticket, when it was imported and
+-- the import it came with, so the paper backlog can be told apart and traced.
+
+-- 1. Who wrote the ticket and which import brought it in
+ALTER TABLE public.pos_wash_dry_tickets
+ADD COLUMN IF NOT EXISTS employee_id UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS imported_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS import_batch_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_pos_wash_dry_tickets_import_batch_id
+ON public.pos_wash_dry_tickets(import_batch_id)
+WHERE import_batch_id IS NOT NULL;
+
+-- 2. Apply a ticket.import outbox entry exactly once
+-- { "record": { ticket_id, employee_id, imported_at, import_batch_id } }
+CREATE OR REPLACE FUNCTION public.apply_ticket_import(
+    p_idempotency_key TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    row_data JSONB := p_payload->'record';
+BEGIN
+    IF p_idempotency_key IS NULL OR row_data IS NULL OR row_data->>'ticket_id' IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key and ticket_id are required';
+    END IF;
+
+    -- The ticket is queued ahead of its import details; fail so the outbox retries
+    PERFORM 1 FROM public.pos_wash_dry_tickets WHERE id = (row_data->>'ticket_id')::UUID;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Ticket % has not been synced yet', row_data->>'ticket_id';
+    END IF;
+
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, 'ticket.import')
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    UPDATE public.pos_wash_dry_tickets
+    SET employee_id = (SELECT id FROM public.user_profiles WHERE id = (row_data->>'employee_id')::UUID),
+        imported_at = COALESCE((row_data->>'imported_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+        import_batch_id = (row_data->>'import_batch_id')::UUID,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = (row_data->>'ticket_id')::UUID;
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_ticket_import(TEXT, JSONB) TO anon, authenticated;
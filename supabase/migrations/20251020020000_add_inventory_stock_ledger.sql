@@ -0,0 +1,151 @@
+-- Location: supabase/migrations/20251020020000_add_inventory_stock_ledger.sql
+-- Schema Analysis: pos_inventory_items keeps one start/add/sold/left snapshot per item per session, overwritten on every change; pos_inventory_sales records sales rung up on the receipt
+-- Integration Type: Enhancement - Append-only stock movement ledger with on-hand derived from it
+-- Dependencies: pos_inventory_items, pos_inventory_sales, pos_sessions, user_profiles, pos_sync_mutations tables
+
+-- Every change to stock is recorded as a movement: received, sold, adjusted (count
+-- corrections), damaged or transferred, with a signed quantity, when it happened, who
+-- recorded it and why. Movements are never updated or deleted; a mistake is put right
+-- with another movement. On-hand is the sum of an item's movements
+-- (pos_inventory_on_hand). Terminals record movements through the outbox and pull the
+-- ledger like the reference data, and their grid's start/add/sold/left columns are
+-- computed from it; pos_inventory_items stays as the per-session view of those columns.
+
+-- 1. The ledger
+CREATE TABLE public.pos_inventory_movements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    item_name TEXT NOT NULL,
+    movement_type TEXT NOT NULL CHECK (movement_type IN ('received', 'sold', 'adjusted', 'damaged', 'transferred')),
+    -- Units in (positive) or out (negative)
+    quantity INTEGER NOT NULL CHECK (quantity <> 0),
+    reason TEXT,
+    pos_session_id UUID REFERENCES public.pos_sessions(id) ON DELETE SET NULL,
+    sale_id UUID REFERENCES public.pos_inventory_sales(id) ON DELETE SET NULL,
+    employee_id UUID REFERENCES public.user_profiles(id) ON DELETE SET NULL,
+    terminal_id TEXT,
+    occurred_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    recorded_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    -- Set once on insert; the incremental pull reads from it
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CHECK (movement_type <> 'damaged' OR quantity < 0),
+    CHECK (movement_type IN ('received', 'sold') OR COALESCE(TRIM(reason), '') <> '')
+);
+
+CREATE INDEX idx_pos_inventory_movements_item ON public.pos_inventory_movements(LOWER(TRIM(item_name)), occurred_at);
+CREATE INDEX idx_pos_inventory_movements_session_id ON public.pos_inventory_movements(pos_session_id);
+CREATE INDEX idx_pos_inventory_movements_updated_at ON public.pos_inventory_movements(updated_at, id);
+
+ALTER TABLE public.pos_inventory_movements ENABLE ROW LEVEL SECURITY;
+
+-- Read and append only: there are no update or delete policies
+CREATE POLICY "read_pos_inventory_movements"
+ON public.pos_inventory_movements
+FOR SELECT
+USING (true);
+
+CREATE POLICY "append_pos_inventory_movements"
+ON public.pos_inventory_movements
+FOR INSERT
+WITH CHECK (true);
+
+-- 2. Stock on hand per item, with the totals behind it
+CREATE OR REPLACE VIEW public.pos_inventory_on_hand AS
+SELECT
+    LOWER(TRIM(item_name)) AS item_key,
+    MAX(item_name) AS item_name,
+    SUM(quantity)::INTEGER AS on_hand,
+    COALESCE(SUM(quantity) FILTER (WHERE movement_type = 'received'), 0)::INTEGER AS received,
+    COALESCE(-SUM(quantity) FILTER (WHERE movement_type = 'sold'), 0)::INTEGER AS sold,
+    COALESCE(SUM(quantity) FILTER (WHERE movement_type = 'adjusted'), 0)::INTEGER AS adjusted,
+    COALESCE(-SUM(quantity) FILTER (WHERE movement_type = 'damaged'), 0)::INTEGER AS damaged,
+    COALESCE(SUM(quantity) FILTER (WHERE movement_type = 'transferred'), 0)::INTEGER AS transferred,
+    MAX(occurred_at) FILTER (WHERE movement_type = 'received') AS last_received_at,
+    MAX(occurred_at) AS last_movement_at
+FROM public.pos_inventory_movements
+GROUP BY LOWER(TRIM(item_name));
+
+GRANT SELECT ON public.pos_inventory_on_hand TO anon, authenticated;
+
+-- 3. Opening balances: the last count left on any session, per item
+INSERT INTO public.pos_inventory_movements (item_name, movement_type, quantity, reason, occurred_at)
+SELECT item_name, 'adjusted', left_count, 'Opening balance from the session counts', COALESCE(updated_at, CURRENT_TIMESTAMP)
+FROM (
+    SELECT DISTINCT ON (LOWER(TRIM(item_name))) item_name, left_count, updated_at
+    FROM public.pos_inventory_items
+    WHERE pos_session_id IS NOT NULL
+    ORDER BY LOWER(TRIM(item_name)), updated_at DESC NULLS LAST
+) latest
+WHERE left_count <> 0;
+
+-- 4. Apply a stock.movement outbox entry exactly once
+-- { "record": { id, item_name, movement_type, quantity, reason, pos_session_id, sale_id,
+--               employee_id, terminal_id, occurred_at },
+--   "session": { id, employee_id, session_date } }
+CREATE OR REPLACE FUNCTION public.apply_inventory_movement(
+    p_idempotency_key TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    row_data JSONB := p_payload->'record';
+    session_data JSONB := p_payload->'session';
+BEGIN
+    IF p_idempotency_key IS NULL OR row_data IS NULL OR row_data->>'id' IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key and movement id are required';
+    END IF;
+
+    -- A sold movement is queued after its sale; fail so the outbox retries
+    IF row_data->>'sale_id' IS NOT NULL THEN
+        PERFORM 1 FROM public.pos_inventory_sales WHERE id = (row_data->>'sale_id')::UUID;
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Sale % has not been synced yet', row_data->>'sale_id';
+        END IF;
+    END IF;
+
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, 'stock.movement')
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    -- The session may still be queued behind this movement
+    IF session_data IS NOT NULL THEN
+        INSERT INTO public.pos_sessions (id, employee_id, session_date, status)
+        VALUES (
+            (session_data->>'id')::UUID,
+            (session_data->>'employee_id')::UUID,
+            COALESCE((session_data->>'session_date')::DATE, CURRENT_DATE),
+            'active'::public.pos_session_status
+        )
+        ON CONFLICT (id) DO NOTHING;
+    END IF;
+
+    INSERT INTO public.pos_inventory_movements (
+        id, item_name, movement_type, quantity, reason, pos_session_id, sale_id,
+        employee_id, terminal_id, occurred_at
+    )
+    VALUES (
+        (row_data->>'id')::UUID,
+        row_data->>'item_name',
+        row_data->>'movement_type',
+        (row_data->>'quantity')::INTEGER,
+        NULLIF(TRIM(row_data->>'reason'), ''),
+        (row_data->>'pos_session_id')::UUID,
+        (row_data->>'sale_id')::UUID,
+        -- Employees removed since keep their movements, without the name
+        (SELECT id FROM public.user_profiles WHERE id = (row_data->>'employee_id')::UUID),
+        row_data->>'terminal_id',
+        COALESCE((row_data->>'occurred_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP)
+    )
+    ON CONFLICT (id) DO NOTHING;
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_inventory_movement(TEXT, JSONB) TO anon, authenticated;
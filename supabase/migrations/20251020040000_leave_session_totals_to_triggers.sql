@@ -0,0 +1,160 @@
+-- Location: supabase/migrations/20251020040000_leave_session_totals_to_triggers.sql
+-- Schema Analysis: the session.upsert branch of apply_pos_mutation writes the terminal's inventory_total, wash_dry_total and grand_total over the ones the update_pos_session_totals triggers keep
+-- Integration Type: Enhancement - Session totals owned by the server on session.upsert
+-- Dependencies: pos_sessions, pos_inventory_items, pos_wash_dry_tickets, employee_timesheets, pos_sync_mutations tables
+
+-- A terminal's totals miss edits, voids and refunds made elsewhere, so a session.upsert
+-- entry now only writes the session's cash and notes and leaves the totals to the
+-- update_pos_session_totals triggers.
+
+CREATE OR REPLACE FUNCTION public.apply_pos_mutation(
+    p_idempotency_key TEXT,
+    p_kind TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    session_data JSONB;
+    row_data JSONB;
+BEGIN
+    IF p_idempotency_key IS NULL OR p_kind IS NULL OR p_payload IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key, kind and payload are required';
+    END IF;
+
+    -- Claim the key; a duplicate means this entry was already applied
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, p_kind)
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    row_data := p_payload->'record';
+    session_data := p_payload->'session';
+
+    -- Tickets and inventory rows reference a session that may still be queued behind them
+    IF session_data IS NOT NULL AND p_kind <> 'session.upsert' THEN
+        INSERT INTO public.pos_sessions (id, employee_id, session_date, status)
+        VALUES (
+            (session_data->>'id')::UUID,
+            (session_data->>'employee_id')::UUID,
+            COALESCE((session_data->>'session_date')::DATE, CURRENT_DATE),
+            'active'::public.pos_session_status
+        )
+        ON CONFLICT (id) DO NOTHING;
+    END IF;
+
+    -- Session totals are left to the update_pos_session_totals triggers
+    IF p_kind = 'session.upsert' THEN
+        INSERT INTO public.pos_sessions (
+            id, employee_id, session_date, status, notes,
+            cash_started, cash_added, coins_used, cash_total,
+            created_at, updated_at
+        )
+        VALUES (
+            (row_data->>'id')::UUID,
+            (row_data->>'employee_id')::UUID,
+            COALESCE((row_data->>'session_date')::DATE, CURRENT_DATE),
+            COALESCE((row_data->>'status')::public.pos_session_status, 'active'::public.pos_session_status),
+            row_data->>'notes',
+            COALESCE((row_data->>'cash_started')::DECIMAL, 0),
+            COALESCE((row_data->>'cash_added')::DECIMAL, 0),
+            COALESCE((row_data->>'coins_used')::DECIMAL, 0),
+            COALESCE((row_data->>'cash_total')::DECIMAL, 0),
+            COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO UPDATE SET
+            status = EXCLUDED.status,
+            notes = EXCLUDED.notes,
+            cash_started = EXCLUDED.cash_started,
+            cash_added = EXCLUDED.cash_added,
+            coins_used = EXCLUDED.coins_used,
+            cash_total = EXCLUDED.cash_total,
+            updated_at = CURRENT_TIMESTAMP;
+
+    ELSIF p_kind = 'ticket.insert' THEN
+        INSERT INTO public.pos_wash_dry_tickets (
+            id, pos_session_id, ticket_number,
+            wash_amount, dry_amount, total_amount,
+            created_at, updated_at
+        )
+        VALUES (
+            (row_data->>'id')::UUID,
+            (row_data->>'pos_session_id')::UUID,
+            row_data->>'ticket_number',
+            COALESCE((row_data->>'wash_amount')::DECIMAL, 0),
+            COALESCE((row_data->>'dry_amount')::DECIMAL, 0),
+            COALESCE((row_data->>'total_amount')::DECIMAL, 0),
+            COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO NOTHING;
+
+    ELSIF p_kind = 'inventory.upsert' THEN
+        -- One inventory row per item per session, matched by name
+        UPDATE public.pos_inventory_items
+        SET quantity = COALESCE((row_data->>'quantity')::INTEGER, 1),
+            price = COALESCE((row_data->>'price')::DECIMAL, 0),
+            start_count = COALESCE((row_data->>'start_count')::INTEGER, 0),
+            add_count = COALESCE((row_data->>'add_count')::INTEGER, 0),
+            sold_count = COALESCE((row_data->>'sold_count')::INTEGER, 0),
+            left_count = COALESCE((row_data->>'left_count')::INTEGER, 0),
+            total_amount = COALESCE((row_data->>'total_amount')::DECIMAL, 0),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE pos_session_id = (row_data->>'pos_session_id')::UUID
+        AND item_name = row_data->>'item_name';
+
+        IF NOT FOUND THEN
+            INSERT INTO public.pos_inventory_items (
+                pos_session_id, item_name, quantity, price,
+                start_count, add_count, sold_count, left_count, total_amount
+            )
+            VALUES (
+                (row_data->>'pos_session_id')::UUID,
+                row_data->>'item_name',
+                COALESCE((row_data->>'quantity')::INTEGER, 1),
+                COALESCE((row_data->>'price')::DECIMAL, 0),
+                COALESCE((row_data->>'start_count')::INTEGER, 0),
+                COALESCE((row_data->>'add_count')::INTEGER, 0),
+                COALESCE((row_data->>'sold_count')::INTEGER, 0),
+                COALESCE((row_data->>'left_count')::INTEGER, 0),
+                COALESCE((row_data->>'total_amount')::DECIMAL, 0)
+            );
+        END IF;
+
+    ELSIF p_kind = 'timesheet.upsert' THEN
+        INSERT INTO public.employee_timesheets (
+            id, employee_id, clock_in_time, clock_out_time,
+            session_date, status, notes, created_at, updated_at
+        )
+        VALUES (
+            (row_data->>'id')::UUID,
+            (row_data->>'employee_id')::UUID,
+            (row_data->>'clock_in_time')::TIMESTAMPTZ,
+            (row_data->>'clock_out_time')::TIMESTAMPTZ,
+            COALESCE((row_data->>'session_date')::DATE, CURRENT_DATE),
+            COALESCE((row_data->>'status')::public.clock_status, 'clocked_in'::public.clock_status),
+            row_data->>'notes',
+            COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO UPDATE SET
+            clock_out_time = EXCLUDED.clock_out_time,
+            status = EXCLUDED.status,
+            notes = COALESCE(EXCLUDED.notes, public.employee_timesheets.notes),
+            updated_at = CURRENT_TIMESTAMP;
+
+    ELSE
+        RAISE EXCEPTION 'Unknown POS mutation kind: %', p_kind;
+    END IF;
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_pos_mutation(TEXT, TEXT, JSONB) TO anon, authenticated;
@@ -0,0 +1,153 @@
+-- Location: supabase/migrations/20251020050000_add_ticket_number_refill_threshold.sql
+-- Schema Analysis: lease_ticket_numbers() leases a block on every call, and the terminal decides on its own when to ask
+-- Integration Type: Enhancement - Store-wide refill threshold for ticket number leases
+-- Dependencies: pos_ticket_numbering_settings, pos_ticket_daily_sequence, pos_ticket_sequence, pos_ticket_number_leases tables
+
+-- A terminal asks for a block whenever it syncs and says how many numbers it has left;
+-- the server only leases when that is below the store-wide refill threshold, and the
+-- block is never smaller than the threshold. A terminal that runs out issues no numbers
+-- until it can lease again.
+
+-- 1. Lease another block when a terminal has fewer numbers than this left
+ALTER TABLE public.pos_ticket_numbering_settings
+ADD COLUMN IF NOT EXISTS refill_threshold INTEGER NOT NULL DEFAULT 20 CHECK (refill_threshold BETWEEN 1 AND 1000);
+
+-- The new parameters would otherwise leave the old signatures as ambiguous overloads
+DROP FUNCTION IF EXISTS public.lease_ticket_numbers(TEXT, DATE, INTEGER);
+DROP FUNCTION IF EXISTS public.set_ticket_numbering_mode(TEXT, INTEGER);
+
+-- 2. Lease the next block of numbers for a terminal that has fewer than
+-- refill_threshold left (p_remaining, in the sequence it asked for)
+-- Returns { leased, sequence_key, reset_mode, refill_threshold, lease_id, range_start, range_end };
+-- the lease fields are only set when leased is true
+CREATE OR REPLACE FUNCTION public.lease_ticket_numbers(
+    p_terminal_id TEXT,
+    p_session_date DATE DEFAULT CURRENT_DATE,
+    p_block_size INTEGER DEFAULT NULL,
+    p_remaining INTEGER DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    settings RECORD;
+    block INTEGER;
+    threshold INTEGER;
+    counter_id UUID;
+    last_number INTEGER;
+    target_key TEXT;
+    new_lease_id UUID;
+BEGIN
+    IF p_terminal_id IS NULL OR p_terminal_id = '' THEN
+        RAISE EXCEPTION 'A terminal id is required to lease ticket numbers';
+    END IF;
+
+    SELECT reset_mode, block_size, refill_threshold INTO settings
+    FROM public.pos_ticket_numbering_settings
+    LIMIT 1;
+
+    threshold := COALESCE(settings.refill_threshold, 20);
+    -- One block always brings a terminal back above the threshold
+    block := GREATEST(COALESCE(p_block_size, settings.block_size, 50), threshold);
+
+    IF COALESCE(settings.reset_mode, 'continuous') = 'daily' THEN
+        target_key := COALESCE(p_session_date, CURRENT_DATE)::TEXT;
+    ELSE
+        target_key := 'continuous';
+    END IF;
+
+    -- Enough left: nothing to lease. The terminal compares the reset mode with its own,
+    -- since p_remaining counted its numbers for the sequence it thought was current.
+    IF p_remaining IS NOT NULL AND p_remaining >= threshold THEN
+        RETURN jsonb_build_object(
+            'leased', false,
+            'sequence_key', target_key,
+            'reset_mode', COALESCE(settings.reset_mode, 'continuous'),
+            'refill_threshold', threshold
+        );
+    END IF;
+
+    IF COALESCE(settings.reset_mode, 'continuous') = 'daily' THEN
+        INSERT INTO public.pos_ticket_daily_sequence (sequence_date, last_ticket_number)
+        VALUES (COALESCE(p_session_date, CURRENT_DATE), 0)
+        ON CONFLICT (sequence_date) DO NOTHING;
+
+        SELECT last_ticket_number INTO last_number
+        FROM public.pos_ticket_daily_sequence
+        WHERE sequence_date = COALESCE(p_session_date, CURRENT_DATE)
+        FOR UPDATE;
+
+        UPDATE public.pos_ticket_daily_sequence
+        SET last_ticket_number = last_number + block,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE sequence_date = COALESCE(p_session_date, CURRENT_DATE);
+    ELSE
+        -- Continuous numbering keeps using the existing counter row
+        SELECT id, last_ticket_number INTO counter_id, last_number
+        FROM public.pos_ticket_sequence
+        ORDER BY updated_at DESC
+        LIMIT 1
+        FOR UPDATE;
+
+        IF counter_id IS NULL THEN
+            SELECT COALESCE(MAX(CAST(ticket_number AS INTEGER)), 0)
+            INTO last_number
+            FROM public.pos_wash_dry_tickets
+            WHERE ticket_number ~ '^[0-9]+$';
+
+            INSERT INTO public.pos_ticket_sequence (last_ticket_number, updated_by)
+            VALUES (last_number, COALESCE(auth.uid(), NULL))
+            RETURNING id INTO counter_id;
+        END IF;
+
+        UPDATE public.pos_ticket_sequence
+        SET last_ticket_number = last_number + block,
+            updated_at = CURRENT_TIMESTAMP,
+            updated_by = COALESCE(auth.uid(), NULL)
+        WHERE id = counter_id;
+    END IF;
+
+    INSERT INTO public.pos_ticket_number_leases (terminal_id, sequence_key, range_start, range_end)
+    VALUES (p_terminal_id, target_key, last_number + 1, last_number + block)
+    RETURNING id INTO new_lease_id;
+
+    RETURN jsonb_build_object(
+        'leased', true,
+        'lease_id', new_lease_id,
+        'sequence_key', target_key,
+        'reset_mode', COALESCE(settings.reset_mode, 'continuous'),
+        'refill_threshold', threshold,
+        'range_start', last_number + 1,
+        'range_end', last_number + block
+    );
+END;
+$function$;
+
+-- 3. Change the store-wide reset mode, block size and refill threshold (admin only when authenticated)
+CREATE OR REPLACE FUNCTION public.set_ticket_numbering_mode(
+    p_reset_mode TEXT,
+    p_block_size INTEGER DEFAULT NULL,
+    p_refill_threshold INTEGER DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Authentication required to change ticket numbering';
+    END IF;
+
+    UPDATE public.pos_ticket_numbering_settings
+    SET reset_mode = p_reset_mode,
+        block_size = COALESCE(p_block_size, block_size),
+        refill_threshold = COALESCE(p_refill_threshold, refill_threshold),
+        updated_at = CURRENT_TIMESTAMP;
+
+    RETURN true;
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.lease_ticket_numbers(TEXT, DATE, INTEGER, INTEGER) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.set_ticket_numbering_mode(TEXT, INTEGER, INTEGER) TO authenticated;
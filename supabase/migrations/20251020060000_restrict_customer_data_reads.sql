@@ -0,0 +1,27 @@
+-- Location: supabase/migrations/20251020060000_restrict_customer_data_reads.sql
+-- Schema Analysis: customers and pos_ticket_notifications have open FOR ALL policies, so anyone with the public anon key can read and rewrite them
+-- Integration Type: Enhancement - Signed-in reads only for customer data, writes through the SECURITY DEFINER functions
+-- Dependencies: customers, pos_ticket_notifications tables
+
+-- Customers and the messages sent to them are personal data, so unlike the ticket
+-- sequence counter they are not open to the public anon key: only signed-in users can
+-- read them. Writes go through apply_customer_mutation() and apply_ticket_notification()
+-- alone, so there are no write policies.
+
+-- 1. Customers
+DROP POLICY IF EXISTS "flexible_customers_access" ON public.customers;
+
+CREATE POLICY "authenticated_read_customers"
+ON public.customers
+FOR SELECT
+TO authenticated
+USING (true);
+
+-- 2. Send log: message bodies and addresses
+DROP POLICY IF EXISTS "flexible_pos_ticket_notifications_access" ON public.pos_ticket_notifications;
+
+CREATE POLICY "authenticated_read_pos_ticket_notifications"
+ON public.pos_ticket_notifications
+FOR SELECT
+TO authenticated
+USING (true);
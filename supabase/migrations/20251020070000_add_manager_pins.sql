@@ -0,0 +1,279 @@
+-- Location: supabase/migrations/20251020070000_add_manager_pins.sql
+-- Schema Analysis: voids and refunds are approved with the shared admin PIN kept on the terminal, and pos_ticket_adjustments.approved_by only says 'manager_pin'
+-- Integration Type: Enhancement - Per-manager PINs checked on the server, with the approving manager recorded
+-- Dependencies: pos_ticket_adjustments, pos_wash_dry_tickets, pos_sessions, user_profiles, pos_sync_mutations tables, is_admin_operation()
+
+-- Voids and refunds need a manager's approval: the manager picks their name on the
+-- terminal and enters their own PIN, which is checked here against pos_manager_pins and
+-- never stored on the terminal. Each adjustment records the manager who approved it.
+
+-- 1. Manager PINs: only the bcrypt hash is kept, and five wrong entries lock the PIN
+CREATE TABLE public.pos_manager_pins (
+    manager_id UUID PRIMARY KEY REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    pin_hash TEXT NOT NULL,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- No policies: the table is only reached through the functions below
+ALTER TABLE public.pos_manager_pins ENABLE ROW LEVEL SECURITY;
+
+-- Set by an admin from the dashboard, or by the signed-in manager for themselves
+CREATE OR REPLACE FUNCTION public.set_manager_pin(
+    p_manager_id UUID,
+    p_pin TEXT
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+BEGIN
+    IF NOT (public.is_admin_operation() OR auth.uid() = p_manager_id) THEN
+        RAISE EXCEPTION 'Only an admin or the manager can set this PIN';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.user_profiles
+        WHERE id = p_manager_id AND role IN ('admin'::public.user_role, 'manager'::public.user_role)
+    ) THEN
+        RAISE EXCEPTION 'Only managers and admins can have a manager PIN';
+    END IF;
+
+    IF p_pin IS NULL OR p_pin !~ '^[0-9]{4,8}$' THEN
+        RAISE EXCEPTION 'The PIN must be 4 to 8 digits';
+    END IF;
+
+    INSERT INTO public.pos_manager_pins (manager_id, pin_hash, failed_attempts, locked_until, updated_at)
+    VALUES (p_manager_id, crypt(p_pin, gen_salt('bf', 10)), 0, NULL, CURRENT_TIMESTAMP)
+    ON CONFLICT (manager_id) DO UPDATE
+    SET pin_hash = EXCLUDED.pin_hash,
+        failed_attempts = 0,
+        locked_until = NULL,
+        updated_at = CURRENT_TIMESTAMP;
+END;
+$function$;
+
+-- Returns NULL when the PIN is right, otherwise why it was refused: not_a_manager,
+-- no_pin, locked or wrong_pin. A wrong PIN is counted, so callers must not raise after it.
+CREATE OR REPLACE FUNCTION public.check_manager_pin(
+    p_manager_id UUID,
+    p_pin TEXT
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    pin_row public.pos_manager_pins%ROWTYPE;
+BEGIN
+    IF p_manager_id IS NULL OR NOT EXISTS (
+        SELECT 1 FROM public.user_profiles
+        WHERE id = p_manager_id AND role IN ('admin'::public.user_role, 'manager'::public.user_role)
+    ) THEN
+        RETURN 'not_a_manager';
+    END IF;
+
+    SELECT * INTO pin_row
+    FROM public.pos_manager_pins
+    WHERE manager_id = p_manager_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN 'no_pin';
+    END IF;
+
+    IF pin_row.locked_until > CURRENT_TIMESTAMP THEN
+        RETURN 'locked';
+    END IF;
+
+    IF pin_row.pin_hash = crypt(COALESCE(p_pin, ''), pin_row.pin_hash) THEN
+        UPDATE public.pos_manager_pins
+        SET failed_attempts = 0, locked_until = NULL
+        WHERE manager_id = p_manager_id;
+        RETURN NULL;
+    END IF;
+
+    UPDATE public.pos_manager_pins
+    SET failed_attempts = CASE WHEN failed_attempts + 1 >= 5 THEN 0 ELSE failed_attempts + 1 END,
+        locked_until = CASE WHEN failed_attempts + 1 >= 5 THEN CURRENT_TIMESTAMP + INTERVAL '15 minutes' ELSE NULL END
+    WHERE manager_id = p_manager_id;
+    RETURN 'wrong_pin';
+END;
+$function$;
+
+-- Lets an online terminal tell the manager right away whether the PIN was accepted
+CREATE OR REPLACE FUNCTION public.verify_manager_pin(
+    p_manager_id UUID,
+    p_pin TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    refusal TEXT := public.check_manager_pin(p_manager_id, p_pin);
+BEGIN
+    RETURN jsonb_build_object('approved', refusal IS NULL, 'reason', refusal);
+END;
+$function$;
+
+-- 2. approved_by is the manager whose PIN approved it, instead of the fixed 'manager_pin'
+-- marker, which named nobody
+ALTER TABLE public.pos_ticket_adjustments
+ALTER COLUMN approved_by DROP DEFAULT,
+ALTER COLUMN approved_by DROP NOT NULL,
+ALTER COLUMN approved_by TYPE UUID USING NULL::UUID;
+
+ALTER TABLE public.pos_ticket_adjustments
+ADD CONSTRAINT pos_ticket_adjustments_approved_by_fkey
+FOREIGN KEY (approved_by) REFERENCES public.user_profiles(id) ON DELETE SET NULL;
+
+-- 3. Apply a void or refund from the terminal outbox exactly once, once the PIN is accepted
+-- Payload: { "record": { id, ticket_id, pos_session_id, kind, amount, reason, employee_id, terminal_id, approved_by, created_at },
+--            "approval": { manager_id, pin },
+--            "ticket": { id, pos_session_id, ticket_number, wash_amount, dry_amount, total_amount, created_at },
+--            "session": { id, employee_id, session_date } }
+-- A refused PIN returns { applied: false, rejected: true, reason } instead of raising, so
+-- the failed attempt still counts towards the lockout.
+CREATE OR REPLACE FUNCTION public.apply_ticket_adjustment(
+    p_idempotency_key TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    row_data JSONB := p_payload->'record';
+    ticket_data JSONB := p_payload->'ticket';
+    session_data JSONB := p_payload->'session';
+    target_ticket_id UUID;
+    target_kind public.ticket_adjustment_kind;
+    adjustment_at TIMESTAMPTZ;
+    adjustment_amount DECIMAL(10,2);
+    ticket_row public.pos_wash_dry_tickets%ROWTYPE;
+    approver_id UUID := (p_payload->'approval'->>'manager_id')::UUID;
+    refusal TEXT;
+BEGIN
+    IF p_idempotency_key IS NULL OR row_data IS NULL OR row_data->>'ticket_id' IS NULL OR row_data->>'kind' IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key, ticket id and kind are required';
+    END IF;
+
+    IF COALESCE(TRIM(row_data->>'reason'), '') = '' THEN
+        RAISE EXCEPTION 'A reason is required';
+    END IF;
+
+    -- A retry of an applied entry needs no second approval
+    IF EXISTS (SELECT 1 FROM public.pos_sync_mutations WHERE idempotency_key = p_idempotency_key) THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    refusal := public.check_manager_pin(approver_id, p_payload->'approval'->>'pin');
+    IF refusal IS NOT NULL THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', false, 'rejected', true, 'reason', refusal);
+    END IF;
+
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, 'ticket.adjustment')
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    target_ticket_id := (row_data->>'ticket_id')::UUID;
+    target_kind := (row_data->>'kind')::public.ticket_adjustment_kind;
+    adjustment_at := COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP);
+
+    -- The session and ticket may still be queued behind this entry on another path
+    IF session_data IS NOT NULL THEN
+        INSERT INTO public.pos_sessions (id, employee_id, session_date, status)
+        VALUES (
+            (session_data->>'id')::UUID,
+            (session_data->>'employee_id')::UUID,
+            COALESCE((session_data->>'session_date')::DATE, CURRENT_DATE),
+            'active'::public.pos_session_status
+        )
+        ON CONFLICT (id) DO NOTHING;
+    END IF;
+
+    IF ticket_data IS NOT NULL THEN
+        INSERT INTO public.pos_wash_dry_tickets (
+            id, pos_session_id, ticket_number,
+            wash_amount, dry_amount, total_amount,
+            created_at, updated_at
+        )
+        VALUES (
+            target_ticket_id,
+            (ticket_data->>'pos_session_id')::UUID,
+            ticket_data->>'ticket_number',
+            COALESCE((ticket_data->>'wash_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'dry_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'total_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO NOTHING;
+    END IF;
+
+    SELECT * INTO ticket_row
+    FROM public.pos_wash_dry_tickets
+    WHERE id = target_ticket_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Ticket % has not been synced yet', target_ticket_id;
+    END IF;
+
+    -- Another terminal already voided it; nothing left to reverse
+    IF ticket_row.voided_at IS NOT NULL THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', false, 'reason', 'already_voided');
+    END IF;
+
+    IF target_kind = 'void'::public.ticket_adjustment_kind THEN
+        adjustment_amount := COALESCE(ticket_row.total_amount, 0);
+
+        UPDATE public.pos_wash_dry_tickets
+        SET voided_at = adjustment_at,
+            void_reason = TRIM(row_data->>'reason'),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = target_ticket_id;
+    ELSE
+        adjustment_amount := COALESCE((row_data->>'amount')::DECIMAL, 0);
+
+        IF adjustment_amount <= 0 OR adjustment_amount > COALESCE(ticket_row.total_amount, 0) - ticket_row.refunded_amount THEN
+            RAISE EXCEPTION 'Refund of % exceeds what is left on ticket %', adjustment_amount, ticket_row.ticket_number;
+        END IF;
+
+        UPDATE public.pos_wash_dry_tickets
+        SET refunded_amount = refunded_amount + adjustment_amount,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = target_ticket_id;
+    END IF;
+
+    INSERT INTO public.pos_ticket_adjustments (
+        id, ticket_id, pos_session_id, kind, amount, reason,
+        employee_id, terminal_id, approved_by, created_at
+    )
+    VALUES (
+        COALESCE((row_data->>'id')::UUID, gen_random_uuid()),
+        target_ticket_id,
+        COALESCE((row_data->>'pos_session_id')::UUID, ticket_row.pos_session_id),
+        target_kind,
+        adjustment_amount,
+        TRIM(row_data->>'reason'),
+        (row_data->>'employee_id')::UUID,
+        row_data->>'terminal_id',
+        approver_id,
+        adjustment_at
+    );
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false, 'amount', adjustment_amount);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_ticket_adjustment(TEXT, JSONB) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.verify_manager_pin(UUID, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.set_manager_pin(UUID, TEXT) TO authenticated;
+REVOKE EXECUTE ON FUNCTION public.check_manager_pin(UUID, TEXT) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,15 @@
+-- Location: supabase/migrations/20251020080000_allow_logged_ticket_notifications.sql
+-- Schema Analysis: pos_ticket_notifications.status only allows 'sent' and 'failed'
+-- Integration Type: Enhancement - Separate status for messages only logged for want of a provider
+-- Dependencies: pos_ticket_notifications table
+
+-- A terminal with no SMS or email provider set up only writes the message to its local
+-- log. That was recorded as 'sent', so nobody could tell the customer never got it. Such
+-- messages are now recorded as 'logged'.
+
+ALTER TABLE public.pos_ticket_notifications
+DROP CONSTRAINT IF EXISTS pos_ticket_notifications_status_check;
+
+ALTER TABLE public.pos_ticket_notifications
+ADD CONSTRAINT pos_ticket_notifications_status_check
+CHECK (status IN ('sent', 'logged', 'failed'));
@@ -0,0 +1,403 @@
+-- Location: supabase/migrations/20251020090000_keep_imported_ticket_sequences.sql
+-- Schema Analysis: imported paper tickets get the current sequence key from set_ticket_sequence_key, and apply_ticket_import leaves the ticket counters alone
+-- Integration Type: Enhancement - Separate server sequence for imported paper tickets and a counter moved past them
+-- Dependencies: pos_wash_dry_tickets, pos_sessions, pos_sync_mutations, pos_ticket_sequence, pos_ticket_daily_sequence, pos_ticket_numbering_settings tables
+
+-- A paper number may already be in use on the server, since the terminal only checked
+-- its own tickets. Imported tickets are therefore inserted under their own sequence key,
+-- 'import:<batch>', instead of the leased sequence, so they never collide with it. The
+-- import entry then moves the store's counter past the highest imported number, so
+-- numbers leased from now on don't repeat the paper ones.
+
+-- 1. ticket.insert takes the ticket's sequence key when the terminal sends one
+CREATE OR REPLACE FUNCTION public.apply_pos_mutation(
+    p_idempotency_key TEXT,
+    p_kind TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    session_data JSONB;
+    row_data JSONB;
+BEGIN
+    IF p_idempotency_key IS NULL OR p_kind IS NULL OR p_payload IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key, kind and payload are required';
+    END IF;
+
+    -- Claim the key; a duplicate means this entry was already applied
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, p_kind)
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    row_data := p_payload->'record';
+    session_data := p_payload->'session';
+
+    -- Tickets and inventory rows reference a session that may still be queued behind them
+    IF session_data IS NOT NULL AND p_kind <> 'session.upsert' THEN
+        INSERT INTO public.pos_sessions (id, employee_id, session_date, status)
+        VALUES (
+            (session_data->>'id')::UUID,
+            (session_data->>'employee_id')::UUID,
+            COALESCE((session_data->>'session_date')::DATE, CURRENT_DATE),
+            'active'::public.pos_session_status
+        )
+        ON CONFLICT (id) DO NOTHING;
+    END IF;
+
+    -- Session totals are left to the update_pos_session_totals triggers
+    IF p_kind = 'session.upsert' THEN
+        INSERT INTO public.pos_sessions (
+            id, employee_id, session_date, status, notes,
+            cash_started, cash_added, coins_used, cash_total,
+            created_at, updated_at
+        )
+        VALUES (
+            (row_data->>'id')::UUID,
+            (row_data->>'employee_id')::UUID,
+            COALESCE((row_data->>'session_date')::DATE, CURRENT_DATE),
+            COALESCE((row_data->>'status')::public.pos_session_status, 'active'::public.pos_session_status),
+            row_data->>'notes',
+            COALESCE((row_data->>'cash_started')::DECIMAL, 0),
+            COALESCE((row_data->>'cash_added')::DECIMAL, 0),
+            COALESCE((row_data->>'coins_used')::DECIMAL, 0),
+            COALESCE((row_data->>'cash_total')::DECIMAL, 0),
+            COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO UPDATE SET
+            status = EXCLUDED.status,
+            notes = EXCLUDED.notes,
+            cash_started = EXCLUDED.cash_started,
+            cash_added = EXCLUDED.cash_added,
+            coins_used = EXCLUDED.coins_used,
+            cash_total = EXCLUDED.cash_total,
+            updated_at = CURRENT_TIMESTAMP;
+
+    ELSIF p_kind = 'ticket.insert' THEN
+        -- ticket_sequence_key is only sent for imported paper tickets ('import:<batch>');
+        -- otherwise the set_ticket_sequence_key trigger picks the current sequence
+        INSERT INTO public.pos_wash_dry_tickets (
+            id, pos_session_id, ticket_number,
+            wash_amount, dry_amount, total_amount,
+            ticket_sequence_key, created_at, updated_at
+        )
+        VALUES (
+            (row_data->>'id')::UUID,
+            (row_data->>'pos_session_id')::UUID,
+            row_data->>'ticket_number',
+            COALESCE((row_data->>'wash_amount')::DECIMAL, 0),
+            COALESCE((row_data->>'dry_amount')::DECIMAL, 0),
+            COALESCE((row_data->>'total_amount')::DECIMAL, 0),
+            NULLIF(row_data->>'ticket_sequence_key', ''),
+            COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO NOTHING;
+
+    ELSIF p_kind = 'inventory.upsert' THEN
+        -- One inventory row per item per session, matched by name
+        UPDATE public.pos_inventory_items
+        SET quantity = COALESCE((row_data->>'quantity')::INTEGER, 1),
+            price = COALESCE((row_data->>'price')::DECIMAL, 0),
+            start_count = COALESCE((row_data->>'start_count')::INTEGER, 0),
+            add_count = COALESCE((row_data->>'add_count')::INTEGER, 0),
+            sold_count = COALESCE((row_data->>'sold_count')::INTEGER, 0),
+            left_count = COALESCE((row_data->>'left_count')::INTEGER, 0),
+            total_amount = COALESCE((row_data->>'total_amount')::DECIMAL, 0),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE pos_session_id = (row_data->>'pos_session_id')::UUID
+        AND item_name = row_data->>'item_name';
+
+        IF NOT FOUND THEN
+            INSERT INTO public.pos_inventory_items (
+                pos_session_id, item_name, quantity, price,
+                start_count, add_count, sold_count, left_count, total_amount
+            )
+            VALUES (
+                (row_data->>'pos_session_id')::UUID,
+                row_data->>'item_name',
+                COALESCE((row_data->>'quantity')::INTEGER, 1),
+                COALESCE((row_data->>'price')::DECIMAL, 0),
+                COALESCE((row_data->>'start_count')::INTEGER, 0),
+                COALESCE((row_data->>'add_count')::INTEGER, 0),
+                COALESCE((row_data->>'sold_count')::INTEGER, 0),
+                COALESCE((row_data->>'left_count')::INTEGER, 0),
+                COALESCE((row_data->>'total_amount')::DECIMAL, 0)
+            );
+        END IF;
+
+    ELSIF p_kind = 'timesheet.upsert' THEN
+        INSERT INTO public.employee_timesheets (
+            id, employee_id, clock_in_time, clock_out_time,
+            session_date, status, notes, created_at, updated_at
+        )
+        VALUES (
+            (row_data->>'id')::UUID,
+            (row_data->>'employee_id')::UUID,
+            (row_data->>'clock_in_time')::TIMESTAMPTZ,
+            (row_data->>'clock_out_time')::TIMESTAMPTZ,
+            COALESCE((row_data->>'session_date')::DATE, CURRENT_DATE),
+            COALESCE((row_data->>'status')::public.clock_status, 'clocked_in'::public.clock_status),
+            row_data->>'notes',
+            COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO UPDATE SET
+            clock_out_time = EXCLUDED.clock_out_time,
+            status = EXCLUDED.status,
+            notes = COALESCE(EXCLUDED.notes, public.employee_timesheets.notes),
+            updated_at = CURRENT_TIMESTAMP;
+
+    ELSE
+        RAISE EXCEPTION 'Unknown POS mutation kind: %', p_kind;
+    END IF;
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_pos_mutation(TEXT, TEXT, JSONB) TO anon, authenticated;
+
+-- 2. Same for the tickets of a whole-session commit
+-- "tickets": [{ id, ticket_number, wash_amount, dry_amount, total_amount, ticket_sequence_key, created_at }]
+CREATE OR REPLACE FUNCTION public.commit_pos_session(
+    p_payload JSONB,
+    p_idempotency_key TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    session_data JSONB := p_payload->'session';
+    target_session_id UUID;
+    item_data JSONB;
+    ticket_data JSONB;
+    item_names TEXT[] := ARRAY[]::TEXT[];
+    items_saved INTEGER := 0;
+    tickets_saved INTEGER := 0;
+BEGIN
+    IF session_data IS NULL OR session_data->>'id' IS NULL THEN
+        RAISE EXCEPTION 'Session payload with an id is required';
+    END IF;
+
+    target_session_id := (session_data->>'id')::UUID;
+
+    -- Same idempotency log as apply_pos_mutation so an outbox retry is applied once
+    IF p_idempotency_key IS NOT NULL THEN
+        INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+        VALUES (p_idempotency_key, 'session.commit')
+        ON CONFLICT (idempotency_key) DO NOTHING;
+
+        IF NOT FOUND THEN
+            RETURN jsonb_build_object('applied', false, 'duplicate', true, 'session_id', target_session_id);
+        END IF;
+    END IF;
+
+    -- 1. Session with cash and notes; the totals triggers fill in the totals
+    INSERT INTO public.pos_sessions (
+        id, employee_id, session_date, status, notes,
+        cash_started, cash_added, coins_used, cash_total,
+        created_at, updated_at
+    )
+    VALUES (
+        target_session_id,
+        (session_data->>'employee_id')::UUID,
+        COALESCE((session_data->>'session_date')::DATE, CURRENT_DATE),
+        COALESCE((session_data->>'status')::public.pos_session_status, 'active'::public.pos_session_status),
+        session_data->>'notes',
+        COALESCE((session_data->>'cash_started')::DECIMAL, 0),
+        COALESCE((session_data->>'cash_added')::DECIMAL, 0),
+        COALESCE((session_data->>'coins_used')::DECIMAL, 0),
+        COALESCE((session_data->>'cash_total')::DECIMAL, 0),
+        COALESCE((session_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+        CURRENT_TIMESTAMP
+    )
+    ON CONFLICT (id) DO UPDATE SET
+        status = EXCLUDED.status,
+        notes = EXCLUDED.notes,
+        cash_started = EXCLUDED.cash_started,
+        cash_added = EXCLUDED.cash_added,
+        coins_used = EXCLUDED.coins_used,
+        cash_total = EXCLUDED.cash_total,
+        updated_at = CURRENT_TIMESTAMP;
+
+    -- 2. Inventory rows, one per item name; the payload is the full list for the session
+    FOR item_data IN SELECT * FROM jsonb_array_elements(COALESCE(p_payload->'items', '[]'::JSONB))
+    LOOP
+        item_names := array_append(item_names, item_data->>'item_name');
+
+        UPDATE public.pos_inventory_items
+        SET quantity = COALESCE((item_data->>'quantity')::INTEGER, 1),
+            price = COALESCE((item_data->>'price')::DECIMAL, 0),
+            start_count = COALESCE((item_data->>'start_count')::INTEGER, 0),
+            add_count = COALESCE((item_data->>'add_count')::INTEGER, 0),
+            sold_count = COALESCE((item_data->>'sold_count')::INTEGER, 0),
+            left_count = COALESCE((item_data->>'left_count')::INTEGER, 0),
+            total_amount = COALESCE((item_data->>'total_amount')::DECIMAL, 0),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE pos_session_id = target_session_id
+        AND item_name = item_data->>'item_name';
+
+        IF NOT FOUND THEN
+            INSERT INTO public.pos_inventory_items (
+                pos_session_id, item_name, quantity, price,
+                start_count, add_count, sold_count, left_count, total_amount
+            )
+            VALUES (
+                target_session_id,
+                item_data->>'item_name',
+                COALESCE((item_data->>'quantity')::INTEGER, 1),
+                COALESCE((item_data->>'price')::DECIMAL, 0),
+                COALESCE((item_data->>'start_count')::INTEGER, 0),
+                COALESCE((item_data->>'add_count')::INTEGER, 0),
+                COALESCE((item_data->>'sold_count')::INTEGER, 0),
+                COALESCE((item_data->>'left_count')::INTEGER, 0),
+                COALESCE((item_data->>'total_amount')::DECIMAL, 0)
+            );
+        END IF;
+
+        items_saved := items_saved + 1;
+    END LOOP;
+
+    IF p_payload ? 'items' THEN
+        DELETE FROM public.pos_inventory_items
+        WHERE pos_session_id = target_session_id
+        AND NOT (item_name = ANY(item_names));
+    END IF;
+
+    -- 3. Tickets, keyed by their client-generated id. Tickets are never deleted or
+    -- overwritten here: a terminal that lost its local history must not wipe the server
+    -- copy, and changes after the first save reach the server as their own entries.
+    FOR ticket_data IN SELECT * FROM jsonb_array_elements(COALESCE(p_payload->'tickets', '[]'::JSONB))
+    LOOP
+        -- Imported paper tickets bring their own sequence key, as in apply_pos_mutation
+        INSERT INTO public.pos_wash_dry_tickets (
+            id, pos_session_id, ticket_number,
+            wash_amount, dry_amount, total_amount,
+            ticket_sequence_key, created_at, updated_at
+        )
+        VALUES (
+            (ticket_data->>'id')::UUID,
+            target_session_id,
+            ticket_data->>'ticket_number',
+            COALESCE((ticket_data->>'wash_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'dry_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'total_amount')::DECIMAL, 0),
+            NULLIF(ticket_data->>'ticket_sequence_key', ''),
+            COALESCE((ticket_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO NOTHING;
+
+        IF FOUND THEN
+            tickets_saved := tickets_saved + 1;
+        END IF;
+    END LOOP;
+
+    RETURN jsonb_build_object(
+        'applied', true,
+        'duplicate', false,
+        'session_id', target_session_id,
+        'items', items_saved,
+        'tickets', tickets_saved
+    );
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.commit_pos_session(JSONB, TEXT) TO anon, authenticated;
+
+-- 3. Apply a ticket.import outbox entry exactly once, moving the counter past the paper number
+-- { "record": { ticket_id, employee_id, imported_at, import_batch_id, sequence_number } }
+-- sequence_number is the numeric part of the paper ticket's number, when it has one
+CREATE OR REPLACE FUNCTION public.apply_ticket_import(
+    p_idempotency_key TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    row_data JSONB := p_payload->'record';
+    imported_number INTEGER := (row_data->>'sequence_number')::INTEGER;
+    current_mode TEXT;
+    ticket_session_date DATE;
+    counter_id UUID;
+BEGIN
+    IF p_idempotency_key IS NULL OR row_data IS NULL OR row_data->>'ticket_id' IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key and ticket_id are required';
+    END IF;
+
+    -- The ticket is queued ahead of its import details; fail so the outbox retries
+    PERFORM 1 FROM public.pos_wash_dry_tickets WHERE id = (row_data->>'ticket_id')::UUID;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Ticket % has not been synced yet', row_data->>'ticket_id';
+    END IF;
+
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, 'ticket.import')
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    UPDATE public.pos_wash_dry_tickets
+    SET employee_id = (SELECT id FROM public.user_profiles WHERE id = (row_data->>'employee_id')::UUID),
+        imported_at = COALESCE((row_data->>'imported_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+        import_batch_id = (row_data->>'import_batch_id')::UUID,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = (row_data->>'ticket_id')::UUID;
+
+    -- Move the counter of the current sequence past the paper number
+    IF imported_number IS NOT NULL AND imported_number > 0 THEN
+        SELECT reset_mode INTO current_mode
+        FROM public.pos_ticket_numbering_settings
+        LIMIT 1;
+
+        IF COALESCE(current_mode, 'continuous') = 'daily' THEN
+            SELECT s.session_date INTO ticket_session_date
+            FROM public.pos_wash_dry_tickets t
+            JOIN public.pos_sessions s ON s.id = t.pos_session_id
+            WHERE t.id = (row_data->>'ticket_id')::UUID;
+
+            INSERT INTO public.pos_ticket_daily_sequence (sequence_date, last_ticket_number)
+            VALUES (COALESCE(ticket_session_date, CURRENT_DATE), imported_number)
+            ON CONFLICT (sequence_date) DO UPDATE
+            SET last_ticket_number = GREATEST(pos_ticket_daily_sequence.last_ticket_number, EXCLUDED.last_ticket_number),
+                updated_at = CURRENT_TIMESTAMP;
+        ELSE
+            SELECT id INTO counter_id
+            FROM public.pos_ticket_sequence
+            ORDER BY updated_at DESC
+            LIMIT 1
+            FOR UPDATE;
+
+            -- No counter yet: start it where lease_ticket_numbers would have
+            IF counter_id IS NULL THEN
+                INSERT INTO public.pos_ticket_sequence (last_ticket_number)
+                SELECT GREATEST(imported_number, COALESCE(MAX(CAST(ticket_number AS INTEGER)), 0))
+                FROM public.pos_wash_dry_tickets
+                WHERE ticket_number ~ '^[0-9]+$';
+            ELSE
+                UPDATE public.pos_ticket_sequence
+                SET last_ticket_number = GREATEST(last_ticket_number, imported_number),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = counter_id;
+            END IF;
+        END IF;
+    END IF;
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_ticket_import(TEXT, JSONB) TO anon, authenticated;
@@ -0,0 +1,158 @@
+-- Location: supabase/migrations/20251020110000_reject_voids_of_refunded_tickets.sql
+-- Schema Analysis: apply_ticket_adjustment voids a ticket whatever has been refunded on it; only the terminal checks for refunds
+-- Integration Type: Enhancement - Server-side refusal of voids on refunded tickets
+-- Dependencies: pos_ticket_adjustments, pos_wash_dry_tickets, pos_sessions, pos_sync_mutations tables, check_manager_pin()
+
+-- A terminal that has not pulled another terminal's refund can still void the ticket.
+-- update_pos_session_totals then leaves the voided ticket out and subtracts its refund as
+-- well, so the refunded money is taken off twice, and the void records the full total.
+-- A ticket with refunds can no longer be voided; what is left on it can be refunded.
+
+-- Payload: { "record": { id, ticket_id, pos_session_id, kind, amount, reason, employee_id, terminal_id, approved_by, created_at },
+--            "approval": { manager_id, pin },
+--            "ticket": { id, pos_session_id, ticket_number, wash_amount, dry_amount, total_amount, created_at },
+--            "session": { id, employee_id, session_date } }
+-- A refused PIN returns { applied: false, rejected: true, reason } instead of raising, so
+-- the failed attempt still counts towards the lockout.
+CREATE OR REPLACE FUNCTION public.apply_ticket_adjustment(
+    p_idempotency_key TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    row_data JSONB := p_payload->'record';
+    ticket_data JSONB := p_payload->'ticket';
+    session_data JSONB := p_payload->'session';
+    target_ticket_id UUID;
+    target_kind public.ticket_adjustment_kind;
+    adjustment_at TIMESTAMPTZ;
+    adjustment_amount DECIMAL(10,2);
+    ticket_row public.pos_wash_dry_tickets%ROWTYPE;
+    approver_id UUID := (p_payload->'approval'->>'manager_id')::UUID;
+    refusal TEXT;
+BEGIN
+    IF p_idempotency_key IS NULL OR row_data IS NULL OR row_data->>'ticket_id' IS NULL OR row_data->>'kind' IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key, ticket id and kind are required';
+    END IF;
+
+    IF COALESCE(TRIM(row_data->>'reason'), '') = '' THEN
+        RAISE EXCEPTION 'A reason is required';
+    END IF;
+
+    -- A retry of an applied entry needs no second approval
+    IF EXISTS (SELECT 1 FROM public.pos_sync_mutations WHERE idempotency_key = p_idempotency_key) THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    refusal := public.check_manager_pin(approver_id, p_payload->'approval'->>'pin');
+    IF refusal IS NOT NULL THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', false, 'rejected', true, 'reason', refusal);
+    END IF;
+
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, 'ticket.adjustment')
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    target_ticket_id := (row_data->>'ticket_id')::UUID;
+    target_kind := (row_data->>'kind')::public.ticket_adjustment_kind;
+    adjustment_at := COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP);
+
+    -- The session and ticket may still be queued behind this entry on another path
+    IF session_data IS NOT NULL THEN
+        INSERT INTO public.pos_sessions (id, employee_id, session_date, status)
+        VALUES (
+            (session_data->>'id')::UUID,
+            (session_data->>'employee_id')::UUID,
+            COALESCE((session_data->>'session_date')::DATE, CURRENT_DATE),
+            'active'::public.pos_session_status
+        )
+        ON CONFLICT (id) DO NOTHING;
+    END IF;
+
+    IF ticket_data IS NOT NULL THEN
+        INSERT INTO public.pos_wash_dry_tickets (
+            id, pos_session_id, ticket_number,
+            wash_amount, dry_amount, total_amount,
+            created_at, updated_at
+        )
+        VALUES (
+            target_ticket_id,
+            (ticket_data->>'pos_session_id')::UUID,
+            ticket_data->>'ticket_number',
+            COALESCE((ticket_data->>'wash_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'dry_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'total_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO NOTHING;
+    END IF;
+
+    SELECT * INTO ticket_row
+    FROM public.pos_wash_dry_tickets
+    WHERE id = target_ticket_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Ticket % has not been synced yet', target_ticket_id;
+    END IF;
+
+    -- Another terminal already voided it; nothing left to reverse
+    IF ticket_row.voided_at IS NOT NULL THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', false, 'reason', 'already_voided');
+    END IF;
+
+    IF target_kind = 'void'::public.ticket_adjustment_kind THEN
+        IF ticket_row.refunded_amount > 0 THEN
+            RAISE EXCEPTION 'Ticket % has refunds and can no longer be voided', ticket_row.ticket_number;
+        END IF;
+
+        adjustment_amount := COALESCE(ticket_row.total_amount, 0);
+
+        UPDATE public.pos_wash_dry_tickets
+        SET voided_at = adjustment_at,
+            void_reason = TRIM(row_data->>'reason'),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = target_ticket_id;
+    ELSE
+        adjustment_amount := COALESCE((row_data->>'amount')::DECIMAL, 0);
+
+        IF adjustment_amount <= 0 OR adjustment_amount > COALESCE(ticket_row.total_amount, 0) - ticket_row.refunded_amount THEN
+            RAISE EXCEPTION 'Refund of % exceeds what is left on ticket %', adjustment_amount, ticket_row.ticket_number;
+        END IF;
+
+        UPDATE public.pos_wash_dry_tickets
+        SET refunded_amount = refunded_amount + adjustment_amount,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = target_ticket_id;
+    END IF;
+
+    INSERT INTO public.pos_ticket_adjustments (
+        id, ticket_id, pos_session_id, kind, amount, reason,
+        employee_id, terminal_id, approved_by, created_at
+    )
+    VALUES (
+        COALESCE((row_data->>'id')::UUID, gen_random_uuid()),
+        target_ticket_id,
+        COALESCE((row_data->>'pos_session_id')::UUID, ticket_row.pos_session_id),
+        target_kind,
+        adjustment_amount,
+        TRIM(row_data->>'reason'),
+        (row_data->>'employee_id')::UUID,
+        row_data->>'terminal_id',
+        approver_id,
+        adjustment_at
+    );
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false, 'amount', adjustment_amount);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_ticket_adjustment(TEXT, JSONB) TO anon, authenticated;
@@ -0,0 +1,15 @@
+-- Location: supabase/migrations/20251020120000_make_ticket_adjustments_read_only.sql
+-- Schema Analysis: pos_ticket_adjustments has an open FOR ALL policy, so anyone with the public anon key can rewrite or delete the void and refund trail
+-- Integration Type: Enhancement - Read-only access, writes through the SECURITY DEFINER apply functions
+-- Dependencies: pos_ticket_adjustments table, apply_ticket_adjustment()
+
+-- Voids and refunds are an audit trail of money handed back. Terminals and the dashboard
+-- still read it, but only apply_ticket_adjustment() writes it; there are no insert,
+-- update or delete policies.
+
+DROP POLICY IF EXISTS "flexible_pos_ticket_adjustments_access" ON public.pos_ticket_adjustments;
+
+CREATE POLICY "read_pos_ticket_adjustments"
+ON public.pos_ticket_adjustments
+FOR SELECT
+USING (true);
@@ -0,0 +1,14 @@
+-- Location: supabase/migrations/20251020130000_make_ticket_edits_read_only.sql
+-- Schema Analysis: pos_ticket_edits has an open FOR ALL policy, so anyone with the public anon key can rewrite or delete the amount correction trail
+-- Integration Type: Enhancement - Read-only access, writes through the SECURITY DEFINER apply functions
+-- Dependencies: pos_ticket_edits table, apply_ticket_edit()
+
+-- Amount corrections are an audit trail: the dashboard reads them, but only
+-- apply_ticket_edit() writes them. There are no insert, update or delete policies.
+
+DROP POLICY IF EXISTS "flexible_pos_ticket_edits_access" ON public.pos_ticket_edits;
+
+CREATE POLICY "read_pos_ticket_edits"
+ON public.pos_ticket_edits
+FOR SELECT
+USING (true);
@@ -0,0 +1,22 @@
+-- Location: supabase/migrations/20251020140000_make_payments_read_only.sql
+-- Schema Analysis: pos_payments and pos_inventory_sales have open FOR ALL policies, so anyone with the public anon key can rewrite or delete what was paid and sold
+-- Integration Type: Enhancement - Read-only access, writes through the SECURITY DEFINER apply functions
+-- Dependencies: pos_payments, pos_inventory_sales tables, apply_ticket_payments(), apply_inventory_sale()
+
+-- Payments by tender and item sales are financial records: terminals and the dashboard
+-- read them, but only apply_ticket_payments() and apply_inventory_sale() write them.
+-- There are no insert, update or delete policies.
+
+DROP POLICY IF EXISTS "flexible_pos_inventory_sales_access" ON public.pos_inventory_sales;
+
+CREATE POLICY "read_pos_inventory_sales"
+ON public.pos_inventory_sales
+FOR SELECT
+USING (true);
+
+DROP POLICY IF EXISTS "flexible_pos_payments_access" ON public.pos_payments;
+
+CREATE POLICY "read_pos_payments"
+ON public.pos_payments
+FOR SELECT
+USING (true);
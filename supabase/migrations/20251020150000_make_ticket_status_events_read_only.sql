@@ -0,0 +1,15 @@
+-- Location: supabase/migrations/20251020150000_make_ticket_status_events_read_only.sql
+-- Schema Analysis: pos_ticket_status_events has an open FOR ALL policy, so anyone with the public anon key can rewrite or delete a ticket's status history
+-- Integration Type: Enhancement - Read-only access, writes through the SECURITY DEFINER apply functions
+-- Dependencies: pos_ticket_status_events table, apply_ticket_status_change()
+
+-- Status transitions are a ticket's history: they are read for the service queue and
+-- search, but only apply_ticket_status_change() writes them. There are no insert, update
+-- or delete policies.
+
+DROP POLICY IF EXISTS "flexible_pos_ticket_status_events_access" ON public.pos_ticket_status_events;
+
+CREATE POLICY "read_pos_ticket_status_events"
+ON public.pos_ticket_status_events
+FOR SELECT
+USING (true);
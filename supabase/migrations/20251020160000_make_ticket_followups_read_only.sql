@@ -0,0 +1,15 @@
+-- Location: supabase/migrations/20251020160000_make_ticket_followups_read_only.sql
+-- Schema Analysis: pos_ticket_followups has an open FOR ALL policy, so anyone with the public anon key can rewrite or delete the follow-up log
+-- Integration Type: Enhancement - Read-only access, writes through the SECURITY DEFINER apply functions
+-- Dependencies: pos_ticket_followups table, record_ticket_followups()
+
+-- Follow-ups on unclaimed tickets are a log of who contacted, disposed of or donated
+-- what: the dashboard reads it, but only record_ticket_followups() writes it. There are
+-- no insert, update or delete policies.
+
+DROP POLICY IF EXISTS "flexible_pos_ticket_followups_access" ON public.pos_ticket_followups;
+
+CREATE POLICY "read_pos_ticket_followups"
+ON public.pos_ticket_followups
+FOR SELECT
+USING (true);
@@ -0,0 +1,54 @@
+-- Location: supabase/migrations/20251020170000_restrict_ticket_numbering_writes.sql
+-- Schema Analysis: set_ticket_numbering_mode() lets any signed-in user change the numbering, and the numbering settings, daily counters and leases have open FOR ALL policies
+-- Integration Type: Enhancement - Admin-only numbering changes and counters written only through the lease functions
+-- Dependencies: pos_ticket_numbering_settings, pos_ticket_daily_sequence, pos_ticket_number_leases tables, is_admin_operation()
+
+-- Anyone with the public anon key could rewrite the reset mode, the daily counters and
+-- the leased blocks directly and hand out numbers twice, and any employee who signed in
+-- could change the numbering. The tables are now read-only: lease_ticket_numbers() and
+-- apply_ticket_import() move the counters, and only admins change the settings.
+
+-- 1. Change the store-wide reset mode, block size and refill threshold (admin only)
+CREATE OR REPLACE FUNCTION public.set_ticket_numbering_mode(
+    p_reset_mode TEXT,
+    p_block_size INTEGER DEFAULT NULL,
+    p_refill_threshold INTEGER DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+BEGIN
+    IF NOT public.is_admin_operation() THEN
+        RAISE EXCEPTION 'Only an admin can change ticket numbering';
+    END IF;
+
+    UPDATE public.pos_ticket_numbering_settings
+    SET reset_mode = p_reset_mode,
+        block_size = COALESCE(p_block_size, block_size),
+        refill_threshold = COALESCE(p_refill_threshold, refill_threshold),
+        updated_at = CURRENT_TIMESTAMP;
+
+    RETURN true;
+END;
+$function$;
+
+-- 2. Read-only tables; there are no insert, update or delete policies
+DROP POLICY IF EXISTS "flexible_ticket_numbering_settings_access" ON public.pos_ticket_numbering_settings;
+DROP POLICY IF EXISTS "flexible_ticket_daily_sequence_access" ON public.pos_ticket_daily_sequence;
+DROP POLICY IF EXISTS "flexible_ticket_number_leases_access" ON public.pos_ticket_number_leases;
+
+CREATE POLICY "read_ticket_numbering_settings"
+ON public.pos_ticket_numbering_settings
+FOR SELECT
+USING (true);
+
+CREATE POLICY "read_ticket_daily_sequence"
+ON public.pos_ticket_daily_sequence
+FOR SELECT
+USING (true);
+
+CREATE POLICY "read_ticket_number_leases"
+ON public.pos_ticket_number_leases
+FOR SELECT
+USING (true);
@@ -0,0 +1,422 @@
+-- Location: supabase/migrations/20251020180000_index_ticket_sequence_numbers.sql
+-- Schema Analysis: idx_pos_wash_dry_tickets_sequence_number is unique on the formatted ticket_number, and apply_pos_mutation and commit_pos_session only guard the ticket id
+-- Integration Type: Enhancement - Uniqueness on the parsed sequence number, with duplicates saved and reported instead of raised
+-- Dependencies: pos_wash_dry_tickets, pos_ticket_numbering_settings, pos_sessions tables, apply_pos_mutation(), commit_pos_session()
+
+-- The prefix and width are display settings of each terminal, so 'A-007' and '7' were
+-- both accepted as number 7 of the same sequence. Uniqueness is now on the number parsed
+-- from the end of ticket_number, the same way the terminal reads it
+-- (ticketNumbering.parse).
+--
+-- A number typed twice used to make the insert raise. The outbox entry was retried and
+-- parked, and a session commit stranded the session's cash and notes with it. The ticket
+-- is now saved flagged as number_conflict, without a sequence number, and the apply
+-- functions report its number in number_conflicts for the terminal to show.
+
+-- 1. The parsed number, and the flag for a ticket whose number was already taken
+ALTER TABLE public.pos_wash_dry_tickets
+ADD COLUMN IF NOT EXISTS ticket_sequence_number INTEGER,
+ADD COLUMN IF NOT EXISTS number_conflict BOOLEAN NOT NULL DEFAULT false;
+
+UPDATE public.pos_wash_dry_tickets
+SET ticket_sequence_number = (regexp_match(ticket_number, '(?:^|[^0-9])([0-9]{1,9})$'))[1]::INTEGER
+WHERE ticket_sequence_key IS NOT NULL;
+
+-- Tickets saved with another prefix or width under the old index: the first one keeps the number
+WITH ranked AS (
+    SELECT id, ROW_NUMBER() OVER (
+        PARTITION BY ticket_sequence_key, ticket_sequence_number
+        ORDER BY created_at, id
+    ) AS position
+    FROM public.pos_wash_dry_tickets
+    WHERE ticket_sequence_key IS NOT NULL AND ticket_sequence_number IS NOT NULL
+)
+UPDATE public.pos_wash_dry_tickets t
+SET ticket_sequence_number = NULL,
+    number_conflict = true
+FROM ranked
+WHERE t.id = ranked.id AND ranked.position > 1;
+
+DROP INDEX IF EXISTS public.idx_pos_wash_dry_tickets_sequence_number;
+
+CREATE UNIQUE INDEX idx_pos_wash_dry_tickets_sequence_number
+ON public.pos_wash_dry_tickets(ticket_sequence_key, ticket_sequence_number)
+WHERE ticket_sequence_key IS NOT NULL AND ticket_sequence_number IS NOT NULL;
+
+-- 2. Sequence key and number for every new ticket, whichever function inserts it. Two
+-- terminals saving the same number at the same moment still meet the index; the entry
+-- that loses is retried and then finds the number taken.
+CREATE OR REPLACE FUNCTION public.set_ticket_sequence_key()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    current_mode TEXT;
+    ticket_session_date DATE;
+BEGIN
+    IF NEW.ticket_sequence_key IS NULL THEN
+        SELECT reset_mode INTO current_mode
+        FROM public.pos_ticket_numbering_settings
+        LIMIT 1;
+
+        IF COALESCE(current_mode, 'continuous') = 'daily' THEN
+            SELECT session_date INTO ticket_session_date
+            FROM public.pos_sessions
+            WHERE id = NEW.pos_session_id;
+
+            NEW.ticket_sequence_key := COALESCE(ticket_session_date, CURRENT_DATE)::TEXT;
+        ELSE
+            NEW.ticket_sequence_key := 'continuous';
+        END IF;
+    END IF;
+
+    NEW.ticket_sequence_number := (regexp_match(NEW.ticket_number, '(?:^|[^0-9])([0-9]{1,9})$'))[1]::INTEGER;
+
+    IF NEW.ticket_sequence_number IS NOT NULL AND EXISTS (
+        SELECT 1 FROM public.pos_wash_dry_tickets
+        WHERE ticket_sequence_key = NEW.ticket_sequence_key
+        AND ticket_sequence_number = NEW.ticket_sequence_number
+        AND id <> NEW.id
+    ) THEN
+        NEW.ticket_sequence_number := NULL;
+        NEW.number_conflict := true;
+    END IF;
+
+    RETURN NEW;
+END;
+$function$;
+
+-- 3. ticket.insert reports a number that was already taken
+-- Returns { applied, duplicate, number_conflicts: [ticket_number] }
+CREATE OR REPLACE FUNCTION public.apply_pos_mutation(
+    p_idempotency_key TEXT,
+    p_kind TEXT,
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    session_data JSONB;
+    row_data JSONB;
+    number_taken BOOLEAN;
+    number_conflicts JSONB := '[]'::JSONB;
+BEGIN
+    IF p_idempotency_key IS NULL OR p_kind IS NULL OR p_payload IS NULL THEN
+        RAISE EXCEPTION 'Idempotency key, kind and payload are required';
+    END IF;
+
+    -- Claim the key; a duplicate means this entry was already applied
+    INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+    VALUES (p_idempotency_key, p_kind)
+    ON CONFLICT (idempotency_key) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('applied', false, 'duplicate', true);
+    END IF;
+
+    row_data := p_payload->'record';
+    session_data := p_payload->'session';
+
+    -- Tickets and inventory rows reference a session that may still be queued behind them
+    IF session_data IS NOT NULL AND p_kind <> 'session.upsert' THEN
+        INSERT INTO public.pos_sessions (id, employee_id, session_date, status)
+        VALUES (
+            (session_data->>'id')::UUID,
+            (session_data->>'employee_id')::UUID,
+            COALESCE((session_data->>'session_date')::DATE, CURRENT_DATE),
+            'active'::public.pos_session_status
+        )
+        ON CONFLICT (id) DO NOTHING;
+    END IF;
+
+    -- Session totals are left to the update_pos_session_totals triggers
+    IF p_kind = 'session.upsert' THEN
+        INSERT INTO public.pos_sessions (
+            id, employee_id, session_date, status, notes,
+            cash_started, cash_added, coins_used, cash_total,
+            created_at, updated_at
+        )
+        VALUES (
+            (row_data->>'id')::UUID,
+            (row_data->>'employee_id')::UUID,
+            COALESCE((row_data->>'session_date')::DATE, CURRENT_DATE),
+            COALESCE((row_data->>'status')::public.pos_session_status, 'active'::public.pos_session_status),
+            row_data->>'notes',
+            COALESCE((row_data->>'cash_started')::DECIMAL, 0),
+            COALESCE((row_data->>'cash_added')::DECIMAL, 0),
+            COALESCE((row_data->>'coins_used')::DECIMAL, 0),
+            COALESCE((row_data->>'cash_total')::DECIMAL, 0),
+            COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO UPDATE SET
+            status = EXCLUDED.status,
+            notes = EXCLUDED.notes,
+            cash_started = EXCLUDED.cash_started,
+            cash_added = EXCLUDED.cash_added,
+            coins_used = EXCLUDED.coins_used,
+            cash_total = EXCLUDED.cash_total,
+            updated_at = CURRENT_TIMESTAMP;
+
+    ELSIF p_kind = 'ticket.insert' THEN
+        -- ticket_sequence_key is only sent for imported paper tickets ('import:<batch>');
+        -- otherwise the set_ticket_sequence_key trigger picks the current sequence
+        INSERT INTO public.pos_wash_dry_tickets (
+            id, pos_session_id, ticket_number,
+            wash_amount, dry_amount, total_amount,
+            ticket_sequence_key, created_at, updated_at
+        )
+        VALUES (
+            (row_data->>'id')::UUID,
+            (row_data->>'pos_session_id')::UUID,
+            row_data->>'ticket_number',
+            COALESCE((row_data->>'wash_amount')::DECIMAL, 0),
+            COALESCE((row_data->>'dry_amount')::DECIMAL, 0),
+            COALESCE((row_data->>'total_amount')::DECIMAL, 0),
+            NULLIF(row_data->>'ticket_sequence_key', ''),
+            COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO NOTHING
+        RETURNING number_conflict INTO number_taken;
+
+        IF number_taken THEN
+            number_conflicts := jsonb_build_array(row_data->>'ticket_number');
+        END IF;
+
+    ELSIF p_kind = 'inventory.upsert' THEN
+        -- One inventory row per item per session, matched by name
+        UPDATE public.pos_inventory_items
+        SET quantity = COALESCE((row_data->>'quantity')::INTEGER, 1),
+            price = COALESCE((row_data->>'price')::DECIMAL, 0),
+            start_count = COALESCE((row_data->>'start_count')::INTEGER, 0),
+            add_count = COALESCE((row_data->>'add_count')::INTEGER, 0),
+            sold_count = COALESCE((row_data->>'sold_count')::INTEGER, 0),
+            left_count = COALESCE((row_data->>'left_count')::INTEGER, 0),
+            total_amount = COALESCE((row_data->>'total_amount')::DECIMAL, 0),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE pos_session_id = (row_data->>'pos_session_id')::UUID
+        AND item_name = row_data->>'item_name';
+
+        IF NOT FOUND THEN
+            INSERT INTO public.pos_inventory_items (
+                pos_session_id, item_name, quantity, price,
+                start_count, add_count, sold_count, left_count, total_amount
+            )
+            VALUES (
+                (row_data->>'pos_session_id')::UUID,
+                row_data->>'item_name',
+                COALESCE((row_data->>'quantity')::INTEGER, 1),
+                COALESCE((row_data->>'price')::DECIMAL, 0),
+                COALESCE((row_data->>'start_count')::INTEGER, 0),
+                COALESCE((row_data->>'add_count')::INTEGER, 0),
+                COALESCE((row_data->>'sold_count')::INTEGER, 0),
+                COALESCE((row_data->>'left_count')::INTEGER, 0),
+                COALESCE((row_data->>'total_amount')::DECIMAL, 0)
+            );
+        END IF;
+
+    ELSIF p_kind = 'inventory.master' THEN
+        -- Store-wide master row (no session): only its counts follow the terminal
+        UPDATE public.pos_inventory_items
+        SET start_count = COALESCE((row_data->>'start_count')::INTEGER, 0),
+            add_count = COALESCE((row_data->>'add_count')::INTEGER, 0),
+            sold_count = COALESCE((row_data->>'sold_count')::INTEGER, 0),
+            left_count = COALESCE((row_data->>'left_count')::INTEGER, 0),
+            total_amount = COALESCE((row_data->>'total_amount')::DECIMAL, 0),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = (row_data->>'id')::UUID
+        AND pos_session_id IS NULL;
+
+    ELSIF p_kind = 'timesheet.upsert' THEN
+        INSERT INTO public.employee_timesheets (
+            id, employee_id, clock_in_time, clock_out_time,
+            session_date, status, notes, created_at, updated_at
+        )
+        VALUES (
+            (row_data->>'id')::UUID,
+            (row_data->>'employee_id')::UUID,
+            (row_data->>'clock_in_time')::TIMESTAMPTZ,
+            (row_data->>'clock_out_time')::TIMESTAMPTZ,
+            COALESCE((row_data->>'session_date')::DATE, CURRENT_DATE),
+            COALESCE((row_data->>'status')::public.clock_status, 'clocked_in'::public.clock_status),
+            row_data->>'notes',
+            COALESCE((row_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO UPDATE SET
+            clock_out_time = EXCLUDED.clock_out_time,
+            status = EXCLUDED.status,
+            notes = COALESCE(EXCLUDED.notes, public.employee_timesheets.notes),
+            updated_at = CURRENT_TIMESTAMP;
+
+    ELSE
+        RAISE EXCEPTION 'Unknown POS mutation kind: %', p_kind;
+    END IF;
+
+    RETURN jsonb_build_object('applied', true, 'duplicate', false, 'number_conflicts', number_conflicts);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.apply_pos_mutation(TEXT, TEXT, JSONB) TO anon, authenticated;
+
+-- 4. Same for the tickets of a whole-session commit; the rest of the session is saved
+-- Returns { applied, duplicate, session_id, items, tickets, number_conflicts: [ticket_number, ...] }
+CREATE OR REPLACE FUNCTION public.commit_pos_session(
+    p_payload JSONB,
+    p_idempotency_key TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    session_data JSONB := p_payload->'session';
+    target_session_id UUID;
+    item_data JSONB;
+    ticket_data JSONB;
+    item_names TEXT[] := ARRAY[]::TEXT[];
+    items_saved INTEGER := 0;
+    tickets_saved INTEGER := 0;
+    number_taken BOOLEAN;
+    number_conflicts JSONB := '[]'::JSONB;
+BEGIN
+    IF session_data IS NULL OR session_data->>'id' IS NULL THEN
+        RAISE EXCEPTION 'Session payload with an id is required';
+    END IF;
+
+    target_session_id := (session_data->>'id')::UUID;
+
+    -- Same idempotency log as apply_pos_mutation so an outbox retry is applied once
+    IF p_idempotency_key IS NOT NULL THEN
+        INSERT INTO public.pos_sync_mutations (idempotency_key, kind)
+        VALUES (p_idempotency_key, 'session.commit')
+        ON CONFLICT (idempotency_key) DO NOTHING;
+
+        IF NOT FOUND THEN
+            RETURN jsonb_build_object('applied', false, 'duplicate', true, 'session_id', target_session_id);
+        END IF;
+    END IF;
+
+    -- 1. Session with cash and notes; the totals triggers fill in the totals
+    INSERT INTO public.pos_sessions (
+        id, employee_id, session_date, status, notes,
+        cash_started, cash_added, coins_used, cash_total,
+        created_at, updated_at
+    )
+    VALUES (
+        target_session_id,
+        (session_data->>'employee_id')::UUID,
+        COALESCE((session_data->>'session_date')::DATE, CURRENT_DATE),
+        COALESCE((session_data->>'status')::public.pos_session_status, 'active'::public.pos_session_status),
+        session_data->>'notes',
+        COALESCE((session_data->>'cash_started')::DECIMAL, 0),
+        COALESCE((session_data->>'cash_added')::DECIMAL, 0),
+        COALESCE((session_data->>'coins_used')::DECIMAL, 0),
+        COALESCE((session_data->>'cash_total')::DECIMAL, 0),
+        COALESCE((session_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+        CURRENT_TIMESTAMP
+    )
+    ON CONFLICT (id) DO UPDATE SET
+        status = EXCLUDED.status,
+        notes = EXCLUDED.notes,
+        cash_started = EXCLUDED.cash_started,
+        cash_added = EXCLUDED.cash_added,
+        coins_used = EXCLUDED.coins_used,
+        cash_total = EXCLUDED.cash_total,
+        updated_at = CURRENT_TIMESTAMP;
+
+    -- 2. Inventory rows, one per item name; the payload is the full list for the session
+    FOR item_data IN SELECT * FROM jsonb_array_elements(COALESCE(p_payload->'items', '[]'::JSONB))
+    LOOP
+        item_names := array_append(item_names, item_data->>'item_name');
+
+        UPDATE public.pos_inventory_items
+        SET quantity = COALESCE((item_data->>'quantity')::INTEGER, 1),
+            price = COALESCE((item_data->>'price')::DECIMAL, 0),
+            start_count = COALESCE((item_data->>'start_count')::INTEGER, 0),
+            add_count = COALESCE((item_data->>'add_count')::INTEGER, 0),
+            sold_count = COALESCE((item_data->>'sold_count')::INTEGER, 0),
+            left_count = COALESCE((item_data->>'left_count')::INTEGER, 0),
+            total_amount = COALESCE((item_data->>'total_amount')::DECIMAL, 0),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE pos_session_id = target_session_id
+        AND item_name = item_data->>'item_name';
+
+        IF NOT FOUND THEN
+            INSERT INTO public.pos_inventory_items (
+                pos_session_id, item_name, quantity, price,
+                start_count, add_count, sold_count, left_count, total_amount
+            )
+            VALUES (
+                target_session_id,
+                item_data->>'item_name',
+                COALESCE((item_data->>'quantity')::INTEGER, 1),
+                COALESCE((item_data->>'price')::DECIMAL, 0),
+                COALESCE((item_data->>'start_count')::INTEGER, 0),
+                COALESCE((item_data->>'add_count')::INTEGER, 0),
+                COALESCE((item_data->>'sold_count')::INTEGER, 0),
+                COALESCE((item_data->>'left_count')::INTEGER, 0),
+                COALESCE((item_data->>'total_amount')::DECIMAL, 0)
+            );
+        END IF;
+
+        items_saved := items_saved + 1;
+    END LOOP;
+
+    IF p_payload ? 'items' THEN
+        DELETE FROM public.pos_inventory_items
+        WHERE pos_session_id = target_session_id
+        AND NOT (item_name = ANY(item_names));
+    END IF;
+
+    -- 3. Tickets, keyed by their client-generated id. Tickets are never deleted or
+    -- overwritten here: a terminal that lost its local history must not wipe the server
+    -- copy, and changes after the first save reach the server as their own entries.
+    FOR ticket_data IN SELECT * FROM jsonb_array_elements(COALESCE(p_payload->'tickets', '[]'::JSONB))
+    LOOP
+        -- Imported paper tickets bring their own sequence key, as in apply_pos_mutation
+        INSERT INTO public.pos_wash_dry_tickets (
+            id, pos_session_id, ticket_number,
+            wash_amount, dry_amount, total_amount,
+            ticket_sequence_key, created_at, updated_at
+        )
+        VALUES (
+            (ticket_data->>'id')::UUID,
+            target_session_id,
+            ticket_data->>'ticket_number',
+            COALESCE((ticket_data->>'wash_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'dry_amount')::DECIMAL, 0),
+            COALESCE((ticket_data->>'total_amount')::DECIMAL, 0),
+            NULLIF(ticket_data->>'ticket_sequence_key', ''),
+            COALESCE((ticket_data->>'created_at')::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+            CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (id) DO NOTHING
+        RETURNING number_conflict INTO number_taken;
+
+        IF FOUND THEN
+            tickets_saved := tickets_saved + 1;
+        END IF;
+
+        -- Saved, but its number was already used in the sequence
+        IF number_taken THEN
+            number_conflicts := number_conflicts || jsonb_build_array(ticket_data->>'ticket_number');
+        END IF;
+    END LOOP;
+
+    RETURN jsonb_build_object(
+        'applied', true,
+        'duplicate', false,
+        'session_id', target_session_id,
+        'items', items_saved,
+        'tickets', tickets_saved,
+        'number_conflicts', number_conflicts
+    );
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.commit_pos_session(JSONB, TEXT) TO anon, authenticated;
@@ -0,0 +1,56 @@
+-- Location: supabase/migrations/20251020190000_log_ticket_notifications_before_sending.sql
+-- Schema Analysis: the terminal delivers a message first and logs it through apply_ticket_notification afterwards, so a failed log followed by a retry messages the customer twice
+-- Integration Type: Enhancement - Messages logged as 'sending' before they go out, with the outcome recorded after
+-- Dependencies: pos_ticket_notifications table, apply_ticket_notification()
+
+-- The terminal now logs a message before sending it: apply_ticket_notification() claims
+-- the outbox entry and writes the row as 'sending'. Only the attempt that claimed it
+-- sends the message; a retry finds the entry already applied and sends nothing. The
+-- outcome is written to the same row afterwards with record_ticket_notification_outcome().
+-- A row left at 'sending' means the terminal stopped before it knew whether the message
+-- went out.
+
+-- 1. 'sending' until the outcome is known
+ALTER TABLE public.pos_ticket_notifications
+DROP CONSTRAINT IF EXISTS pos_ticket_notifications_status_check;
+
+ALTER TABLE public.pos_ticket_notifications
+ADD CONSTRAINT pos_ticket_notifications_status_check
+CHECK (status IN ('sending', 'sent', 'logged', 'failed'));
+
+-- 2. Outcome of a message logged as 'sending'. A row that already has its outcome is
+-- left alone, so a retried call changes nothing.
+-- { "record": { id, status, transport, provider_message_id, error, sent_at } }
+CREATE OR REPLACE FUNCTION public.record_ticket_notification_outcome(
+    p_payload JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    row_data JSONB := p_payload->'record';
+BEGIN
+    IF row_data IS NULL OR row_data->>'id' IS NULL THEN
+        RAISE EXCEPTION 'A notification id is required';
+    END IF;
+
+    IF COALESCE(row_data->>'status', '') NOT IN ('sent', 'logged', 'failed') THEN
+        RAISE EXCEPTION 'Unknown notification outcome: %', row_data->>'status';
+    END IF;
+
+    UPDATE public.pos_ticket_notifications
+    SET status = row_data->>'status',
+        transport = row_data->>'transport',
+        provider_message_id = row_data->>'provider_message_id',
+        error = row_data->>'error',
+        sent_at = (row_data->>'sent_at')::TIMESTAMPTZ,
+        recorded_at = CURRENT_TIMESTAMP
+    WHERE id = (row_data->>'id')::UUID
+    AND status = 'sending';
+
+    RETURN jsonb_build_object('applied', FOUND);
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.record_ticket_notification_outcome(JSONB) TO anon, authenticated;
@@ -2,6 +2,51 @@ import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import tsconfigPaths from "vite-tsconfig-paths";
 import tagger from "@dhiwise/component-tagger";
+import { createHash } from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+// Public files the service worker precaches alongside the built bundle
+const PRECACHE_PUBLIC_FILES = [
+  "/manifest.json",
+  "/favicon.ico",
+  "/icons/icon-192.png",
+  "/icons/icon-512.png",
+  "/icons/icon-maskable-512.png",
+];
+
+// Injects the list of built files into dist/sw.js so the POS can boot with no connection
+const precacheServiceWorker = () => {
+  let outDir;
+  const bundleFiles = [];
+
+  return {
+    name: "precache-service-worker",
+    apply: "build",
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir);
+    },
+    writeBundle(_, bundle) {
+      bundleFiles.push(
+        ...Object.keys(bundle)
+          .filter((fileName) => !fileName.endsWith(".map"))
+          .map((fileName) => `/${fileName}`)
+      );
+    },
+    closeBundle() {
+      const swPath = path.join(outDir, "sw.js");
+      if (!fs.existsSync(swPath)) return;
+
+      const urls = [...new Set([...bundleFiles, ...PRECACHE_PUBLIC_FILES])].sort();
+      const hash = createHash("sha256");
+      urls.forEach((url) => hash.update(fs.readFileSync(path.join(outDir, url))));
+
+      const manifest = { version: hash.digest("hex").slice(0, 12), urls };
+      const source = fs.readFileSync(swPath, "utf8");
+      fs.writeFileSync(swPath, source.replace("self.__PRECACHE_MANIFEST", JSON.stringify(manifest)));
+    },
+  };
+};
 
 // https://vitejs.dev/config/
 export default defineConfig({
@@ -9,11 +54,11 @@ export default defineConfig({
     outDir: "dist", // Output to 'dist' for Vercel
     chunkSizeWarningLimit: 2000,
   },
-  plugins: [tsconfigPaths(), react(), tagger()],
+  plugins: [tsconfigPaths(), react(), tagger(), precacheServiceWorker()],
   server: {
     port: "4028",
     host: "0.0.0.0",
     strictPort: true,
     allowedHosts: ['.amazonaws.com', '.builtwithrocket.new']
   }
-});
\ No newline at end of file
+});